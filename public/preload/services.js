@@ -19,18 +19,28 @@ const express = require('express')
 const cors = require('cors')
 /** 请求体解析中间件 */
 const bodyParser = require('body-parser')
-/** Node.js 网络模块，用于端口检测 */
+/** Node.js 网络模块，用于端口检测与 TCP Mock 服务 */
 const net = require('net')
+/** Node.js UDP 模块，用于 UDP Mock 服务 */
+const dgram = require('dgram')
 /** Node.js VM 模块，用于执行高级模式脚本的沙箱环境 */
 const vm = require('vm')
+/** Node.js util 模块，用于格式化脚本控制台输出 */
+const util = require('util')
 /** Node.js HTTP 模块，用于创建 WS 底层 HTTP 服务 */
 const http = require('http')
-/** Node.js HTTPS 模块，用于代理录制 HTTPS 请求 */
+/** Node.js HTTPS 模块，用于代理 HTTPS 请求与 HTTPS 监听 */
 const https = require('https')
+/** Node.js TLS 模块，用于校验用户提供的证书 */
+const tlsModule = require('tls')
 /** WebSocket 库 */
 const WebSocket = require('ws')
 /** Node.js URL 模块 */
 const urlModule = require('url')
+/** Node.js 压缩模块，用于解压录制的代理响应 */
+const zlib = require('zlib')
+/** X.509 证书工具，用于离线生成本地 CA 与 HTTPS 证书 */
+const forge = require('node-forge')
 
 /**
  * 尝试加载 mockjs 库
@@ -100,112 +110,943 @@ const TESTSUITES_DB_KEY = 'mock_testsuites_v1';
 /* ==================== 路径参数匹配工具 ==================== */
 
 /**
- * 匹配路径参数模式（如 /users/:id/posts/:postId）
- * @param {string} pattern - 路径模式（含 :param 占位符）
- * @param {string} actual - 实际请求路径
+ * 路径段的优先级权重（越具体越高）
+ * @description 静态段 > 带正则约束的参数 > 参数 > 可选参数 > 单段通配 * > 多段通配 **；
+ *              比较两条路由时按段依次比较，某一方已无更多段时按 end 计
+ */
+const SEGMENT_RANK = { literal: 5, constrained: 4, param: 3, end: 2.5, optional: 2, wildcard: 1, globstar: 0 };
+
+/** 已编译的路由模式缓存，key 为规则 URL */
+const compiledRoutes = new Map();
+
+/**
+ * 按 / 拆分路由路径，正则约束括号内的 / 不作为分隔符
+ * @param {string} pathname - 路由路径
+ * @returns {string[]} 非空路径段
+ */
+function splitRouteSegments(pathname) {
+  const segments = [];
+  let current = '';
+  let depth = 0;
+  for (const ch of pathname) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if (ch === '/' && depth === 0) {
+      if (current) segments.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) segments.push(current);
+  return segments;
+}
+
+/**
+ * 查找路由模式中 Query 部分的起始位置
+ * @description 紧跟在 :param 段末尾的 ? 表示可选参数，不作为 Query 分隔符
+ * @param {string} pattern - 规则 URL
+ * @returns {number} ? 的位置，没有 Query 时为 -1
+ */
+function findRouteQueryIndex(pattern) {
+  let depth = 0;
+  let segmentStart = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    else if (depth === 0 && ch === '/') segmentStart = i + 1;
+    else if (depth === 0 && ch === '?') {
+      const optionalMarker = pattern[segmentStart] === ':' && (i + 1 === pattern.length || pattern[i + 1] === '/');
+      if (!optionalMarker) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 编译路由模式
+ * @description 支持的语法：
+ *              - 静态段：/users
+ *              - 路径参数：/:id，可选参数 /:id?，正则约束 /:id(\d+)（可与 ? 组合）
+ *              - 通配：* 匹配单个路径段，** 匹配零或多个路径段（按出现顺序存入 params['0']、params['1']…）
+ *              - Query 约束：/search?type=user&debug，带值时要求相等，不带值时要求参数存在
+ * @param {string} pattern - 规则 URL
+ * @returns {{regex: RegExp, keys: string[], ranks: number[], query: Array<{key: string, value: string|null}>}|null} 编译结果，正则约束非法时为 null
+ */
+function compileRoutePattern(pattern) {
+  if (compiledRoutes.has(pattern)) return compiledRoutes.get(pattern);
+  const queryIndex = findRouteQueryIndex(pattern);
+  const pathname = queryIndex === -1 ? pattern : pattern.slice(0, queryIndex);
+  const query = [];
+  if (queryIndex !== -1) {
+    try {
+      for (const part of pattern.slice(queryIndex + 1).split('&')) {
+        if (!part) continue;
+        const eq = part.indexOf('=');
+        query.push(eq === -1 ? { key: decodeURIComponent(part), value: null } : { key: decodeURIComponent(part.slice(0, eq)), value: decodeURIComponent(part.slice(eq + 1)) });
+      }
+    } catch (e) {
+      // Query 约束中有非法的 % 编码（如 ?q=100%）：与非法正则约束一样视为无效规则
+      console.warn(`[Route] Invalid route pattern ${pattern}:`, e.message);
+      compiledRoutes.set(pattern, null);
+      return null;
+    }
+  }
+
+  const keys = [];
+  const ranks = [];
+  let source = '';
+  let wildcardIndex = 0;
+  for (const segment of splitRouteSegments(pathname)) {
+    const group = `k${keys.length}`;
+    const param = segment.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+    if (segment === '**') {
+      keys.push(String(wildcardIndex++));
+      ranks.push(SEGMENT_RANK.globstar);
+      source += `(?:/(?<${group}>.*))?`;
+    } else if (segment === '*') {
+      keys.push(String(wildcardIndex++));
+      ranks.push(SEGMENT_RANK.wildcard);
+      source += `/(?<${group}>[^/]+)`;
+    } else if (param) {
+      const [, name, constraint, optional] = param;
+      keys.push(name);
+      ranks.push(optional ? SEGMENT_RANK.optional : constraint ? SEGMENT_RANK.constrained : SEGMENT_RANK.param);
+      const capture = `/(?<${group}>${constraint ? `(?:${constraint})` : '[^/]+'})`;
+      source += optional ? `(?:${capture})?` : capture;
+    } else {
+      ranks.push(SEGMENT_RANK.literal);
+      source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  let compiled = null;
+  try {
+    compiled = { regex: new RegExp(`^${source || '/'}$`), keys, ranks, query };
+  } catch (e) {
+    console.warn(`[Route] Invalid route pattern ${pattern}:`, e.message);
+  }
+  compiledRoutes.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * 检查请求 Query 是否满足路由模式中的 Query 约束
+ * @param {Array} constraints - compileRoutePattern 解析出的 query
+ * @param {Object} query - 请求 Query（值可能为数组）
+ * @returns {boolean}
+ */
+function matchRouteQuery(constraints, query) {
+  return constraints.every(({ key, value }) => {
+    const actual = query ? query[key] : undefined;
+    if (actual === undefined) return false;
+    if (value === null) return true;
+    return (Array.isArray(actual) ? actual : [actual]).some(v => String(v) === value);
+  });
+}
+
+/**
+ * 匹配路由模式（语法见 compileRoutePattern）
+ * @param {string} pattern - 规则 URL
+ * @param {string} actual - 实际请求路径（忽略重复和末尾的 /）
+ * @param {Object} [query] - 请求 Query，规则带 Query 约束时必须提供
  * @returns {{ matched: boolean, params: Object }} 匹配结果及提取的参数
  */
-function matchPathPattern(pattern, actual) {
+function matchPathPattern(pattern, actual, query) {
   if (!pattern || !actual) return { matched: false, params: {} };
-  const patternParts = pattern.split('/').filter(Boolean);
-  const actualParts = actual.split('/').filter(Boolean);
-  if (patternParts.length !== actualParts.length) return { matched: false, params: {} };
+  const compiled = compileRoutePattern(pattern.startsWith('/') ? pattern : '/' + pattern);
+  if (!compiled) return { matched: false, params: {} };
+  const normalized = ('/' + actual.split('/').filter(Boolean).join('/'));
+  const match = compiled.regex.exec(normalized);
+  if (!match || !matchRouteQuery(compiled.query, query)) return { matched: false, params: {} };
   const params = {};
-  for (let i = 0; i < patternParts.length; i++) {
-    if (patternParts[i].startsWith(':')) {
-      params[patternParts[i].slice(1)] = actualParts[i];
-    } else if (patternParts[i] !== actualParts[i]) {
-      return { matched: false, params: {} };
-    }
-  }
+  compiled.keys.forEach((key, i) => {
+    const value = match.groups[`k${i}`];
+    if (value !== undefined) params[key] = value;
+  });
   return { matched: true, params };
 }
 
 /**
- * 判断 URL 模式中是否包含路径参数
- * @param {string} url - URL 模式
- * @returns {boolean}
+ * 比较两组路径段权重（逐段比较，较短的一方不足的段按 end 计）
+ * @returns {number} 负数表示 a 更具体
+ */
+function compareSegmentRanks(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const ra = i < a.length ? a[i] : SEGMENT_RANK.end;
+    const rb = i < b.length ? b[i] : SEGMENT_RANK.end;
+    if (ra !== rb) return rb - ra;
+  }
+  return 0;
+}
+
+/**
+ * 规则方法与请求方法的匹配程度
+ * @param {string} ruleMethod - 规则方法（可为 ANY）
+ * @param {string} method - 请求方法
+ * @param {boolean} preflight - 是否为 CORS 预检请求（ANY 不匹配预检，交由 CORS 处理）
+ * @returns {number} 2 精确匹配，1 ANY，0 HEAD 回退到 GET，-1 不匹配
+ */
+function routeMethodRank(ruleMethod, method, preflight) {
+  if (ruleMethod === method) return 2;
+  if (ruleMethod === 'ANY' && !preflight) return 1;
+  if (ruleMethod === 'GET' && method === 'HEAD') return 0;
+  return -1;
+}
+
+/**
+ * 比较两个候选路由的优先级
+ * @description 依次比较：完整路径（分组子前缀 + 规则路径）的段权重 → 方法精确程度 → Query 约束数量
+ *              → 分组子前缀长度 → 分组顺序 → 规则顺序，排序结果稳定且与分组顺序基本无关
+ * @returns {number} 负数表示 a 优先
+ */
+function compareRouteCandidates(a, b) {
+  return compareSegmentRanks(a.ranks, b.ranks)
+    || b.methodRank - a.methodRank
+    || b.queryCount - a.queryCount
+    || b.prefixLength - a.prefixLength
+    || a.groupIndex - b.groupIndex
+    || a.ruleIndex - b.ruleIndex;
+}
+
+/**
+ * 在服务的所有分组中查找请求命中的规则或资源集合
+ * @description 先收集所有分组中匹配的规则并按 compareRouteCandidates 排序取第一个；
+ *              没有规则命中时按子前缀从长到短查找资源集合
+ * @param {Object} service - 服务数据
+ * @param {Object} request - { method, url（已剥离服务前缀）, query, preflight }
+ * @param {Object} [trace] - 传入时记录匹配过程（供匹配诊断使用）：{ groups: [], rules: [], resources: [] }
+ * @returns {{rule?: Object, resource?: Object, id?: string|null, group: Object, params: Object}|null}
  */
-function hasPathParams(url) {
-  return url && url.includes(':');
+function matchServiceRoute(service, { method, url, query, preflight }, trace) {
+  const groups = service.groups || [];
+  const candidates = [];
+  const traceRule = (group, rule, status, extra) => {
+    if (trace) trace.rules.push({ groupId: group.id, groupName: group.name, ruleId: rule.id, name: rule.name, method: rule.method, url: rule.url, status, ...extra });
+  };
+  groups.forEach((group, groupIndex) => {
+    const stripped = stripPrefix(url, group.subPrefix);
+    if (trace) trace.groups.push({ groupId: group.id, groupName: group.name, subPrefix: normalizePrefix(group.subPrefix), ok: stripped.ok, rest: stripped.ok ? stripped.rest : null });
+    if (!stripped.ok) {
+      (group.children || []).forEach(rule => traceRule(group, rule, 'prefix'));
+      return;
+    }
+    const prefix = normalizePrefix(group.subPrefix);
+    const prefixRanks = prefix.split('/').filter(Boolean).map(() => SEGMENT_RANK.literal);
+    (group.children || []).forEach((rule, ruleIndex) => {
+      if (!rule.active || !rule.url) return traceRule(group, rule, 'inactive');
+      const methodRank = routeMethodRank(rule.method, method, preflight);
+      if (methodRank < 0) return traceRule(group, rule, 'method');
+      const compiled = compileRoutePattern(rule.url.startsWith('/') ? rule.url : '/' + rule.url);
+      if (!compiled) return traceRule(group, rule, 'invalid');
+      const result = matchPathPattern(rule.url, stripped.rest, query);
+      if (!result.matched) {
+        // 路径本身匹配、仅 Query 约束不满足时单独标记，便于排查
+        const pathOnly = trace && compiled.query.length > 0 && compiled.regex.test('/' + stripped.rest.split('/').filter(Boolean).join('/'));
+        return traceRule(group, rule, pathOnly ? 'query' : 'path');
+      }
+      const candidate = {
+        rule, group, params: result.params, methodRank,
+        ranks: prefixRanks.concat(compiled.ranks), queryCount: compiled.query.length,
+        prefixLength: prefix.length, groupIndex, ruleIndex,
+      };
+      candidates.push(candidate);
+      if (trace) {
+        candidate.trace = { groupId: group.id, groupName: group.name, ruleId: rule.id, name: rule.name, method: rule.method, url: rule.url, status: 'outranked', params: result.params };
+        trace.rules.push(candidate.trace);
+      }
+    });
+  });
+  if (candidates.length) {
+    candidates.sort(compareRouteCandidates);
+    if (trace) candidates.forEach((c, i) => { c.trace.priority = i + 1; if (i === 0) c.trace.status = 'matched'; });
+    const best = candidates[0];
+    return { rule: best.rule, group: best.group, params: best.params };
+  }
+
+  const byPrefix = groups.slice().sort((a, b) => normalizePrefix(b.subPrefix).length - normalizePrefix(a.subPrefix).length);
+  for (const group of byPrefix) {
+    const stripped = stripPrefix(url, group.subPrefix);
+    if (!stripped.ok) continue;
+    const resourceMatch = matchResource(group.resources, stripped.rest);
+    if (trace) {
+      for (const resource of (group.resources || [])) {
+        trace.resources.push({ groupId: group.id, groupName: group.name, resourceId: resource.id, name: resource.name, path: resource.path, matched: !!resourceMatch && resourceMatch.resource === resource });
+      }
+    }
+    if (resourceMatch) return { ...resourceMatch, group, params: {} };
+  }
+  return null;
 }
 
 /* ==================== 条件响应（Mock 期望）匹配工具 ==================== */
 
+/** 已解析的 JSONPath 查询缓存，key 为表达式 */
+const compiledJsonPaths = new Map();
+
+/**
+ * 查找 JSONPath 中方括号的结束位置（跳过引号和嵌套括号）
+ * @param {string} source - JSONPath 表达式
+ * @param {number} start - [ 的位置
+ * @returns {number} 对应 ] 的位置
+ */
+function findJsonPathBracketEnd(source, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start + 1; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"') quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || (ch === ']' && depth > 0)) depth--;
+    else if (ch === ']') return i;
+  }
+  throw new Error(`Invalid JSONPath: unclosed [ in ${source}`);
+}
+
+/**
+ * 按顶层逗号拆分（引号内的逗号不拆分）
+ */
+function splitJsonPathUnion(content) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quote) {
+      if (ch === '\\') { current += ch + (content[i + 1] || ''); i++; continue; }
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"') quote = ch;
+    else if (ch === ',') { parts.push(current.trim()); current = ''; continue; }
+    current += ch;
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/** 去掉 JSONPath 字符串字面量的引号并处理转义 */
+function unquoteJsonPathString(text) {
+  return text.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * 编译 JSONPath 过滤表达式，如 @.price > 10 && @.tags =~ /hot/i
+ * @description 支持 @ / $ 路径、数字 / 字符串 / true / false / null 字面量、
+ *              == != < <= > >= =~（正则），以及 && || ! 和括号；单独的路径表示存在性判断
+ * @param {string} text - 过滤表达式（不含 ?( )）
+ * @returns {function(*, *): boolean} (当前节点, 根文档) => 是否保留
+ */
+function compileJsonPathFilter(text) {
+  const lexer = /\s*(?:([@$])((?:\.[A-Za-z_$][\w$-]*|\.\*|\[(?:-?\d+|\*|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\])*)|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|\/((?:[^/\\]|\\.)+)\/([gimsuy]*)|(==|!=|<=|>=|=~|<|>|&&|\|\||!|\(|\))|(true|false|null))/y;
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    if (!text.slice(pos).trim()) break;
+    lexer.lastIndex = pos;
+    const m = lexer.exec(text);
+    if (!m) throw new Error(`Invalid JSONPath filter: ${text}`);
+    pos = lexer.lastIndex;
+    if (m[1]) {
+      const query = compileJsonPathQuery('$' + m[2]);
+      const fromRoot = m[1] === '$';
+      tokens.push({ kind: 'operand', read: (item, root) => queryJsonPath(fromRoot ? root : item, query)[0] });
+    } else if (m[3] !== undefined) tokens.push({ kind: 'operand', read: () => Number(m[3]) });
+    else if (m[4] !== undefined || m[5] !== undefined) {
+      const value = (m[4] !== undefined ? m[4] : m[5]).replace(/\\(.)/g, '$1');
+      tokens.push({ kind: 'operand', read: () => value });
+    } else if (m[6] !== undefined) {
+      const regex = new RegExp(m[6], m[7]);
+      tokens.push({ kind: 'operand', read: () => regex });
+    } else if (m[8]) tokens.push({ kind: 'op', op: m[8] });
+    else {
+      const literal = m[9] === 'null' ? null : m[9] === 'true';
+      tokens.push({ kind: 'operand', read: () => literal });
+    }
+  }
+
+  let i = 0;
+  const peek = op => tokens[i] && tokens[i].kind === 'op' && tokens[i].op === op;
+  const compare = (op, a, b) => {
+    switch (op) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '=~': return b instanceof RegExp && typeof a === 'string' && b.test(a);
+      default: {
+        if (!((typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string'))) return false;
+        if (op === '<') return a < b;
+        if (op === '<=') return a <= b;
+        if (op === '>') return a > b;
+        return a >= b;
+      }
+    }
+  };
+  const parseUnary = () => {
+    if (peek('!')) { i++; const inner = parseUnary(); return (item, root) => !inner(item, root); }
+    if (peek('(')) {
+      i++;
+      const inner = parseOr();
+      if (!peek(')')) throw new Error(`Invalid JSONPath filter: ${text}`);
+      i++;
+      return inner;
+    }
+    const left = tokens[i++];
+    if (!left || left.kind !== 'operand') throw new Error(`Invalid JSONPath filter: ${text}`);
+    const next = tokens[i];
+    if (next && next.kind === 'op' && ['==', '!=', '<', '<=', '>', '>=', '=~'].includes(next.op)) {
+      i++;
+      const right = tokens[i++];
+      if (!right || right.kind !== 'operand') throw new Error(`Invalid JSONPath filter: ${text}`);
+      return (item, root) => compare(next.op, left.read(item, root), right.read(item, root));
+    }
+    return (item, root) => {
+      const value = left.read(item, root);
+      return value !== undefined && value !== null && value !== false;
+    };
+  };
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (peek('&&')) { i++; const a = left, b = parseUnary(); left = (item, root) => a(item, root) && b(item, root); }
+    return left;
+  };
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek('||')) { i++; const a = left, b = parseAnd(); left = (item, root) => a(item, root) || b(item, root); }
+    return left;
+  };
+  const test = parseOr();
+  if (i !== tokens.length) throw new Error(`Invalid JSONPath filter: ${text}`);
+  return test;
+}
+
+/**
+ * 解析方括号内的选择器：* / 下标 / 名称（可用逗号并列）/ 切片 start:end:step / 过滤 ?(...)
+ */
+function parseJsonPathBracket(content, source) {
+  if (content === '*') return { type: 'wildcard' };
+  // ?(...) 的括号由过滤表达式自身的括号语法处理
+  if (content.startsWith('?')) return { type: 'filter', test: compileJsonPathFilter(content.slice(1)) };
+  const slice = content.match(/^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d*))?$/);
+  if (slice) {
+    return { type: 'slice', start: slice[1] === '' ? null : Number(slice[1]), end: slice[2] === '' ? null : Number(slice[2]), step: slice[3] ? Number(slice[3]) : 1 };
+  }
+  const names = splitJsonPathUnion(content).map(part => {
+    if (/^-?\d+$/.test(part)) return Number(part);
+    if (/^'(?:[^'\\]|\\.)*'$|^"(?:[^"\\]|\\.)*"$/.test(part)) return unquoteJsonPathString(part);
+    throw new Error(`Invalid JSONPath: ${source}`);
+  });
+  return { type: 'child', names };
+}
+
+/**
+ * 编译 JSONPath 查询
+ * @description 支持 $.a.b、a.b（省略 $）、['key']、[0] / [-1]、[0,2]、[1:3]、[*] / .*、..key 递归查找、
+ *              [?(@.price > 10)] 过滤；兼容旧的 a.0.b 点号写法
+ * @param {string} expr - JSONPath 表达式，空串表示整个文档
+ * @returns {{tokens: Array, definite: boolean}} definite 表示路径最多只会取到一个值
+ */
+function compileJsonPathQuery(expr) {
+  const source = String(expr || '').trim();
+  if (compiledJsonPaths.has(source)) return compiledJsonPaths.get(source);
+  const tokens = [];
+  let i = source.startsWith('$') ? 1 : 0;
+  const readName = () => {
+    const m = /^[^.[\]\s]+/.exec(source.slice(i));
+    if (!m) throw new Error(`Invalid JSONPath: ${source}`);
+    i += m[0].length;
+    return m[0];
+  };
+  while (i < source.length) {
+    if (source.startsWith('..', i)) {
+      i += 2;
+      tokens.push({ type: 'descend' });
+      if (source[i] === '[') continue;
+      if (source[i] === '*') { i++; tokens.push({ type: 'wildcard' }); continue; }
+      tokens.push({ type: 'child', names: [readName()] });
+    } else if (source[i] === '.') {
+      i++;
+      if (source[i] === '*') { i++; tokens.push({ type: 'wildcard' }); continue; }
+      tokens.push({ type: 'child', names: [readName()] });
+    } else if (source[i] === '[') {
+      const end = findJsonPathBracketEnd(source, i);
+      tokens.push(parseJsonPathBracket(source.slice(i + 1, end).trim(), source));
+      i = end + 1;
+    } else if (i === 0) {
+      tokens.push({ type: 'child', names: [readName()] });
+    } else {
+      throw new Error(`Invalid JSONPath: ${source}`);
+    }
+  }
+  const compiled = { tokens, definite: tokens.every(t => t.type === 'child' && t.names.length === 1) };
+  compiledJsonPaths.set(source, compiled);
+  return compiled;
+}
+
+/**
+ * 执行 JSONPath 查询
+ * @param {*} doc - JSON 文档
+ * @param {string|Object} expr - JSONPath 表达式或 compileJsonPathQuery 的结果
+ * @returns {Array} 匹配到的全部值（按文档顺序）
+ */
+function queryJsonPath(doc, expr) {
+  const { tokens } = typeof expr === 'string' ? compileJsonPathQuery(expr) : expr;
+  const isNode = v => v !== null && typeof v === 'object';
+  let nodes = doc === undefined ? [] : [doc];
+  for (const token of tokens) {
+    const next = [];
+    for (const node of nodes) {
+      if (token.type === 'descend') {
+        const walk = v => { next.push(v); if (isNode(v)) Object.values(v).forEach(walk); };
+        walk(node);
+        continue;
+      }
+      if (!isNode(node)) continue;
+      if (token.type === 'wildcard') {
+        next.push(...Object.values(node));
+      } else if (token.type === 'child') {
+        for (const name of token.names) {
+          if (typeof name === 'number') {
+            if (!Array.isArray(node)) continue;
+            const index = name < 0 ? node.length + name : name;
+            if (index >= 0 && index < node.length) next.push(node[index]);
+          } else if (Object.prototype.hasOwnProperty.call(node, name)) {
+            next.push(node[name]);
+          }
+        }
+      } else if (token.type === 'slice') {
+        if (!Array.isArray(node)) continue;
+        const len = node.length;
+        const norm = (v, fallback) => (v === null ? fallback : v < 0 ? Math.max(0, len + v) : Math.min(len, v));
+        const step = token.step > 0 ? token.step : 1;
+        for (let k = norm(token.start, 0); k < norm(token.end, len); k += step) next.push(node[k]);
+      } else if (token.type === 'filter') {
+        for (const child of Object.values(node)) {
+          if (token.test(child, doc)) next.push(child);
+        }
+      }
+    }
+    nodes = next;
+  }
+  return nodes;
+}
+
 /**
- * 从嵌套对象中按 JSON path 取值
- * @param {Object} obj - 目标对象
- * @param {string} path - 路径（如 data.user.name）
- * @returns {*} 取到的值
+ * 按 JSONPath 取第一个匹配的值（字段路径如 data.user.name）
+ * @param {*} obj - 目标对象
+ * @param {string} path - JSONPath
+ * @returns {*} 取到的值，路径非法或不存在时为 undefined
  */
-function getByPath(obj, path) {
+function getJsonPathValue(obj, path) {
   if (!obj || !path) return undefined;
-  return path.split('.').reduce((o, k) => (o != null ? o[k] : undefined), obj);
+  try { return queryJsonPath(obj, path)[0]; } catch (e) { return undefined; }
+}
+
+/** 条件可选的请求来源 */
+const CONDITION_SOURCES = ['query', 'header', 'cookie', 'body', 'form', 'rawBody', 'pathParam', 'method'];
+
+/** 取反操作符与其对应的正向操作符 */
+const NEGATED_OPERATORS = { notEquals: 'equals', notContains: 'contains' };
+
+/** 值是否为空（不存在、null、空串、空数组、空对象） */
+function isEmptyConditionValue(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) return Object.keys(value).length === 0;
+  return false;
 }
 
 /**
- * 评估单个条件
- * @param {Object} condition - 期望条件 { source, key, operator, value }
+ * 读取表单字段：urlencoded 请求体由 bodyParser 解析，multipart 请求体由 bufferMultipartFields 预先解析
+ * @returns {Object} 字段名 -> 值
+ */
+function readFormFields(req) {
+  if (req.formFields) return req.formFields;
+  const type = String(req.headers['content-type'] || '');
+  if (type.includes('application/x-www-form-urlencoded') && req.body && typeof req.body === 'object') return req.body;
+  return {};
+}
+
+/**
+ * 读取条件所比较的请求值
+ * @param {Object} condition - 期望条件 { source, key }
  * @param {Object} req - Express 请求对象
  * @param {Object} pathParams - 路径参数
- * @returns {boolean}
+ * @returns {*} 请求中的实际值；body 来源且 JSONPath 可能匹配多个值（通配、过滤、切片等）时为全部匹配值的数组
  */
-function evaluateCondition(condition, req, pathParams) {
-  let actual;
+function readConditionValue(condition, req, pathParams) {
   switch (condition.source) {
     case 'query':
-      actual = req.query[condition.key];
-      break;
+      return req.query[condition.key];
     case 'header':
-      actual = req.headers[condition.key.toLowerCase()];
-      break;
-    case 'body':
-      actual = getByPath(req.body, condition.key);
-      break;
+      return req.headers[String(condition.key).toLowerCase()];
+    case 'cookie':
+      return parseCookies(req.headers.cookie)[condition.key];
+    case 'body': {
+      const query = compileJsonPathQuery(condition.key);
+      const values = queryJsonPath(req.body, query);
+      return query.definite ? values[0] : values;
+    }
+    case 'form':
+      return readFormFields(req)[condition.key];
+    case 'rawBody':
+      if (req.rawBody) return req.rawBody.toString('utf8');
+      return typeof req.body === 'string' ? req.body : undefined;
     case 'pathParam':
-      actual = pathParams[condition.key];
-      break;
+      return pathParams[condition.key];
+    case 'method':
+      return req.method;
     default:
-      return false;
+      return undefined;
   }
+}
 
-  const expected = condition.value;
-
-  switch (condition.operator) {
+/**
+ * 对单个值应用正向操作符
+ * @param {string} operator - 操作符（不含 notEquals / notContains）
+ * @param {*} actual - 实际值
+ * @param {string} expected - 对比值
+ * @returns {boolean}
+ */
+function applyConditionOperator(operator, actual, expected) {
+  switch (operator) {
     case 'equals':
       return String(actual) === String(expected);
     case 'contains':
       return actual != null && String(actual).includes(expected);
+    case 'startsWith':
+      return actual != null && String(actual).startsWith(expected);
+    case 'in': {
+      // 对比值为 JSON 数组或逗号分隔的列表
+      let list;
+      try { list = JSON.parse(expected); } catch (e) { /* 按逗号拆分 */ }
+      if (!Array.isArray(list)) list = String(expected || '').split(',').map(s => s.trim());
+      return actual != null && list.map(String).includes(String(actual));
+    }
     case 'regex':
       try { return actual != null && new RegExp(expected).test(String(actual)); } catch { return false; }
     case 'exists':
       return actual !== undefined && actual !== null && actual !== '';
+    case 'isEmpty':
+      return isEmptyConditionValue(actual);
     case 'gt':
       return actual != null && Number(actual) > Number(expected);
     case 'lt':
       return actual != null && Number(actual) < Number(expected);
+    case 'jsonSchema': {
+      if (actual === undefined) return false;
+      const schema = JSON.parse(expected);
+      // 字符串值（Query、Header、原始请求体等）先尝试按 JSON 解析
+      let value = actual;
+      if (typeof value === 'string') { try { value = JSON.parse(value); } catch (e) { /* 保留字符串 */ } }
+      const errors = [];
+      validateJsonSchema(schema, value, '', schema, errors);
+      return errors.length === 0;
+    }
     default:
       return false;
   }
 }
 
+/**
+ * 评估单个条件
+ * @description body 来源的 JSONPath 匹配到多个值时，任一值满足即通过（exists 要求至少匹配一个，isEmpty 要求全部为空）；
+ *              notEquals / notContains 为 equals / contains 的取反；condition.negate 对结果再取反
+ * @param {Object} condition - 期望条件 { source, key, operator, value, negate? }
+ * @param {Object} req - Express 请求对象
+ * @param {Object} pathParams - 路径参数
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, req, pathParams) {
+  if (!CONDITION_SOURCES.includes(condition.source)) return false;
+  const negated = NEGATED_OPERATORS[condition.operator];
+  const operator = negated || condition.operator;
+  let passed;
+  try {
+    const actual = readConditionValue(condition, req, pathParams);
+    if (condition.source === 'body' && !compileJsonPathQuery(condition.key).definite) {
+      if (operator === 'exists') passed = actual.length > 0;
+      else if (operator === 'isEmpty') passed = actual.every(isEmptyConditionValue);
+      else passed = actual.some(v => applyConditionOperator(operator, v, condition.value));
+    } else {
+      passed = applyConditionOperator(operator, actual, condition.value);
+    }
+  } catch (e) {
+    // JSONPath / JSON Schema 非法时视为不满足
+    return false;
+  }
+  if (negated) passed = !passed;
+  return condition.negate ? !passed : passed;
+}
+
+/** 是否为条件组 { logic, negate, items } */
+function isConditionGroup(node) {
+  return !!node && Array.isArray(node.items);
+}
+
+/**
+ * 期望列表中是否有使用指定来源的条件（含嵌套条件组）
+ * @param {Array} nodes - 期望列表或条件列表
+ * @param {string} source - 条件来源
+ * @returns {boolean}
+ */
+function usesConditionSource(nodes, source) {
+  return (nodes || []).some(node => {
+    if (Array.isArray(node.conditions)) return usesConditionSource(node.conditions, source);
+    return isConditionGroup(node) ? usesConditionSource(node.items, source) : node.source === source;
+  });
+}
+
+/**
+ * 评估条件或条件组（组内按 logic 组合：and 全部满足，or 任一满足；negate 对结果取反）
+ * @param {Object} node - 条件或条件组
+ * @param {Object} req - Express 请求对象
+ * @param {Object} pathParams - 路径参数
+ * @returns {boolean}
+ */
+function evaluateConditionNode(node, req, pathParams) {
+  if (!isConditionGroup(node)) return evaluateCondition(node, req, pathParams);
+  const check = item => evaluateConditionNode(item, req, pathParams);
+  const passed = node.logic === 'or' ? node.items.some(check) : node.items.every(check);
+  return node.negate ? !passed : passed;
+}
+
+/**
+ * 按优先级排列期望（priority 越大越先匹配，相同时保持列表顺序）
+ * @param {Array} expectations - 期望列表
+ * @returns {Array} 排序后的新数组
+ */
+function sortExpectations(expectations) {
+  return (expectations || []).slice().sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0));
+}
+
 /**
  * 查找第一个匹配的期望
+ * @description 期望的 conditions 为条件或条件组列表，按 exp.logic（默认 and）组合；没有条件的期望不参与匹配
  * @param {Array} expectations - 期望列表
  * @param {Object} req - Express 请求对象
  * @param {Object} pathParams - 路径参数
  * @returns {Object|null} 匹配到的期望对象
  */
 function findMatchingExpectation(expectations, req, pathParams) {
-  if (!expectations || !expectations.length) return null;
-  for (const exp of expectations) {
+  for (const exp of sortExpectations(expectations)) {
     if (!exp.conditions || !exp.conditions.length) continue;
-    const allMatch = exp.conditions.every(c => evaluateCondition(c, req, pathParams || {}));
-    if (allMatch) return exp;
+    if (evaluateConditionNode({ logic: exp.logic, items: exp.conditions }, req, pathParams || {})) return exp;
   }
   return null;
 }
 
+/* ==================== 请求校验（参数类型 + JSON Schema） ==================== */
+
+/** 字符串格式校验（参数类型与 JSON Schema 的 format 共用） */
+const STRING_FORMATS = {
+  email: v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uuid: v => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  date: v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+  'date-time': v => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(v) && !isNaN(Date.parse(v)),
+  uri: v => { try { new URL(v); return true; } catch { return false; } },
+  ipv4: v => /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(v),
+}
+
+/**
+ * 参数类型校验（Query / Header / 路径参数的值都是字符串）
+ * 返回 null 表示通过，否则返回错误描述
+ */
+const PARAM_TYPE_CHECKS = {
+  integer: v => /^-?\d+$/.test(v) ? null : 'must be an integer',
+  number: v => v.trim() !== '' && isFinite(Number(v)) ? null : 'must be a number',
+  boolean: v => ['true', 'false', '1', '0'].includes(v) ? null : 'must be a boolean (true / false)',
+}
+
+/**
+ * 校验单个参数值是否符合声明的类型
+ * @param {string} type - 参数类型（string / integer / number / boolean / email / uuid / date / date-time / uri）
+ * @param {string} value - 参数值
+ * @returns {string|null} 错误描述
+ */
+function checkParamType(type, value) {
+  if (!type || type === 'string') return null;
+  if (PARAM_TYPE_CHECKS[type]) return PARAM_TYPE_CHECKS[type](value);
+  if (STRING_FORMATS[type]) return STRING_FORMATS[type](value) ? null : `must be a valid ${type}`;
+  return null;
+}
+
+/** JSON Schema 中值的类型名（integer 视为 number 的子类型） */
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesJsonType(type, value) {
+  const actual = jsonTypeOf(value);
+  if (type === 'integer') return Number.isInteger(value);
+  return type === actual;
+}
+
+/** 深比较（用于 enum / const / uniqueItems） */
+function jsonEquals(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** 拼接违规字段路径，如 user.tags[0] */
+function joinSchemaPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * 按 JSON Schema 校验数据，收集全部违规项（支持 draft-07 常用关键字与本文档内的 $ref）
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验的值
+ * @param {string} at - 当前字段路径（根为空串）
+ * @param {Object} root - 根 Schema，用于解析 $ref
+ * @param {Array} errors - 违规项收集数组 [{ path, message }]
+ * @param {number} [depth=0] - $ref 递归深度
+ */
+function validateJsonSchema(schema, value, at, root, errors, depth = 0) {
+  if (schema === true || schema == null) return;
+  if (schema === false) { errors.push({ path: at, message: 'is not allowed' }); return; }
+  if (depth > 32) return;
+
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+      .reduce((o, k) => (o != null ? o[k.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined), root);
+    if (target === undefined) errors.push({ path: at, message: `unresolved $ref ${schema.$ref}` });
+    else validateJsonSchema(target, value, at, root, errors, depth + 1);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesJsonType(t, value))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')}, got ${jsonTypeOf(value)}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(e => jsonEquals(e, value))) {
+    errors.push({ path: at, message: `must be one of ${JSON.stringify(schema.enum)}` });
+  }
+  if (schema.const !== undefined && !jsonEquals(schema.const, value)) {
+    errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+      } catch (e) { /* 无效的正则按通过处理 */ }
+    }
+    if (schema.format && STRING_FORMATS[schema.format] && !STRING_FORMATS[schema.format](value)) {
+      errors.push({ path: at, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push({ path: at, message: `must be < ${schema.exclusiveMaximum}` });
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push({ path: at, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) errors.push({ path: at, message: 'must not contain duplicate items' });
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((s, i) => { if (i < value.length) validateJsonSchema(s, value[i], joinSchemaPath(at, i), root, errors, depth); });
+    } else if (schema.items) {
+      value.forEach((item, i) => validateJsonSchema(schema.items, item, joinSchemaPath(at, i), root, errors, depth));
+    }
+  }
+
+  if (jsonTypeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: joinSchemaPath(at, key), message: 'is required' });
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) errors.push({ path: at, message: `must have at least ${schema.minProperties} properties` });
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push({ path: at, message: `must have at most ${schema.maxProperties} properties` });
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      if (key in properties) {
+        validateJsonSchema(properties[key], value[key], joinSchemaPath(at, key), root, errors, depth);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinSchemaPath(at, key), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateJsonSchema(schema.additionalProperties, value[key], joinSchemaPath(at, key), root, errors, depth);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) validateJsonSchema(sub, value, at, root, errors, depth);
+  const passes = sub => { const e = []; validateJsonSchema(sub, value, at, root, e, depth); return e.length === 0; };
+  if (schema.anyOf && !schema.anyOf.some(passes)) errors.push({ path: at, message: 'must match at least one schema in anyOf' });
+  if (schema.oneOf && schema.oneOf.filter(passes).length !== 1) errors.push({ path: at, message: 'must match exactly one schema in oneOf' });
+  if (schema.not && passes(schema.not)) errors.push({ path: at, message: 'must not match the schema in not' });
+}
+
+/**
+ * 校验请求是否符合接口定义：必传 / 类型化的 Header、Query、路径参数，以及请求体 JSON Schema
+ * @param {Object} rule - 匹配到的规则
+ * @param {Object} req - Express 请求对象
+ * @param {Object} pathParams - 路径参数
+ * @returns {Array<{in: string, path: string, message: string}>} 全部违规项，空数组表示通过
+ */
+function validateRequest(rule, req, pathParams) {
+  const violations = [];
+  const checkParams = (items, location, getValue) => {
+    for (const item of items || []) {
+      if (!item.key) continue;
+      const value = getValue(item.key);
+      if (value === undefined || value === '') {
+        if (item.required) violations.push({ in: location, path: item.key, message: 'is required' });
+        continue;
+      }
+      for (const v of Array.isArray(value) ? value : [value]) {
+        const error = checkParamType(item.type, String(v));
+        if (error) { violations.push({ in: location, path: item.key, message: error }); break; }
+      }
+    }
+  };
+  checkParams(rule.headers, 'header', key => req.headers[key.toLowerCase()]);
+  checkParams(rule.params, 'query', key => req.query[key]);
+  // 可选路径参数（/:id?）未出现在请求路径中时不参与校验
+  checkParams((rule.pathParams || []).filter(p => pathParams[p.key] !== undefined), 'path', key => pathParams[key]);
+
+  if (rule.bodySchema && rule.bodySchema.trim()) {
+    let schema;
+    try {
+      schema = JSON.parse(rule.bodySchema);
+    } catch (e) {
+      console.warn(`[Validation] Invalid body schema on rule ${rule.id}:`, e.message);
+    }
+    if (schema) {
+      if (req.body === undefined) {
+        violations.push({ in: 'body', path: '', message: 'request body is required' });
+      } else {
+        const errors = [];
+        validateJsonSchema(schema, req.body, '', schema, errors);
+        errors.forEach(e => violations.push({ in: 'body', ...e }));
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * 格式化违规项为单行描述，如 "body user.age: must be integer, got string"
+ */
+function formatViolation(v) {
+  return `${v.in}${v.path ? ' ' + v.path : ''}: ${v.message}`;
+}
+
 /* ==================== Window Services（暴露给渲染进程的接口） ==================== */
 
 /**
@@ -224,7 +1065,9 @@ window.services = {
   },
   writeImageFile(base64Url) { /*...*/ },
   getServerUrl() { return `http://${LOCAL_IP}:${ADMIN_PORT}` },
-  getLocalIP() { return LOCAL_IP }
+  getLocalIP() { return LOCAL_IP },
+  /** 按 JSONPath 取第一个匹配的值（测试套件提取变量用） */
+  getJsonPathValue(obj, path) { return getJsonPathValue(obj, path) }
 }
 
 /* ==================== 数据库操作（uTools DB 持久化） ==================== */
@@ -279,813 +1122,4708 @@ function saveMockServices(services) {
   }
 }
 
-/* ==================== 动态 Mock 服务管理器 ==================== */
+/* ==================== 服务流量日志 ==================== */
 
-/** 运行中的 Service 实例映射表（key 为 serviceId） */
-const runningServiceServers = new Map();
+/** 流量日志上限（所有服务共享，超出后丢弃最早的记录） */
+const REQUEST_LOG_LIMIT = 1000;
+/** 单条日志中请求体/响应体的最大记录长度 */
+const REQUEST_LOG_BODY_LIMIT = 5000;
+/** 流量日志缓冲（按完成时间顺序追加） */
+const requestLogs = [];
+/** 流量日志序号（单调递增，清空日志后也不重置），用作增量拉取的游标 */
+let requestLogSeq = 0;
 
 /**
- * 启动指定 MockService 的 Mock 服务（新架构）
- * @description 一个 Express 实例服务该 service 下所有分组的规则。
- *              URL 匹配流程：剥离 servicePrefix → 遍历 groups 尝试剥离 subPrefix → 规则匹配
- * @param {string|number} rawServiceId - 服务 ID
- * @param {number} port - 监听端口号
- * @param {string} servicePrefix - 服务级 URL 前缀
- * @returns {Promise<{success: boolean, ip: string}>} 启动结果
+ * 添加流量日志条目
+ * @param {object} entry - 日志条目（不含 id）
+ * @returns {object} 写入的日志条目
  */
-function startServiceServer(rawServiceId, port, servicePrefix) {
-  return new Promise((resolve, reject) => {
-    const serviceId = String(rawServiceId);
+function addRequestLog(entry) {
+  const logEntry = { id: Date.now() + Math.random(), seq: ++requestLogSeq, ...entry };
+  requestLogs.push(logEntry);
+  if (requestLogs.length > REQUEST_LOG_LIMIT) requestLogs.splice(0, requestLogs.length - REQUEST_LOG_LIMIT);
+  return logEntry;
+}
 
-    if (runningServiceServers.has(serviceId)) {
-      const existing = runningServiceServers.get(serviceId);
-      if (existing.port === port) {
-        existing.prefix = servicePrefix;
-        return resolve({ success: true, ip: LOCAL_IP, msg: 'Service updated' });
-      }
-      existing.server.close();
-      runningServiceServers.delete(serviceId);
-    }
+/**
+ * 追加 Access-Control-Expose-Headers，使跨域的 fetch 能读取自定义响应头
+ * @param {object} res - Express 响应对象
+ * @param {string} name - 响应头名称
+ */
+function exposeHeader(res, name) {
+  const current = res.getHeader('Access-Control-Expose-Headers');
+  const list = current ? String(current).split(',').map(h => h.trim()).filter(Boolean) : [];
+  if (!list.some(h => h.toLowerCase() === name.toLowerCase())) list.push(name);
+  res.setHeader('Access-Control-Expose-Headers', list.join(', '));
+}
 
-    const app = express();
-    app.use(cors());
-    app.use(bodyParser.json());
-    app.use(bodyParser.urlencoded({ extended: true }));
-    app.use(bodyParser.text({ type: ['text/*', 'application/xml', 'application/javascript'] }));
-    app.use(bodyParser.raw({ type: ['application/pdf', 'application/zip', 'application/octet-stream', 'video/*'] }));
+/** CORS 默认即可读取的响应头，无需加入 Access-Control-Expose-Headers */
+const CORS_SAFELISTED_RESPONSE_HEADERS = /^(cache-control|content-language|content-length|content-type|expires|last-modified|pragma|set-cookie|access-control-.*)$/i;
 
-    app.get('/', (req, res) => res.send(`Mock Service ${serviceId} running on port ${port}`));
+/**
+ * 发送响应头前把全部自定义响应头加入 Access-Control-Expose-Headers
+ * @description 使跨域的 fetch（接口调试、测试套件按响应头提取变量）能读取规则、脚本或代理返回的任意响应头；
+ *              writeHead 传入的响应头与已通过 setHeader 设置的一并处理
+ * @param {object} res - Express 响应对象
+ * @param {Object} [headers] - 传给 writeHead 的响应头
+ */
+function exposeResponseHeaders(res, headers) {
+  const names = res.getHeaderNames().concat(Object.keys(headers || {}));
+  const own = Object.keys(headers || {}).find(k => k.toLowerCase() === 'access-control-expose-headers');
+  if (own) {
+    // writeHead 中的同名头会覆盖 setHeader 的值，先合并进来再删除
+    String(headers[own]).split(',').map(h => h.trim()).filter(Boolean).forEach(h => exposeHeader(res, h));
+    delete headers[own];
+  }
+  for (const name of names) {
+    if (!CORS_SAFELISTED_RESPONSE_HEADERS.test(name)) exposeHeader(res, name);
+  }
+}
 
-    app.use(async (req, res) => {
-      const method = req.method;
-      let url = req.path;
+/**
+ * 将请求体/响应体转换为可记录的字符串（二进制内容只记录大小，超长内容截断）
+ * @param {*} body - 原始内容（Buffer / 字符串 / 对象）
+ * @param {string} [contentType] - 内容类型，用于判断是否为文本
+ * @returns {string|undefined}
+ */
+function stringifyLogBody(body, contentType) {
+  if (body === undefined || body === null) return undefined;
+  let str;
+  if (Buffer.isBuffer(body)) {
+    if (!body.length) return undefined;
+    const isText = !contentType || /json|text|xml|javascript|urlencoded/.test(contentType);
+    if (!isText) return `[Binary: ${body.length} bytes]`;
+    str = body.toString('utf-8');
+  } else if (typeof body === 'string') {
+    str = body;
+  } else {
+    if (typeof body === 'object' && !Object.keys(body).length) return undefined;
+    str = JSON.stringify(body);
+  }
+  if (!str) return undefined;
+  return str.length > REQUEST_LOG_BODY_LIMIT ? str.slice(0, REQUEST_LOG_BODY_LIMIT) + '...[truncated]' : str;
+}
 
-      if (url === '/') return;
+/**
+ * 将 Node 头部对象规范化为 Record<string, string>
+ * @param {Object} headers - req.headers 或 res.getHeaders()
+ * @returns {Object}
+ */
+function flattenHeaders(headers) {
+  const result = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    if (v === undefined) continue;
+    result[k] = Array.isArray(v) ? v.join(', ') : String(v);
+  }
+  return result;
+}
 
-      // 1. 剥离 servicePrefix
-      if (servicePrefix) {
-        const result = stripPrefix(url, servicePrefix);
-        if (!result.ok) return res.status(404).json({ error: `Service prefix mismatch: ${normalizePrefix(servicePrefix)}` });
-        url = result.rest;
+/**
+ * 创建流量记录中间件
+ * @description 包装 res.write/res.end 捕获响应体，在连接关闭时写入一条日志。
+ *              路由处理过程中可通过 res.locals.trafficLog 补充命中的分组、规则、期望、预设等信息。
+ * @param {string} serviceId - 服务 ID
+ * @returns {Function} Express 中间件
+ */
+function createTrafficRecorder(serviceId) {
+  return (req, res, next) => {
+    const startTime = Date.now();
+    // 按实际收到请求的监听器拼接可重放的完整 URL（HTTPS 服务可能同时开启 HTTP 端口）
+    const origin = `${req.socket.encrypted ? 'https' : 'http'}://${LOCAL_IP}:${req.socket.localPort}`;
+    const chunks = [];
+    let capturedSize = 0;
+    const capture = (chunk, encoding) => {
+      if (!chunk || typeof chunk === 'function' || capturedSize > REQUEST_LOG_BODY_LIMIT) return;
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf-8');
+      chunks.push(buf);
+      capturedSize += buf.length;
+    };
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    const originalWriteHead = res.writeHead;
+    // 隐式发送响应头时 Node 同样会调用 writeHead
+    res.writeHead = function (statusCode, ...args) {
+      exposeResponseHeaders(res, args.find(a => a && typeof a === 'object' && !Array.isArray(a)));
+      return originalWriteHead.call(this, statusCode, ...args);
+    };
+    res.write = function (chunk, encoding, ...rest) {
+      capture(chunk, encoding);
+      return originalWrite.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      capture(chunk, encoding);
+      return originalEnd.call(this, chunk, encoding, ...rest);
+    };
+
+    res.locals.trafficLog = { mode: 'mock' };
+    // 提前分配日志 ID 并通过响应头返回，调试面板据此查询脚本控制台输出等信息
+    const logId = Date.now() + Math.random();
+    res.setHeader('X-Mock-Log-Id', String(logId));
+    exposeHeader(res, 'X-Mock-Log-Id');
+
+    res.on('close', () => {
+      const meta = res.locals.trafficLog || {};
+      const finished = res.writableFinished;
+      const status = finished ? res.statusCode : 0;
+      const responseHeaders = flattenHeaders(res.getHeaders());
+      const serviceName = meta.serviceName
+        || (getMockServices().find(s => String(s.id) === serviceId) || {}).name;
+      addRequestLog({
+        id: logId,
+        timestamp: Date.now(),
+        source: 'server',
+        method: req.method,
+        url: `${origin}${req.originalUrl}`,
+        path: req.originalUrl,
+        status,
+        statusText: finished ? (http.STATUS_CODES[status] || '') : 'Aborted',
+        duration: Date.now() - startTime,
+        mode: meta.mode,
+        serviceId: Number(serviceId),
+        serviceName,
+        groupId: meta.groupId,
+        groupName: meta.groupName,
+        ruleId: meta.ruleId,
+        ruleName: meta.ruleName,
+        expectationName: meta.expectationName,
+        presetName: meta.presetName,
+        sequenceStep: meta.sequenceStep,
+        fault: meta.fault,
+        clientIp: req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown',
+        requestHeaders: flattenHeaders(req.headers),
+        requestBody: stringifyLogBody(req.body, req.headers['content-type']),
+        responseHeaders,
+        responseBody: stringifyLogBody(Buffer.concat(chunks), responseHeaders['content-type']),
+        error: meta.error || (finished ? undefined : 'Client closed connection before response finished'),
+        scriptLogs: meta.scriptLogs && meta.scriptLogs.length ? meta.scriptLogs : undefined,
+      });
+    });
+
+    next();
+  };
+}
+
+/**
+ * 按条件筛选流量日志
+ * @param {Object} query - 筛选条件 { serviceId, status, ruleId, method, from, to, since, after, limit }
+ *                         status 支持具体状态码（404）或状态段（2xx / 4xx / 5xx）；
+ *                         after 为日志序号 seq，增量拉取时应使用 after（同一毫秒内完成的请求按 since 会漏掉）
+ * @returns {Array} 匹配的日志（按时间升序）
+ */
+function queryRequestLogs(query) {
+  const since = query.since ? Number(query.since) : 0;
+  const after = query.after ? Number(query.after) : 0;
+  const from = query.from ? Number(query.from) : 0;
+  const to = query.to ? Number(query.to) : 0;
+  const status = query.status ? String(query.status).toLowerCase() : '';
+  const method = query.method ? String(query.method).toUpperCase() : '';
+  let result = requestLogs.filter(l => {
+    if (since > 0 && l.timestamp <= since) return false;
+    if (after > 0 && l.seq <= after) return false;
+    if (from > 0 && l.timestamp < from) return false;
+    if (to > 0 && l.timestamp > to) return false;
+    if (query.serviceId && String(l.serviceId) !== String(query.serviceId)) return false;
+    if (query.ruleId && String(l.ruleId) !== String(query.ruleId)) return false;
+    if (method && l.method !== method) return false;
+    if (status) {
+      if (/^[1-5]xx$/.test(status)) {
+        if (String(l.status)[0] !== status[0]) return false;
+      } else if (String(l.status) !== status) {
+        return false;
       }
+    }
+    return true;
+  });
+  const limit = query.limit ? Number(query.limit) : 0;
+  if (limit > 0 && result.length > limit) result = result.slice(result.length - limit);
+  return result;
+}
 
-      // 重新读取最新服务数据
-      const services = getMockServices();
-      const targetService = services.find(s => String(s.id) === serviceId);
-      if (!targetService) return res.status(404).json({ error: 'Service not found' });
+/* ==================== 有状态资源集合（自动 CRUD） ==================== */
+
+/** 资源集合数据存储，key 为 `${serviceId}:${resourceId}`，value 为 { seedKey, records, nextId } */
+const resourceStores = new Map();
+/** 列表查询中的保留参数（其余参数均视为字段过滤） */
+const RESOURCE_RESERVED_QUERY = new Set(['_page', '_limit', '_sort', '_order', 'q']);
 
-      // 2. 遍历 groups，尝试剥离 subPrefix，进行规则匹配
-      let matchedRule = null;
-      let pathParams = {};
-      let matchedGroup = null;
+/**
+ * 根据资源定义生成种子数据
+ * @description 种子内容为 Mock.js 模板：数组或包含数组字段的对象直接取其中的数组，
+ *              否则视为单条记录模板，按 seedCount 批量生成
+ * @param {Object} resource - 资源定义
+ * @param {string} content - 种子模板内容
+ * @returns {Array} 记录数组
+ */
+function generateResourceSeed(resource, content) {
+  if (!content || !content.trim()) return [];
+  const template = JSON.parse(content);
+  let records;
+  if (Array.isArray(template)) {
+    records = Mock.mock(template);
+  } else {
+    const data = Mock.mock(template);
+    records = Object.values(data).find(v => Array.isArray(v));
+    if (!records) {
+      const count = Math.max(0, parseInt(resource.seedCount) || 10);
+      records = Mock.mock({ [`list|${count}`]: [template] }).list;
+    }
+  }
+  return records.filter(r => r && typeof r === 'object');
+}
 
-      for (const group of (targetService.groups || [])) {
-        let matchUrl = url;
+/**
+ * 获取（必要时初始化）资源集合的数据存储
+ * @description 种子配置或引用的模板内容变化时自动重新生成数据
+ * @param {string} serviceId - 服务 ID
+ * @param {Object} resource - 资源定义
+ * @returns {{ seedKey: string, records: Array, nextId: number }}
+ */
+function getResourceStore(serviceId, resource) {
+  const key = `${serviceId}:${resource.id}`;
+  let content = resource.seedContent || '';
+  if (resource.seedSource === 'template') {
+    const tpl = getTemplates().find(t => t.id === resource.seedTemplateId);
+    content = tpl ? tpl.content : '';
+  }
+  const idField = resource.idField || 'id';
+  const seedKey = JSON.stringify([content, resource.seedCount, idField]);
+  const existing = resourceStores.get(key);
+  if (existing && existing.seedKey === seedKey) return existing;
+
+  const records = generateResourceSeed(resource, content);
+  let nextId = 1;
+  for (const r of records) {
+    const n = Number(r[idField]);
+    if (Number.isFinite(n) && n >= nextId) nextId = n + 1;
+  }
+  for (const r of records) {
+    if (r[idField] === undefined || r[idField] === null) r[idField] = resource.idType === 'uuid' ? Mock.Random.guid() : nextId++;
+  }
+  const store = { seedKey, records, nextId };
+  resourceStores.set(key, store);
+  return store;
+}
 
-        // 剥离 group.subPrefix
-        if (group.subPrefix) {
-          const result = stripPrefix(matchUrl, group.subPrefix);
-          if (!result.ok) continue;
-          matchUrl = result.rest;
-        }
+/**
+ * 清除资源集合数据（下次访问时重新生成种子数据）
+ * @param {string} serviceId - 服务 ID
+ * @param {string|number} [resourceId] - 资源 ID，省略时清除该服务全部资源
+ */
+function resetResourceStores(serviceId, resourceId) {
+  for (const key of [...resourceStores.keys()]) {
+    const [sid, rid] = key.split(':');
+    if (sid === String(serviceId) && (resourceId === undefined || resourceId === null || rid === String(resourceId))) {
+      resourceStores.delete(key);
+    }
+  }
+}
 
-        // 第一遍：精确匹配
-        const exactMatch = (group.children || []).find(r => {
-          let ruleUrl = r.url;
-          if (ruleUrl && !ruleUrl.startsWith('/')) ruleUrl = '/' + ruleUrl;
-          return r.active && r.method === method && ruleUrl === matchUrl;
-        });
+/**
+ * 在分组的资源集合中匹配请求路径
+ * @param {Array} resources - 分组的资源定义列表
+ * @param {string} matchUrl - 已剥离前缀的请求路径
+ * @returns {{ resource: Object, id: string|null }|null} 命中的资源及记录 ID（集合路径时为 null）
+ */
+function matchResource(resources, matchUrl) {
+  if (!resources || !resources.length) return null;
+  for (const resource of resources) {
+    if (!resource.active || !resource.path) continue;
+    const base = normalizePrefix(resource.path);
+    if (matchUrl === base || matchUrl === base + '/') return { resource, id: null };
+    if (matchUrl.startsWith(base + '/')) {
+      const rest = matchUrl.slice(base.length + 1).replace(/\/$/, '');
+      if (!rest || rest.includes('/')) continue;
+      // 非法的 % 编码（如 /users/%zz）视为未匹配，交由后续规则或 404 处理
+      try { return { resource, id: decodeURIComponent(rest) }; } catch (e) { continue; }
+    }
+  }
+  return null;
+}
 
-        if (exactMatch) {
-          matchedRule = exactMatch;
-          matchedGroup = group;
-          break;
-        }
+/**
+ * 比较两个字段值（数字按数值比较，其余按字符串比较）
+ * @returns {number}
+ */
+function compareFieldValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (typeof a !== 'boolean' && typeof b !== 'boolean' && a !== '' && b !== '' && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return String(a).localeCompare(String(b));
+}
 
-        // 第二遍：路径参数匹配
-        for (const r of (group.children || [])) {
-          if (!r.active || r.method !== method) continue;
-          let ruleUrl = r.url;
-          if (ruleUrl && !ruleUrl.startsWith('/')) ruleUrl = '/' + ruleUrl;
-          if (!hasPathParams(ruleUrl)) continue;
-          const result = matchPathPattern(ruleUrl, matchUrl);
-          if (result.matched) {
-            matchedRule = r;
-            pathParams = result.params;
-            matchedGroup = group;
-            break;
-          }
-        }
-        if (matchedRule) break;
+/**
+ * 对资源记录执行过滤、全文搜索、排序和分页
+ * @description 查询参数约定：field=value（可重复，任一匹配）、field_like / field_gte / field_lte / field_ne、
+ *              q（全文搜索）、_sort=a,b & _order=asc,desc、_page（从 1 开始）& _limit
+ * @param {Array} records - 全部记录
+ * @param {Object} query - req.query
+ * @returns {{ list: Array, total: number, page: number|null, pageSize: number|null }}
+ */
+function queryResourceRecords(records, query) {
+  let list = records;
+  for (const [rawKey, rawVal] of Object.entries(query)) {
+    if (RESOURCE_RESERVED_QUERY.has(rawKey)) continue;
+    const values = (Array.isArray(rawVal) ? rawVal : [rawVal]).map(String);
+    const m = rawKey.match(/^(.+)_(like|gte|lte|ne)$/);
+    const field = m ? m[1] : rawKey;
+    const op = m ? m[2] : 'eq';
+    list = list.filter(r => {
+      const actual = getJsonPathValue(r, field);
+      switch (op) {
+        case 'like': return actual != null && values.some(v => String(actual).toLowerCase().includes(v.toLowerCase()));
+        case 'gte': return actual != null && compareFieldValues(actual, values[0]) >= 0;
+        case 'lte': return actual != null && compareFieldValues(actual, values[0]) <= 0;
+        case 'ne': return values.every(v => String(actual) !== v);
+        default: return values.some(v => String(actual) === v);
       }
+    });
+  }
 
-      if (matchedRule) {
-        console.log(`[Service ${serviceId}] Hit: ${method} ${url}`, Object.keys(pathParams).length ? `params: ${JSON.stringify(pathParams)}` : '');
-
-        req.params = { ...(req.params || {}), ...pathParams };
+  if (query.q) {
+    const q = String(query.q).toLowerCase();
+    list = list.filter(r => JSON.stringify(r).toLowerCase().includes(q));
+  }
 
-        // 入参校验
-        const missing = [];
-        matchedRule.headers?.forEach(h => {
-          if (h.required && h.key && !req.headers[h.key.toLowerCase()]) missing.push(`Missing header: ${h.key}`);
-        });
-        matchedRule.params?.forEach(p => {
-          if (p.required && p.key && !req.query[p.key]) missing.push(`Missing query: ${p.key}`);
-        });
-        if (missing.length > 0) return res.status(400).json({ error: 'Validation failed', details: missing });
+  if (query._sort) {
+    const fields = String(query._sort).split(',');
+    const orders = String(query._order || '').split(',');
+    list = [...list].sort((a, b) => {
+      for (let i = 0; i < fields.length; i++) {
+        const diff = compareFieldValues(getJsonPathValue(a, fields[i]), getJsonPathValue(b, fields[i]));
+        if (diff !== 0) return (orders[i] || orders[0]) === 'desc' ? -diff : diff;
+      }
+      return 0;
+    });
+  }
 
-        // 延迟
-        const delayMin = matchedRule.delay || 0;
-        const delayMax = matchedRule.delayMax || 0;
-        let actualDelay = delayMin;
-        if (delayMax > delayMin) {
-          actualDelay = Math.floor(Math.random() * (delayMax - delayMin) + delayMin);
-        }
-        if (actualDelay > 0) await new Promise(r => setTimeout(r, actualDelay));
+  const total = list.length;
+  if (query._page || query._limit) {
+    const pageSize = Math.max(1, parseInt(query._limit) || 10);
+    const page = Math.max(1, parseInt(query._page) || 1);
+    return { list: list.slice((page - 1) * pageSize, page * pageSize), total, page, pageSize };
+  }
+  return { list, total, page: null, pageSize: null };
+}
 
-        // 设置自定义响应头
-        matchedRule.responseHeaders?.forEach(h => {
-          if (h.key && h.value) res.setHeader(h.key, h.value);
-        });
+/**
+ * 处理资源集合请求（list / get / create / update / patch / delete）
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @param {string} serviceId - 服务 ID
+ * @param {Object} resource - 资源定义
+ * @param {string|null} id - 记录 ID（集合路径时为 null）
+ */
+function handleResourceRequest(req, res, serviceId, resource, id) {
+  const idField = resource.idField || 'id';
+  const send = (status, data) => {
+    if (resource.envelope) {
+      const ok = status < 400;
+      return res.status(status).json({ code: status, message: ok ? 'success' : data.error, data: ok ? data : null });
+    }
+    return res.status(status).json(data);
+  };
 
-        // 条件响应 / 预设覆盖
-        let activeMode = matchedRule.responseMode || 'basic';
-        let activeResponseType = matchedRule.responseType || 'application/json';
-        let activeResponseBasic = matchedRule.responseBasic;
-        let activeResponseAdvanced = matchedRule.responseAdvanced;
-        let activeStatusCode = 200;
-        let mockjsEnabled = matchedRule.mockjsEnabled || false;
+  let store;
+  try {
+    store = getResourceStore(serviceId, resource);
+  } catch (e) {
+    res.locals.trafficLog.error = `Seed failed: ${e.message}`;
+    return res.status(500).json({ error: 'Resource seed failed', message: e.message });
+  }
+  const records = store.records;
+  const idx = id === null ? -1 : records.findIndex(r => String(r[idField]) === id);
+  const method = req.method;
+  const body = req.body;
+  const isObjectBody = body && typeof body === 'object' && !Array.isArray(body) && !Buffer.isBuffer(body);
+
+  if (id === null) {
+    if (method === 'GET') {
+      const result = queryResourceRecords(records, req.query);
+      if (resource.envelope) return send(200, result);
+      res.setHeader('X-Total-Count', String(result.total));
+      exposeHeader(res, 'X-Total-Count');
+      return res.json(result.list);
+    }
+    if (method === 'POST') {
+      if (!isObjectBody) return send(400, { error: 'Request body must be a JSON object' });
+      const record = { ...body };
+      if (record[idField] === undefined || record[idField] === null || record[idField] === '') {
+        record[idField] = resource.idType === 'uuid' ? Mock.Random.guid() : store.nextId++;
+      } else if (records.some(r => String(r[idField]) === String(record[idField]))) {
+        return send(409, { error: `${idField} ${record[idField]} already exists` });
+      } else {
+        const n = Number(record[idField]);
+        if (Number.isFinite(n) && n >= store.nextId) store.nextId = n + 1;
+      }
+      records.push(record);
+      return send(201, record);
+    }
+    return send(405, { error: `Method ${method} not allowed on collection` });
+  }
 
-        const matchedExpectation = findMatchingExpectation(matchedRule.expectations, req, pathParams);
-        if (matchedExpectation) {
-          activeMode = matchedExpectation.responseMode || 'basic';
-          activeResponseType = matchedExpectation.responseType || 'application/json';
-          activeResponseBasic = matchedExpectation.responseBasic;
-          activeResponseAdvanced = matchedExpectation.responseAdvanced;
-          activeStatusCode = matchedExpectation.statusCode || 200;
-        } else if (matchedRule.activePresetId && matchedRule.responsePresets) {
-          const preset = matchedRule.responsePresets.find(p => p.id === matchedRule.activePresetId);
-          if (preset) {
-            activeMode = preset.responseMode || 'basic';
-            activeResponseType = preset.responseType || 'application/json';
-            activeResponseBasic = preset.responseBasic;
-            activeResponseAdvanced = preset.responseAdvanced;
-            activeStatusCode = preset.statusCode || 200;
-          }
-        }
+  if (idx === -1) return send(404, { error: `${resource.name || resource.path} ${id} not found` });
+
+  switch (method) {
+    case 'GET':
+      return send(200, records[idx]);
+    case 'PUT':
+      if (!isObjectBody) return send(400, { error: 'Request body must be a JSON object' });
+      records[idx] = { ...body, [idField]: records[idx][idField] };
+      return send(200, records[idx]);
+    case 'PATCH':
+      if (!isObjectBody) return send(400, { error: 'Request body must be a JSON object' });
+      records[idx] = { ...records[idx], ...body, [idField]: records[idx][idField] };
+      return send(200, records[idx]);
+    case 'DELETE': {
+      const [removed] = records.splice(idx, 1);
+      return send(200, removed);
+    }
+    default:
+      return send(405, { error: `Method ${method} not allowed on record` });
+  }
+}
 
-        // 生成响应
-        try {
-          if (activeMode === 'advanced' && activeResponseAdvanced) {
-            const script = new vm.Script(activeResponseAdvanced);
-            const sandbox = {
-              req: { query: req.query, body: req.body, headers: req.headers, method: req.method, path: req.path, params: pathParams },
-              Mock, console
-            };
-            const context = vm.createContext(sandbox);
-            script.runInContext(context);
-            if (typeof sandbox.main === 'function') {
-              const responseData = await sandbox.main(sandbox.req, sandbox.Mock);
-              res.status(activeStatusCode).json(responseData);
-            } else {
-              throw new Error('Main function not defined in script');
-            }
-          } else {
-            const contentType = activeResponseType || 'application/json';
-            res.setHeader('Content-Type', contentType);
-            const binaryTypes = ['application/pdf', 'application/zip', 'application/octet-stream', 'video/mp4', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-            if (binaryTypes.some(t => contentType.includes(t))) {
-              const filePath = matchedRule.responseFile;
-              if (!filePath) return res.status(400).json({ error: 'No file configured for this binary response type' });
-              if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Response file not found', path: filePath });
-              const fileBuffer = fs.readFileSync(filePath);
-              const fileName = path.basename(filePath);
-              res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"`);
-              res.status(activeStatusCode).send(fileBuffer);
-            } else {
-              let bodyStr = activeResponseBasic || '{}';
-              if (mockjsEnabled && contentType.includes('json')) {
-                try {
-                  const parsed = JSON.parse(bodyStr);
-                  bodyStr = JSON.stringify(Mock.mock(parsed));
-                } catch (e) {
-                  console.warn('[Mock.js] Failed to process basic response:', e.message);
-                }
-              }
-              res.status(activeStatusCode).send(bodyStr);
-            }
-          }
-        } catch (e) {
-          console.error('Mock execution error:', e);
-          res.status(500).json({ error: 'Mock execution failed', message: e.message });
-        }
+/* ==================== 接口命中计数与响应序列 ==================== */
 
-      } else {
-        // 代理录制：从 service 级别读取代理配置
-        if (targetService.proxyEnabled && targetService.proxyTarget) {
-          try {
-            const proxyTarget = targetService.proxyTarget.replace(/\/$/, '');
-            const proxyUrl = proxyTarget + url;
-            console.log(`[Service ${serviceId}] Proxy: ${method} ${proxyUrl}`);
-
-            const parsed = new URL(proxyUrl);
-            const httpModule = parsed.protocol === 'https:' ? https : http;
-            const proxyHeaders = { ...req.headers };
-            delete proxyHeaders.host;
-
-            const proxyReq = httpModule.request({
-              hostname: parsed.hostname,
-              port: parsed.port,
-              path: parsed.pathname + parsed.search,
-              method: method,
-              headers: proxyHeaders,
-            }, (proxyRes) => {
-              const chunks = [];
-              proxyRes.on('data', chunk => chunks.push(chunk));
-              proxyRes.on('end', () => {
-                const body = Buffer.concat(chunks);
-                const contentType = proxyRes.headers['content-type'] || 'application/json';
-                res.writeHead(proxyRes.statusCode || 200, proxyRes.headers);
-                res.end(body);
-
-                // 自动录制到第一个分组
-                const firstGroup = targetService.groups && targetService.groups[0];
-                if (firstGroup) {
-                  const recordedCount = firstGroup.children.filter(r => r.name && r.name.startsWith('[录制]')).length;
-                  if (recordedCount < 50 && (contentType.includes('json') || contentType.includes('text'))) {
-                    const now2 = Date.now();
-                    firstGroup.children.push({
-                      id: now2,
-                      name: `[录制] ${method} ${url}`,
-                      active: true, method, url,
-                      delay: 0, createdAt: now2, updatedAt: now2,
-                      headers: [], params: [],
-                      body: { type: 'none', raw: '', formData: [] },
-                      responseHeaders: [],
-                      responseMode: 'basic',
-                      responseType: contentType.split(';')[0].trim(),
-                      responseBasic: body.toString('utf-8'),
-                      responseAdvanced: '',
-                    });
-                    saveMockServices(services);
-                    console.log(`[Service ${serviceId}] Recorded: ${method} ${url}`);
-                  }
-                }
-              });
-            });
+/**
+ * 接口命中计数，key 为 `${serviceId}:${ruleId}`
+ * value 为 { count, lastHitAt, clients: Map<clientId, { count, lastHitAt }> }，服务停止时清空
+ */
+const ruleHitCounters = new Map();
+/** 每个接口最多记录的客户端数量（超出时淘汰最久未访问的客户端） */
+const MAX_COUNTER_CLIENTS = 200;
 
-            proxyReq.on('error', (e) => {
-              console.error('[Proxy] Error:', e.message);
-              res.status(502).json({ error: 'Proxy request failed', message: e.message });
-            });
+/**
+ * 识别请求的客户端：配置了 clientHeader 时取该请求头，缺失时回退到客户端 IP
+ * @param {Object} req - Express 请求（或诊断时构造的请求）
+ * @param {Object} [sequence] - 接口的响应序列配置
+ * @returns {string} 客户端标识
+ */
+function resolveCounterClient(req, sequence) {
+  const header = sequence && sequence.clientHeader ? String(sequence.clientHeader).toLowerCase() : '';
+  const value = header ? req.headers[header] : undefined;
+  if (value) return `${header}=${Array.isArray(value) ? value[0] : value}`;
+  const ip = req.headers['x-forwarded-for'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+  return String(ip).replace(/^::ffff:/, '');
+}
 
-            if (req.body && method !== 'GET' && method !== 'HEAD') {
-              const bodyStr = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
-              proxyReq.write(bodyStr);
-            }
-            proxyReq.end();
-          } catch (e) {
-            res.status(502).json({ error: 'Proxy error', message: e.message });
-          }
-        } else {
-          res.status(404).json({ error: `No rule matched ${method} ${url}` });
-        }
-      }
-    });
+/** 超过 resetAfter 秒未命中时计数视为已重置 */
+function isCounterExpired(entry, sequence, now) {
+  const resetAfter = sequence ? Number(sequence.resetAfter) || 0 : 0;
+  return resetAfter > 0 && entry.lastHitAt > 0 && now - entry.lastHitAt > resetAfter * 1000;
+}
 
-    const server = app.listen(port, '0.0.0.0', () => {
-      console.log(`Service ${serviceId} started: http://${LOCAL_IP}:${port}`);
-      runningServiceServers.set(serviceId, { server, port, prefix: servicePrefix });
-      resolve({ success: true, ip: LOCAL_IP });
-    });
-    server.on('error', (err) => reject(err));
-  });
+/**
+ * 记录一次接口命中
+ * @description 全局计数和客户端计数同时累加；响应序列按 scope 取其中之一作为当前是第几次调用
+ * @param {string} serviceId - 服务 ID
+ * @param {Object} rule - 命中的接口规则
+ * @param {Object} req - 请求
+ * @param {boolean} [peek] - 只计算本次请求会是第几次调用，不修改计数（用于匹配诊断）
+ * @returns {{ count: number, clientId: string, clientCount: number }} 累加后的全局 / 客户端计数
+ */
+function recordRuleHit(serviceId, rule, req, peek) {
+  const key = `${serviceId}:${rule.id}`;
+  const sequence = rule.sequence;
+  const now = Date.now();
+  const clientId = resolveCounterClient(req, sequence);
+  const entry = ruleHitCounters.get(key) || { count: 0, lastHitAt: 0, clients: new Map() };
+  const client = entry.clients.get(clientId) || { count: 0, lastHitAt: 0 };
+  const count = (isCounterExpired(entry, sequence, now) ? 0 : entry.count) + 1;
+  const clientCount = (isCounterExpired(client, sequence, now) ? 0 : client.count) + 1;
+  if (peek) return { count, clientId, clientCount };
+
+  Object.assign(entry, { count, lastHitAt: now });
+  entry.clients.delete(clientId);
+  entry.clients.set(clientId, { count: clientCount, lastHitAt: now });
+  if (entry.clients.size > MAX_COUNTER_CLIENTS) entry.clients.delete(entry.clients.keys().next().value);
+  ruleHitCounters.set(key, entry);
+  return { count, clientId, clientCount };
 }
 
 /**
- * 停止指定 MockService 的 Mock 服务（新架构）
- * @param {string|number} rawServiceId - 服务 ID
- * @returns {boolean} 是否成功停止
+ * 按调用次数选出响应序列的步骤
+ * @description 每个步骤按 repeat 重复若干次；序列走完后 onEnd 为 loop 时从头循环，
+ *              stick 时停在最后一步，fallback 时返回 null（使用接口正常的响应）
+ * @param {Object} sequence - 响应序列配置
+ * @param {number} hit - 第几次调用（从 1 开始）
+ * @returns {{ step: Object, index: number }|null} 步骤及其下标
  */
-function stopServiceServer(rawServiceId) {
-  const serviceId = String(rawServiceId);
-  if (runningServiceServers.has(serviceId)) {
-    runningServiceServers.get(serviceId).server.close();
-    runningServiceServers.delete(serviceId);
-    return true;
+function pickSequenceStep(sequence, hit) {
+  const steps = sequence && sequence.enabled && Array.isArray(sequence.steps) ? sequence.steps : [];
+  if (!steps.length || hit < 1) return null;
+  const repeats = steps.map(step => Math.max(1, parseInt(step.repeat) || 1));
+  const total = repeats.reduce((sum, n) => sum + n, 0);
+  let pos = hit - 1;
+  if (pos >= total) {
+    if (sequence.onEnd === 'loop') pos %= total;
+    else if (sequence.onEnd === 'fallback') return null;
+    else return { step: steps[steps.length - 1], index: steps.length - 1 };
   }
-  return false;
+  for (let i = 0; i < steps.length; i++) {
+    if (pos < repeats[i]) return { step: steps[i], index: i };
+    pos -= repeats[i];
+  }
+  return null;
 }
 
 /**
- * 检测指定端口是否可用
- * @description 尝试在该端口创建 TCP 服务器，成功则端口可用，失败则端口被占用
- * @param {number} port - 要检测的端口号
- * @returns {Promise<boolean>} true 表示端口可用，false 表示已被占用
+ * 为本次请求选出响应序列步骤
+ * @returns {{ step: Object, index: number, hit: number }|null} 未启用序列或序列已结束（fallback）时为 null
  */
-function checkPort(port) {
-  return new Promise((resolve) => {
-    const server = net.createServer();
-    server.once('error', () => resolve(false));
-    server.once('listening', () => { server.close(); resolve(true); });
-    server.listen(port, '0.0.0.0');
-  });
+function resolveSequenceStep(rule, hits) {
+  if (!rule.sequence || !rule.sequence.enabled) return null;
+  const hit = rule.sequence.scope === 'client' ? hits.clientCount : hits.count;
+  const picked = pickSequenceStep(rule.sequence, hit);
+  return picked ? { ...picked, hit } : null;
 }
 
-/* ==================== 项目数据管理 ==================== */
-
-/** uTools 数据库中存储项目数据的键名 */
-const DB_PROJECT_KEY = 'mock_projects_v1';
+/**
+ * 查找序列步骤引用的响应
+ * @param {Object} rule - 接口规则
+ * @param {Object} step - 序列步骤 { source: 'rule' | 'preset' | 'expectation', refId }
+ * @returns {Object|null} 场景预设或条件响应，source 为 rule 或引用已删除时为 null（使用接口默认响应）
+ */
+function findSequenceResponse(rule, step) {
+  if (step.source === 'preset') return (rule.responsePresets || []).find(p => p.id === step.refId) || null;
+  if (step.source === 'expectation') return (rule.expectations || []).find(e => e.id === step.refId) || null;
+  return null;
+}
 
 /**
- * 从 uTools 数据库读取所有项目
- * @returns {Array} 项目数组
+ * 列出服务下各接口的命中计数
+ * @param {string} serviceId - 服务 ID
+ * @returns {Array<{ ruleId, count, lastHitAt, step, clients }>} step 为下一次调用将使用的序列步骤下标（全局计数）
  */
-function getProjects() {
-  const doc = utools.db.get(DB_PROJECT_KEY);
-  return doc ? doc.data : [];
+function listRuleHitCounters(serviceId) {
+  const sid = String(serviceId);
+  const service = getMockServices().find(s => String(s.id) === sid);
+  const rules = new Map((service ? service.groups || [] : []).flatMap(g => g.children || []).map(r => [String(r.id), r]));
+  const now = Date.now();
+  const list = [];
+  for (const [key, entry] of ruleHitCounters) {
+    const [keySid, ruleId] = key.split(':');
+    if (keySid !== sid) continue;
+    const rule = rules.get(ruleId);
+    const sequence = rule ? rule.sequence : null;
+    const current = (e) => isCounterExpired(e, sequence, now) ? 0 : e.count;
+    const nextStep = (count) => {
+      const picked = rule ? pickSequenceStep(sequence, count + 1) : null;
+      return picked ? picked.index : null;
+    };
+    const clients = [...entry.clients].reverse().map(([clientId, c]) => ({
+      clientId, count: current(c), lastHitAt: c.lastHitAt, step: nextStep(current(c)),
+    }));
+    list.push({ ruleId: Number(ruleId), count: current(entry), lastHitAt: entry.lastHitAt, step: nextStep(current(entry)), clients });
+  }
+  return list;
 }
 
 /**
- * 将项目数据保存到 uTools 数据库
- * @param {Array} projects - 项目数组
+ * 清除命中计数（响应序列随之回到第一步）
+ * @param {string} serviceId - 服务 ID
+ * @param {string|number} [ruleId] - 接口 ID，省略时清除该服务全部接口
  */
-function saveProjects(projects) {
-  const doc = utools.db.get(DB_PROJECT_KEY);
-  if (doc) {
-    utools.db.put({ _id: DB_PROJECT_KEY, data: projects, _rev: doc._rev });
-  } else {
-    utools.db.put({ _id: DB_PROJECT_KEY, data: projects });
+function resetRuleHitCounters(serviceId, ruleId) {
+  for (const key of [...ruleHitCounters.keys()]) {
+    const [sid, rid] = key.split(':');
+    if (sid === String(serviceId) && (ruleId === undefined || ruleId === null || rid === String(ruleId))) {
+      ruleHitCounters.delete(key);
+    }
   }
 }
 
-/* ==================== 模板数据管理 ==================== */
+/* ==================== 故障注入与网络模拟 ==================== */
 
-/** uTools 数据库中存储模板数据的键名 */
-const DB_TEMPLATE_KEY = 'mock_templates_v1';
+/** 注入延迟的上限（ms），避免配置失误导致请求永久挂起 */
+const FAULT_MAX_LATENCY = 300000;
+/** 挂起中的请求，key 为 serviceId，服务停止时断开 */
+const hangingResponses = new Map();
 
 /**
- * 从 uTools 数据库读取所有模板
- * @returns {Array} 模板数组
+ * 取请求生效的故障配置：接口启用了故障注入时使用接口配置，否则使用服务配置
+ * @param {Object} service - MockService
+ * @param {Object|null} rule - 命中的接口（资源集合、代理、404 时为 null）
+ * @returns {Object|null} 故障配置，都未启用时为 null
  */
-function getTemplates() {
-  const doc = utools.db.get(DB_TEMPLATE_KEY);
-  return doc ? doc.data : [];
+function resolveFaultConfig(service, rule) {
+  if (rule && rule.fault && rule.fault.enabled) return rule.fault;
+  if (service.fault && service.fault.enabled) return service.fault;
+  return null;
 }
 
 /**
- * 将模板数据保存到 uTools 数据库
- * @param {Array} templates - 模板数组
+ * 按分布抽样注入的延迟
+ * @description uniform 在 [min, max] 内均匀分布；normal 为均值 mean、标准差 stddev 的正态分布；
+ *              exponential 为均值 mean 的指数分布（大部分请求很快，少数长尾）；结果限制在 [0, max]（max 为空时不限）
+ * @param {Object} [latency] - { distribution, min, max, mean, stddev }
+ * @returns {number} 延迟毫秒数
  */
-function saveTemplates(templates) {
-  const doc = utools.db.get(DB_TEMPLATE_KEY);
-  if (doc) {
-    utools.db.put({ _id: DB_TEMPLATE_KEY, data: templates, _rev: doc._rev });
-  } else {
-    utools.db.put({ _id: DB_TEMPLATE_KEY, data: templates });
+function sampleFaultLatency(latency) {
+  if (!latency || !latency.distribution) return 0;
+  const min = Math.max(0, Number(latency.min) || 0);
+  const max = Number(latency.max) > 0 ? Number(latency.max) : FAULT_MAX_LATENCY;
+  const mean = Math.max(0, Number(latency.mean) || 0);
+  let value;
+  switch (latency.distribution) {
+    case 'normal': {
+      // Box-Muller
+      const z = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      value = mean + z * Math.max(0, Number(latency.stddev) || 0);
+      break;
+    }
+    case 'exponential':
+      value = -mean * Math.log(1 - Math.random());
+      break;
+    default: {
+      const upper = Number(latency.max) > min ? Number(latency.max) : min;
+      value = min + Math.random() * (upper - min);
+    }
   }
+  return Math.round(Math.min(Math.max(value, min), max, FAULT_MAX_LATENCY));
 }
 
-/* ==================== 环境变量数据管理 ==================== */
+/** 按概率依次检查的故障类型（各类型的比例互斥，合计超过 100% 时排在后面的类型不会触发） */
+const FAULT_KINDS = [
+  { kind: 'error', rate: 'errorRate' },
+  { kind: 'drop', rate: 'dropRate' },
+  { kind: 'reset', rate: 'resetRate' },
+  { kind: 'hang', rate: 'hangRate' },
+  { kind: 'truncate', rate: 'truncateRate' },
+  { kind: 'malform', rate: 'malformRate' },
+];
 
-/** uTools 数据库中存储环境变量的键名 */
-const DB_ENV_KEY = 'mock_environments_v1';
+/**
+ * 抽取本次请求触发的故障类型
+ * @param {Object} fault - 故障配置（比例为 0~100 的百分比）
+ * @returns {string|null} error / drop / reset / hang / truncate / malform，不触发时为 null
+ */
+function pickFaultKind(fault) {
+  let roll = Math.random() * 100;
+  for (const { kind, rate } of FAULT_KINDS) {
+    const pct = Math.min(100, Math.max(0, Number(fault[rate]) || 0));
+    if (roll < pct) return kind;
+    roll -= pct;
+  }
+  return null;
+}
 
 /**
- * 从 uTools 数据库读取所有环境
- * @returns {Array} 环境数组
+ * 按带宽和分块改写响应的写出方式
+ * @description 接管 res.write / res.end：按 chunkSize 分块、按 bandwidth（字节/秒）限速写出；
+ *              mode 为 truncate 时只写出一半响应体后断开连接，为 malform 时在响应体中间写入非法字节（长度不变）
+ * @param {Object} res - Express 响应
+ * @param {Object} options - { bandwidth, chunkSize, mode }
  */
-function getEnvironments() {
-  const doc = utools.db.get(DB_ENV_KEY);
-  return doc ? doc.data : [];
+function shapeFaultResponse(res, { bandwidth, chunkSize, mode }) {
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+  const rate = Math.max(0, Number(bandwidth) || 0);
+  const size = Math.max(1, parseInt(chunkSize) || (rate ? Math.ceil(rate / 10) : 64 * 1024));
+  const queue = [];
+  const buffered = [];
+  let pumping = false;
+  let ending = false;
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const toBuffer = (chunk, encoding) => Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk instanceof Uint8Array ? chunk : String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+  const pump = () => {
+    if (closed) return;
+    if (!queue.length) {
+      pumping = false;
+      if (!ending) return;
+      if (mode === 'truncate') res.socket && res.socket.destroy();
+      else originalEnd.call(res);
+      return;
+    }
+    pumping = true;
+    let piece = queue[0];
+    if (piece.length > size) {
+      queue[0] = piece.subarray(size);
+      piece = piece.subarray(0, size);
+    } else {
+      queue.shift();
+    }
+    originalWrite.call(res, piece);
+    if (rate) setTimeout(pump, Math.ceil(piece.length / rate * 1000));
+    else setImmediate(pump);
+  };
+  const enqueue = (buf) => {
+    if (buf.length) queue.push(buf);
+    if (!pumping) pump();
+  };
+
+  res.write = function (chunk, encoding, callback) {
+    if (chunk !== undefined && chunk !== null) {
+      const buf = toBuffer(chunk, encoding);
+      if (mode) buffered.push(buf);
+      else enqueue(buf);
+    }
+    const cb = typeof encoding === 'function' ? encoding : callback;
+    if (typeof cb === 'function') process.nextTick(cb);
+    return true;
+  };
+  res.end = function (chunk, encoding, callback) {
+    if (typeof chunk === 'function') { callback = chunk; chunk = undefined; }
+    if (chunk !== undefined && chunk !== null) res.write(chunk, encoding);
+    if (mode) {
+      let body = Buffer.concat(buffered);
+      if (!res.headersSent) res.setHeader('Content-Length', body.length);
+      if (mode === 'truncate') {
+        body = body.subarray(0, Math.floor(body.length / 2));
+      } else if (body.length >= 2) {
+        body = Buffer.from(body);
+        body.write('}{', Math.floor(body.length / 2) - 1, 'latin1');
+      }
+      queue.push(body);
+    }
+    ending = true;
+    const cb = typeof encoding === 'function' ? encoding : callback;
+    if (typeof cb === 'function') res.once('finish', cb);
+    if (!pumping) pump();
+    return res;
+  };
 }
 
 /**
- * 将环境数据保存到 uTools 数据库
- * @param {Array} environments - 环境数组
+ * 对请求注入故障
+ * @description 先注入随机延迟，再按比例抽取故障：error 返回配置的错误状态码；drop 直接关闭连接；
+ *              reset 以 TCP RST 断开；hang 永不响应（直到客户端断开或服务停止）；
+ *              truncate / malform 以及带宽限制在正常生成响应后作用于响应体
+ * @param {string} serviceId - 服务 ID
+ * @param {Object} req - Express 请求
+ * @param {Object} res - Express 响应
+ * @param {Object} fault - 故障配置
+ * @param {Object} trafficLog - 流量日志附加信息（记录触发的故障）
+ * @returns {Promise<boolean>} true 表示请求已被故障处理，不再继续生成响应
  */
-function saveEnvironments(environments) {
-  const doc = utools.db.get(DB_ENV_KEY);
-  if (doc) {
-    utools.db.put({ _id: DB_ENV_KEY, data: environments, _rev: doc._rev });
-  } else {
-    utools.db.put({ _id: DB_ENV_KEY, data: environments });
+async function injectFault(serviceId, req, res, fault, trafficLog) {
+  const latency = sampleFaultLatency(fault.latency);
+  if (latency > 0) await new Promise(r => setTimeout(r, latency));
+
+  const kind = pickFaultKind(fault);
+  if (kind) trafficLog.fault = kind;
+  switch (kind) {
+    case 'error': {
+      const statuses = (fault.errorStatuses || []).map(Number).filter(n => n >= 100 && n <= 599);
+      const status = statuses.length ? statuses[Math.floor(Math.random() * statuses.length)] : 500;
+      if (fault.errorBody) res.status(status).type(fault.errorBodyType || 'application/json').send(fault.errorBody);
+      else res.status(status).json({ error: 'Injected fault', status });
+      return true;
+    }
+    case 'drop':
+      req.socket.destroy();
+      return true;
+    case 'reset':
+      if (typeof req.socket.resetAndDestroy === 'function') req.socket.resetAndDestroy();
+      else req.socket.destroy();
+      return true;
+    case 'hang': {
+      const hanging = hangingResponses.get(serviceId) || new Set();
+      hanging.add(res);
+      hangingResponses.set(serviceId, hanging);
+      res.on('close', () => hanging.delete(res));
+      return true;
+    }
+    default:
+      break;
+  }
+  const mode = kind === 'truncate' || kind === 'malform' ? kind : null;
+  if (mode || Number(fault.bandwidth) > 0 || Number(fault.chunkSize) > 0) {
+    shapeFaultResponse(res, { bandwidth: fault.bandwidth, chunkSize: fault.chunkSize, mode });
   }
+  return false;
 }
 
-/* ==================== 测试用例 CRUD ==================== */
+/**
+ * 断开服务下所有挂起中的请求
+ * @param {string} serviceId - 服务 ID
+ */
+function releaseHangingResponses(serviceId) {
+  const hanging = hangingResponses.get(serviceId);
+  if (!hanging) return;
+  for (const res of hanging) res.destroy();
+  hangingResponses.delete(serviceId);
+}
 
-function getTestCases() {
-  const doc = utools.db.get(TESTCASES_DB_KEY);
-  return doc ? doc.data : [];
+/* ==================== 高级脚本运行时（共享状态 + 响应助手） ==================== */
+
+/** 脚本文件名（出现在错误堆栈中，用于定位行号） */
+const SCRIPT_FILENAME = 'mock-script.js';
+/** 同步执行超时（ms），包括脚本顶层代码、main 的同步部分及其微任务 */
+const SCRIPT_TIMEOUT = 1000;
+/** main 返回 Promise 时的整体超时（ms） */
+const SCRIPT_ASYNC_TIMEOUT = 5000;
+/** 单次响应体上限（字节，按序列化后的长度计算） */
+const SCRIPT_MAX_RESULT_SIZE = 5 * 1024 * 1024;
+/** 单个服务共享 state 上限（字节，按 JSON 长度计算） */
+const SCRIPT_MAX_STATE_SIZE = 512 * 1024;
+/** 错误预算：同一规则连续执行失败达到该次数后自动禁用 */
+const SCRIPT_ERROR_BUDGET = 5;
+
+/** 在沙箱内调用 main：放在微任务中执行，使同步死循环和 await 之后的代码都受超时约束 */
+const SCRIPT_MAIN_INVOKER = '(function (call) { Promise.resolve().then(function () { return main.apply(undefined, call.args); }).then(call.resolve, call.reject); })(__mainCall__)';
+
+/**
+ * 创建带错误码的脚本错误
+ * @param {string} code - 错误码（ERR_SCRIPT_EXECUTION_TIMEOUT / ERR_SCRIPT_LIMIT）
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+function createScriptError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
 }
 
-function saveTestCases(testcases) {
-  const doc = utools.db.get(TESTCASES_DB_KEY);
-  if (doc) {
-    utools.db.put({ _id: TESTCASES_DB_KEY, data: testcases, _rev: doc._rev });
-  } else {
-    utools.db.put({ _id: TESTCASES_DB_KEY, data: testcases });
+/**
+ * 在受限沙箱中执行高级脚本并调用 main
+ * @description 沙箱使用独立微任务队列（microtaskMode: afterEvaluate），同步代码与 Promise 链都计入 SCRIPT_TIMEOUT，
+ *              等待永不完成的 Promise 则由 SCRIPT_ASYNC_TIMEOUT 兜底，避免死循环阻塞整个 preload（含 Admin 服务）
+ * @param {string} code - 脚本源码
+ * @param {object} sandbox - 沙箱全局对象
+ * @param {Array} args - 传给 main 的参数
+ * @returns {Promise<*>} main 的返回值
+ */
+function runSandboxedMain(code, sandbox, args) {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const settle = (fn) => (value) => {
+      clearTimeout(timer);
+      fn(value);
+    };
+    try {
+      const context = vm.createContext(sandbox, { microtaskMode: 'afterEvaluate' });
+      new vm.Script(code, { filename: SCRIPT_FILENAME }).runInContext(context, { timeout: SCRIPT_TIMEOUT });
+      if (typeof sandbox.main !== 'function') throw new Error('Main function not defined in script');
+      timer = setTimeout(() => {
+        reject(createScriptError('ERR_SCRIPT_EXECUTION_TIMEOUT', `Script did not finish within ${SCRIPT_ASYNC_TIMEOUT}ms`));
+      }, SCRIPT_ASYNC_TIMEOUT);
+      sandbox.__mainCall__ = { args, resolve: settle(resolve), reject: settle(reject) };
+      vm.runInContext(SCRIPT_MAIN_INVOKER, context, { timeout: SCRIPT_TIMEOUT });
+    } catch (e) {
+      clearTimeout(timer);
+      reject(e);
+    } finally {
+      delete sandbox.__mainCall__;
+    }
+  });
+}
+
+/**
+ * 将脚本异常转换为结构化错误信息
+ * @param {*} e - 捕获到的异常（可能来自沙箱，不能用 instanceof 判断）
+ * @returns {{type: string, message: string, line?: number, column?: number}}
+ *          type：timeout / syntax / recursion / limit / runtime
+ */
+function describeScriptError(e) {
+  const isObject = e !== null && typeof e === 'object';
+  const message = isObject && e.message ? String(e.message) : String(e);
+  let type = 'runtime';
+  if (isObject && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') type = 'timeout';
+  else if (isObject && e.code === 'ERR_SCRIPT_LIMIT') type = 'limit';
+  else if (isObject && e.name === 'SyntaxError') type = 'syntax';
+  else if (isObject && e.name === 'RangeError' && /call stack/i.test(message)) type = 'recursion';
+
+  const info = { type, message };
+  const stack = isObject && typeof e.stack === 'string' ? e.stack : '';
+  const match = stack.match(new RegExp(`${SCRIPT_FILENAME.replace('.', '\\.')}:(\\d+)(?::(\\d+))?`));
+  if (match) {
+    info.line = Number(match[1]);
+    if (match[2]) info.column = Number(match[2]);
   }
+  return info;
 }
 
-/* ==================== 测试套件 CRUD ==================== */
+/**
+ * 格式化脚本错误（用于日志）
+ * @param {{type: string, message: string, line?: number}} info - describeScriptError 的结果
+ * @returns {string}
+ */
+function formatScriptError(info) {
+  return info.line ? `[${info.type}] line ${info.line}: ${info.message}` : `[${info.type}] ${info.message}`;
+}
 
-function getTestSuites() {
-  const doc = utools.db.get(TESTSUITES_DB_KEY);
-  return doc ? doc.data : [];
+/** 单次执行最多捕获的控制台输出条数 */
+const SCRIPT_CONSOLE_LIMIT = 100;
+/** 单条控制台输出的最大长度（字符） */
+const SCRIPT_CONSOLE_MESSAGE_LIMIT = 2000;
+
+/**
+ * 创建提供给脚本的 console，输出按条记录而不是打印到 uTools 开发者工具
+ * @returns {{console: object, entries: Array<{level: string, timestamp: number, message: string}>}}
+ */
+function createScriptConsole() {
+  const entries = [];
+  const write = (level) => (...args) => {
+    if (entries.length > SCRIPT_CONSOLE_LIMIT) return;
+    if (entries.length === SCRIPT_CONSOLE_LIMIT) {
+      entries.push({ level: 'warn', timestamp: Date.now(), message: `输出超过 ${SCRIPT_CONSOLE_LIMIT} 条，后续内容已省略` });
+      return;
+    }
+    let message = util.format(...args);
+    if (message.length > SCRIPT_CONSOLE_MESSAGE_LIMIT) {
+      message = `${message.slice(0, SCRIPT_CONSOLE_MESSAGE_LIMIT)}... (${message.length} chars)`;
+    }
+    entries.push({ level, timestamp: Date.now(), message });
+  };
+  return {
+    console: { log: write('log'), info: write('info'), debug: write('log'), warn: write('warn'), error: write('error') },
+    entries,
+  };
 }
 
-function saveTestSuites(suites) {
-  const doc = utools.db.get(TESTSUITES_DB_KEY);
-  if (doc) {
-    utools.db.put({ _id: TESTSUITES_DB_KEY, data: suites, _rev: doc._rev });
-  } else {
-    utools.db.put({ _id: TESTSUITES_DB_KEY, data: suites });
+/**
+ * 估算响应体序列化后的大小，超过上限时抛出 limit 错误
+ * @param {*} body - 响应体
+ */
+function assertScriptResultSize(body) {
+  let size = 0;
+  if (Buffer.isBuffer(body) || ArrayBuffer.isView(body)) size = body.byteLength;
+  else if (typeof body === 'string') size = Buffer.byteLength(body);
+  else if (body !== undefined) size = Buffer.byteLength(JSON.stringify(body) || '');
+  if (size > SCRIPT_MAX_RESULT_SIZE) {
+    throw createScriptError('ERR_SCRIPT_LIMIT', `Response body too large: ${size} bytes (limit ${SCRIPT_MAX_RESULT_SIZE})`);
   }
 }
 
-/* ==================== Admin 管理服务器 ==================== */
+/** 规则连续失败次数（key 为 `${serviceId}:${ruleId}` 或 `ws:${serverId}:${ruleId}`） */
+const scriptErrorCounts = new Map();
 
-/** Admin Express 应用实例 */
-const adminApp = express();
-adminApp.use(cors());
-adminApp.use(bodyParser.json());
+/**
+ * 记录一次脚本执行结果
+ * @param {string} key - 规则标识
+ * @param {boolean} failed - 本次是否失败
+ * @returns {boolean} 连续失败是否已耗尽错误预算（耗尽后计数清零）
+ */
+function trackScriptResult(key, failed) {
+  if (!failed) {
+    scriptErrorCounts.delete(key);
+    return false;
+  }
+  const count = (scriptErrorCounts.get(key) || 0) + 1;
+  if (count >= SCRIPT_ERROR_BUDGET) {
+    scriptErrorCounts.delete(key);
+    return true;
+  }
+  scriptErrorCounts.set(key, count);
+  return false;
+}
 
-/** GET /_admin/rules - 获取所有分组规则 */
-adminApp.get('/_admin/rules', (req, res) => res.json(getGroups()));
-/** POST /_admin/rules - 保存分组规则（全量覆盖） */
-adminApp.post('/_admin/rules', (req, res) => { saveGroups(req.body); res.json({ success: true }); });
-/** POST /_admin/service/check - 检测端口是否可用 */
-adminApp.post('/_admin/service/check', async (req, res) => { res.json({ available: await checkPort(parseInt(req.body.port)) }); });
-/** GET /_admin/templates - 获取所有模板 */
-adminApp.get('/_admin/templates', (req, res) => {
-  res.json(getTemplates());
-});
-/** POST /_admin/template/save - 保存或更新单个模板（有 ID 则更新，无 ID 则新增） */
-adminApp.post('/_admin/template/save', (req, res) => {
-  const newTemplate = req.body;
-  if (!newTemplate.name || !newTemplate.content) {
-    return res.status(400).json({ error: 'Name and content are required' });
+/**
+ * 自动禁用连续出错的 MockService 规则
+ * @param {string|number} serviceId - 服务 ID
+ * @param {number} ruleId - 规则 ID
+ * @param {string} reason - 禁用原因（写入 rule.autoDisabledReason）
+ */
+function autoDisableServiceRule(serviceId, ruleId, reason) {
+  const services = getMockServices();
+  const service = services.find(s => String(s.id) === String(serviceId));
+  const rule = service && (service.groups || []).flatMap(g => g.children || []).find(r => r.id === ruleId);
+  if (!rule) return;
+  rule.active = false;
+  rule.autoDisabledReason = reason;
+  saveMockServices(services);
+  console.warn(`[Service ${serviceId}] Rule ${rule.name || rule.url} auto-disabled: ${reason}`);
+}
+
+/** uTools 数据库中存储脚本共享状态的键名（data 为 { [serviceId]: state }） */
+const DB_SCRIPT_STATE_KEY = 'mock_script_state_v1';
+
+/** 脚本共享状态缓存（key 为 serviceId），首次访问时从数据库加载 */
+const scriptStates = new Map();
+
+/**
+ * 获取服务的脚本共享状态
+ * @description 同一服务下所有高级模式脚本共用一个 state 对象，跨请求、跨服务重启保留
+ * @param {string|number} serviceId - 服务 ID
+ * @returns {object} state 对象
+ */
+function getScriptState(serviceId) {
+  const sid = String(serviceId);
+  if (!scriptStates.has(sid)) {
+    const doc = utools.db.get(DB_SCRIPT_STATE_KEY);
+    const saved = doc && doc.data ? doc.data[sid] : null;
+    scriptStates.set(sid, saved && typeof saved === 'object' ? saved : {});
   }
+  return scriptStates.get(sid);
+}
 
-  const templates = getTemplates();
-  // 如果有 ID 则更新已有模板，否则新增
-  const idx = templates.findIndex(t => t.id === newTemplate.id);
-  if (idx !== -1) {
-    // 编辑模式：保留原 ID 和创建时间，更新其他字段
-    templates[idx] = {
-      ...templates[idx],
-      ...newTemplate,
-      id: templates[idx].id // 确保 ID 不变
-      };
+/**
+ * 保存服务的脚本共享状态（空对象时从数据库移除）
+ * @param {string|number} serviceId - 服务 ID
+ * @param {object} state - 新的 state 对象
+ */
+function saveScriptState(serviceId, state) {
+  const sid = String(serviceId);
+  scriptStates.set(sid, state);
+  const doc = utools.db.get(DB_SCRIPT_STATE_KEY);
+  const data = doc && doc.data ? { ...doc.data } : {};
+  if (Object.keys(state).length) {
+    data[sid] = JSON.parse(JSON.stringify(state));
   } else {
-    // 新增模式：自动生成 ID 和创建时间
-    templates.push({
-      ...newTemplate,
-      id: Date.now(),
-      createdAt: Date.now()
-    });
+    delete data[sid];
   }
-  saveTemplates(templates);
-  res.json({ success: true, data: templates });
-});
-/** POST /_admin/template/delete - 删除指定模板 */
-adminApp.post('/_admin/template/delete', (req, res) => {
-  const { id } = req.body;
-  const templates = getTemplates().filter(t => t.id !== id);
-  saveTemplates(templates);
-  res.json({ success: true, data: templates });
-});
+  if (doc) {
+    utools.db.put({ _id: DB_SCRIPT_STATE_KEY, data, _rev: doc._rev });
+  } else {
+    utools.db.put({ _id: DB_SCRIPT_STATE_KEY, data });
+  }
+}
 
-/* -------------------- 项目管理 API -------------------- */
+/**
+ * 解析请求 Cookie 头
+ * @param {string} header - Cookie 请求头
+ * @returns {object} name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx === -1) return;
+    const name = part.slice(0, idx).trim();
+    if (!name) return;
+    const raw = part.slice(idx + 1).trim().replace(/^"(.*)"$/, '$1');
+    try { cookies[name] = decodeURIComponent(raw); } catch (e) { cookies[name] = raw; }
+  });
+  return cookies;
+}
 
-/** GET /_admin/environments - 获取所有环境 */
-adminApp.get('/_admin/environments', (req, res) => {
-  res.json(getEnvironments());
-});
+/**
+ * 创建提供给高级脚本的 res 响应助手
+ * @description 所有方法均可链式调用；调用 send/json 后以其内容作为响应体，否则使用 main 的返回值
+ * @param {number} defaultStatus - 默认状态码（来自期望 / 预设）
+ * @returns {{helper: object, out: object}} helper 暴露给脚本，out 记录脚本设置的响应信息
+ */
+function createScriptResponse(defaultStatus) {
+  const out = { status: defaultStatus, headers: {}, cookies: [], clearedCookies: [], type: null, delay: 0, sent: false, body: undefined };
+  const helper = {
+    status(code) {
+      const n = Number(code);
+      if (Number.isInteger(n) && n >= 100 && n <= 599) out.status = n;
+      return helper;
+    },
+    set(name, value) {
+      if (name && typeof name === 'object') {
+        Object.keys(name).forEach(k => { out.headers[k] = String(name[k]); });
+      } else if (name) {
+        out.headers[name] = String(value);
+      }
+      return helper;
+    },
+    header(name, value) {
+      return helper.set(name, value);
+    },
+    type(contentType) {
+      out.type = String(contentType);
+      return helper;
+    },
+    cookie(name, value, options) {
+      out.cookies.push({ name: String(name), value: String(value), options: { ...(options || {}) } });
+      return helper;
+    },
+    clearCookie(name, options) {
+      out.clearedCookies.push({ name: String(name), options: { ...(options || {}) } });
+      return helper;
+    },
+    delay(ms) {
+      out.delay = Math.max(0, Number(ms) || 0);
+      return helper;
+    },
+    send(body) {
+      out.sent = true;
+      out.body = body;
+      return helper;
+    },
+    json(body) {
+      if (!out.type) out.type = 'application/json';
+      return helper.send(JSON.stringify(body));
+    },
+  };
+  return { helper, out };
+}
 
-/** POST /_admin/environment/save - 创建/更新环境 */
-adminApp.post('/_admin/environment/save', (req, res) => {
-  const env = req.body;
-  if (!env.name) {
-    return res.status(400).json({ error: 'Environment name is required' });
+/**
+ * 按脚本设置输出响应
+ * @description 二进制（Buffer / TypedArray）原样发送；main 返回的字符串在未指定 Content-Type 时仍按 JSON 编码，兼容旧脚本
+ * @param {object} res - Express 响应对象
+ * @param {object} out - createScriptResponse 记录的响应信息
+ * @param {*} returned - main 函数的返回值
+ */
+async function sendScriptResponse(res, out, returned) {
+  if (out.delay > 0) await new Promise(r => setTimeout(r, out.delay));
+  res.status(out.status);
+  Object.keys(out.headers).forEach(k => res.setHeader(k, out.headers[k]));
+  out.cookies.forEach(c => res.cookie(c.name, c.value, c.options));
+  out.clearedCookies.forEach(c => res.clearCookie(c.name, c.options));
+  if (out.type) res.type(out.type);
+
+  const body = out.sent ? out.body : returned;
+  if (Buffer.isBuffer(body) || ArrayBuffer.isView(body)) {
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+    if (!res.get('Content-Type')) res.type('application/octet-stream');
+    return res.send(buf);
   }
-  const environments = getEnvironments();
-  const idx = environments.findIndex(e => e.id === env.id);
-  if (idx !== -1) {
-    environments[idx] = { ...environments[idx], ...env, id: environments[idx].id, updatedAt: Date.now() };
-  } else {
-    const now = Date.now();
-    environments.push({ ...env, id: now, createdAt: now, updatedAt: now });
+  if (typeof body === 'string' && (out.sent || res.get('Content-Type'))) {
+    return res.send(body);
   }
-  saveEnvironments(environments);
-  res.json({ success: true, data: environments });
-});
+  if (out.sent && body === undefined) return res.end();
+  return res.json(body);
+}
 
-/** POST /_admin/environment/delete - 删除环境 */
-adminApp.post('/_admin/environment/delete', (req, res) => {
-  const { id } = req.body;
-  const environments = getEnvironments().filter(e => e.id !== id);
-  saveEnvironments(environments);
-  res.json({ success: true, data: environments });
-});
+/* ==================== 流式响应（SSE / 分块传输） ==================== */
 
-/* --- 测试用例 API --- */
+/** 单个事件的最大等待时间（ms） */
+const STREAM_MAX_DELAY = 60 * 1000;
+/** 脚本生成器最多输出的事件数，避免无限生成器永不结束 */
+const STREAM_MAX_EVENTS = 10000;
+/** 保活注释的最小间隔（ms） */
+const STREAM_MIN_KEEPALIVE = 1000;
 
-/** GET /_admin/testcases - 获取所有测试用例 */
-adminApp.get('/_admin/testcases', (req, res) => {
-  res.json(getTestCases());
-});
+/** 运行中的流式响应（key 为 serviceId），停止服务时统一断开 */
+const openStreams = new Map();
 
-/** POST /_admin/testcases - 保存所有测试用例 */
-adminApp.post('/_admin/testcases', (req, res) => {
-  saveTestCases(req.body);
-  res.json({ success: true });
-});
+/** 在沙箱内推进生成器一步：同步 / 异步生成器统一按 Promise 处理 */
+const STREAM_STEP_INVOKER = '(function (it, step) { Promise.resolve().then(function () { return it.next(); }).then(step.resolve, step.reject); })(__streamIterator__, __streamStep__)';
 
-/** POST /_admin/testcase/save - 创建/更新测试用例 */
-adminApp.post('/_admin/testcase/save', (req, res) => {
-  const tc = req.body;
-  const testcases = getTestCases();
-  const idx = testcases.findIndex(t => t.id === tc.id);
-  if (idx !== -1) {
-    testcases[idx] = { ...testcases[idx], ...tc, updatedAt: Date.now() };
-  } else {
-    const now = Date.now();
-    testcases.push({ ...tc, id: now, createdAt: now, updatedAt: now });
+/**
+ * 规范化单个流式事件
+ * @description 含 data 或 comment 字段的对象视为事件描述，其余值（字符串、普通对象等）整体作为 data
+ * @param {*} item - 事件列表项或生成器 yield 的值
+ * @returns {{id?: string, event?: string, data?: string, retry?: number, comment?: string, delay?: number}}
+ */
+function normalizeStreamEvent(item) {
+  if (item === null || item === undefined) return { data: '' };
+  const isEvent = typeof item === 'object' && !Array.isArray(item) && ('data' in item || 'comment' in item);
+  if (!isEvent) return { data: typeof item === 'string' ? item : JSON.stringify(item) };
+
+  const ev = {};
+  if (item.id !== undefined && item.id !== null && item.id !== '') ev.id = String(item.id);
+  if (item.event) ev.event = String(item.event);
+  if (Number(item.retry) > 0) ev.retry = Math.floor(Number(item.retry));
+  if (item.comment) ev.comment = String(item.comment);
+  if (item.data !== undefined) ev.data = typeof item.data === 'string' ? item.data : JSON.stringify(item.data);
+  if (item.delay !== undefined && item.delay !== null && item.delay !== '' && !isNaN(Number(item.delay))) {
+    ev.delay = Math.min(Math.max(0, Number(item.delay)), STREAM_MAX_DELAY);
   }
-  saveTestCases(testcases);
-  res.json({ success: true, data: testcases });
-});
-
-/** POST /_admin/testcase/delete - 删除测试用例 */
-adminApp.post('/_admin/testcase/delete', (req, res) => {
-  const { id } = req.body;
-  const testcases = getTestCases().filter(t => t.id !== id);
-  saveTestCases(testcases);
-  res.json({ success: true, data: testcases });
-});
+  return ev;
+}
 
-/* --- 测试套件 API --- */
+/**
+ * 按 text/event-stream 格式序列化事件（多行 data 拆为多个 data 字段）
+ * @param {object} ev - normalizeStreamEvent 的结果
+ * @returns {string}
+ */
+function formatSseEvent(ev) {
+  const lines = [];
+  if (ev.comment) ev.comment.split(/\r\n|\r|\n/).forEach(line => lines.push(`: ${line}`));
+  if (ev.retry) lines.push(`retry: ${ev.retry}`);
+  if (ev.id !== undefined) lines.push(`id: ${ev.id.replace(/[\r\n]/g, '')}`);
+  if (ev.event) lines.push(`event: ${ev.event.replace(/[\r\n]/g, '')}`);
+  if (ev.data !== undefined) ev.data.split(/\r\n|\r|\n/).forEach(line => lines.push(`data: ${line}`));
+  return `${lines.join('\n')}\n\n`;
+}
 
-/** GET /_admin/testsuites - 获取所有测试套件 */
-adminApp.get('/_admin/testsuites', (req, res) => {
-  res.json(getTestSuites());
-});
+/**
+ * 创建基于事件列表的事件源
+ * @description 自动编号时 id 为事件在列表中的序号（从 1 开始）；带 Last-Event-ID 重连时从该 id 之后继续，找不到则从头开始
+ * @param {Array} items - 事件列表
+ * @param {string} lastEventId - 客户端上报的 Last-Event-ID
+ * @param {boolean} autoId - 是否为未设置 id 的事件自动编号
+ * @returns {{next: function(): Promise<{done: boolean, value?: object}>}}
+ */
+function createListStreamSource(items, lastEventId, autoId) {
+  let seq = 0;
+  const events = items.map(item => {
+    const ev = normalizeStreamEvent(item);
+    if (autoId && ev.id === undefined && ev.data !== undefined) ev.id = String(++seq);
+    return ev;
+  });
+  let index = 0;
+  if (lastEventId) {
+    const found = events.findIndex(ev => ev.id === lastEventId);
+    if (found !== -1) index = found + 1;
+  }
+  return {
+    next: async () => (index < events.length ? { done: false, value: events[index++] } : { done: true }),
+  };
+}
 
-/** POST /_admin/testsuites - 保存所有测试套件 */
-adminApp.post('/_admin/testsuites', (req, res) => {
-  saveTestSuites(req.body);
-  res.json({ success: true });
-});
+/**
+ * 创建基于脚本生成器的事件源
+ * @description 每次推进都在沙箱内执行并受 SCRIPT_TIMEOUT / SCRIPT_ASYNC_TIMEOUT 约束；
+ *              自动编号从数字形式的 Last-Event-ID 之后继续（脚本可通过 req.lastEventId 自行跳过已发送的事件）
+ * @param {object} sandbox - 已执行过 main 的沙箱（__streamIterator__ 为 main 返回的生成器）
+ * @param {string} lastEventId - 客户端上报的 Last-Event-ID
+ * @param {boolean} autoId - 是否为未设置 id 的事件自动编号
+ * @returns {{next: function(): Promise<{done: boolean, value?: object}>}}
+ */
+function createIteratorStreamSource(sandbox, lastEventId, autoId) {
+  let seq = /^\d+$/.test(lastEventId) ? Number(lastEventId) : 0;
+  let count = 0;
+  const step = () => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(createScriptError('ERR_SCRIPT_EXECUTION_TIMEOUT', `Generator step did not finish within ${SCRIPT_ASYNC_TIMEOUT}ms`));
+    }, SCRIPT_ASYNC_TIMEOUT);
+    const settle = (fn) => (value) => {
+      clearTimeout(timer);
+      fn(value);
+    };
+    try {
+      sandbox.__streamStep__ = { resolve: settle(resolve), reject: settle(reject) };
+      vm.runInContext(STREAM_STEP_INVOKER, sandbox, { timeout: SCRIPT_TIMEOUT });
+    } catch (e) {
+      clearTimeout(timer);
+      reject(e);
+    } finally {
+      delete sandbox.__streamStep__;
+    }
+  });
+  return {
+    next: async () => {
+      if (count++ >= STREAM_MAX_EVENTS) return { done: true };
+      const result = await step();
+      if (!result || result.done) return { done: true };
+      const ev = normalizeStreamEvent(result.value);
+      assertScriptResultSize(ev.data);
+      if (autoId && ev.id === undefined && ev.data !== undefined) ev.id = String(++seq);
+      return { done: false, value: ev };
+    },
+  };
+}
 
-/** POST /_admin/testsuite/save - 创建/更新测试套件 */
-adminApp.post('/_admin/testsuite/save', (req, res) => {
-  const suite = req.body;
-  const suites = getTestSuites();
-  const idx = suites.findIndex(s => s.id === suite.id);
-  if (idx !== -1) {
-    suites[idx] = { ...suites[idx], ...suite, updatedAt: Date.now() };
+/**
+ * 断开服务下所有进行中的流式响应
+ * @param {string} serviceId - 服务 ID
+ */
+function closeOpenStreams(serviceId) {
+  const streams = openStreams.get(serviceId);
+  if (!streams) return;
+  for (const res of streams) res.destroy();
+  openStreams.delete(serviceId);
+}
+
+/**
+ * 输出流式响应（responseMode 为 stream）
+ * @description SSE 格式按 text/event-stream 输出 id / event / data / retry 字段，支持保活注释与 Last-Event-ID 续传；
+ *              分块格式按 Transfer-Encoding: chunked 原样写出每个事件的 data。
+ *              事件来自事件列表，或高级脚本 main 返回的数组 / 生成器（yield 一次输出一个事件）
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ * @param {object} options
+ * @param {string} options.serviceId - 服务 ID
+ * @param {object} options.rule - 命中的规则（读取 rule.stream）
+ * @param {object} options.pathParams - 路径参数
+ * @param {number} options.statusCode - 响应状态码
+ * @param {object} options.trafficLog - 本次请求的流量日志元信息
+ */
+async function handleStreamResponse(req, res, { serviceId, rule, pathParams, statusCode, trafficLog }) {
+  const stream = rule.stream || {};
+  const sse = stream.format !== 'chunked';
+  const autoId = sse && !!stream.autoId;
+  const lastEventId = sse && req.headers['last-event-id'] ? String(req.headers['last-event-id']) : '';
+
+  let source;
+  let finishScript = () => {};
+  if (stream.source === 'script') {
+    const state = getScriptState(serviceId);
+    let stateBefore = null;
+    try { stateBefore = JSON.stringify(state); } catch (e) { /* 循环引用等无法序列化的状态仅保存在内存中 */ }
+    const scriptConsole = createScriptConsole();
+    trafficLog.scriptLogs = scriptConsole.entries;
+    const sandbox = {
+      req: { query: req.query, body: req.body, headers: req.headers, method: req.method, path: req.path, params: pathParams, cookies: parseCookies(req.headers.cookie), lastEventId },
+      state, Buffer, Mock, console: scriptConsole.console
+    };
+    const budgetKey = `${serviceId}:${rule.id}`;
+    const fail = (e) => {
+      const info = describeScriptError(e);
+      if (stateBefore !== null) scriptStates.set(serviceId, JSON.parse(stateBefore));
+      console.error(`[Service ${serviceId}] Stream script error:`, formatScriptError(info));
+      trafficLog.error = formatScriptError(info);
+      const body = { error: 'Mock execution failed', ...info, source: 'rule' };
+      if (trackScriptResult(budgetKey, true)) {
+        body.autoDisabledReason = `脚本连续 ${SCRIPT_ERROR_BUDGET} 次执行失败，最近一次：${formatScriptError(info)}`;
+        autoDisableServiceRule(serviceId, rule.id, body.autoDisabledReason);
+      }
+      return body;
+    };
+    try {
+      const result = await runSandboxedMain(stream.script || '', sandbox, [sandbox.req, Mock]);
+      if (Array.isArray(result)) {
+        source = createListStreamSource(result, lastEventId, autoId);
+      } else if (result && typeof result.next === 'function') {
+        sandbox.__streamIterator__ = result;
+        source = createIteratorStreamSource(sandbox, lastEventId, autoId);
+      } else {
+        throw new Error('main must return an array of events or a generator');
+      }
+    } catch (e) {
+      return res.status(500).json(fail(e));
+    }
+    // 流结束后保存 state；中途出错时丢弃本次修改
+    finishScript = (error) => {
+      if (error) return fail(error);
+      trackScriptResult(budgetKey, false);
+      const nextState = sandbox.state && typeof sandbox.state === 'object' ? sandbox.state : {};
+      let stateJson = null;
+      try { stateJson = JSON.stringify(nextState); } catch (e) { /* 同上 */ }
+      if (stateJson && stateJson.length > SCRIPT_MAX_STATE_SIZE) {
+        return fail(createScriptError('ERR_SCRIPT_LIMIT', `Script state too large: ${stateJson.length} bytes (limit ${SCRIPT_MAX_STATE_SIZE})`));
+      }
+      if (nextState !== state || (stateJson !== null && stateJson !== stateBefore)) saveScriptState(serviceId, nextState);
+    };
   } else {
-    const now = Date.now();
-    suites.push({ ...suite, id: now, createdAt: now, updatedAt: now });
+    source = createListStreamSource(stream.events || [], lastEventId, autoId);
   }
-  saveTestSuites(suites);
-  res.json({ success: true, data: suites });
-});
 
-/** POST /_admin/testsuite/delete - 删除测试套件 */
-adminApp.post('/_admin/testsuite/delete', (req, res) => {
-  const { id } = req.body;
-  const suites = getTestSuites().filter(s => s.id !== id);
-  saveTestSuites(suites);
-  res.json({ success: true, data: suites });
-});
+  res.status(statusCode);
+  if (sse) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Connection', 'keep-alive');
+  } else {
+    res.setHeader('Content-Type', stream.contentType || 'text/plain; charset=utf-8');
+  }
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  if (!openStreams.has(serviceId)) openStreams.set(serviceId, new Set());
+  openStreams.get(serviceId).add(res);
+
+  // 客户端断开时立即结束等待
+  let closed = false;
+  let wake = () => {};
+  let keepAliveTimer = null;
+  res.on('close', () => {
+    closed = true;
+    clearInterval(keepAliveTimer);
+    const streams = openStreams.get(serviceId);
+    if (streams) streams.delete(res);
+    wake();
+  });
+  const wait = (ms) => new Promise(resolve => {
+    const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+    wake = () => { clearTimeout(timer); resolve(); };
+  });
 
-/** GET /_admin/projects - 获取所有项目 */
-adminApp.get('/_admin/projects', (req, res) => {
-  res.json(getProjects());
+  if (sse && Number(stream.retry) > 0) res.write(`retry: ${Math.floor(Number(stream.retry))}\n\n`);
+  if (sse && Number(stream.keepAlive) > 0) {
+    keepAliveTimer = setInterval(() => res.write(': keep-alive\n\n'), Math.max(STREAM_MIN_KEEPALIVE, Number(stream.keepAlive)));
+  }
+
+  const interval = Math.min(Math.max(0, Number(stream.interval) || 0), STREAM_MAX_DELAY);
+  let sent = 0;
+  let streamError = null;
+  while (!closed) {
+    let item;
+    try {
+      item = await source.next();
+    } catch (e) {
+      streamError = e;
+      break;
+    }
+    if (item.done || closed) break;
+    const ev = item.value;
+    const delay = ev.delay !== undefined ? ev.delay : (sent > 0 ? interval : 0);
+    if (delay > 0) await wait(delay);
+    if (closed) break;
+    if (sse) res.write(formatSseEvent(ev));
+    else if (ev.data !== undefined) res.write(ev.data);
+    sent++;
+  }
+
+  const failure = finishScript(streamError);
+  if (failure && sse && !closed) res.write(formatSseEvent({ event: 'error', data: JSON.stringify(failure) }));
+  // SSE 保持连接时由客户端断开（期间持续发送保活注释）
+  if (!closed && sse && stream.keepOpen && !streamError) await wait(Infinity);
+  clearInterval(keepAliveTimer);
+  if (!closed) res.end();
+}
+
+/* ==================== 转发与透传改写 ==================== */
+
+/** 转发响应时不复制的响应头（逐跳头部，以及解压后失效的长度 / 编码；跨域头由 Mock 服务自身的 cors 生成） */
+const UPSTREAM_SKIPPED_RESPONSE_HEADERS = /^(content-length|content-encoding|transfer-encoding|connection|keep-alive|access-control-.*)$/i;
+
+/** 代理原样转发响应体时不复制的响应头（逐跳头部与跨域头；响应体未解压，保留长度与编码） */
+const PROXY_SKIPPED_RESPONSE_HEADERS = /^(transfer-encoding|connection|keep-alive|proxy-authenticate|proxy-connection|te|trailer|upgrade|access-control-.*)$/i;
+
+/** 上游请求默认超时（毫秒） */
+const UPSTREAM_DEFAULT_TIMEOUT = 30000;
+
+/**
+ * 保存请求体原始字节，转发时原样发送（表单、二进制等不会因重新序列化而损坏）
+ * @description 作为 body-parser 的 verify 回调使用
+ */
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/** 解析 multipart 表单字段时请求体的大小上限（字节） */
+const MULTIPART_FIELDS_LIMIT = 10 * 1024 * 1024;
+
+/**
+ * 解析 multipart/form-data 请求体中的字段（文件字段取文件名）
+ * @param {Buffer} buffer - 请求体
+ * @param {string} contentType - Content-Type 请求头
+ * @returns {Object} 字段名 -> 值
+ */
+function parseMultipartFields(buffer, contentType) {
+  const fields = {};
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!m) return fields;
+  const boundary = '--' + (m[1] || m[2]).trim();
+  // 按 latin1 拆分可保持字节不变，字段值再按 UTF-8 解码
+  for (const part of buffer.toString('latin1').split(boundary)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+    const headers = part.slice(0, headerEnd);
+    const name = /name="([^"]*)"/i.exec(headers);
+    if (!name) continue;
+    const filename = /filename="([^"]*)"/i.exec(headers);
+    const value = filename ? filename[1] : part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    fields[Buffer.from(name[1], 'latin1').toString('utf8')] = Buffer.from(value, 'latin1').toString('utf8');
+  }
+  return fields;
+}
+
+/**
+ * 读取 multipart 请求体并解析表单字段（供 form 来源的期望条件使用）
+ * @description 读取后保存为 rawBody，透传 / 代理转发时原样发送
+ * @param {Object} req - Express 请求对象
+ * @returns {Promise<void>}
+ */
+async function bufferMultipartFields(req) {
+  const contentType = String(req.headers['content-type'] || '');
+  if (req._body || req.formFields || !contentType.includes('multipart/form-data')) return;
+  const chunks = [];
+  try {
+    for await (const chunk of req) chunks.push(chunk);
+  } catch (e) {
+    // 客户端中断上传时按没有表单字段处理
+    req.formFields = {};
+    return;
+  }
+  req.rawBody = Buffer.concat(chunks);
+  req._body = true;
+  req.formFields = req.rawBody.length <= MULTIPART_FIELDS_LIMIT ? parseMultipartFields(req.rawBody, contentType) : {};
+}
+
+/**
+ * 替换文本中的 {{变量名}}，未定义的变量保持原样
+ * @param {string} text - 原始文本
+ * @param {Object} variables - 变量表（启动服务时激活环境中的变量）
+ * @returns {string}
+ */
+function resolveTemplateVariables(text, variables) {
+  return String(text ?? '').replace(/\{\{(\w+)\}\}/g, (match, name) => (variables && variables[name] !== undefined ? String(variables[name]) : match));
+}
+
+/**
+ * 读取服务的上游请求配置（注入请求头、超时、证书校验）
+ * @param {Object} service - 服务数据
+ * @returns {{headers: Array, timeout: number, insecure: boolean}}
+ */
+function getUpstreamOptions(service) {
+  const info = runningServiceServers.get(String(service.id));
+  const variables = (info && info.variables) || {};
+  return {
+    headers: (service.proxyRequestHeaders || []).filter(h => h.key).map(h => ({ key: h.key, value: resolveTemplateVariables(h.value, variables) })),
+    timeout: Number(service.proxyTimeout) > 0 ? Number(service.proxyTimeout) : UPSTREAM_DEFAULT_TIMEOUT,
+    insecure: !!service.proxyInsecure,
+  };
+}
+
+/**
+ * 将请求转发到上游服务器并读取完整响应
+ * @description 复制除 host 外的请求头并保留原始 query；请求体优先原样转发（body-parser 未解析的类型直接透传请求流）
+ * @param {string} targetUrl - 上游地址（不含 query）
+ * @param {Object} req - Express 请求对象
+ * @param {Object} [options] - getUpstreamOptions 的结果：headers 注入的请求头（空值表示移除），timeout 超时，insecure 接受自签名证书
+ * @returns {Promise<{statusCode: number, headers: Object, body: Buffer}>} 超时时错误码为 ERR_UPSTREAM_TIMEOUT
+ */
+function requestUpstream(targetUrl, req, options = {}) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(targetUrl);
+    const queryIndex = req.originalUrl.indexOf('?');
+    if (queryIndex !== -1) parsed.search = req.originalUrl.slice(queryIndex);
+    const isHttps = parsed.protocol === 'https:';
+    const headers = { ...req.headers };
+    delete headers.host;
+    for (const { key, value } of (options.headers || [])) {
+      const name = key.toLowerCase();
+      if (value) headers[name] = value;
+      else delete headers[name];
+    }
+
+    let payload = null;
+    let pipeBody = false;
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      if (req.rawBody) {
+        payload = req.rawBody;
+      } else if (!req._body) {
+        // body-parser 未处理的类型（如 multipart/form-data），请求流尚未读取
+        pipeBody = true;
+      } else if (typeof req.body === 'string' || (req.body && Object.keys(req.body).length)) {
+        payload = Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+      }
+      if (payload) {
+        delete headers['transfer-encoding'];
+        headers['content-length'] = String(payload.length);
+      }
+    }
+
+    const timeout = options.timeout || UPSTREAM_DEFAULT_TIMEOUT;
+    const upstreamReq = (isHttps ? https : http).request({
+      hostname: parsed.hostname,
+      port: parsed.port,
+      path: parsed.pathname + parsed.search,
+      method: req.method,
+      headers,
+      ...(isHttps ? { rejectUnauthorized: !options.insecure } : {}),
+    }, (upstreamRes) => {
+      const chunks = [];
+      upstreamRes.on('data', chunk => chunks.push(chunk));
+      upstreamRes.on('end', () => resolve({ statusCode: upstreamRes.statusCode || 200, headers: upstreamRes.headers, body: Buffer.concat(chunks) }));
+      upstreamRes.on('error', reject);
+    });
+    upstreamReq.setTimeout(timeout, () => {
+      const err = new Error(`Upstream did not respond within ${timeout}ms`);
+      err.code = 'ERR_UPSTREAM_TIMEOUT';
+      upstreamReq.destroy(err);
+    });
+    upstreamReq.on('error', reject);
+    if (pipeBody) {
+      req.pipe(upstreamReq);
+    } else {
+      if (payload) upstreamReq.write(payload);
+      upstreamReq.end();
+    }
+  });
+}
+
+/**
+ * 按顺序执行代理路径重写规则（正则替换，非法正则跳过）
+ * @param {string} pathname - 剥离服务前缀后的请求路径
+ * @param {Array} rewrites - 重写规则 [{ pattern, replacement, enabled }]
+ * @returns {string}
+ */
+function applyProxyRewrites(pathname, rewrites) {
+  let result = pathname;
+  for (const rule of (rewrites || [])) {
+    if (!rule.pattern || rule.enabled === false) continue;
+    try {
+      result = result.replace(new RegExp(rule.pattern), rule.replacement || '');
+    } catch (e) {
+      console.warn(`[Proxy] Invalid rewrite pattern ${rule.pattern}:`, e.message);
+    }
+  }
+  if (!result.startsWith('/')) result = '/' + result;
+  return result;
+}
+
+/**
+ * 查找请求路径所属分组的代理目标（子前缀最长的分组优先），未配置时使用服务的代理目标
+ * @param {Object} service - 服务数据
+ * @param {string} url - 剥离服务前缀后的请求路径
+ * @returns {string} 代理目标地址，未配置时为空串
+ */
+function resolveProxyTarget(service, url) {
+  let best = null;
+  for (const group of (service.groups || [])) {
+    if (!group.proxyTarget) continue;
+    const prefix = normalizePrefix(group.subPrefix);
+    if (!stripPrefix(url, prefix).ok) continue;
+    if (!best || prefix.length > normalizePrefix(best.subPrefix).length) best = group;
+  }
+  return ((best && best.proxyTarget) || service.proxyTarget || '').replace(/\/$/, '');
+}
+
+/**
+ * 按 Content-Encoding 解压上游响应体
+ * @param {Buffer} body - 原始响应体
+ * @param {string} [encoding] - Content-Encoding 响应头
+ * @returns {Buffer}
+ */
+function decodeResponseBody(body, encoding) {
+  const enc = String(encoding || '').trim().toLowerCase();
+  if (!body.length || !enc || enc === 'identity') return body;
+  if (enc === 'gzip' || enc === 'x-gzip') return zlib.gunzipSync(body);
+  if (enc === 'deflate') return zlib.inflateSync(body);
+  if (enc === 'br') return zlib.brotliDecompressSync(body);
+  throw new Error(`Unsupported content encoding: ${enc}`);
+}
+
+/**
+ * 计算透传接口的上游地址
+ * @description 与调试面板的「真实接口」一致：接口级 realConfig 覆盖服务的真实接口配置，
+ *              路径中的 :param 替换为本次请求的路径参数；未配置真实接口主机时回退到（分组或服务的）代理目标地址
+ * @param {Object} service - 服务数据
+ * @param {Object} rule - 命中的规则
+ * @param {Object} pathParams - 路径参数
+ * @param {string} url - 剥离服务前缀后的请求路径
+ * @returns {string|null} 上游地址（不含 query），无可用地址时返回 null
+ */
+function resolvePassthroughUrl(service, rule, pathParams, url) {
+  const rc = rule.realConfig || {};
+  const host = rc.host || service.realHost;
+  if (!host) {
+    const proxyTarget = resolveProxyTarget(service, url);
+    return proxyTarget ? proxyTarget + url : null;
+  }
+  const protocol = rc.protocol || service.realProtocol || 'http';
+  const port = rc.port || service.realPort;
+  const prefix = normalizePrefix(rc.prefix ?? service.realPrefix ?? '');
+  let realPath = rc.path ?? rule.url ?? '';
+  if (realPath && !realPath.startsWith('/')) realPath = '/' + realPath;
+  realPath = realPath.replace(/:([A-Za-z_][\w]*)/g, (m, name) => (pathParams[name] !== undefined ? encodeURIComponent(pathParams[name]) : m));
+  return `${protocol}://${host}${port ? `:${port}` : ''}${prefix}${realPath}`;
+}
+
+/**
+ * 解析 JSONPath（支持 $.a.b、a.b、[0]、['key']、[*] / .* 通配）
+ * @param {string} expr - JSONPath 表达式
+ * @returns {Array<string|number>} 路径片段，'*' 表示通配
+ */
+function parseJsonPath(expr) {
+  let rest = String(expr || '').trim();
+  if (rest.startsWith('$')) rest = rest.slice(1);
+  const tokens = [];
+  const pattern = /^(?:\.?([^.[\]]+)|\[(\d+|\*|'[^']*'|"[^"]*")\])/;
+  while (rest) {
+    const m = rest.match(pattern);
+    if (!m) throw new Error(`Invalid JSONPath: ${expr}`);
+    if (m[1] !== undefined) tokens.push(m[1]);
+    else if (/^\d+$/.test(m[2])) tokens.push(Number(m[2]));
+    else tokens.push(m[2] === '*' ? '*' : m[2].slice(1, -1));
+    rest = rest.slice(m[0].length);
+  }
+  return tokens;
+}
+
+/**
+ * 按 JSONPath 修改 JSON 文档（路径不存在的中间节点在 set 时自动创建，通配不创建）
+ * @param {*} doc - JSON 文档（会被直接修改）
+ * @param {{path: string, op: string, value: string}} override - 覆盖项，value 为合法 JSON 时按 JSON 解析
+ * @returns {*} 修改后的文档（路径为 $ 时 set 会替换整个文档）
+ */
+function applyJsonPathOverride(doc, override) {
+  const tokens = parseJsonPath(override.path);
+  let value;
+  if (override.op !== 'remove') {
+    try { value = JSON.parse(override.value); } catch (e) { value = override.value ?? ''; }
+  }
+  if (!tokens.length) return override.op === 'remove' ? doc : value;
+
+  const clone = () => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const visit = (node, i) => {
+    if (node === null || typeof node !== 'object') return;
+    const token = tokens[i];
+    const last = i === tokens.length - 1;
+    if (token === '*') {
+      if (!last) {
+        Object.keys(node).forEach(k => visit(node[k], i + 1));
+      } else if (override.op === 'remove') {
+        if (Array.isArray(node)) node.length = 0;
+        else Object.keys(node).forEach(k => { delete node[k]; });
+      } else {
+        Object.keys(node).forEach(k => { node[k] = clone(); });
+      }
+      return;
+    }
+    if (!last) {
+      if ((node[token] === null || typeof node[token] !== 'object') && override.op !== 'remove') {
+        node[token] = typeof tokens[i + 1] === 'number' ? [] : {};
+      }
+      visit(node[token], i + 1);
+    } else if (override.op === 'remove') {
+      if (Array.isArray(node) && typeof token === 'number') node.splice(token, 1);
+      else delete node[token];
+    } else {
+      node[token] = clone();
+    }
+  };
+  visit(doc, 0);
+  return doc;
+}
+
+/**
+ * 透传改写：把请求转发到真实接口，按规则配置改写响应后返回
+ * @description 改写顺序：强制状态码 → JSONPath 覆盖 → 移除响应头 → 改写脚本 main(req, real, Mock)；
+ *              接口自身配置的响应头最后写入，优先级最高
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @param {Object} ctx - { serviceId, service, rule, pathParams, url, trafficLog }
+ */
+async function handlePassthroughRequest(req, res, ctx) {
+  const { serviceId, service, rule, pathParams, url, trafficLog } = ctx;
+  const config = rule.passthrough || {};
+  const targetUrl = resolvePassthroughUrl(service, rule, pathParams, url);
+  if (!targetUrl) {
+    trafficLog.error = 'No real backend configured for passthrough';
+    return res.status(502).json({ error: 'Passthrough target not configured', message: 'Set the real API address of the service or API, or a proxy target' });
+  }
+
+  let upstream;
+  try {
+    upstream = await requestUpstream(targetUrl, req, getUpstreamOptions(service));
+    upstream.body = decodeResponseBody(upstream.body, upstream.headers['content-encoding']);
+  } catch (e) {
+    console.error(`[Service ${serviceId}] Passthrough error:`, e.message);
+    trafficLog.error = e.message;
+    const status = e.code === 'ERR_UPSTREAM_TIMEOUT' ? 504 : 502;
+    return res.status(status).json({ error: 'Passthrough request failed', message: e.message, target: targetUrl });
+  }
+  console.log(`[Service ${serviceId}] Passthrough: ${req.method} ${targetUrl} -> ${upstream.statusCode}`);
+
+  const headers = {};
+  for (const [k, v] of Object.entries(upstream.headers)) {
+    if (!UPSTREAM_SKIPPED_RESPONSE_HEADERS.test(k)) headers[k] = v;
+  }
+  const contentType = String(headers['content-type'] || '');
+  const real = { status: Number(config.statusCode) || upstream.statusCode, headers, body: upstream.body };
+
+  // JSON 响应解析为对象，便于覆盖字段和在脚本中修改
+  let isJson = false;
+  if (/json/i.test(contentType) && upstream.body.length) {
+    try {
+      real.body = JSON.parse(upstream.body.toString('utf-8'));
+      isJson = true;
+    } catch (e) { /* 非法 JSON 按原文返回 */ }
+  }
+  const overrides = (config.overrides || []).filter(o => o.path);
+  if (isJson && overrides.length) {
+    try {
+      real.body = overrides.reduce((doc, o) => applyJsonPathOverride(doc, o), real.body);
+    } catch (e) {
+      trafficLog.error = e.message;
+      return res.status(500).json({ error: 'Passthrough override failed', message: e.message });
+    }
+  }
+  for (const name of (config.removeHeaders || [])) {
+    const lower = String(name).toLowerCase();
+    Object.keys(headers).forEach(k => { if (k.toLowerCase() === lower) delete headers[k]; });
+  }
+
+  let body = real.body;
+  if (config.scriptEnabled && config.script && config.script.trim()) {
+    if (!isJson && Buffer.isBuffer(real.body) && recordingContentKind(contentType) !== 'binary') real.body = real.body.toString('utf-8');
+    const scriptConsole = createScriptConsole();
+    trafficLog.scriptLogs = scriptConsole.entries;
+    const sandbox = {
+      req: { query: req.query, body: req.body, headers: req.headers, method: req.method, path: req.path, params: pathParams, cookies: parseCookies(req.headers.cookie) },
+      real, Buffer, Mock, console: scriptConsole.console,
+    };
+    try {
+      const returned = await runSandboxedMain(config.script, sandbox, [sandbox.req, real, Mock]);
+      body = returned === undefined ? real.body : returned;
+      assertScriptResultSize(body);
+    } catch (e) {
+      const info = describeScriptError(e);
+      console.error(`[Service ${serviceId}] Passthrough script error:`, formatScriptError(info));
+      trafficLog.error = formatScriptError(info);
+      return res.status(500).json({ error: 'Mock execution failed', ...info, source: 'passthrough' });
+    }
+  }
+
+  res.status(Number(real.status) || upstream.statusCode);
+  Object.entries(real.headers || {}).forEach(([k, v]) => {
+    if (v !== undefined && v !== null) res.setHeader(k, Array.isArray(v) ? v.map(String) : String(v));
+  });
+  (rule.responseHeaders || []).forEach(h => {
+    if (h.key && h.value) res.setHeader(h.key, h.value);
+  });
+  if (Buffer.isBuffer(body) || typeof body === 'string') return res.send(body);
+  if (body === undefined) return res.end();
+  if (!res.get('Content-Type')) res.type('application/json');
+  res.send(JSON.stringify(body));
+}
+
+/* ==================== 代理录制会话 ==================== */
+
+/** 单个录制会话默认最多捕获的接口数 */
+const RECORDING_DEFAULT_LIMIT = 200;
+/** 可录制的二进制响应体上限（超出的响应不录制） */
+const RECORDING_MAX_BINARY_SIZE = 5 * 1024 * 1024;
+/** 视为 ID 的路径段：纯数字 / UUID / 16 位以上十六进制 */
+const RECORDING_ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+/** 录制时不保留的响应头（由 Mock 服务自行生成，或与传输、缓存、会话相关） */
+const RECORDING_SKIPPED_RESPONSE_HEADERS = /^(content-type|content-length|content-encoding|transfer-encoding|connection|keep-alive|date|server|etag|last-modified|vary|set-cookie|access-control-.*|x-mock-.*)$/i;
+/** 录制会话（key 为 serviceId），仅保存在内存中 */
+const recordingSessions = new Map();
+/** 录制生成的规则 / 期望 / 预设 ID（保证同一毫秒内不重复） */
+let lastRecordingId = 0;
+
+function nextRecordingId() {
+  lastRecordingId = Math.max(Date.now(), lastRecordingId + 1);
+  return lastRecordingId;
+}
+
+/**
+ * 按 Content-Type 归类响应：json / text / binary
+ * @param {string} contentType - 响应的 MIME 类型
+ * @returns {string}
+ */
+function recordingContentKind(contentType) {
+  if (/json/i.test(contentType)) return 'json';
+  if (/^text\/|xml|javascript|urlencoded/i.test(contentType)) return 'text';
+  return 'binary';
+}
+
+/**
+ * 将路径中的 ID 段替换为 :id、:id2 ...，并返回各参数的实际取值
+ * @param {string} pathname - 请求路径（已剥离服务前缀和分组子前缀）
+ * @returns {{ path: string, values: Object }}
+ */
+function generalizeRecordedPath(pathname) {
+  const values = {};
+  let index = 0;
+  const generalized = pathname.split('/').map(segment => {
+    if (!RECORDING_ID_SEGMENT.test(segment)) return segment;
+    const name = ++index === 1 ? 'id' : `id${index}`;
+    values[name] = decodeURIComponent(segment);
+    return `:${name}`;
+  }).join('/');
+  return { path: generalized, values };
+}
+
+/**
+ * 同一接口的判重键：参数名不参与比较（/users/:id 与 /users/:userId 视为相同）
+ * @param {string} method - 请求方法
+ * @param {string} url - 规则路径
+ * @returns {string}
+ */
+function recordingRouteKey(method, url) {
+  let normalized = url && !url.startsWith('/') ? '/' + url : (url || '/');
+  normalized = normalized.split('?')[0].replace(/:[^/]+/g, ':').replace(/(.)\/+$/, '$1');
+  return `${method} ${normalized}`;
+}
+
+/**
+ * 将请求体中的标量字段展开为 { 'a.b': value }，用于区分同一接口的不同请求
+ * @param {*} body - 解析后的请求体
+ * @returns {Object}
+ */
+function flattenRecordedBody(body) {
+  const result = {};
+  const walk = (value, prefix) => {
+    if (value === null || typeof value !== 'object') {
+      if (prefix) result[prefix] = String(value);
+      return;
+    }
+    if (Array.isArray(value) || Buffer.isBuffer(value)) return;
+    for (const [key, v] of Object.entries(value)) walk(v, prefix ? `${prefix}.${key}` : key);
+  };
+  walk(body, '');
+  return result;
+}
+
+/**
+ * 根据解析后的请求体生成规则的请求体定义
+ * @param {Object} req - Express 请求对象
+ * @returns {Object} BodyContent
+ */
+function buildRecordedRequestBody(req) {
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  const body = req.body;
+  if (body === undefined || body === null || Buffer.isBuffer(body)) return { type: 'none', raw: '', formData: [] };
+  if (typeof body === 'string') {
+    if (!body) return { type: 'none', raw: '', formData: [] };
+    return { type: contentType.includes('xml') ? 'xml' : 'text', raw: body, formData: [] };
+  }
+  if (!Object.keys(body).length) return { type: 'none', raw: '', formData: [] };
+  if (contentType.includes('x-www-form-urlencoded')) {
+    return {
+      type: 'x-www-form-urlencoded', raw: '',
+      formData: Object.entries(body).map(([key, value]) => ({ key, value: typeof value === 'string' ? value : JSON.stringify(value) })),
+    };
+  }
+  return { type: 'json', raw: JSON.stringify(body, null, 2), formData: [] };
+}
+
+/**
+ * 区分同一接口两次请求的条件：取值不同的路径参数、Query 参数和请求体字段
+ * @param {Object} base - 首次请求的取值 { pathValues, query, bodyFields }
+ * @param {Object} sample - 本次请求的取值
+ * @returns {Array} 期望条件列表
+ */
+function recordingConditions(base, sample) {
+  const conditions = [];
+  const compare = (source, baseValues, values) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (baseValues[key] !== value) conditions.push({ source, key, operator: 'equals', value });
+    }
+  };
+  compare('pathParam', base.pathValues, sample.pathValues);
+  compare('query', base.query, sample.query);
+  compare('body', base.bodyFields, sample.bodyFields);
+  return conditions;
+}
+
+/**
+ * 创建录制的场景预设
+ * @param {Object} response - { status, type, text }
+ * @returns {Object} ResponsePreset
+ */
+function createRecordedPreset(response) {
+  return {
+    id: nextRecordingId(),
+    name: `${response.status} ${http.STATUS_CODES[response.status] || ''}`.trim(),
+    statusCode: response.status,
+    responseMode: 'basic',
+    responseType: response.type,
+    responseBasic: response.text,
+    responseAdvanced: '',
+  };
+}
+
+/**
+ * 把同一接口的后续请求并入录制条目：
+ * 路径参数 / Query / 请求体取值不同的生成条件响应，仅状态码不同的生成场景预设
+ * @param {Object} entry - 录制条目
+ * @param {Object} sample - 本次请求的取值 { pathValues, query, bodyFields }
+ * @param {Object} response - 本次响应 { status, type, kind, text }
+ */
+function foldRecordedSample(entry, sample, response) {
+  const { rule, base } = entry;
+  if (response.status === base.response.status && response.text === base.response.text) return;
+  // 二进制响应只保存首次录制的文件
+  if (response.kind === 'binary') return;
+
+  const conditions = recordingConditions(base, sample);
+  if (conditions.length) {
+    const expectations = rule.expectations || (rule.expectations = []);
+    const key = JSON.stringify(conditions);
+    if (expectations.some(e => JSON.stringify(e.conditions) === key)) return;
+    expectations.push({
+      id: nextRecordingId(),
+      name: conditions.map(c => `${c.key}=${c.value}`).join(', '),
+      conditions,
+      statusCode: response.status,
+      responseMode: 'basic',
+      responseType: response.type,
+      responseBasic: response.text,
+      responseAdvanced: '',
+    });
+    return;
+  }
+
+  const presets = rule.responsePresets || (rule.responsePresets = []);
+  if (response.status === base.response.status || presets.some(p => p.statusCode === response.status)) return;
+  presets.push(createRecordedPreset(response));
+}
+
+/**
+ * 录制一次代理请求到当前会话
+ * @description 只录制落在目标分组子前缀下、且通过方法 / 路径 / 内容类型过滤的请求；
+ *              同一接口（判重键相同）的请求合并为一条规则
+ * @param {string} serviceId - 服务 ID
+ * @param {Object} service - 服务数据
+ * @param {Object} req - Express 请求对象
+ * @param {string} url - 剥离服务前缀后的请求路径
+ * @param {Object} proxyRes - 代理响应 { statusCode, headers }
+ * @param {Buffer} rawBody - 代理响应体（未解压）
+ */
+function captureProxyRecording(serviceId, service, req, url, proxyRes, rawBody) {
+  const session = recordingSessions.get(serviceId);
+  if (!session || session.status !== 'recording') return;
+  const skip = () => { session.skipped++; };
+
+  const group = (service.groups || []).find(g => g.id === session.groupId);
+  if (!group) return skip();
+  const method = req.method;
+  if (session.methods.length && !session.methods.includes(method)) return skip();
+  if (session.pathRegex && !session.pathRegex.test(url)) return skip();
+  let relative = url;
+  if (group.subPrefix) {
+    const result = stripPrefix(url, group.subPrefix);
+    if (!result.ok) return skip();
+    relative = result.rest;
+  }
+
+  const headers = proxyRes.headers || {};
+  const type = String(headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+  const kind = recordingContentKind(type);
+  if (!session.contentTypes.includes(kind)) return skip();
+  let body;
+  try {
+    body = decodeResponseBody(rawBody, headers['content-encoding']);
+  } catch (e) {
+    console.warn(`[Recording ${serviceId}] Skipped ${method} ${url}:`, e.message);
+    return skip();
+  }
+  if (kind === 'binary' && body.length > RECORDING_MAX_BINARY_SIZE) return skip();
+
+  let text = kind === 'binary' ? '' : body.toString('utf-8');
+  if (kind === 'json') {
+    try { text = JSON.stringify(JSON.parse(text), null, 2); } catch (e) { /* 非法 JSON 按原文保存 */ }
+  }
+  const response = { status: proxyRes.statusCode || 200, type, kind, text };
+  const { path: routePath, values: pathValues } = session.generalize ? generalizeRecordedPath(relative) : { path: relative, values: {} };
+  const query = {};
+  for (const [key, value] of Object.entries(req.query || {})) {
+    if (typeof value === 'string') query[key] = value;
+  }
+  const sample = { pathValues, query, bodyFields: flattenRecordedBody(req.body) };
+  const key = recordingRouteKey(method, routePath);
+  const now = Date.now();
+
+  const existing = session.entries.find(e => e.key === key);
+  if (existing) {
+    existing.count++;
+    existing.lastSeen = now;
+    foldRecordedSample(existing, sample, response);
+    return;
+  }
+  if (session.entries.length >= session.limit) return skip();
+
+  const ruleId = nextRecordingId();
+  const rule = {
+    id: ruleId,
+    name: `[录制] ${method} ${routePath}`,
+    active: true, method, url: routePath,
+    delay: 0, createdAt: ruleId, updatedAt: ruleId,
+    headers: [],
+    params: Object.entries(query).map(([k, value]) => ({ key: k, value })),
+    body: buildRecordedRequestBody(req),
+    responseHeaders: Object.entries(headers)
+      .filter(([k]) => !RECORDING_SKIPPED_RESPONSE_HEADERS.test(k))
+      .map(([k, value]) => ({ key: k, value: Array.isArray(value) ? value.join(', ') : String(value) })),
+    responseMode: 'basic',
+    responseType: type,
+    responseBasic: text,
+    responseAdvanced: '',
+  };
+  if (Object.keys(pathValues).length) {
+    rule.pathParams = Object.entries(pathValues).map(([k, value]) => ({ key: k, value, required: true }));
+  }
+  if (response.status !== 200) {
+    const preset = createRecordedPreset(response);
+    rule.responsePresets = [preset];
+    rule.activePresetId = preset.id;
+  }
+  session.entries.push({
+    key, rule, count: 1, firstSeen: now, lastSeen: now,
+    samplePath: req.originalUrl,
+    binary: kind === 'binary' ? body : null,
+    base: { ...sample, response },
+  });
+  console.log(`[Recording ${serviceId}] Captured: ${method} ${routePath}`);
+}
+
+/**
+ * 输出录制会话的可序列化视图（供管理界面审阅）
+ * @param {Object} session - 录制会话
+ * @param {Object} [service] - 服务数据，用于标记目标分组中已存在的接口
+ * @returns {Object|null}
+ */
+function describeRecordingSession(session, service) {
+  if (!session) return null;
+  const group = service && (service.groups || []).find(g => g.id === session.groupId);
+  const existingKeys = new Set(((group && group.children) || []).map(r => recordingRouteKey(r.method, r.url)));
+  return {
+    groupId: session.groupId,
+    groupName: group ? group.name : '',
+    status: session.status,
+    startedAt: session.startedAt,
+    stoppedAt: session.stoppedAt,
+    methods: session.methods,
+    pathPattern: session.pathPattern,
+    contentTypes: session.contentTypes,
+    generalize: session.generalize,
+    limit: session.limit,
+    skipped: session.skipped,
+    entries: session.entries.map(e => ({
+      key: e.key,
+      method: e.rule.method,
+      url: e.rule.url,
+      samplePath: e.samplePath,
+      count: e.count,
+      firstSeen: e.firstSeen,
+      lastSeen: e.lastSeen,
+      exists: existingKeys.has(e.key),
+      binarySize: e.binary ? e.binary.length : undefined,
+      rule: e.rule,
+    })),
+  };
+}
+
+/**
+ * 从已有规则中读取默认取值（路径参数 / Query / JSON 请求体示例），用于与录制的请求比较
+ * @param {Object} rule - Mock 规则
+ * @returns {{ pathValues: Object, query: Object, bodyFields: Object }}
+ */
+function ruleSampleValues(rule) {
+  const toRecord = (items) => Object.fromEntries((items || []).filter(i => i.key).map(i => [i.key, i.value || '']));
+  let body;
+  if (rule.body && rule.body.type === 'json') {
+    try { body = JSON.parse(rule.body.raw); } catch (e) { /* 示例不是合法 JSON 时不比较请求体 */ }
+  }
+  return { pathValues: toRecord(rule.pathParams), query: toRecord(rule.params), bodyFields: flattenRecordedBody(body) };
+}
+
+/**
+ * 将审阅通过的录制条目写入目标分组
+ * @description 分组中已存在同一接口时，只合并新的条件响应和场景预设；
+ *              二进制响应写入 userData/mock-api-recordings 目录并设置为规则的 responseFile
+ * @param {Array} services - 全部服务数据（会被直接修改）
+ * @param {string} serviceId - 服务 ID
+ * @param {Array} entries - 要接受的录制条目
+ * @returns {{ added: number, merged: number }}
+ */
+function applyRecordedEntries(services, serviceId, entries) {
+  const session = recordingSessions.get(serviceId);
+  const service = services.find(s => String(s.id) === serviceId);
+  const group = service && (service.groups || []).find(g => g.id === session.groupId);
+  if (!group) throw new Error('Target group not found');
+  if (!group.children) group.children = [];
+
+  let added = 0;
+  let merged = 0;
+  for (const entry of entries) {
+    const rule = entry.rule;
+    const current = group.children.find(r => recordingRouteKey(r.method, r.url) === entry.key);
+    if (current) {
+      const expectations = current.expectations || (current.expectations = []);
+      // 首次录制的响应与已有规则不同时，以两者的取值差异作为条件
+      const { response } = entry.base;
+      if (!entry.binary && response.text !== current.responseBasic) {
+        const conditions = recordingConditions(ruleSampleValues(current), entry.base);
+        if (conditions.length) {
+          rule.expectations = [{
+            id: nextRecordingId(),
+            name: conditions.map(c => `${c.key}=${c.value}`).join(', '),
+            conditions,
+            statusCode: response.status,
+            responseMode: 'basic',
+            responseType: response.type,
+            responseBasic: response.text,
+            responseAdvanced: '',
+          }, ...(rule.expectations || [])];
+        }
+      }
+      for (const exp of (rule.expectations || [])) {
+        const key = JSON.stringify(exp.conditions);
+        if (!expectations.some(e => JSON.stringify(e.conditions) === key)) expectations.push(exp);
+      }
+      const presets = current.responsePresets || (current.responsePresets = []);
+      for (const preset of (rule.responsePresets || [])) {
+        if (!presets.some(p => p.statusCode === preset.statusCode)) presets.push(preset);
+      }
+      current.updatedAt = Date.now();
+      merged++;
+      continue;
+    }
+    if (entry.binary) {
+      const dir = path.join(utools.getPath('userData'), 'mock-api-recordings', serviceId);
+      fs.mkdirSync(dir, { recursive: true });
+      const subtype = (rule.responseType.split('/')[1] || '').toLowerCase();
+      const filePath = path.join(dir, `${rule.id}.${/^[a-z0-9]{2,5}$/.test(subtype) ? subtype : 'bin'}`);
+      fs.writeFileSync(filePath, entry.binary);
+      rule.responseFile = filePath;
+    }
+    group.children.push(rule);
+    added++;
+  }
+  return { added, merged };
+}
+
+/* ==================== HTTPS 监听与本地 CA ==================== */
+
+/** 本地 CA 有效期（天） */
+const LOCAL_CA_DAYS = 3650;
+/** 本地 CA 签发的服务证书有效期（天），不超过 397 天以兼容各平台对证书有效期的限制 */
+const LEAF_CERT_DAYS = 397;
+/** 本地 CA 缓存：{ cert, key, certPem }，首次使用时从磁盘读取或生成 */
+let localCa = null;
+/** 本地 CA 签发的服务证书缓存，key 为排序后的主机名列表 */
+const leafCertificates = new Map();
+
+/**
+ * 本地 CA 证书与私钥的存储目录
+ * @returns {string} userData/mock-api-tls
+ */
+function getTlsDir() {
+  return path.join(utools.getPath('userData'), 'mock-api-tls');
+}
+
+/**
+ * 创建并签名一张 X.509 证书
+ * @param {Object} options
+ * @param {string} options.commonName - 证书 CN
+ * @param {Object} options.publicKey - 证书公钥（forge 格式）
+ * @param {Object} options.signingKey - 签名私钥（自签名时为自身私钥）
+ * @param {Array} [options.issuer] - 颁发者属性，省略时为自签名
+ * @param {number} options.days - 有效期（天）
+ * @param {Array} options.extensions - 证书扩展
+ * @returns {Object} forge 证书对象
+ */
+function createCertificate({ commonName, publicKey, signingKey, issuer, days, extensions }) {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = publicKey;
+  // 序列号首字节固定为 01，保证为正整数
+  cert.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(15));
+  cert.validity.notBefore = new Date(Date.now() - 24 * 3600 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + days * 24 * 3600 * 1000);
+  const subject = [{ name: 'commonName', value: commonName }, { name: 'organizationName', value: 'Mock API Server' }];
+  cert.setSubject(subject);
+  cert.setIssuer(issuer || subject);
+  cert.setExtensions(extensions);
+  cert.sign(signingKey, forge.md.sha256.create());
+  return cert;
+}
+
+/**
+ * 读取本地 CA，不存在时离线生成并写入 userData/mock-api-tls
+ * @returns {{cert: Object, key: Object, certPem: string}}
+ */
+function loadLocalCa() {
+  if (localCa) return localCa;
+  const dir = getTlsDir();
+  const certFile = path.join(dir, 'ca.crt');
+  const keyFile = path.join(dir, 'ca.key');
+  if (fs.existsSync(certFile) && fs.existsSync(keyFile)) {
+    const certPem = fs.readFileSync(certFile, 'utf8');
+    localCa = { cert: forge.pki.certificateFromPem(certPem), key: forge.pki.privateKeyFromPem(fs.readFileSync(keyFile, 'utf8')), certPem };
+    return localCa;
+  }
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 2048 });
+  const cert = createCertificate({
+    commonName: `Mock API Server Local CA (${os.hostname()})`,
+    publicKey: keys.publicKey,
+    signingKey: keys.privateKey,
+    days: LOCAL_CA_DAYS,
+    extensions: [
+      { name: 'basicConstraints', cA: true, critical: true },
+      { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+      { name: 'subjectKeyIdentifier' },
+    ],
+  });
+  const certPem = forge.pki.certificateToPem(cert);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(certFile, certPem);
+  fs.writeFileSync(keyFile, forge.pki.privateKeyToPem(keys.privateKey), { mode: 0o600 });
+  console.log(`[TLS] Local CA generated: ${certFile}`);
+  localCa = { cert, key: keys.privateKey, certPem };
+  return localCa;
+}
+
+/**
+ * 证书中包含的主机名：本机回环地址、局域网 IP、主机名，以及配置中额外填写的域名 / IP
+ * @param {Object} tls - TLS 配置
+ * @returns {string[]} 去重并排序后的主机名
+ */
+function getTlsHostnames(tls) {
+  const names = ['localhost', '127.0.0.1', '::1', LOCAL_IP, os.hostname(), ...((tls && tls.hostnames) || [])];
+  return [...new Set(names.map(n => String(n || '').trim()).filter(Boolean))].sort();
+}
+
+/**
+ * 使用本地 CA 签发服务证书（按主机名缓存，临近过期时重新签发）
+ * @param {string[]} hostnames - 证书的 subjectAltName
+ * @returns {{cert: string, key: string}} PEM 格式的证书链与私钥
+ */
+function issueLeafCertificate(hostnames) {
+  const cacheKey = hostnames.join(',');
+  const cached = leafCertificates.get(cacheKey);
+  if (cached && cached.notAfter > Date.now() + 24 * 3600 * 1000) return cached.credentials;
+
+  const ca = loadLocalCa();
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 2048 });
+  const cert = createCertificate({
+    commonName: hostnames.includes(LOCAL_IP) ? LOCAL_IP : hostnames[0],
+    publicKey: keys.publicKey,
+    signingKey: ca.key,
+    issuer: ca.cert.subject.attributes,
+    days: LEAF_CERT_DAYS,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      { name: 'subjectAltName', altNames: hostnames.map(h => (net.isIP(h) ? { type: 7, ip: h } : { type: 2, value: h })) },
+      { name: 'subjectKeyIdentifier' },
+      { name: 'authorityKeyIdentifier', keyIdentifier: ca.cert.generateSubjectKeyIdentifier().getBytes() },
+    ],
+  });
+  const credentials = { cert: forge.pki.certificateToPem(cert) + ca.certPem, key: forge.pki.privateKeyToPem(keys.privateKey) };
+  leafCertificates.set(cacheKey, { credentials, notAfter: cert.validity.notAfter.getTime() });
+  return credentials;
+}
+
+/**
+ * 解析 TLS 配置对应的证书与私钥
+ * @param {Object} tls - TLS 配置 { certSource: 'local-ca' | 'custom', cert, key, hostnames }
+ * @returns {{cert: string, key: string}}
+ * @throws {Error} 自定义证书缺失或与私钥不匹配时抛出
+ */
+function resolveTlsCredentials(tls) {
+  if (tls.certSource !== 'custom') return issueLeafCertificate(getTlsHostnames(tls));
+  if (!tls.cert || !tls.key) throw new Error('TLS certificate and private key are required');
+  try {
+    tlsModule.createSecureContext({ cert: tls.cert, key: tls.key });
+  } catch (e) {
+    throw new Error(`Invalid TLS certificate or private key: ${e.message}`);
+  }
+  return { cert: tls.cert, key: tls.key };
+}
+
+/**
+ * 按 TLS 配置创建监听服务器：未启用时为 HTTP；启用后为 HTTPS，配置了 httpPort 时同时创建 HTTP 服务器
+ * @param {Function} [handler] - 请求处理函数（Express app）
+ * @param {number} port - 主端口
+ * @param {Object} [tls] - TLS 配置
+ * @returns {Array<{server: Object, port: number, protocol: string}>} 尚未开始监听的服务器列表
+ */
+function createListeners(handler, port, tls) {
+  if (!tls || !tls.enabled) return [{ server: http.createServer(handler), port, protocol: 'http' }];
+  const listeners = [{ server: https.createServer(resolveTlsCredentials(tls), handler), port, protocol: 'https' }];
+  if (tls.httpPort) listeners.push({ server: http.createServer(handler), port: Number(tls.httpPort), protocol: 'http' });
+  return listeners;
+}
+
+/**
+ * 在 0.0.0.0 上启动全部监听，任一端口失败时关闭已启动的其余服务器
+ * @param {Array} listeners - createListeners 的结果
+ * @returns {Promise<Array>} 全部监听成功后 resolve
+ */
+function startListeners(listeners) {
+  return Promise.all(listeners.map(l => new Promise((resolve, reject) => {
+    l.server.once('error', reject);
+    l.server.listen(l.port, '0.0.0.0', () => resolve(l));
+  }))).catch((err) => {
+    closeListeners(listeners);
+    throw err;
+  });
+}
+
+/**
+ * 关闭全部监听服务器
+ * @param {Array} listeners - createListeners 的结果
+ */
+function closeListeners(listeners) {
+  for (const l of listeners) {
+    if (l.server.listening) l.server.close();
+  }
+}
+
+/**
+ * 描述本地 CA（供界面展示和导出）
+ * @returns {{subject: string, fingerprint: string, validFrom: number, validTo: number, path: string}}
+ */
+function describeLocalCa() {
+  const ca = loadLocalCa();
+  const der = forge.asn1.toDer(forge.pki.certificateToAsn1(ca.cert)).getBytes();
+  const fingerprint = forge.md.sha256.create().update(der).digest().toHex().toUpperCase().match(/../g).join(':');
+  return {
+    subject: ca.cert.subject.getField('CN').value,
+    fingerprint,
+    validFrom: ca.cert.validity.notBefore.getTime(),
+    validTo: ca.cert.validity.notAfter.getTime(),
+    path: path.join(getTlsDir(), 'ca.crt'),
+  };
+}
+
+/* ==================== 匹配诊断与路由冲突检测 ==================== */
+
+/**
+ * 解释一次请求的匹配过程（不执行响应脚本、不产生流量日志）
+ * @description 依次给出：服务前缀剥离 → 各分组子前缀剥离 → 每条规则的淘汰原因及候选优先级
+ *              → 资源集合 → 命中规则的入参校验与期望条件逐项评估 → 最终生效的响应来源
+ * @param {Object} service - 服务数据
+ * @param {Object} input - { method, url（可含服务前缀与 Query）, headers?, body? }
+ * @param {string} servicePrefix - 服务级前缀
+ * @returns {Object} 诊断结果
+ */
+function explainServiceRequest(service, input, servicePrefix) {
+  const method = String(input.method || 'GET').toUpperCase();
+  const parsed = new URL(String(input.url || '/'), 'http://localhost');
+  const query = {};
+  for (const [key, value] of parsed.searchParams) {
+    if (query[key] === undefined) query[key] = value;
+    else query[key] = [].concat(query[key], value);
+  }
+  const headers = {};
+  for (const [key, value] of Object.entries(input.headers || {})) headers[key.toLowerCase()] = String(value);
+  const body = input.body;
+  const req = {
+    method, path: parsed.pathname, query, headers, body,
+    rawBody: body === undefined ? undefined : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body)),
+    formFields: body && typeof body === 'object' ? body : Object.fromEntries(new URLSearchParams(typeof body === 'string' ? body : '')),
+  };
+  const report = { method, path: parsed.pathname, query, servicePrefix: normalizePrefix(servicePrefix), url: null, groups: [], rules: [], resources: [], outcome: null };
+
+  const stripped = stripPrefix(parsed.pathname, servicePrefix);
+  if (!stripped.ok) {
+    report.outcome = { type: 'prefixMismatch', status: 404 };
+    return report;
+  }
+  const url = report.url = stripped.rest;
+  const preflight = method === 'OPTIONS' && !!headers['access-control-request-method'];
+  const route = matchServiceRoute(service, { method, url, query, preflight }, report);
+
+  if (route && route.rule) {
+    const rule = route.rule;
+    const violations = validateRequest(rule, req, route.params);
+    // 响应序列按当前计数预测本次请求的步骤（不累加计数），命中步骤时不再匹配条件响应
+    const sequenceStep = resolveSequenceStep(rule, recordRuleHit(service.id, rule, req, true));
+    const sequenceResponse = sequenceStep ? findSequenceResponse(rule, sequenceStep.step) : null;
+    let winner = null;
+    const expectations = sortExpectations(rule.expectations).map(exp => {
+      const conditions = (exp.conditions || []).map(node => traceConditionNode(node, req, route.params));
+      let result = 'failed';
+      if (winner || sequenceStep) result = 'skipped';
+      else if (!conditions.length) result = 'empty';
+      else if (exp.logic === 'or' ? conditions.some(c => c.passed) : conditions.every(c => c.passed)) { result = 'matched'; winner = exp; }
+      return { id: exp.id, name: exp.name, priority: Number(exp.priority) || 0, logic: exp.logic === 'or' ? 'or' : 'and', result, conditions };
+    });
+    const preset = !winner && !sequenceStep && rule.activePresetId ? (rule.responsePresets || []).find(p => p.id === rule.activePresetId) : null;
+    const override = sequenceResponse || winner || preset;
+    const responseSource = sequenceResponse ? sequenceStep.step.source : winner ? 'expectation' : preset ? 'preset' : 'rule';
+    report.expectations = expectations;
+    report.violations = violations.map(v => ({ ...v, text: formatViolation(v) }));
+    report.outcome = violations.length
+      ? { type: 'validation', status: rule.validationStatus || 400, groupId: route.group.id, ruleId: rule.id, params: route.params }
+      : {
+          type: 'rule', groupId: route.group.id, ruleId: rule.id, params: route.params,
+          responseSource,
+          responseName: override ? override.name : (rule.name || rule.url),
+          responseMode: (override || rule).responseMode || 'basic',
+          status: override ? override.statusCode || 200 : 200,
+          sequence: sequenceStep ? { hit: sequenceStep.hit, step: sequenceStep.index + 1, total: rule.sequence.steps.length } : undefined,
+        };
+  } else if (route && route.resource) {
+    report.outcome = { type: 'resource', groupId: route.group.id, resourceId: route.resource.id, id: route.id };
+  } else if (preflight) {
+    report.outcome = { type: 'preflight', status: 204 };
+  } else {
+    const proxyTarget = service.proxyEnabled ? resolveProxyTarget(service, url) : '';
+    report.outcome = proxyTarget
+      ? { type: 'proxy', target: proxyTarget + applyProxyRewrites(url, service.proxyRewrites) }
+      : { type: 'notFound', status: 404 };
+  }
+  return report;
+}
+
+/**
+ * 逐项评估条件树，记录每个条件的实际值与结果（供匹配诊断展示）
+ * @param {Object} node - 条件或条件组
+ * @param {Object} req - 请求对象
+ * @param {Object} pathParams - 路径参数
+ * @returns {Object} 条件：{ source, key, operator, value, negate, actual, passed }；条件组：{ logic, negate, passed, items }
+ */
+function traceConditionNode(node, req, pathParams) {
+  if (isConditionGroup(node)) {
+    const items = node.items.map(item => traceConditionNode(item, req, pathParams));
+    const passed = node.logic === 'or' ? items.some(i => i.passed) : items.every(i => i.passed);
+    return { logic: node.logic === 'or' ? 'or' : 'and', negate: !!node.negate, passed: node.negate ? !passed : passed, items };
+  }
+  let actual;
+  try { actual = readConditionValue(node, req, pathParams); } catch (e) { actual = undefined; }
+  return {
+    source: node.source, key: node.key, operator: node.operator, value: node.value, negate: !!node.negate,
+    actual, passed: evaluateCondition(node, req, pathParams),
+  };
+}
+
+/**
+ * 计算规则完整路由（分组子前缀 + 规则路径）的形状，用于判断两条规则是否匹配相同的请求
+ * @param {string} subPrefix - 分组子前缀
+ * @param {string} ruleUrl - 规则 URL
+ * @returns {{strict: string, loose: string}} strict 保留正则约束；loose 忽略约束内容，用于发现优先级相同、可能重叠的规则
+ */
+function describeRouteShape(subPrefix, ruleUrl) {
+  const pattern = ruleUrl.startsWith('/') ? ruleUrl : '/' + ruleUrl;
+  const queryIndex = findRouteQueryIndex(pattern);
+  const pathname = normalizePrefix(subPrefix) + (queryIndex === -1 ? pattern : pattern.slice(0, queryIndex));
+  const query = compileRoutePattern(pattern).query.map(q => q.value === null ? q.key : `${q.key}=${q.value}`).sort().join('&');
+  const strict = [];
+  const loose = [];
+  for (const segment of splitRouteSegments(pathname)) {
+    const param = segment.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+    if (!param) {
+      strict.push(segment);
+      loose.push(segment);
+      continue;
+    }
+    const [, , constraint, optional] = param;
+    const kind = (optional ? ':?' : ':') + (constraint ? '()' : '');
+    strict.push(kind + (constraint || ''));
+    loose.push(kind);
+  }
+  return { strict: strict.join('/') + '?' + query, loose: loose.join('/') + '?' + query };
+}
+
+/**
+ * 静态检测服务内的路由冲突
+ * @description 按 compareRouteCandidates 的规则判断同一方法下路由相同的规则：
+ *              - duplicate：与更高优先级的规则路由完全相同，永远不会命中
+ *              - shadowed：写法不同（参数名不同或拆分在不同分组前缀下）但匹配相同请求，被更高优先级规则遮蔽
+ *              - ambiguous：优先级相同但正则约束不同，两者都能匹配的请求由分组 / 规则顺序决定
+ *              - invalid：路由模式无法编译（正则约束或 Query 约束的 % 编码非法），永远不会命中
+ * @param {Object} service - 服务数据
+ * @returns {Array<{type: string, rule: Object, by?: Object}>} 冲突列表
+ */
+function detectRouteConflicts(service) {
+  const describe = (group, rule) => ({ groupId: group.id, groupName: group.name, ruleId: rule.id, name: rule.name, method: rule.method, url: rule.url });
+  const conflicts = [];
+  const buckets = new Map();
+  (service.groups || []).forEach((group, groupIndex) => {
+    (group.children || []).forEach((rule, ruleIndex) => {
+      if (!rule.active || !rule.url) return;
+      if (!compileRoutePattern(rule.url.startsWith('/') ? rule.url : '/' + rule.url)) {
+        conflicts.push({ type: 'invalid', rule: describe(group, rule) });
+        return;
+      }
+      const shape = describeRouteShape(group.subPrefix, rule.url);
+      const key = `${rule.method} ${shape.loose}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push({ group, rule, shape, prefixLength: normalizePrefix(group.subPrefix).length, groupIndex, ruleIndex });
+    });
+  });
+  for (const entries of buckets.values()) {
+    if (entries.length < 2) continue;
+    // 路由形状与方法相同时，优先级只取决于子前缀长度、分组顺序和规则顺序
+    entries.sort((a, b) => b.prefixLength - a.prefixLength || a.groupIndex - b.groupIndex || a.ruleIndex - b.ruleIndex);
+    entries.forEach((entry, i) => {
+      if (i === 0) return;
+      const same = entries.slice(0, i).find(e => e.shape.strict === entry.shape.strict);
+      const by = same || entries[0];
+      const fullUrl = e => normalizePrefix(e.group.subPrefix) + (e.rule.url.startsWith('/') ? e.rule.url : '/' + e.rule.url);
+      const type = !same ? 'ambiguous' : fullUrl(same) === fullUrl(entry) ? 'duplicate' : 'shadowed';
+      conflicts.push({ type, rule: describe(entry.group, entry.rule), by: describe(by.group, by.rule) });
+    });
+  }
+  return conflicts;
+}
+
+/* ==================== 动态 Mock 服务管理器 ==================== */
+
+/** 运行中的 Service 实例映射表（key 为 serviceId，value 为 { listeners, port, prefix, variables, tlsSignature }） */
+const runningServiceServers = new Map();
+
+/**
+ * 启动指定 MockService 的 Mock 服务（新架构）
+ * @description 一个 Express 实例服务该 service 下所有分组的规则。
+ *              URL 匹配流程：剥离 servicePrefix → 遍历 groups 尝试剥离 subPrefix → 规则匹配
+ * @param {string|number} rawServiceId - 服务 ID
+ * @param {number} port - 监听端口号
+ * @param {string} servicePrefix - 服务级 URL 前缀
+ * @param {Object} [variables] - 激活环境的变量表，用于代理注入头中的 {{变量}}
+ * @returns {Promise<{success: boolean, ip: string, protocol: string}>} 启动结果
+ */
+function startServiceServer(rawServiceId, port, servicePrefix, variables = {}) {
+  return new Promise((resolve, reject) => {
+    const serviceId = String(rawServiceId);
+    const service = getMockServices().find(s => String(s.id) === serviceId);
+    const tls = service && service.tls && service.tls.enabled ? service.tls : null;
+    const tlsSignature = JSON.stringify(tls);
+
+    if (runningServiceServers.has(serviceId)) {
+      const existing = runningServiceServers.get(serviceId);
+      // 端口与 TLS 配置不变时只更新前缀和变量，否则重建监听
+      if (existing.port === port && existing.tlsSignature === tlsSignature) {
+        existing.prefix = servicePrefix;
+        existing.variables = variables;
+        return resolve({ success: true, ip: LOCAL_IP, protocol: tls ? 'https' : 'http', msg: 'Service updated' });
+      }
+      closeListeners(existing.listeners);
+      runningServiceServers.delete(serviceId);
+    }
+
+    const app = express();
+    app.use(createTrafficRecorder(serviceId));
+    // 预检请求继续交给规则匹配，便于用 OPTIONS 规则自定义预检响应；未命中时按 CORS 默认处理
+    app.use(cors({ preflightContinue: true }));
+    app.use(bodyParser.json({ verify: keepRawBody }));
+    app.use(bodyParser.urlencoded({ extended: true, verify: keepRawBody }));
+    app.use(bodyParser.text({ type: ['text/*', 'application/xml', 'application/javascript'], verify: keepRawBody }));
+    app.use(bodyParser.raw({ type: ['application/pdf', 'application/zip', 'application/octet-stream', 'video/*'], verify: keepRawBody }));
+
+    app.get('/', (req, res) => res.send(`Mock Service ${serviceId} running on port ${port}`));
+
+    app.use(async (req, res) => {
+      const method = req.method;
+      let url = req.path;
+
+      if (url === '/') return;
+
+      // 1. 剥离 servicePrefix
+      if (servicePrefix) {
+        const result = stripPrefix(url, servicePrefix);
+        if (!result.ok) return res.status(404).json({ error: `Service prefix mismatch: ${normalizePrefix(servicePrefix)}` });
+        url = result.rest;
+      }
+
+      // 重新读取最新服务数据
+      const services = getMockServices();
+      const targetService = services.find(s => String(s.id) === serviceId);
+      if (!targetService) return res.status(404).json({ error: 'Service not found' });
+      const trafficLog = res.locals.trafficLog;
+      trafficLog.serviceName = targetService.name;
+
+      // 2. 在所有分组中匹配规则（按路由优先级排序），规则未命中时匹配资源集合
+      const preflight = method === 'OPTIONS' && !!req.headers['access-control-request-method'];
+      const route = matchServiceRoute(targetService, { method, url, query: req.query, preflight });
+      const matchedRule = route && route.rule ? route.rule : null;
+      const matchedResource = route && route.resource ? route : null;
+      const matchedGroup = route ? route.group : null;
+      const pathParams = route ? route.params : {};
+
+      // 故障注入（接口级配置优先于服务级配置），作用于接口、资源集合、代理转发和 404
+      const fault = resolveFaultConfig(targetService, matchedRule);
+      if (fault && await injectFault(serviceId, req, res, fault, trafficLog)) return;
+
+      if (!matchedRule && matchedResource) {
+        const { resource, id } = matchedResource;
+        console.log(`[Service ${serviceId}] Resource: ${method} ${url}`);
+        Object.assign(trafficLog, {
+          groupId: matchedGroup.id, groupName: matchedGroup.name,
+          ruleId: resource.id, ruleName: `[资源] ${resource.name || resource.path}`,
+        });
+        return handleResourceRequest(req, res, serviceId, resource, id);
+      }
+
+      if (matchedRule) {
+        console.log(`[Service ${serviceId}] Hit: ${method} ${url}`, Object.keys(pathParams).length ? `params: ${JSON.stringify(pathParams)}` : '');
+
+        req.params = { ...(req.params || {}), ...pathParams };
+        Object.assign(trafficLog, {
+          groupId: matchedGroup.id, groupName: matchedGroup.name,
+          ruleId: matchedRule.id, ruleName: matchedRule.name || matchedRule.url,
+        });
+
+        // 入参校验（必传 / 参数类型 / 请求体 JSON Schema）
+        const violations = validateRequest(matchedRule, req, pathParams);
+        if (violations.length > 0) {
+          const details = violations.map(formatViolation);
+          trafficLog.error = `Validation failed: ${details.join('; ')}`;
+          return res.status(matchedRule.validationStatus || 400).json({ error: 'Validation failed', details, violations });
+        }
+
+        // 延迟
+        const delayMin = matchedRule.delay || 0;
+        const delayMax = matchedRule.delayMax || 0;
+        let actualDelay = delayMin;
+        if (delayMax > delayMin) {
+          actualDelay = Math.floor(Math.random() * (delayMax - delayMin) + delayMin);
+        }
+        if (actualDelay > 0) await new Promise(r => setTimeout(r, actualDelay));
+
+        // 设置自定义响应头
+        matchedRule.responseHeaders?.forEach(h => {
+          if (h.key && h.value) res.setHeader(h.key, h.value);
+        });
+
+        // 响应序列 / 条件响应 / 预设覆盖
+        let activeMode = matchedRule.responseMode || 'basic';
+        let activeResponseType = matchedRule.responseType || 'application/json';
+        let activeResponseBasic = matchedRule.responseBasic;
+        let activeResponseAdvanced = matchedRule.responseAdvanced;
+        let activeStatusCode = 200;
+        let mockjsEnabled = matchedRule.mockjsEnabled || false;
+        let scriptSource = 'rule';  // 执行的脚本来源：rule / expectation / preset
+        const useResponse = (response, source) => {
+          activeMode = response.responseMode || 'basic';
+          activeResponseType = response.responseType || 'application/json';
+          activeResponseBasic = response.responseBasic;
+          activeResponseAdvanced = response.responseAdvanced;
+          activeStatusCode = response.statusCode || 200;
+          scriptSource = source;
+          trafficLog[source === 'preset' ? 'presetName' : 'expectationName'] = response.name;
+        };
+
+        // 命中计数；启用响应序列时按调用次数选择步骤，序列结束（fallback）后按正常流程匹配
+        const sequenceStep = resolveSequenceStep(matchedRule, recordRuleHit(serviceId, matchedRule, req));
+        if (sequenceStep) {
+          trafficLog.sequenceStep = sequenceStep.index + 1;
+          const response = findSequenceResponse(matchedRule, sequenceStep.step);
+          if (response) useResponse(response, sequenceStep.step.source);
+        } else {
+          // 条件中用到表单字段时先读取 multipart 请求体
+          if (usesConditionSource(matchedRule.expectations, 'form')) await bufferMultipartFields(req);
+          const matchedExpectation = findMatchingExpectation(matchedRule.expectations, req, pathParams);
+          const preset = !matchedExpectation && matchedRule.activePresetId && matchedRule.responsePresets
+            ? matchedRule.responsePresets.find(p => p.id === matchedRule.activePresetId)
+            : null;
+          if (matchedExpectation) useResponse(matchedExpectation, 'expectation');
+          else if (preset) useResponse(preset, 'preset');
+        }
+
+        // 生成响应
+        try {
+          if (activeMode === 'passthrough') {
+            await handlePassthroughRequest(req, res, { serviceId, service: targetService, rule: matchedRule, pathParams, url, trafficLog });
+          } else if (activeMode === 'stream') {
+            await handleStreamResponse(req, res, { serviceId, rule: matchedRule, pathParams, statusCode: activeStatusCode, trafficLog });
+          } else if (activeMode === 'advanced' && activeResponseAdvanced) {
+            const state = getScriptState(serviceId);
+            let stateBefore = null;
+            try { stateBefore = JSON.stringify(state); } catch (e) { /* 循环引用等无法序列化的状态仅保存在内存中 */ }
+            const { helper, out } = createScriptResponse(activeStatusCode);
+            const scriptConsole = createScriptConsole();
+            trafficLog.scriptLogs = scriptConsole.entries;
+            const sandbox = {
+              req: { query: req.query, body: req.body, headers: req.headers, method: req.method, path: req.path, params: pathParams, cookies: parseCookies(req.headers.cookie) },
+              res: helper, state, Buffer, Mock, console: scriptConsole.console
+            };
+            const budgetKey = `${serviceId}:${matchedRule.id}`;
+            let responseData;
+            let nextState;
+            let stateJson = null;
+            try {
+              responseData = await runSandboxedMain(activeResponseAdvanced, sandbox, [sandbox.req, Mock]);
+              assertScriptResultSize(out.sent ? out.body : responseData);
+              // 脚本可能直接给 state 重新赋值
+              nextState = sandbox.state && typeof sandbox.state === 'object' ? sandbox.state : {};
+              try { stateJson = JSON.stringify(nextState); } catch (e) { /* 同上 */ }
+              if (stateJson && stateJson.length > SCRIPT_MAX_STATE_SIZE) {
+                throw createScriptError('ERR_SCRIPT_LIMIT', `Script state too large: ${stateJson.length} bytes (limit ${SCRIPT_MAX_STATE_SIZE})`);
+              }
+            } catch (e) {
+              const info = describeScriptError(e);
+              // 出错时丢弃本次对 state 的修改
+              if (stateBefore !== null) scriptStates.set(serviceId, JSON.parse(stateBefore));
+              console.error(`[Service ${serviceId}] Script error:`, formatScriptError(info));
+              trafficLog.error = formatScriptError(info);
+              const body = { error: 'Mock execution failed', ...info, source: scriptSource };
+              if (trackScriptResult(budgetKey, true)) {
+                body.autoDisabledReason = `脚本连续 ${SCRIPT_ERROR_BUDGET} 次执行失败，最近一次：${formatScriptError(info)}`;
+                autoDisableServiceRule(serviceId, matchedRule.id, body.autoDisabledReason);
+              }
+              return res.status(500).json(body);
+            }
+            trackScriptResult(budgetKey, false);
+            if (nextState !== state || (stateJson !== null && stateJson !== stateBefore)) saveScriptState(serviceId, nextState);
+            await sendScriptResponse(res, out, responseData);
+          } else {
+            const contentType = activeResponseType || 'application/json';
+            res.setHeader('Content-Type', contentType);
+            const binaryTypes = ['application/pdf', 'application/zip', 'application/octet-stream', 'video/mp4', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+            // 录制的二进制响应（图片等）同样通过 responseFile 返回
+            const isFileResponse = binaryTypes.some(t => contentType.includes(t))
+              || (matchedRule.responseFile && recordingContentKind(contentType) === 'binary');
+            if (isFileResponse) {
+              const filePath = matchedRule.responseFile;
+              if (!filePath) return res.status(400).json({ error: 'No file configured for this binary response type' });
+              if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Response file not found', path: filePath });
+              const fileBuffer = fs.readFileSync(filePath);
+              const fileName = path.basename(filePath);
+              res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(fileName)}"`);
+              res.status(activeStatusCode).send(fileBuffer);
+            } else {
+              let bodyStr = activeResponseBasic || '{}';
+              if (mockjsEnabled && contentType.includes('json')) {
+                try {
+                  const parsed = JSON.parse(bodyStr);
+                  bodyStr = JSON.stringify(Mock.mock(parsed));
+                } catch (e) {
+                  console.warn('[Mock.js] Failed to process basic response:', e.message);
+                }
+              }
+              res.status(activeStatusCode).send(bodyStr);
+            }
+          }
+        } catch (e) {
+          console.error('Mock execution error:', e);
+          trafficLog.error = e.message;
+          res.status(500).json({ error: 'Mock execution failed', message: e.message });
+        }
+
+      } else if (preflight) {
+        res.status(204).setHeader('Content-Length', '0');
+        res.end();
+      } else {
+        // 代理：分组代理目标优先于服务代理目标，录制会话进行中时同时录制响应
+        const proxyTarget = targetService.proxyEnabled ? resolveProxyTarget(targetService, url) : '';
+        if (proxyTarget) {
+          const proxyUrl = proxyTarget + applyProxyRewrites(url, targetService.proxyRewrites);
+          console.log(`[Service ${serviceId}] Proxy: ${method} ${proxyUrl}`);
+          trafficLog.mode = 'proxy';
+          try {
+            const upstream = await requestUpstream(proxyUrl, req, getUpstreamOptions(targetService));
+            const variables = (runningServiceServers.get(serviceId) || {}).variables;
+            const headers = {};
+            for (const [k, v] of Object.entries(upstream.headers)) {
+              if (!PROXY_SKIPPED_RESPONSE_HEADERS.test(k)) headers[k] = v;
+            }
+            for (const h of (targetService.proxyResponseHeaders || [])) {
+              if (!h.key) continue;
+              const name = h.key.toLowerCase();
+              if (h.value) headers[name] = resolveTemplateVariables(h.value, variables);
+              else delete headers[name];
+            }
+            res.writeHead(upstream.statusCode, headers);
+            res.end(upstream.body);
+            captureProxyRecording(serviceId, targetService, req, url, upstream, upstream.body);
+          } catch (e) {
+            console.error('[Proxy] Error:', e.message);
+            trafficLog.error = e.message;
+            if (e.code === 'ERR_UPSTREAM_TIMEOUT') return res.status(504).json({ error: 'Proxy request timed out', message: e.message });
+            res.status(502).json({ error: 'Proxy request failed', message: e.message });
+          }
+        } else {
+          res.status(404).json({ error: `No rule matched ${method} ${url}` });
+        }
+      }
+    });
+
+    const listeners = createListeners(app, port, tls);
+    startListeners(listeners).then(() => {
+      for (const l of listeners) console.log(`Service ${serviceId} started: ${l.protocol}://${LOCAL_IP}:${l.port}`);
+      runningServiceServers.set(serviceId, { listeners, port, prefix: servicePrefix, variables, tlsSignature });
+      resolve({ success: true, ip: LOCAL_IP, protocol: tls ? 'https' : 'http' });
+    }, reject);
+  });
+}
+
+/**
+ * 停止指定 MockService 的 Mock 服务（新架构）
+ * @param {string|number} rawServiceId - 服务 ID
+ * @returns {boolean} 是否成功停止
+ */
+function stopServiceServer(rawServiceId) {
+  const serviceId = String(rawServiceId);
+  if (runningServiceServers.has(serviceId)) {
+    closeListeners(runningServiceServers.get(serviceId).listeners);
+    runningServiceServers.delete(serviceId);
+    resetResourceStores(serviceId);
+    resetRuleHitCounters(serviceId);
+    releaseHangingResponses(serviceId);
+    closeOpenStreams(serviceId);
+    // 服务停止后录制随之结束，已捕获的条目保留待审阅
+    const session = recordingSessions.get(serviceId);
+    if (session && session.status === 'recording') Object.assign(session, { status: 'stopped', stoppedAt: Date.now() });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * 检测指定端口是否可用
+ * @description 尝试在该端口创建 TCP 服务器，成功则端口可用，失败则端口被占用
+ * @param {number} port - 要检测的端口号
+ * @returns {Promise<boolean>} true 表示端口可用，false 表示已被占用
+ */
+function checkPort(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => { server.close(); resolve(true); });
+    server.listen(port, '0.0.0.0');
+  });
+}
+
+/* ==================== 项目数据管理 ==================== */
+
+/** uTools 数据库中存储项目数据的键名 */
+const DB_PROJECT_KEY = 'mock_projects_v1';
+
+/**
+ * 从 uTools 数据库读取所有项目
+ * @returns {Array} 项目数组
+ */
+function getProjects() {
+  const doc = utools.db.get(DB_PROJECT_KEY);
+  return doc ? doc.data : [];
+}
+
+/**
+ * 将项目数据保存到 uTools 数据库
+ * @param {Array} projects - 项目数组
+ */
+function saveProjects(projects) {
+  const doc = utools.db.get(DB_PROJECT_KEY);
+  if (doc) {
+    utools.db.put({ _id: DB_PROJECT_KEY, data: projects, _rev: doc._rev });
+  } else {
+    utools.db.put({ _id: DB_PROJECT_KEY, data: projects });
+  }
+}
+
+/* ==================== 模板数据管理 ==================== */
+
+/** uTools 数据库中存储模板数据的键名 */
+const DB_TEMPLATE_KEY = 'mock_templates_v1';
+
+/**
+ * 从 uTools 数据库读取所有模板
+ * @returns {Array} 模板数组
+ */
+function getTemplates() {
+  const doc = utools.db.get(DB_TEMPLATE_KEY);
+  return doc ? doc.data : [];
+}
+
+/**
+ * 将模板数据保存到 uTools 数据库
+ * @param {Array} templates - 模板数组
+ */
+function saveTemplates(templates) {
+  const doc = utools.db.get(DB_TEMPLATE_KEY);
+  if (doc) {
+    utools.db.put({ _id: DB_TEMPLATE_KEY, data: templates, _rev: doc._rev });
+  } else {
+    utools.db.put({ _id: DB_TEMPLATE_KEY, data: templates });
+  }
+}
+
+/* ==================== 环境变量数据管理 ==================== */
+
+/** uTools 数据库中存储环境变量的键名 */
+const DB_ENV_KEY = 'mock_environments_v1';
+
+/**
+ * 从 uTools 数据库读取所有环境
+ * @returns {Array} 环境数组
+ */
+function getEnvironments() {
+  const doc = utools.db.get(DB_ENV_KEY);
+  return doc ? doc.data : [];
+}
+
+/**
+ * 将环境数据保存到 uTools 数据库
+ * @param {Array} environments - 环境数组
+ */
+function saveEnvironments(environments) {
+  const doc = utools.db.get(DB_ENV_KEY);
+  if (doc) {
+    utools.db.put({ _id: DB_ENV_KEY, data: environments, _rev: doc._rev });
+  } else {
+    utools.db.put({ _id: DB_ENV_KEY, data: environments });
+  }
+}
+
+/* ==================== 测试用例 CRUD ==================== */
+
+function getTestCases() {
+  const doc = utools.db.get(TESTCASES_DB_KEY);
+  return doc ? doc.data : [];
+}
+
+function saveTestCases(testcases) {
+  const doc = utools.db.get(TESTCASES_DB_KEY);
+  if (doc) {
+    utools.db.put({ _id: TESTCASES_DB_KEY, data: testcases, _rev: doc._rev });
+  } else {
+    utools.db.put({ _id: TESTCASES_DB_KEY, data: testcases });
+  }
+}
+
+/* ==================== 测试套件 CRUD ==================== */
+
+function getTestSuites() {
+  const doc = utools.db.get(TESTSUITES_DB_KEY);
+  return doc ? doc.data : [];
+}
+
+function saveTestSuites(suites) {
+  const doc = utools.db.get(TESTSUITES_DB_KEY);
+  if (doc) {
+    utools.db.put({ _id: TESTSUITES_DB_KEY, data: suites, _rev: doc._rev });
+  } else {
+    utools.db.put({ _id: TESTSUITES_DB_KEY, data: suites });
+  }
+}
+
+/* ==================== Admin 管理服务器 ==================== */
+
+/** Admin Express 应用实例 */
+const adminApp = express();
+adminApp.use(cors());
+adminApp.use(bodyParser.json());
+
+/** GET /_admin/rules - 获取所有分组规则 */
+adminApp.get('/_admin/rules', (req, res) => res.json(getGroups()));
+/** POST /_admin/rules - 保存分组规则（全量覆盖） */
+adminApp.post('/_admin/rules', (req, res) => { saveGroups(req.body); res.json({ success: true }); });
+/** POST /_admin/service/check - 检测端口是否可用 */
+adminApp.post('/_admin/service/check', async (req, res) => { res.json({ available: await checkPort(parseInt(req.body.port)) }); });
+/** GET /_admin/templates - 获取所有模板 */
+adminApp.get('/_admin/templates', (req, res) => {
+  res.json(getTemplates());
+});
+/** POST /_admin/template/save - 保存或更新单个模板（有 ID 则更新，无 ID 则新增） */
+adminApp.post('/_admin/template/save', (req, res) => {
+  const newTemplate = req.body;
+  if (!newTemplate.name || !newTemplate.content) {
+    return res.status(400).json({ error: 'Name and content are required' });
+  }
+
+  const templates = getTemplates();
+  // 如果有 ID 则更新已有模板，否则新增
+  const idx = templates.findIndex(t => t.id === newTemplate.id);
+  if (idx !== -1) {
+    // 编辑模式：保留原 ID 和创建时间，更新其他字段
+    templates[idx] = {
+      ...templates[idx],
+      ...newTemplate,
+      id: templates[idx].id // 确保 ID 不变
+      };
+  } else {
+    // 新增模式：自动生成 ID 和创建时间
+    templates.push({
+      ...newTemplate,
+      id: Date.now(),
+      createdAt: Date.now()
+    });
+  }
+  saveTemplates(templates);
+  res.json({ success: true, data: templates });
+});
+/** POST /_admin/template/delete - 删除指定模板 */
+adminApp.post('/_admin/template/delete', (req, res) => {
+  const { id } = req.body;
+  const templates = getTemplates().filter(t => t.id !== id);
+  saveTemplates(templates);
+  res.json({ success: true, data: templates });
+});
+
+/* -------------------- 项目管理 API -------------------- */
+
+/** GET /_admin/environments - 获取所有环境 */
+adminApp.get('/_admin/environments', (req, res) => {
+  res.json(getEnvironments());
+});
+
+/** POST /_admin/environment/save - 创建/更新环境 */
+adminApp.post('/_admin/environment/save', (req, res) => {
+  const env = req.body;
+  if (!env.name) {
+    return res.status(400).json({ error: 'Environment name is required' });
+  }
+  const environments = getEnvironments();
+  const idx = environments.findIndex(e => e.id === env.id);
+  if (idx !== -1) {
+    environments[idx] = { ...environments[idx], ...env, id: environments[idx].id, updatedAt: Date.now() };
+  } else {
+    const now = Date.now();
+    environments.push({ ...env, id: now, createdAt: now, updatedAt: now });
+  }
+  saveEnvironments(environments);
+  res.json({ success: true, data: environments });
+});
+
+/** POST /_admin/environment/delete - 删除环境 */
+adminApp.post('/_admin/environment/delete', (req, res) => {
+  const { id } = req.body;
+  const environments = getEnvironments().filter(e => e.id !== id);
+  saveEnvironments(environments);
+  res.json({ success: true, data: environments });
+});
+
+/* --- 测试用例 API --- */
+
+/** GET /_admin/testcases - 获取所有测试用例 */
+adminApp.get('/_admin/testcases', (req, res) => {
+  res.json(getTestCases());
+});
+
+/** POST /_admin/testcases - 保存所有测试用例 */
+adminApp.post('/_admin/testcases', (req, res) => {
+  saveTestCases(req.body);
+  res.json({ success: true });
+});
+
+/** POST /_admin/testcase/save - 创建/更新测试用例 */
+adminApp.post('/_admin/testcase/save', (req, res) => {
+  const tc = req.body;
+  const testcases = getTestCases();
+  const idx = testcases.findIndex(t => t.id === tc.id);
+  if (idx !== -1) {
+    testcases[idx] = { ...testcases[idx], ...tc, updatedAt: Date.now() };
+  } else {
+    const now = Date.now();
+    testcases.push({ ...tc, id: now, createdAt: now, updatedAt: now });
+  }
+  saveTestCases(testcases);
+  res.json({ success: true, data: testcases });
+});
+
+/** POST /_admin/testcase/delete - 删除测试用例 */
+adminApp.post('/_admin/testcase/delete', (req, res) => {
+  const { id } = req.body;
+  const testcases = getTestCases().filter(t => t.id !== id);
+  saveTestCases(testcases);
+  res.json({ success: true, data: testcases });
+});
+
+/* --- 测试套件 API --- */
+
+/** GET /_admin/testsuites - 获取所有测试套件 */
+adminApp.get('/_admin/testsuites', (req, res) => {
+  res.json(getTestSuites());
+});
+
+/** POST /_admin/testsuites - 保存所有测试套件 */
+adminApp.post('/_admin/testsuites', (req, res) => {
+  saveTestSuites(req.body);
+  res.json({ success: true });
+});
+
+/** POST /_admin/testsuite/save - 创建/更新测试套件 */
+adminApp.post('/_admin/testsuite/save', (req, res) => {
+  const suite = req.body;
+  const suites = getTestSuites();
+  const idx = suites.findIndex(s => s.id === suite.id);
+  if (idx !== -1) {
+    suites[idx] = { ...suites[idx], ...suite, updatedAt: Date.now() };
+  } else {
+    const now = Date.now();
+    suites.push({ ...suite, id: now, createdAt: now, updatedAt: now });
+  }
+  saveTestSuites(suites);
+  res.json({ success: true, data: suites });
+});
+
+/** POST /_admin/testsuite/delete - 删除测试套件 */
+adminApp.post('/_admin/testsuite/delete', (req, res) => {
+  const { id } = req.body;
+  const suites = getTestSuites().filter(s => s.id !== id);
+  saveTestSuites(suites);
+  res.json({ success: true, data: suites });
+});
+
+/** GET /_admin/projects - 获取所有项目 */
+adminApp.get('/_admin/projects', (req, res) => {
+  res.json(getProjects());
+});
+
+/** POST /_admin/project/save - 保存或更新单个项目 */
+adminApp.post('/_admin/project/save', (req, res) => {
+  const project = req.body;
+  if (!project.name) {
+    return res.status(400).json({ error: 'Project name is required' });
+  }
+
+  const projects = getProjects();
+  const idx = projects.findIndex(p => p.id === project.id);
+  if (idx !== -1) {
+    projects[idx] = { ...projects[idx], ...project, id: projects[idx].id, updatedAt: Date.now() };
+  } else {
+    const now = Date.now();
+    projects.push({ ...project, id: now, createdAt: now, updatedAt: now });
+  }
+  saveProjects(projects);
+  res.json({ success: true, data: projects });
+});
+
+/** POST /_admin/project/delete - 删除指定项目，同时清除关联分组的 projectId */
+adminApp.post('/_admin/project/delete', (req, res) => {
+  const { id } = req.body;
+  const projects = getProjects().filter(p => p.id !== id);
+  saveProjects(projects);
+
+  // 清除关联分组的 projectId
+  const groups = getGroups();
+  let changed = false;
+  groups.forEach(g => {
+    if (g.projectId === id) { g.projectId = undefined; changed = true; }
+  });
+  if (changed) saveGroups(groups);
+
+  res.json({ success: true, data: projects });
+});
+
+/* ==================== MockService Admin API（新架构） ==================== */
+
+/** GET /_admin/services - 获取所有 MockService */
+adminApp.get('/_admin/services', (req, res) => {
+  res.json(getMockServices());
+});
+
+/** POST /_admin/services - 全量保存 MockService */
+adminApp.post('/_admin/services', (req, res) => {
+  saveMockServices(req.body);
+  res.json({ success: true });
+});
+
+/** POST /_admin/service/save - 保存单个 MockService（有 ID 则更新，无 ID 则新增） */
+adminApp.post('/_admin/service/save', (req, res) => {
+  const service = req.body;
+  if (!service.name) {
+    return res.status(400).json({ error: 'Service name is required' });
+  }
+  const services = getMockServices();
+  const idx = services.findIndex(s => s.id === service.id);
+  if (idx !== -1) {
+    services[idx] = { ...services[idx], ...service, id: services[idx].id, updatedAt: Date.now() };
+  } else {
+    const now = Date.now();
+    services.push({ ...service, id: now, groups: service.groups || [], createdAt: now, updatedAt: now });
+  }
+  saveMockServices(services);
+  res.json({ success: true, data: services });
+});
+
+/** POST /_admin/service/delete - 删除 MockService */
+adminApp.post('/_admin/service/delete', (req, res) => {
+  const { id } = req.body;
+  stopServiceServer(id); // 自动停止运行中的服务
+  saveScriptState(id, {});
+  recordingSessions.delete(String(id));
+  const services = getMockServices().filter(s => s.id !== id);
+  saveMockServices(services);
+  res.json({ success: true, data: services });
+});
+
+/** POST /_admin/service/start - 启动 MockService 的服务 */
+adminApp.post('/_admin/service/start', async (req, res) => {
+  try {
+    const { serviceId, port, prefix, variables } = req.body;
+    if (serviceId) {
+      res.json(await startServiceServer(serviceId, parseInt(port), prefix || '', variables || {}));
+    } else {
+      res.status(400).json({ error: 'serviceId is required' });
+    }
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** POST /_admin/service/stop - 停止 MockService 的服务 */
+adminApp.post('/_admin/service/stop', (req, res) => {
+  const { serviceId } = req.body;
+  if (serviceId) {
+    stopServiceServer(serviceId);
+  }
+  res.json({ success: true });
+});
+
+/** GET /_admin/logs - 获取服务流量日志（支持 serviceId / status / ruleId / method / from / to / since / after / limit 筛选） */
+adminApp.get('/_admin/logs', (req, res) => {
+  res.json(queryRequestLogs(req.query));
+});
+
+/** GET /_admin/logs/:id - 获取单条流量日志（ID 来自响应头 X-Mock-Log-Id） */
+adminApp.get('/_admin/logs/:id', (req, res) => {
+  const log = requestLogs.find(l => String(l.id) === req.params.id);
+  if (!log) return res.status(404).json({ error: 'Log not found' });
+  res.json(log);
+});
+
+/** POST /_admin/logs/clear - 清空流量日志（可选 serviceId 仅清空指定服务） */
+adminApp.post('/_admin/logs/clear', (req, res) => {
+  const { serviceId } = req.body || {};
+  if (serviceId) {
+    const kept = requestLogs.filter(l => String(l.serviceId) !== String(serviceId));
+    requestLogs.splice(0, requestLogs.length, ...kept);
+  } else {
+    requestLogs.length = 0;
+  }
+  res.json({ success: true });
+});
+
+/** GET /_admin/service/:id/resources - 获取服务下资源集合的数据概况（未访问过的资源 count 为 null） */
+adminApp.get('/_admin/service/:id/resources', (req, res) => {
+  const sid = String(req.params.id);
+  const service = getMockServices().find(s => String(s.id) === sid);
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  const list = [];
+  for (const group of (service.groups || [])) {
+    for (const resource of (group.resources || [])) {
+      const store = resourceStores.get(`${sid}:${resource.id}`);
+      list.push({ groupId: group.id, resourceId: resource.id, name: resource.name, path: resource.path, count: store ? store.records.length : null });
+    }
+  }
+  res.json(list);
+});
+
+/** GET /_admin/service/:id/resource/:resourceId/data - 查看资源集合当前的全部记录 */
+adminApp.get('/_admin/service/:id/resource/:resourceId/data', (req, res) => {
+  const sid = String(req.params.id);
+  const service = getMockServices().find(s => String(s.id) === sid);
+  const resource = service && (service.groups || []).flatMap(g => g.resources || []).find(r => String(r.id) === req.params.resourceId);
+  if (!resource) return res.status(404).json({ error: 'Resource not found' });
+  try {
+    res.json(getResourceStore(sid, resource).records);
+  } catch (e) {
+    res.status(500).json({ error: 'Resource seed failed', message: e.message });
+  }
+});
+
+/** POST /_admin/service/:id/resource/reset - 重置资源集合数据（body.resourceId 省略时重置该服务全部资源） */
+adminApp.post('/_admin/service/:id/resource/reset', (req, res) => {
+  resetResourceStores(req.params.id, (req.body || {}).resourceId);
+  res.json({ success: true });
+});
+
+/** GET /_admin/service/:id/counters - 查看各接口的命中计数与响应序列进度 */
+adminApp.get('/_admin/service/:id/counters', (req, res) => {
+  res.json(listRuleHitCounters(req.params.id));
+});
+
+/** POST /_admin/service/:id/counters/reset - 清除命中计数，响应序列回到第一步（body.ruleId 省略时清除该服务全部接口） */
+adminApp.post('/_admin/service/:id/counters/reset', (req, res) => {
+  resetRuleHitCounters(req.params.id, (req.body || {}).ruleId);
+  res.json({ success: true });
+});
+
+/** GET /_admin/service/:id/faults - 查看服务级与各接口的故障注入配置（只列出配置过故障的接口） */
+adminApp.get('/_admin/service/:id/faults', (req, res) => {
+  const service = getMockServices().find(s => String(s.id) === String(req.params.id));
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  const rules = [];
+  for (const group of (service.groups || [])) {
+    for (const rule of (group.children || [])) {
+      if (rule.fault) rules.push({ groupId: group.id, ruleId: rule.id, name: rule.name, method: rule.method, url: rule.url, fault: rule.fault });
+    }
+  }
+  res.json({ service: service.fault || null, rules });
+});
+
+/**
+ * POST /_admin/service/:id/fault - 修改故障注入配置，运行中的服务立即生效
+ * body: { ruleId?, fault }，ruleId 省略时修改服务级配置；fault 与现有配置合并（如 { enabled: false } 只关闭），为 null 时删除配置
+ */
+adminApp.post('/_admin/service/:id/fault', (req, res) => {
+  const { ruleId, fault } = req.body || {};
+  if (fault !== null && (typeof fault !== 'object' || Array.isArray(fault))) {
+    return res.status(400).json({ error: 'fault must be an object or null' });
+  }
+  const services = getMockServices();
+  const service = services.find(s => String(s.id) === String(req.params.id));
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  let target = service;
+  if (ruleId !== undefined && ruleId !== null) {
+    target = (service.groups || []).flatMap(g => g.children || []).find(r => String(r.id) === String(ruleId));
+    if (!target) return res.status(404).json({ error: 'Rule not found' });
+  }
+  if (fault === null) delete target.fault;
+  else target.fault = { enabled: false, ...(target.fault || {}), ...fault };
+  saveMockServices(services);
+  res.json({ success: true, fault: target.fault || null });
+});
+
+/** GET /_admin/service/:id/state - 查看高级脚本的共享状态 */
+adminApp.get('/_admin/service/:id/state', (req, res) => {
+  res.json(getScriptState(req.params.id));
+});
+
+/** POST /_admin/service/:id/state/reset - 清空高级脚本的共享状态 */
+adminApp.post('/_admin/service/:id/state/reset', (req, res) => {
+  saveScriptState(req.params.id, {});
+  res.json({ success: true });
+});
+
+/**
+ * 在录制会话路由中查找服务
+ * @returns {Object|null} 服务数据，不存在时已返回 404
+ */
+function findRecordingService(req, res) {
+  const service = getMockServices().find(s => String(s.id) === String(req.params.id));
+  if (!service) res.status(404).json({ error: 'Service not found' });
+  return service || null;
+}
+
+/** GET /_admin/service/:id/recording - 查看录制会话及已捕获的接口（无会话时返回 null） */
+adminApp.get('/_admin/service/:id/recording', (req, res) => {
+  const service = findRecordingService(req, res);
+  if (!service) return;
+  res.json(describeRecordingSession(recordingSessions.get(String(service.id)), service));
+});
+
+/**
+ * POST /_admin/service/:id/recording/start - 开始录制（替换该服务之前的会话）
+ * body: { groupId, methods?, pathPattern?, contentTypes?, generalize?, limit? }
+ */
+adminApp.post('/_admin/service/:id/recording/start', (req, res) => {
+  const service = findRecordingService(req, res);
+  if (!service) return;
+  const { groupId, methods, pathPattern, contentTypes, generalize, limit } = req.body || {};
+  if (!(service.groups || []).some(g => g.id === groupId)) return res.status(400).json({ error: 'Target group not found' });
+  let pathRegex = null;
+  if (pathPattern) {
+    try {
+      pathRegex = new RegExp(pathPattern);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid path pattern', message: e.message });
+    }
+  }
+  const session = {
+    groupId,
+    status: 'recording',
+    startedAt: Date.now(),
+    methods: Array.isArray(methods) ? methods.map(m => String(m).toUpperCase()) : [],
+    pathPattern: pathPattern || '',
+    pathRegex,
+    contentTypes: Array.isArray(contentTypes) && contentTypes.length ? contentTypes : ['json', 'text'],
+    generalize: generalize !== false,
+    limit: Number(limit) > 0 ? Number(limit) : RECORDING_DEFAULT_LIMIT,
+    skipped: 0,
+    entries: [],
+  };
+  recordingSessions.set(String(service.id), session);
+  res.json(describeRecordingSession(session, service));
+});
+
+/** POST /_admin/service/:id/recording/stop - 停止录制，已捕获的条目保留待审阅 */
+adminApp.post('/_admin/service/:id/recording/stop', (req, res) => {
+  const service = findRecordingService(req, res);
+  if (!service) return;
+  const session = recordingSessions.get(String(service.id));
+  if (!session) return res.status(404).json({ error: 'No recording session' });
+  if (session.status === 'recording') Object.assign(session, { status: 'stopped', stoppedAt: Date.now() });
+  res.json(describeRecordingSession(session, service));
+});
+
+/** POST /_admin/service/:id/recording/accept - 将选中的录制条目写入目标分组（body.keys 省略时接受全部） */
+adminApp.post('/_admin/service/:id/recording/accept', (req, res) => {
+  const services = getMockServices();
+  const service = services.find(s => String(s.id) === String(req.params.id));
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  const sid = String(service.id);
+  const session = recordingSessions.get(sid);
+  if (!session) return res.status(404).json({ error: 'No recording session' });
+  const keys = (req.body || {}).keys;
+  const accepted = session.entries.filter(e => !Array.isArray(keys) || keys.includes(e.key));
+  try {
+    const result = applyRecordedEntries(services, sid, accepted);
+    saveMockServices(services);
+    session.entries = session.entries.filter(e => !accepted.includes(e));
+    res.json({ success: true, ...result, session: describeRecordingSession(session, service) });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/** POST /_admin/service/:id/recording/discard - 丢弃选中的录制条目（body.keys 省略时丢弃全部） */
+adminApp.post('/_admin/service/:id/recording/discard', (req, res) => {
+  const service = findRecordingService(req, res);
+  if (!service) return;
+  const session = recordingSessions.get(String(service.id));
+  if (!session) return res.status(404).json({ error: 'No recording session' });
+  const keys = (req.body || {}).keys;
+  session.entries = Array.isArray(keys) ? session.entries.filter(e => !keys.includes(e.key)) : [];
+  res.json(describeRecordingSession(session, service));
+});
+
+/**
+ * POST /_admin/service/:id/explain - 解释一次请求的匹配过程（不会真正执行规则）
+ * body: { method, url（含服务前缀，可带 Query）, headers?, body? }
+ */
+adminApp.post('/_admin/service/:id/explain', (req, res) => {
+  const sid = String(req.params.id);
+  const service = getMockServices().find(s => String(s.id) === sid);
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  const { method, url, headers, body } = req.body || {};
+  if (!url) return res.status(400).json({ error: 'url is required' });
+  // 运行中的服务以启动时的前缀为准
+  const running = runningServiceServers.get(sid);
+  try {
+    res.json(explainServiceRequest(service, { method, url, headers, body }, running ? running.prefix : service.prefix));
+  } catch (e) {
+    res.status(400).json({ error: 'Invalid request', message: e.message });
+  }
+});
+
+/** GET /_admin/service/:id/conflicts - 静态检测服务内重复、被遮蔽或优先级不明确的规则 */
+adminApp.get('/_admin/service/:id/conflicts', (req, res) => {
+  const service = getMockServices().find(s => String(s.id) === String(req.params.id));
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  res.json(detectRouteConflicts(service));
+});
+
+/** GET /_admin/service/status - 获取所有运行中服务的状态 */
+adminApp.get('/_admin/service/status', (req, res) => {
+  const status = {};
+  for (const [sid, info] of runningServiceServers) {
+    const secure = info.listeners.some(l => l.protocol === 'https');
+    const plain = info.listeners.find(l => l.protocol === 'http');
+    status[sid] = { running: true, port: info.port, prefix: info.prefix, type: 'service', protocol: secure ? 'https' : 'http', httpPort: secure && plain ? plain.port : undefined };
+  }
+  res.json(status);
+});
+
+/* -------------------- HTTPS 本地 CA Admin API -------------------- */
+
+/** GET /_admin/tls/ca - 获取本地 CA 信息（不存在时生成） */
+adminApp.get('/_admin/tls/ca', (req, res) => {
+  try {
+    res.json(describeLocalCa());
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load local CA', message: e.message });
+  }
+});
+
+/** GET /_admin/tls/ca.crt - 下载本地 CA 证书，手机等设备可在局域网内直接访问该地址安装 */
+adminApp.get('/_admin/tls/ca.crt', (req, res) => {
+  try {
+    const { certPem } = loadLocalCa();
+    res.setHeader('Content-Type', 'application/x-x509-ca-cert');
+    res.setHeader('Content-Disposition', 'attachment; filename="mock-api-server-ca.crt"');
+    res.send(certPem);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load local CA', message: e.message });
+  }
+});
+
+/** POST /_admin/tls/ca/regenerate - 重新生成本地 CA（运行中的 HTTPS 服务需重启后生效） */
+adminApp.post('/_admin/tls/ca/regenerate', (req, res) => {
+  try {
+    const dir = getTlsDir();
+    for (const file of ['ca.crt', 'ca.key']) fs.rmSync(path.join(dir, file), { force: true });
+    localCa = null;
+    leafCertificates.clear();
+    res.json(describeLocalCa());
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to regenerate local CA', message: e.message });
+  }
+});
+
+/* ==================== WebSocket Mock 服务管理 ==================== */
+
+/** uTools 数据库中存储 WS 服务配置的键名 */
+const DB_WS_KEY = 'mock_ws_v1';
+/** WS 日志上限 */
+const WS_LOG_LIMIT = 500;
+
+/**
+ * 从 uTools 数据库读取所有 WS 服务配置
+ * @description 首次使用时自动创建示例 WS 服务
+ * @returns {Array} WS 服务配置数组
+ */
+function getWsServers() {
+  const doc = utools.db.get(DB_WS_KEY);
+  let data = doc ? doc.data : [];
+  // 首次使用：自动创建示例 WS 服务
+  if (!doc || (Array.isArray(data) && data.length === 0)) {
+    data = [createExampleWsServer()];
+    saveWsServers(data);
+  }
+  return data;
+}
+
+/**
+ * 创建内置示例 WS 服务配置
+ * @returns {object} 示例 WS 服务对象
+ */
+function createExampleWsServer() {
+  const now = Date.now();
+  return {
+    id: now,
+    name: '💬 示例聊天服务',
+    port: 8088,
+    path: '/ws',
+    description: '内置示例 WebSocket Mock 服务，包含 5 种匹配规则演示。启动后可在浏览器 DevTools 中测试连接。',
+    onConnectMessage: JSON.stringify({ type: 'welcome', message: '欢迎连接 Mock WebSocket 服务！', timestamp: '{{now}}' }),
+    rules: [
+      {
+        id: now + 1,
+        name: '心跳检测 (精确匹配)',
+        active: true,
+        matchType: 'exact',
+        matchPattern: 'ping',
+        delay: 0,
+        responseMode: 'basic',
+        responseBasic: 'pong',
+        responseAdvanced: '',
+      },
+      {
+        id: now + 2,
+        name: '打招呼 (包含匹配)',
+        active: true,
+        matchType: 'contains',
+        matchPattern: 'hello',
+        delay: 200,
+        responseMode: 'basic',
+        responseBasic: JSON.stringify({ type: 'greeting', message: '你好！我是 Mock 服务器 🤖', time: new Date().toISOString() }),
+        responseAdvanced: '',
+      },
+      {
+        id: now + 5,
+        name: '订阅频道 (JSON 字段匹配)',
+        active: true,
+        matchType: 'json',
+        matchPattern: '',
+        conditions: [{ source: 'body', key: '$.type', operator: 'equals', value: 'subscribe' }],
+        logic: 'and',
+        delay: 0,
+        responseMode: 'basic',
+        responseBasic: JSON.stringify({ type: 'subscribed', id: '{{$.id}}', channel: '{{$.channel}}' }),
+        responseAdvanced: '',
+      },
+      {
+        id: now + 3,
+        name: 'JSON 消息 (正则匹配)',
+        active: true,
+        matchType: 'regex',
+        matchPattern: '^\\{.*"type"\\s*:.*\\}$',
+        delay: 100,
+        responseMode: 'advanced',
+        responseBasic: '',
+        responseAdvanced: [
+          'function main(message, Mock) {',
+          '  // 解析收到的 JSON 消息，根据 type 字段返回不同响应',
+          '  let parsed;',
+          '  try { parsed = JSON.parse(message); } catch(e) { return { error: "JSON 解析失败" }; }',
+          '',
+          '  if (parsed.type === "user.info") {',
+          '    // 使用 Mock.js 生成随机用户数据',
+          '    return Mock.mock({',
+          '      type: "user.info.response",',
+          '      data: {',
+          '        "id|1-1000": 1,',
+          '        name: "@cname",',
+          '        email: "@email",',
+          '        avatar: "@image(200x200)",',
+          '        "age|18-60": 1',
+          '      }',
+          '    });',
+          '  }',
+          '',
+          '  if (parsed.type === "chat.send") {',
+          '    return {',
+          '      type: "chat.receive",',
+          '      from: "MockBot",',
+          '      content: "收到你的消息: " + (parsed.content || ""),',
+          '      timestamp: Date.now()',
+          '    };',
+          '  }',
+          '',
+          '  return { type: "echo", original: parsed, serverTime: Date.now() };',
+          '}',
+        ].join('\n'),
+      },
+      {
+        id: now + 4,
+        name: '默认回复 (任意匹配)',
+        active: true,
+        matchType: 'any',
+        matchPattern: '',
+        delay: 0,
+        responseMode: 'basic',
+        responseBasic: JSON.stringify({ type: 'echo', message: '收到消息，但没有匹配到特定规则', tip: '试试发送 ping、hello 或 JSON 格式消息' }),
+        responseAdvanced: '',
+      },
+    ],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * 将 WS 服务配置保存到 uTools 数据库
+ * @param {Array} servers - WS 服务配置数组
+ */
+function saveWsServers(servers) {
+  const doc = utools.db.get(DB_WS_KEY);
+  if (doc) {
+    utools.db.put({ _id: DB_WS_KEY, data: servers, _rev: doc._rev });
+  } else {
+    utools.db.put({ _id: DB_WS_KEY, data: servers });
+  }
+}
+
+/**
+ * 自动禁用连续出错的 WS 规则或定时推送
+ * @param {string|number} serverId - WS 服务 ID
+ * @param {number} ruleId - 规则 ID
+ * @param {string} reason - 禁用原因（写入 rule.autoDisabledReason）
+ * @param {string} [listKey] - 所在列表：rules（默认）或 schedules
+ */
+function autoDisableWsRule(serverId, ruleId, reason, listKey = 'rules') {
+  const servers = getWsServers();
+  const server = servers.find(s => String(s.id) === String(serverId));
+  const rule = server && (server[listKey] || []).find(r => r.id === ruleId);
+  if (!rule) return;
+  rule.active = false;
+  rule.autoDisabledReason = reason;
+  saveWsServers(servers);
+  console.warn(`[WS ${serverId}] Rule ${rule.name} auto-disabled: ${reason}`);
+}
+
+/** 运行中的 WS 服务实例映射表，key 为 serverId，value 为 { listeners, wss, clients, state, scheduleStates, scheduleTimers, cronTimer } */
+const runningWsServers = new Map();
+/** WS 服务消息日志缓冲，key 为 serverId，value 为日志数组 */
+const wsServerLogs = new Map();
+
+/**
+ * 添加 WS 日志条目
+ * @param {string|number} serverId
+ * @param {object} entry - 日志条目（不含 id）
+ */
+function addWsLog(serverId, entry) {
+  const key = String(serverId);
+  if (!wsServerLogs.has(key)) wsServerLogs.set(key, []);
+  const logs = wsServerLogs.get(key);
+  const logEntry = { id: Date.now() + Math.random(), ...entry };
+  logs.push(logEntry);
+  if (logs.length > WS_LOG_LIMIT) logs.splice(0, logs.length - WS_LOG_LIMIT);
+  return logEntry;
+}
+
+/**
+ * 解析 WebSocket 升级请求中脚本和条件可读取的信息
+ * @param {http.IncomingMessage} req - 升级请求
+ * @returns {{path: string, query: object, headers: object, cookies: object, protocols: string[], ip: string}}
+ */
+function parseWsRequest(req) {
+  const url = new URL(req.url, 'http://localhost');
+  return {
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    headers: req.headers,
+    cookies: parseCookies(req.headers.cookie),
+    protocols: String(req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim()).filter(Boolean),
+    ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown',
+  };
+}
+
+/**
+ * 构造 WS 消息的条件匹配上下文
+ * @description 结构与 HTTP 请求一致，以便复用 evaluateConditionNode：body 为按 JSON 解析的消息（非 JSON 时为 undefined），
+ *              rawBody 为原始帧，query / headers / cookie 条件读取握手请求
+ * @param {Buffer} data - 收到的原始帧
+ * @param {object} request - parseWsRequest 的结果
+ * @returns {object}
+ */
+function createWsMatchRequest(data, request) {
+  let body;
+  try { body = JSON.parse(data.toString()); } catch (e) { body = undefined; }
+  return { body, rawBody: data, query: request.query, headers: request.headers, method: 'GET' };
+}
+
+/**
+ * 按顺序匹配 WS 消息规则
+ * @description json 类型只匹配能按 JSON 解析的消息，按 rule.conditions（与 Mock 期望相同的条件树，rule.logic 组合）判断；没有条件时匹配任意 JSON 消息
+ * @param {string} message - 收到的消息
+ * @param {Array} rules - 规则列表
+ * @param {object} [matchRequest] - createWsMatchRequest 的结果（json 类型使用）
+ * @returns {object|null} 匹配到的规则，或 null
+ */
+function matchWsRule(message, rules, matchRequest) {
+  if (!rules || !rules.length) return null;
+  for (const rule of rules) {
+    if (!rule.active) continue;
+    switch (rule.matchType) {
+      case 'exact':
+        if (message === rule.matchPattern) return rule;
+        break;
+      case 'contains':
+        if (message.includes(rule.matchPattern)) return rule;
+        break;
+      case 'regex':
+        try { if (new RegExp(rule.matchPattern).test(message)) return rule; } catch (e) { /* ignore bad regex */ }
+        break;
+      case 'json':
+        if (!matchRequest || matchRequest.body === undefined) break;
+        if (!rule.conditions || !rule.conditions.length) return rule;
+        if (evaluateConditionNode({ logic: rule.logic, items: rule.conditions }, matchRequest, {})) return rule;
+        break;
+      case 'any':
+        return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * 替换 WS 响应中的 {{$.字段}} 占位符，回显收到的 JSON 消息中的字段（如请求 id）
+ * @description 占位符单独作为 JSON 字符串值（"{{$.id}}"）时保留原始类型，取不到时为 null；嵌在文本中时按文本替换，取不到时为空
+ * @param {string} text - 响应内容
+ * @param {*} json - 按 JSON 解析的消息（非 JSON 时为 undefined）
+ * @returns {string}
+ */
+function resolveWsEchoFields(text, json) {
+  const read = (path) => {
+    if (json === undefined) return undefined;
+    try { return queryJsonPath(json, path)[0]; } catch (e) { return undefined; }
+  };
+  return text.replace(/"\{\{(\$[^{}"]*)\}\}"|\{\{(\$[^{}]*)\}\}/g, (match, quoted, inline) => {
+    if (quoted !== undefined) {
+      const value = read(quoted.trim());
+      return value === undefined ? 'null' : JSON.stringify(value);
+    }
+    const value = read(inline.trim());
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+
+/* -------------------- WS 脚本 API（连接状态、房间与广播） -------------------- */
+
+/** 关闭原因的最大字节数（协议限制） */
+const WS_CLOSE_REASON_MAX_BYTES = 123;
+/** 日志中二进制消息最多显示的字节数 */
+const WS_BINARY_LOG_BYTES = 256;
+
+/**
+ * 将脚本返回或发送的数据转换为 WS 帧内容
+ * @description 字符串按文本帧发送；Buffer、TypedArray、ArrayBuffer（可能来自沙箱，不能用 instanceof 判断）按二进制帧发送；其余值序列化为 JSON 文本
+ * @param {*} data
+ * @returns {{payload: string|Buffer, binary: boolean}}
+ */
+function toWsPayload(data) {
+  if (typeof data === 'string') return { payload: data, binary: false };
+  if (ArrayBuffer.isView(data)) return { payload: Buffer.from(data.buffer, data.byteOffset, data.byteLength), binary: true };
+  if (Object.prototype.toString.call(data) === '[object ArrayBuffer]') return { payload: Buffer.from(data), binary: true };
+  return { payload: JSON.stringify(data), binary: false };
+}
+
+/**
+ * 将二进制消息格式化为日志中显示的十六进制文本
+ * @param {Buffer} buf
+ * @returns {string} 如 "01 02 ff"，超出部分以字节数标注
+ */
+function formatWsBinary(buf) {
+  const hex = buf.subarray(0, WS_BINARY_LOG_BYTES).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+  return buf.length > WS_BINARY_LOG_BYTES ? `${hex} …（共 ${buf.length} 字节）` : hex;
+}
+
+/**
+ * 向单个客户端发送消息并记录日志
+ * @param {string} sid - WS 服务 ID
+ * @param {string} clientId - 客户端 ID
+ * @param {object} client - 客户端信息 { ws, ip }
+ * @param {*} message - 消息内容（二进制数据按二进制帧发送，见 toWsPayload）
+ * @param {string} matchedRule - 日志中显示的来源
+ * @param {Array} [scriptLogs] - 脚本控制台输出
+ * @returns {boolean} 是否已发送（连接未打开时跳过）
+ */
+function sendWsLogged(sid, clientId, client, message, matchedRule, scriptLogs) {
+  if (client.ws.readyState !== WebSocket.OPEN) return false;
+  const { payload, binary } = toWsPayload(message);
+  client.ws.send(payload, { binary });
+  addWsLog(sid, {
+    serverId: Number(sid), timestamp: Date.now(), direction: 'out',
+    clientId, clientIp: client.ip, message: binary ? formatWsBinary(payload) : payload,
+    binary: binary || undefined, matchedRule, scriptLogs
+  });
+  return true;
+}
+
+/**
+ * 规范化 WS 关闭码：只允许 1000-1014（保留码除外）与 3000-4999，其余使用 1000
+ * @param {*} code
+ * @returns {number}
+ */
+function normalizeWsCloseCode(code) {
+  const n = Number(code);
+  if (!Number.isInteger(n)) return 1000;
+  if (n >= 3000 && n <= 4999) return n;
+  if (n >= 1000 && n <= 1014 && ![1004, 1005, 1006].includes(n)) return n;
+  return 1000;
+}
+
+/**
+ * 由服务端关闭客户端连接并记录日志
+ * @param {string} sid - WS 服务 ID
+ * @param {string} clientId - 客户端 ID
+ * @param {object} client - 客户端信息 { ws, ip }
+ * @param {*} code - 关闭码（见 normalizeWsCloseCode）
+ * @param {*} reason - 关闭原因（超出 123 字节时截断）
+ * @param {string} matchedRule - 日志中显示的来源
+ * @returns {boolean} 是否已关闭（连接未打开时跳过）
+ */
+function closeWsClient(sid, clientId, client, code, reason, matchedRule) {
+  if (client.ws.readyState !== WebSocket.OPEN) return false;
+  const closeCode = normalizeWsCloseCode(code);
+  let closeReason = reason === undefined || reason === null ? '' : String(reason);
+  while (Buffer.byteLength(closeReason) > WS_CLOSE_REASON_MAX_BYTES) closeReason = closeReason.slice(0, -1);
+  client.ws.close(closeCode, closeReason);
+  addWsLog(sid, {
+    serverId: Number(sid), timestamp: Date.now(), direction: 'system',
+    clientId, clientIp: client.ip, message: `服务端关闭连接 (${closeCode}${closeReason ? ` ${closeReason}` : ''})`, matchedRule
+  });
+  return true;
+}
+
+/**
+ * 创建注入 WS 脚本沙箱的连接、房间与广播 API
+ * @description state 为当前连接的状态（连接断开后丢弃），serverState 为整个服务共享的状态（服务停止后丢弃）
+ * @param {string} sid - WS 服务 ID
+ * @param {object} entry - runningWsServers 中的运行实例
+ * @param {string} clientId - 当前客户端 ID
+ * @param {string} source - 日志中显示的来源（规则名称）
+ * @returns {object} 沙箱全局变量：state、serverState、send、sendTo、broadcast、close、join、leave、rooms、clients
+ */
+function createWsScriptApi(sid, entry, clientId, source) {
+  const self = entry.clients.get(clientId);
+  /** 指定房间（不指定时为全部）中的客户端 */
+  const members = (room) => [...entry.clients].filter(([, c]) => room === undefined || room === null || c.rooms.has(String(room)));
+  return {
+    state: self.state,
+    serverState: entry.state,
+    send: (data) => data !== undefined && data !== null && sendWsLogged(sid, clientId, self, data, source),
+    sendTo: (targetId, data) => {
+      const target = entry.clients.get(String(targetId));
+      return !!target && data !== undefined && data !== null && sendWsLogged(sid, String(targetId), target, data, source);
+    },
+    /** broadcast(data, room) 或 broadcast(data, { room, exceptSelf })，返回发送数量 */
+    broadcast: (data, options) => {
+      if (data === undefined || data === null) return 0;
+      const opts = options !== null && typeof options === 'object' ? options : { room: options };
+      let sent = 0;
+      for (const [cid, c] of members(opts.room)) {
+        if (opts.exceptSelf && cid === clientId) continue;
+        if (sendWsLogged(sid, cid, c, data, source)) sent++;
+      }
+      return sent;
+    },
+    close: (code, reason) => closeWsClient(sid, clientId, self, code, reason, source),
+    join: (room) => { self.rooms.add(String(room)); },
+    leave: (room) => { self.rooms.delete(String(room)); },
+    rooms: () => [...self.rooms],
+    clients: (room) => members(room).map(([cid]) => cid),
+  };
+}
+
+/**
+ * 以 HTTP 响应拒绝 WebSocket 升级请求
+ * @param {net.Socket} socket - 升级请求的底层连接
+ * @param {number} status - 状态码（4xx / 5xx）
+ * @param {*} [body] - 响应体，对象按 JSON 返回，省略时使用状态文本
+ * @param {object} [headers] - 额外的响应头
+ */
+function rejectWsUpgrade(socket, status, body, headers) {
+  if (!socket.writable) return socket.destroy();
+  const isJson = body !== null && typeof body === 'object';
+  const text = body === undefined || body === null ? (http.STATUS_CODES[status] || '') : (isJson ? JSON.stringify(body) : String(body));
+  const head = {
+    'Content-Type': isJson ? 'application/json; charset=utf-8' : 'text/plain; charset=utf-8',
+    ...(headers && typeof headers === 'object' ? headers : {}),
+    'Content-Length': Buffer.byteLength(text),
+    'Connection': 'close',
+  };
+  const lines = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`];
+  for (const [key, value] of Object.entries(head)) {
+    // 丢弃非法的头名称和值中的换行，避免响应被拆分
+    if (/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(key)) lines.push(`${key}: ${String(value).replace(/[\r\n]/g, '')}`);
+  }
+  socket.end(`${lines.join('\r\n')}\r\n\r\n${text}`);
+}
+
+/**
+ * 执行连接握手脚本，决定是否接受 WebSocket 升级
+ * @description 脚本 main(req, Mock) 返回 false 拒绝（403），返回 { status: 401, body, headers } 以指定状态码拒绝，
+ *              返回 { protocol } 选择子协议；其余返回值表示接受。脚本出错时以 500 拒绝
+ * @param {string} sid - WS 服务 ID
+ * @param {object} entry - runningWsServers 中的运行实例
+ * @param {string} script - 握手脚本
+ * @param {http.IncomingMessage} req - 升级请求
+ * @param {object} pending - 即将建立的连接 { state, rooms }，脚本可写入状态、加入房间
+ * @returns {Promise<{reject?: {status: number, body?: *, headers?: object}, protocol?: string, scriptLogs: Array}>}
+ */
+async function runWsHandshake(sid, entry, script, req, pending) {
+  const scriptConsole = createScriptConsole();
+  const scriptLogs = scriptConsole.entries;
+  const request = parseWsRequest(req);
+  try {
+    const sandbox = {
+      req: request, state: pending.state, serverState: entry.state,
+      join: (room) => { pending.rooms.add(String(room)); },
+      leave: (room) => { pending.rooms.delete(String(room)); },
+      Mock, console: scriptConsole.console
+    };
+    const result = await runSandboxedMain(script, sandbox, [request, Mock]);
+    if (result === false) return { reject: { status: 403 }, scriptLogs };
+    if (result === null || typeof result !== 'object') return { scriptLogs };
+    const status = Number(result.status);
+    if (Number.isInteger(status) && status >= 400 && status <= 599) {
+      return { reject: { status, body: result.body, headers: result.headers }, scriptLogs };
+    }
+    // 只能选择客户端请求过的子协议
+    const protocol = typeof result.protocol === 'string' && request.protocols.includes(result.protocol) ? result.protocol : undefined;
+    return { protocol, scriptLogs };
+  } catch (e) {
+    const info = describeScriptError(e);
+    console.error('[WS] Handshake script error:', formatScriptError(info));
+    return { reject: { status: 500, body: { error: 'Script execution failed', ...info } }, scriptLogs };
+  }
+}
+
+/**
+ * 生成 WS 规则的响应内容
+ * @description 高级脚本除返回值（回复给发送者，返回 null / undefined 时不回复）外，
+ *              还可以通过 createWsScriptApi 提供的函数主动发送、广播、关闭连接和管理房间
+ * @param {object} rule - 匹配到的规则
+ * @param {string} message - 消息文本（二进制帧按 UTF-8 解码）
+ * @param {{sid: string, entry: object, clientId: string, data: Buffer, isBinary: boolean, json: *}} context - 服务、客户端、原始帧及按 JSON 解析的消息
+ * @returns {Promise<{response: *, scriptLogs?: Array}>} 响应内容（字符串或二进制数据，null 为不回复）及高级脚本的控制台输出
+ */
+async function generateWsResponse(rule, message, context) {
+  const { sid, entry, clientId, data, isBinary, json } = context;
+  if (rule.responseMode === 'advanced' && rule.responseAdvanced) {
+    const budgetKey = `ws:${sid}:${rule.id}`;
+    const scriptConsole = createScriptConsole();
+    const scriptLogs = scriptConsole.entries;
+    try {
+      const client = entry.clients.get(clientId);
+      const sandbox = {
+        message, data, isBinary, json, clientId, clientIp: client.ip,
+        ...createWsScriptApi(sid, entry, clientId, rule.name),
+        Mock, console: scriptConsole.console
+      };
+      const result = await runSandboxedMain(rule.responseAdvanced, sandbox, [message, Mock]);
+      assertScriptResultSize(result);
+      trackScriptResult(budgetKey, false);
+      return { response: result === undefined ? null : result, scriptLogs };
+    } catch (e) {
+      const info = describeScriptError(e);
+      console.error('[WS] Advanced script error:', formatScriptError(info));
+      const body = { error: 'Script execution failed', ...info };
+      if (trackScriptResult(budgetKey, true)) {
+        body.autoDisabledReason = `脚本连续 ${SCRIPT_ERROR_BUDGET} 次执行失败，最近一次：${formatScriptError(info)}`;
+        autoDisableWsRule(sid, rule.id, body.autoDisabledReason);
+      }
+      return { response: JSON.stringify(body), scriptLogs };
+    }
+  }
+  if (!rule.responseBasic) return { response: null };
+  // 基础模式的二进制响应以十六进制填写
+  if (rule.binary) return { response: Buffer.from(rule.responseBasic.replace(/\s+/g, ''), 'hex') };
+  return { response: resolveWsEchoFields(rule.responseBasic, json) };
+}
+
+/* -------------------- WS 定时推送与连接时间线 -------------------- */
+
+/** 定时推送的最小间隔（ms） */
+const WS_SCHEDULE_MIN_INTERVAL = 100;
+/** cron 各字段的取值范围：秒 分 时 日 月 周（周日为 0，7 同为周日） */
+const CRON_FIELD_RANGES = [[0, 59], [0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+/**
+ * 解析 cron 表达式的单个字段
+ * @param {string} field - 字段文本，支持 *、数字、a-b、逗号列表和 /步长（如 *\/5、10-20/2）
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {Set<number>|null} 允许的取值，* 返回 null（任意值）
+ */
+function parseCronField(field, min, max) {
+  if (field === '*' || field === '?') return null;
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron field: ${field}`);
+    const start = m[1] === '*' ? min : Number(m[1]);
+    let end = start;
+    if (m[1] === '*') end = max;
+    else if (m[2] !== undefined) end = Number(m[2]);
+    else if (m[3] !== undefined) end = max;
+    const step = m[3] !== undefined ? Number(m[3]) : 1;
+    if (start < min || end > max || start > end || step < 1) throw new Error(`Cron field out of range: ${field}`);
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * 解析 cron 表达式
+ * @description 支持 5 段（分 时 日 月 周，在第 0 秒触发）和 6 段（秒 分 时 日 月 周）
+ * @param {string} expr - cron 表达式
+ * @returns {Array<Set<number>|null>} 依次为秒、分、时、日、月、周的取值集合
+ */
+function parseCron(expr) {
+  const fields = String(expr || '').trim().split(/\s+/).filter(Boolean);
+  if (fields.length === 5) fields.unshift('0');
+  if (fields.length !== 6) throw new Error('Cron expression must have 5 or 6 fields');
+  return fields.map((f, i) => parseCronField(f, CRON_FIELD_RANGES[i][0], CRON_FIELD_RANGES[i][1]));
+}
+
+/**
+ * 判断时间点是否满足 cron 表达式
+ * @param {Array<Set<number>|null>} cron - parseCron 的结果
+ * @param {Date} date - 时间点（本地时区）
+ * @returns {boolean}
+ */
+function cronMatches(cron, date) {
+  const [second, minute, hour, day, month, weekday] = cron;
+  const has = (set, v) => !set || set.has(v);
+  if (!has(second, date.getSeconds()) || !has(minute, date.getMinutes()) || !has(hour, date.getHours()) || !has(month, date.getMonth() + 1)) return false;
+  const wd = date.getDay();
+  const dayOk = has(day, date.getDate());
+  const weekOk = has(weekday, wd) || (wd === 0 && !!weekday && weekday.has(7));
+  // 与 crontab 一致：日和周同时限定时满足其一即可
+  if (day && weekday) return dayOk || weekOk;
+  return dayOk && weekOk;
+}
+
+/**
+ * 生成定时推送的消息内容
+ * @description 脚本执行失败时不向客户端推送错误信息，只记录日志并计入错误预算
+ * @param {object} schedule - 定时推送配置
+ * @param {{tick: number, clientCount: number}} context - 本次是第几次推送、推送对象数量（同时作为脚本全局变量）
+ * @param {string} sid - WS 服务 ID
+ * @returns {Promise<{message: string|null, scriptLogs?: Array, error?: string}>}
+ */
+async function generateWsScheduleMessage(schedule, context, sid) {
+  if (schedule.responseMode !== 'advanced' || !schedule.responseAdvanced) {
+    return { message: schedule.responseBasic || null };
+  }
+  const budgetKey = `ws:${sid}:${schedule.id}`;
+  const scriptConsole = createScriptConsole();
+  const scriptLogs = scriptConsole.entries;
+  try {
+    const sandbox = { ...context, Mock, console: scriptConsole.console };
+    const result = await runSandboxedMain(schedule.responseAdvanced, sandbox, [context.tick, Mock]);
+    assertScriptResultSize(result);
+    trackScriptResult(budgetKey, false);
+    if (result === undefined || result === null) return { message: null, scriptLogs };
+    return { message: typeof result === 'string' ? result : JSON.stringify(result), scriptLogs };
+  } catch (e) {
+    const info = describeScriptError(e);
+    console.error('[WS] Schedule script error:', formatScriptError(info));
+    if (trackScriptResult(budgetKey, true)) {
+      autoDisableWsRule(sid, schedule.id, `脚本连续 ${SCRIPT_ERROR_BUDGET} 次执行失败，最近一次：${formatScriptError(info)}`, 'schedules');
+    }
+    return { message: null, scriptLogs, error: formatScriptError(info) };
+  }
+}
+
+/**
+ * 执行一次定时推送
+ * @description target 为 new 时只推送给上次推送之后连接的客户端；没有推送对象时跳过且不计次数
+ * @param {string} sid - WS 服务 ID
+ * @param {object} entry - runningWsServers 中的运行实例
+ * @param {object} schedule - 定时推送配置
+ * @param {boolean} [force] - 手动触发，忽略推送次数上限
+ * @returns {Promise<number>} 实际发送的客户端数
+ */
+async function fireWsSchedule(sid, entry, schedule, force) {
+  if (!entry.scheduleStates.has(schedule.id)) entry.scheduleStates.set(schedule.id, { fired: 0, lastFiredAt: 0 });
+  const state = entry.scheduleStates.get(schedule.id);
+  // 上一次的脚本尚未执行完时跳过本次
+  if (state.pending) return 0;
+  if (!force && schedule.count > 0 && state.fired >= schedule.count) return 0;
+  const recipients = [...entry.clients].filter(([, c]) => schedule.target !== 'new' || c.connectedAt > state.lastFiredAt);
+  if (!recipients.length) return 0;
+
+  state.pending = true;
+  state.fired++;
+  state.lastFiredAt = Date.now();
+  const label = `定时推送: ${schedule.name || schedule.id}`;
+  let result;
+  try {
+    result = await generateWsScheduleMessage(schedule, { tick: state.fired, clientCount: recipients.length }, sid);
+  } finally {
+    state.pending = false;
+  }
+  const logs = result.scriptLogs && result.scriptLogs.length ? result.scriptLogs : undefined;
+  state.error = result.error;
+  if (result.message === null) {
+    if (logs || result.error) {
+      addWsLog(sid, {
+        serverId: Number(sid), timestamp: Date.now(), direction: 'system',
+        clientId: '', clientIp: '', message: result.error ? `脚本执行失败：${result.error}` : '脚本未返回消息，跳过本次推送', matchedRule: label, scriptLogs: logs
+      });
+    }
+    return 0;
+  }
+  let sent = 0;
+  for (const [clientId, client] of recipients) {
+    // 控制台输出只附在第一条日志上
+    if (sendWsLogged(sid, clientId, client, result.message, label, sent === 0 ? logs : undefined)) sent++;
+  }
+  return sent;
+}
+
+/**
+ * 停止服务的全部定时推送
+ * @param {object} entry - runningWsServers 中的运行实例
+ */
+function stopWsSchedules(entry) {
+  entry.scheduleTimers.forEach(timer => clearInterval(timer));
+  entry.scheduleTimers = [];
+  clearTimeout(entry.cronTimer);
+  entry.cronTimer = null;
+}
+
+/**
+ * 按配置（重新）启动服务的定时推送
+ * @description 保存配置时对运行中的服务重新调用，已推送次数保留；cron 任务共用一个按秒对齐的定时器，
+ *              定时器被延后时补齐跳过的秒（最多 60 秒）
+ * @param {string} sid - WS 服务 ID
+ * @param {object} entry - runningWsServers 中的运行实例
+ * @param {object} config - WS 服务配置
+ */
+function startWsSchedules(sid, entry, config) {
+  stopWsSchedules(entry);
+  const cronJobs = [];
+  for (const schedule of (config.schedules || [])) {
+    if (!schedule.active) continue;
+    if (!entry.scheduleStates.has(schedule.id)) entry.scheduleStates.set(schedule.id, { fired: 0, lastFiredAt: 0 });
+    const state = entry.scheduleStates.get(schedule.id);
+    state.error = undefined;
+    if (schedule.trigger === 'cron') {
+      try {
+        cronJobs.push({ schedule, cron: parseCron(schedule.cron) });
+      } catch (e) {
+        state.error = e.message;
+        addWsLog(sid, {
+          serverId: Number(sid), timestamp: Date.now(), direction: 'system',
+          clientId: '', clientIp: '', message: `定时推送「${schedule.name}」的 cron 表达式无效：${e.message}`
+        });
+      }
+    } else {
+      const interval = Math.max(WS_SCHEDULE_MIN_INTERVAL, Number(schedule.interval) || 0);
+      entry.scheduleTimers.push(setInterval(() => fireWsSchedule(sid, entry, schedule), interval));
+    }
+  }
+  if (!cronJobs.length) return;
+
+  let lastSecond = Math.floor(Date.now() / 1000);
+  const nextDelay = () => 1000 - (Date.now() % 1000) + 5;
+  const tick = () => {
+    const second = Math.floor(Date.now() / 1000);
+    for (let s = Math.max(lastSecond + 1, second - 59); s <= second; s++) {
+      const date = new Date(s * 1000);
+      cronJobs.forEach(job => { if (cronMatches(job.cron, date)) fireWsSchedule(sid, entry, job.schedule); });
+    }
+    lastSecond = second;
+    entry.cronTimer = setTimeout(tick, nextDelay());
+  };
+  entry.cronTimer = setTimeout(tick, nextDelay());
+}
+
+/**
+ * 按连接时间线依次发送消息或关闭连接
+ * @description 每个步骤的 at 为距连接建立的时间；定时器保存在 client.timers 中，连接关闭时清除
+ * @param {string} sid - WS 服务 ID
+ * @param {object} timeline - 连接时间线配置
+ * @param {string} clientId - 客户端 ID
+ * @param {object} client - 客户端信息 { ws, ip, timers }
+ */
+function startWsTimeline(sid, timeline, clientId, client) {
+  if (!timeline || !timeline.enabled) return;
+  for (const step of (timeline.steps || [])) {
+    client.timers.push(setTimeout(() => {
+      if (step.action === 'close') {
+        closeWsClient(sid, clientId, client, step.closeCode, step.closeReason, '连接时间线');
+      } else if (step.message) {
+        sendWsLogged(sid, clientId, client, step.message, '连接时间线');
+      }
+    }, Math.max(0, Number(step.at) || 0)));
+  }
+}
+
+/**
+ * 启动 WS Mock 服务
+ * @description 启用 TLS 时以 wss:// 监听，配置了 httpPort 时同时提供 ws://
+ * @param {string|number} serverId - WS 服务 ID
+ * @returns {Promise<{success: boolean}>}
+ */
+function startWsServer(serverId) {
+  return new Promise((resolve, reject) => {
+    const sid = String(serverId);
+    if (runningWsServers.has(sid)) {
+      return resolve({ success: true, msg: 'Already running' });
+    }
+
+    const servers = getWsServers();
+    const config = servers.find(s => String(s.id) === sid);
+    if (!config) return reject(new Error('WS server config not found'));
+
+    const tls = config.tls && config.tls.enabled ? config.tls : null;
+    const listeners = createListeners(undefined, config.port, tls);
+    const wsPath = config.path && config.path.startsWith('/') ? config.path : '/' + (config.path || '');
+    const wss = new WebSocket.Server({
+      noServer: true,
+      path: wsPath,
+      // 握手脚本选择的子协议优先，否则与默认行为一致使用客户端请求的第一个
+      handleProtocols: (protocols, req) => (req.wsMock && req.wsMock.protocol) || protocols.values().next().value || false,
+    });
+
+    /** 已连接客户端 Map: clientId -> { ws, ip, connectedAt, timers, state, rooms, request } */
+    const clients = new Map();
+    let clientCounter = 0;
+    const entry = { listeners, wss, clients, state: {}, scheduleStates: new Map(), scheduleTimers: [], cronTimer: null };
+
+    for (const l of listeners) {
+      l.server.on('upgrade', async (req, socket, head) => {
+        if (!wss.shouldHandle(req)) return socket.destroy();
+        const pending = { state: {}, rooms: new Set() };
+        req.wsMock = pending;
+        // 连接握手脚本（读取最新配置）
+        const latestConfig = getWsServers().find(s => String(s.id) === sid);
+        const handshake = latestConfig && latestConfig.handshake;
+        if (handshake && handshake.enabled && handshake.script) {
+          socket.on('error', () => socket.destroy());
+          const { reject, protocol, scriptLogs } = await runWsHandshake(sid, entry, handshake.script, req, pending);
+          const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
+          const logs = scriptLogs.length ? scriptLogs : undefined;
+          if (reject) {
+            addWsLog(sid, {
+              serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
+              clientId: '', clientIp, message: `拒绝连接 (${reject.status}) ${req.url}`, matchedRule: '连接握手', scriptLogs: logs
+            });
+            return rejectWsUpgrade(socket, reject.status, reject.body, reject.headers);
+          }
+          pending.protocol = protocol;
+          pending.scriptLogs = logs;
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+      });
+    }
+
+    wss.on('connection', (ws, req) => {
+      clientCounter++;
+      const clientId = `client_${Date.now()}_${clientCounter}`;
+      const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
+      const { state, rooms, scriptLogs } = req.wsMock;
+      const client = { ws, ip: clientIp, connectedAt: Date.now(), timers: [], state, rooms, request: parseWsRequest(req) };
+      clients.set(clientId, client);
+
+      addWsLog(sid, {
+        serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
+        clientId, clientIp, message: `客户端已连接 (${clientIp}${ws.protocol ? `, ${ws.protocol}` : ''})`,
+        matchedRule: scriptLogs ? '连接握手' : undefined, scriptLogs
+      });
+      console.log(`[WS:${config.port}] Client connected: ${clientId} (${clientIp})`);
+
+      // 发送欢迎消息
+      if (config.onConnectMessage) {
+        ws.send(config.onConnectMessage);
+        addWsLog(sid, {
+          serverId: Number(serverId), timestamp: Date.now(), direction: 'out',
+          clientId, clientIp, message: config.onConnectMessage, matchedRule: '欢迎消息'
+        });
+      }
+
+      // 连接时间线（读取最新配置）
+      const latestConfig = getWsServers().find(s => String(s.id) === sid);
+      startWsTimeline(sid, latestConfig && latestConfig.timeline, clientId, client);
+
+      ws.on('message', async (data, isBinary) => {
+        const message = data.toString();
+        addWsLog(sid, {
+          serverId: Number(serverId), timestamp: Date.now(), direction: 'in',
+          clientId, clientIp, message: isBinary ? formatWsBinary(data) : message, binary: isBinary || undefined
+        });
+
+        // 重新读取最新规则配置
+        const latestServers = getWsServers();
+        const latestConfig = latestServers.find(s => String(s.id) === sid);
+        const rules = latestConfig ? latestConfig.rules : [];
+        const matchRequest = createWsMatchRequest(data, client.request);
+        const matched = matchWsRule(message, rules, matchRequest);
+
+        if (matched) {
+          const delay = matched.delay || 0;
+          if (delay > 0) await new Promise(r => setTimeout(r, delay));
+
+          const { response, scriptLogs } = await generateWsResponse(matched, message, { sid, entry, clientId, data, isBinary, json: matchRequest.body });
+          const logs = scriptLogs && scriptLogs.length ? scriptLogs : undefined;
+          if (response !== null && ws.readyState === WebSocket.OPEN) {
+            sendWsLogged(sid, clientId, client, response, matched.name, logs);
+          } else if (logs) {
+            addWsLog(sid, {
+              serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
+              clientId, clientIp, message: '脚本未返回响应', matchedRule: matched.name, scriptLogs: logs
+            });
+          }
+        }
+      });
+
+      ws.on('close', () => {
+        client.timers.forEach(timer => clearTimeout(timer));
+        clients.delete(clientId);
+        addWsLog(sid, {
+          serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
+          clientId, clientIp, message: `客户端已断开`
+        });
+        console.log(`[WS:${config.port}] Client disconnected: ${clientId}`);
+      });
+
+      ws.on('error', (err) => {
+        addWsLog(sid, {
+          serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
+          clientId, clientIp, message: `错误: ${err.message}`
+        });
+      });
+    });
+
+    startListeners(listeners).then(() => {
+      for (const l of listeners) console.log(`[WS] Server started: ${l.protocol === 'https' ? 'wss' : 'ws'}://${LOCAL_IP}:${l.port}${wsPath}`);
+      runningWsServers.set(sid, entry);
+      startWsSchedules(sid, entry, config);
+      resolve({ success: true, ip: LOCAL_IP, port: config.port, path: wsPath, protocol: tls ? 'wss' : 'ws' });
+    }, reject);
+  });
+}
+
+/**
+ * 停止 WS Mock 服务
+ * @param {string|number} serverId
+ * @returns {boolean}
+ */
+function stopWsServer(serverId) {
+  const sid = String(serverId);
+  const entry = runningWsServers.get(sid);
+  if (!entry) return false;
+
+  stopWsSchedules(entry);
+  // 关闭所有客户端连接
+  for (const [, client] of entry.clients) {
+    client.timers.forEach(timer => clearTimeout(timer));
+    try { client.ws.close(); } catch (e) { /* ignore */ }
+  }
+  entry.wss.close();
+  closeListeners(entry.listeners);
+  runningWsServers.delete(sid);
+  console.log(`[WS] Server stopped: ${sid}`);
+  return true;
+}
+
+/* -------------------- WS Admin API -------------------- */
+
+/** GET /_admin/ws/servers - 获取所有 WS 服务配置 */
+adminApp.get('/_admin/ws/servers', (req, res) => {
+  res.json(getWsServers());
 });
 
-/** POST /_admin/project/save - 保存或更新单个项目 */
-adminApp.post('/_admin/project/save', (req, res) => {
-  const project = req.body;
-  if (!project.name) {
-    return res.status(400).json({ error: 'Project name is required' });
+/** POST /_admin/ws/server/save - 创建/更新 WS 服务 */
+adminApp.post('/_admin/ws/server/save', (req, res) => {
+  const server = req.body;
+  if (!server.name || !server.port) {
+    return res.status(400).json({ error: 'Name and port are required' });
   }
-
-  const projects = getProjects();
-  const idx = projects.findIndex(p => p.id === project.id);
+  const servers = getWsServers();
+  const idx = servers.findIndex(s => s.id === server.id);
   if (idx !== -1) {
-    projects[idx] = { ...projects[idx], ...project, id: projects[idx].id, updatedAt: Date.now() };
+    servers[idx] = { ...servers[idx], ...server, id: servers[idx].id, updatedAt: Date.now() };
   } else {
     const now = Date.now();
-    projects.push({ ...project, id: now, createdAt: now, updatedAt: now });
+    servers.push({ ...server, id: now, rules: server.rules || [], createdAt: now, updatedAt: now });
   }
-  saveProjects(projects);
-  res.json({ success: true, data: projects });
+  saveWsServers(servers);
+  // 运行中的服务立即按新配置调度定时推送
+  const running = idx !== -1 && runningWsServers.get(String(servers[idx].id));
+  if (running) startWsSchedules(String(servers[idx].id), running, servers[idx]);
+  res.json({ success: true, data: servers });
 });
 
-/** POST /_admin/project/delete - 删除指定项目，同时清除关联分组的 projectId */
-adminApp.post('/_admin/project/delete', (req, res) => {
+/** POST /_admin/ws/server/delete - 删除 WS 服务 */
+adminApp.post('/_admin/ws/server/delete', (req, res) => {
   const { id } = req.body;
-  const projects = getProjects().filter(p => p.id !== id);
-  saveProjects(projects);
-
-  // 清除关联分组的 projectId
-  const groups = getGroups();
-  let changed = false;
-  groups.forEach(g => {
-    if (g.projectId === id) { g.projectId = undefined; changed = true; }
-  });
-  if (changed) saveGroups(groups);
-
-  res.json({ success: true, data: projects });
+  stopWsServer(id); // 自动停止运行中的服务
+  const servers = getWsServers().filter(s => s.id !== id);
+  saveWsServers(servers);
+  res.json({ success: true, data: servers });
 });
 
-/* ==================== MockService Admin API（新架构） ==================== */
-
-/** GET /_admin/services - 获取所有 MockService */
-adminApp.get('/_admin/services', (req, res) => {
-  res.json(getMockServices());
+/** POST /_admin/ws/server/start - 启动 WS 服务 */
+adminApp.post('/_admin/ws/server/start', async (req, res) => {
+  try {
+    const result = await startWsServer(req.body.id);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-/** POST /_admin/services - 全量保存 MockService */
-adminApp.post('/_admin/services', (req, res) => {
-  saveMockServices(req.body);
+/** POST /_admin/ws/server/stop - 停止 WS 服务 */
+adminApp.post('/_admin/ws/server/stop', (req, res) => {
+  stopWsServer(req.body.id);
   res.json({ success: true });
 });
 
-/** POST /_admin/service/save - 保存单个 MockService（有 ID 则更新，无 ID 则新增） */
-adminApp.post('/_admin/service/save', (req, res) => {
-  const service = req.body;
-  if (!service.name) {
-    return res.status(400).json({ error: 'Service name is required' });
+/** GET /_admin/ws/server/status - 获取所有 WS 服务运行状态 */
+adminApp.get('/_admin/ws/server/status', (req, res) => {
+  const status = {};
+  for (const [sid, info] of runningWsServers) {
+    status[sid] = { running: true, clientCount: info.clients.size, protocol: info.listeners.some(l => l.protocol === 'https') ? 'wss' : 'ws' };
   }
-  const services = getMockServices();
-  const idx = services.findIndex(s => s.id === service.id);
-  if (idx !== -1) {
-    services[idx] = { ...services[idx], ...service, id: services[idx].id, updatedAt: Date.now() };
-  } else {
-    const now = Date.now();
-    services.push({ ...service, id: now, groups: service.groups || [], createdAt: now, updatedAt: now });
+  res.json(status);
+});
+
+/** GET /_admin/ws/server/:id/clients - 获取连接的客户端列表 */
+adminApp.get('/_admin/ws/server/:id/clients', (req, res) => {
+  const sid = String(req.params.id);
+  const entry = runningWsServers.get(sid);
+  if (!entry) return res.json([]);
+  const list = [];
+  for (const [clientId, info] of entry.clients) {
+    let state;
+    try { state = JSON.parse(JSON.stringify(info.state)); } catch (e) { state = undefined; }
+    list.push({ clientId, clientIp: info.ip, connectedAt: info.connectedAt, rooms: [...info.rooms], state });
   }
-  saveMockServices(services);
-  res.json({ success: true, data: services });
+  res.json(list);
 });
 
-/** POST /_admin/service/delete - 删除 MockService */
-adminApp.post('/_admin/service/delete', (req, res) => {
-  const { id } = req.body;
-  stopServiceServer(id); // 自动停止运行中的服务
-  const services = getMockServices().filter(s => s.id !== id);
-  saveMockServices(services);
-  res.json({ success: true, data: services });
+/** GET /_admin/ws/server/:id/logs - 获取消息日志（支持 ?since=timestamp 增量获取） */
+adminApp.get('/_admin/ws/server/:id/logs', (req, res) => {
+  const sid = String(req.params.id);
+  const logs = wsServerLogs.get(sid) || [];
+  const since = req.query.since ? Number(req.query.since) : 0;
+  if (since > 0) {
+    res.json(logs.filter(l => l.timestamp > since));
+  } else {
+    res.json(logs);
+  }
 });
 
-/** POST /_admin/service/start - 启动 MockService 的服务 */
-adminApp.post('/_admin/service/start', async (req, res) => {
-  try {
-    const { serviceId, port, prefix } = req.body;
-    if (serviceId) {
-      res.json(await startServiceServer(serviceId, parseInt(port), prefix || ''));
-    } else {
-      res.status(400).json({ error: 'serviceId is required' });
+/** POST /_admin/ws/server/:id/send - 手动发送消息 */
+adminApp.post('/_admin/ws/server/:id/send', (req, res) => {
+  const sid = String(req.params.id);
+  const { clientId, message } = req.body;
+  const entry = runningWsServers.get(sid);
+  if (!entry) return res.status(400).json({ error: 'Server not running' });
+
+  let sent = 0;
+  if (clientId && clientId !== '__all__') {
+    // 发送给指定客户端
+    const client = entry.clients.get(clientId);
+    if (client && client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(message);
+      addWsLog(sid, {
+        serverId: Number(req.params.id), timestamp: Date.now(), direction: 'out',
+        clientId, clientIp: client.ip, message, matchedRule: '手动发送'
+      });
+      sent = 1;
+    }
+  } else {
+    // 广播给所有客户端
+    for (const [cid, client] of entry.clients) {
+      if (client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(message);
+        addWsLog(sid, {
+          serverId: Number(req.params.id), timestamp: Date.now(), direction: 'out',
+          clientId: cid, clientIp: client.ip, message, matchedRule: '广播'
+        });
+        sent++;
+      }
     }
-  } catch (e) {
-    res.status(500).json({ error: e.message });
   }
+  res.json({ success: true, sent });
 });
 
-/** POST /_admin/service/stop - 停止 MockService 的服务 */
-adminApp.post('/_admin/service/stop', (req, res) => {
-  const { serviceId } = req.body;
-  if (serviceId) {
-    stopServiceServer(serviceId);
+/** POST /_admin/ws/server/:id/disconnect - 断开指定客户端 */
+adminApp.post('/_admin/ws/server/:id/disconnect', (req, res) => {
+  const sid = String(req.params.id);
+  const { clientId } = req.body;
+  const entry = runningWsServers.get(sid);
+  if (!entry) return res.status(400).json({ error: 'Server not running' });
+
+  const client = entry.clients.get(clientId);
+  if (client) {
+    try { client.ws.close(); } catch (e) { /* ignore */ }
+    entry.clients.delete(clientId);
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Client not found' });
   }
-  res.json({ success: true });
 });
 
-/** GET /_admin/service/status - 获取所有运行中服务的状态 */
-adminApp.get('/_admin/service/status', (req, res) => {
-  const status = {};
-  for (const [sid, info] of runningServiceServers) {
-    status[sid] = { running: true, port: info.port, prefix: info.prefix, type: 'service' };
+/** GET /_admin/ws/server/:id/schedules - 获取定时推送的运行状态（已推送次数、最近推送时间、错误） */
+adminApp.get('/_admin/ws/server/:id/schedules', (req, res) => {
+  const sid = String(req.params.id);
+  const entry = runningWsServers.get(sid);
+  if (!entry) return res.json([]);
+  const list = [];
+  for (const [id, state] of entry.scheduleStates) {
+    list.push({ id, fired: state.fired, lastFiredAt: state.lastFiredAt, error: state.error });
   }
-  res.json(status);
+  res.json(list);
 });
 
-/* ==================== WebSocket Mock 服务管理 ==================== */
+/** POST /_admin/ws/server/:id/schedule/trigger - 立即执行一次定时推送（忽略推送次数上限） */
+adminApp.post('/_admin/ws/server/:id/schedule/trigger', async (req, res) => {
+  const sid = String(req.params.id);
+  const entry = runningWsServers.get(sid);
+  if (!entry) return res.status(400).json({ error: 'Server not running' });
+  const config = getWsServers().find(s => String(s.id) === sid);
+  const schedule = config && (config.schedules || []).find(s => s.id === req.body.scheduleId);
+  if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+  const sent = await fireWsSchedule(sid, entry, schedule, true);
+  res.json({ success: true, sent });
+});
 
-/** uTools 数据库中存储 WS 服务配置的键名 */
-const DB_WS_KEY = 'mock_ws_v1';
-/** WS 日志上限 */
-const WS_LOG_LIMIT = 500;
+/* ==================== TCP / UDP Mock 服务管理 ==================== */
+
+/** uTools 数据库中存储 TCP / UDP 服务配置的键名 */
+const DB_SOCKET_KEY = 'mock_socket_v1';
+/** TCP / UDP 日志上限 */
+const SOCKET_LOG_LIMIT = 500;
+/** 日志中保留的最大字节数 */
+const SOCKET_LOG_BYTES = 4096;
+/** 单个帧（或未分帧时的缓冲）最大字节数，超出时丢弃缓冲并断开 */
+const SOCKET_MAX_FRAME = 1024 * 1024;
+/** 长度前缀帧支持的长度字段字节数 */
+const SOCKET_LENGTH_BYTES = [1, 2, 4];
+/** UDP 服务最多记录的客户端数量（超出时淘汰最久未活动的客户端及其连接状态） */
+const MAX_UDP_CLIENTS = 200;
 
 /**
- * 从 uTools 数据库读取所有 WS 服务配置
- * @description 首次使用时自动创建示例 WS 服务
- * @returns {Array} WS 服务配置数组
+ * 从 uTools 数据库读取所有 TCP / UDP 服务配置
+ * @description 首次使用时自动创建示例服务
+ * @returns {Array} 服务配置数组
  */
-function getWsServers() {
-  const doc = utools.db.get(DB_WS_KEY);
-  let data = doc ? doc.data : [];
-  // 首次使用：自动创建示例 WS 服务
-  if (!doc || (Array.isArray(data) && data.length === 0)) {
-    data = [createExampleWsServer()];
-    saveWsServers(data);
+function getSocketServers() {
+  const doc = utools.db.get(DB_SOCKET_KEY);
+  if (!doc) {
+    const data = [createExampleSocketServer()];
+    saveSocketServers(data);
+    return data;
   }
-  return data;
+  return doc.data;
 }
 
 /**
- * 创建内置示例 WS 服务配置
- * @returns {object} 示例 WS 服务对象
+ * 创建内置示例 TCP 服务配置
+ * @returns {object} 示例服务对象
  */
-function createExampleWsServer() {
+function createExampleSocketServer() {
   const now = Date.now();
   return {
     id: now,
-    name: '💬 示例聊天服务',
-    port: 8088,
-    path: '/ws',
-    description: '内置示例 WebSocket Mock 服务，包含 4 种匹配规则演示。启动后可在浏览器 DevTools 中测试连接。',
-    onConnectMessage: JSON.stringify({ type: 'welcome', message: '欢迎连接 Mock WebSocket 服务！', timestamp: '{{now}}' }),
+    name: '📟 示例设备服务',
+    protocol: 'tcp',
+    port: 9000,
+    description: '内置示例 TCP Mock 服务，按行分帧。启动后可用 nc localhost 9000 连接并发送 PING、STATUS 或十六进制报文测试。',
+    framing: { mode: 'line' },
+    onConnectMessage: 'READY',
+    onConnectEncoding: 'text',
     rules: [
       {
         id: now + 1,
-        name: '心跳检测 (精确匹配)',
+        name: '心跳 (文本精确匹配)',
         active: true,
         matchType: 'exact',
-        matchPattern: 'ping',
+        matchEncoding: 'text',
+        matchPattern: 'PING',
         delay: 0,
         responseMode: 'basic',
-        responseBasic: 'pong',
+        responseEncoding: 'text',
+        responseBasic: 'PONG',
         responseAdvanced: '',
       },
       {
         id: now + 2,
-        name: '打招呼 (包含匹配)',
-        active: true,
-        matchType: 'contains',
-        matchPattern: 'hello',
-        delay: 200,
-        responseMode: 'basic',
-        responseBasic: JSON.stringify({ type: 'greeting', message: '你好！我是 Mock 服务器 🤖', time: new Date().toISOString() }),
-        responseAdvanced: '',
-      },
-      {
-        id: now + 3,
-        name: 'JSON 消息 (正则匹配)',
+        name: '设备状态 (脚本)',
         active: true,
-        matchType: 'regex',
-        matchPattern: '^\\{.*"type"\\s*:.*\\}$',
+        matchType: 'startsWith',
+        matchEncoding: 'text',
+        matchPattern: 'STATUS',
         delay: 100,
         responseMode: 'advanced',
+        responseEncoding: 'text',
         responseBasic: '',
         responseAdvanced: [
           'function main(message, Mock) {',
-          '  // 解析收到的 JSON 消息，根据 type 字段返回不同响应',
-          '  let parsed;',
-          '  try { parsed = JSON.parse(message); } catch(e) { return { error: "JSON 解析失败" }; }',
-          '',
-          '  if (parsed.type === "user.info") {',
-          '    // 使用 Mock.js 生成随机用户数据',
-          '    return Mock.mock({',
-          '      type: "user.info.response",',
-          '      data: {',
-          '        "id|1-1000": 1,',
-          '        name: "@cname",',
-          '        email: "@email",',
-          '        avatar: "@image(200x200)",',
-          '        "age|18-60": 1',
-          '      }',
-          '    });',
-          '  }',
-          '',
-          '  if (parsed.type === "chat.send") {',
-          '    return {',
-          '      type: "chat.receive",',
-          '      from: "MockBot",',
-          '      content: "收到你的消息: " + (parsed.content || ""),',
-          '      timestamp: Date.now()',
-          '    };',
-          '  }',
-          '',
-          '  return { type: "echo", original: parsed, serverTime: Date.now() };',
+          '  // state 为当前连接的状态，跨消息保留',
+          '  state.count = (state.count || 0) + 1;',
+          '  return Mock.mock("STATUS OK temp=@integer(20, 40) seq=") + state.count;',
           '}',
         ].join('\n'),
       },
       {
-        id: now + 4,
-        name: '默认回复 (任意匹配)',
+        id: now + 3,
+        name: '二进制报文 (十六进制前缀匹配)',
         active: true,
-        matchType: 'any',
-        matchPattern: '',
+        matchType: 'startsWith',
+        matchEncoding: 'hex',
+        matchPattern: 'aa 55',
         delay: 0,
         responseMode: 'basic',
-        responseBasic: JSON.stringify({ type: 'echo', message: '收到消息，但没有匹配到特定规则', tip: '试试发送 ping、hello 或 JSON 格式消息' }),
+        responseEncoding: 'hex',
+        responseBasic: 'aa 55 00 01 ff',
         responseAdvanced: '',
       },
     ],
@@ -1095,57 +5833,194 @@ function createExampleWsServer() {
 }
 
 /**
- * 将 WS 服务配置保存到 uTools 数据库
- * @param {Array} servers - WS 服务配置数组
+ * 将 TCP / UDP 服务配置保存到 uTools 数据库
+ * @param {Array} servers - 服务配置数组
  */
-function saveWsServers(servers) {
-  const doc = utools.db.get(DB_WS_KEY);
+function saveSocketServers(servers) {
+  const doc = utools.db.get(DB_SOCKET_KEY);
   if (doc) {
-    utools.db.put({ _id: DB_WS_KEY, data: servers, _rev: doc._rev });
+    utools.db.put({ _id: DB_SOCKET_KEY, data: servers, _rev: doc._rev });
   } else {
-    utools.db.put({ _id: DB_WS_KEY, data: servers });
+    utools.db.put({ _id: DB_SOCKET_KEY, data: servers });
   }
 }
 
-/** 运行中的 WS 服务实例映射表，key 为 serverId，value 为 { httpServer, wss, clients } */
-const runningWsServers = new Map();
-/** WS 服务消息日志缓冲，key 为 serverId，value 为日志数组 */
-const wsServerLogs = new Map();
+/** 运行中的 TCP / UDP 服务实例映射表，key 为 serverId，value 为 { protocol, server, clients, state } */
+const runningSocketServers = new Map();
+/** TCP / UDP 服务日志缓冲，key 为 serverId，value 为日志数组 */
+const socketServerLogs = new Map();
+/** TCP / UDP 日志序号，key 为 serverId，value 为该服务最后一条日志的 seq（单调递增，用作增量拉取的游标） */
+const socketLogSeqs = new Map();
 
 /**
- * 添加 WS 日志条目
+ * 添加 TCP / UDP 日志条目
+ * @description 数据条目同时记录文本与十六进制（超出 SOCKET_LOG_BYTES 的部分截断），供界面切换显示
  * @param {string|number} serverId
- * @param {object} entry - 日志条目（不含 id）
+ * @param {object} entry - 日志条目（不含 id），data 为收发的字节
  */
-function addWsLog(serverId, entry) {
+function addSocketLog(serverId, entry) {
   const key = String(serverId);
-  if (!wsServerLogs.has(key)) wsServerLogs.set(key, []);
-  const logs = wsServerLogs.get(key);
-  const logEntry = { id: Date.now() + Math.random(), ...entry };
+  if (!socketServerLogs.has(key)) socketServerLogs.set(key, []);
+  const logs = socketServerLogs.get(key);
+  const { data, ...rest } = entry;
+  const seq = (socketLogSeqs.get(key) || 0) + 1;
+  socketLogSeqs.set(key, seq);
+  const logEntry = { id: Date.now() + Math.random(), seq, serverId: Number(serverId), timestamp: Date.now(), ...rest };
+  if (data) {
+    const shown = data.subarray(0, SOCKET_LOG_BYTES);
+    logEntry.message = shown.toString('utf8');
+    logEntry.hex = shown.toString('hex');
+    logEntry.size = data.length;
+  }
   logs.push(logEntry);
-  if (logs.length > WS_LOG_LIMIT) logs.splice(0, logs.length - WS_LOG_LIMIT);
+  if (logs.length > SOCKET_LOG_LIMIT) logs.splice(0, logs.length - SOCKET_LOG_LIMIT);
   return logEntry;
 }
 
 /**
- * 按顺序匹配 WS 消息规则
- * @param {string} message - 收到的消息
+ * 规范化十六进制文本：去掉空白、0x 前缀和分隔符，转为小写
+ * @param {string} text - 如 "AA 55 0x01" 或 "aa:55:01"
+ * @returns {string}
+ */
+function normalizeHex(text) {
+  return String(text || '').replace(/0x/gi, '').replace(/[\s:,-]/g, '').toLowerCase();
+}
+
+/**
+ * 按编码将文本转换为字节
+ * @param {string} text - 内容
+ * @param {string} encoding - text（UTF-8）或 hex
+ * @returns {Buffer}
+ * @throws 十六进制内容非法时抛出错误
+ */
+function encodeSocketText(text, encoding) {
+  if (encoding !== 'hex') return Buffer.from(String(text ?? ''), 'utf8');
+  const hex = normalizeHex(text);
+  if (!/^([0-9a-f]{2})*$/.test(hex)) throw new Error(`Invalid hex: ${text}`);
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * 将脚本返回或发送的数据转换为字节
+ * @param {*} data - 字符串按 UTF-8 编码，二进制数据原样发送，其余值序列化为 JSON
+ * @returns {Buffer|null} null / undefined 返回 null
+ */
+function toSocketPayload(data) {
+  if (data === undefined || data === null) return null;
+  const { payload } = toWsPayload(data);
+  return Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+}
+
+/* -------------------- 分帧 -------------------- */
+
+/**
+ * 规范化分帧配置
+ * @param {object} [framing] - { mode, lengthBytes, byteOrder, lengthIncludesHeader, frameSize, encodeReplies }
+ * @returns {object} mode 为 none / line / length / fixed
+ */
+function normalizeFraming(framing) {
+  const f = framing || {};
+  const mode = ['line', 'length', 'fixed'].includes(f.mode) ? f.mode : 'none';
+  return {
+    mode,
+    lengthBytes: SOCKET_LENGTH_BYTES.includes(Number(f.lengthBytes)) ? Number(f.lengthBytes) : 2,
+    byteOrder: f.byteOrder === 'le' ? 'le' : 'be',
+    lengthIncludesHeader: !!f.lengthIncludesHeader,
+    frameSize: Math.max(1, Math.min(SOCKET_MAX_FRAME, Number(f.frameSize) || 1)),
+    encodeReplies: f.encodeReplies !== false,
+  };
+}
+
+/**
+ * 从 TCP 接收缓冲中切出完整的帧
+ * @param {Buffer} buffer - 累积的接收缓冲
+ * @param {object} framing - normalizeFraming 的结果
+ * @returns {{frames: Buffer[], rest: Buffer}} rest 为尚未凑成完整帧的剩余字节
+ * @throws 帧长度超出 SOCKET_MAX_FRAME 时抛出错误
+ */
+function splitSocketFrames(buffer, framing) {
+  const frames = [];
+  let rest = buffer;
+  if (framing.mode === 'none') return { frames: buffer.length ? [buffer] : [], rest: Buffer.alloc(0) };
+  for (;;) {
+    if (framing.mode === 'line') {
+      const idx = rest.indexOf(0x0a);
+      if (idx === -1) break;
+      // 兼容 \r\n 结尾
+      const end = idx > 0 && rest[idx - 1] === 0x0d ? idx - 1 : idx;
+      frames.push(rest.subarray(0, end));
+      rest = rest.subarray(idx + 1);
+    } else if (framing.mode === 'fixed') {
+      if (rest.length < framing.frameSize) break;
+      frames.push(rest.subarray(0, framing.frameSize));
+      rest = rest.subarray(framing.frameSize);
+    } else {
+      const n = framing.lengthBytes;
+      if (rest.length < n) break;
+      const declared = n === 1 ? rest.readUInt8(0) : (framing.byteOrder === 'le' ? rest[`readUInt${n * 8}LE`](0) : rest[`readUInt${n * 8}BE`](0));
+      const bodyLength = framing.lengthIncludesHeader ? declared - n : declared;
+      if (bodyLength < 0 || bodyLength > SOCKET_MAX_FRAME) throw new Error(`Invalid frame length: ${declared}`);
+      if (rest.length < n + bodyLength) break;
+      frames.push(rest.subarray(n, n + bodyLength));
+      rest = rest.subarray(n + bodyLength);
+    }
+  }
+  if (rest.length > SOCKET_MAX_FRAME) throw new Error(`Frame exceeds ${SOCKET_MAX_FRAME} bytes`);
+  return { frames, rest };
+}
+
+/**
+ * 按分帧方式封装待发送的字节（行分帧追加换行，长度前缀分帧写入长度字段，其余原样发送）
+ * @param {Buffer} payload
+ * @param {object} framing - normalizeFraming 的结果
+ * @returns {Buffer}
+ */
+function encodeSocketFrame(payload, framing) {
+  if (!framing.encodeReplies) return payload;
+  if (framing.mode === 'line') {
+    return payload[payload.length - 1] === 0x0a ? payload : Buffer.concat([payload, Buffer.from('\n')]);
+  }
+  if (framing.mode === 'length') {
+    const n = framing.lengthBytes;
+    const header = Buffer.alloc(n);
+    const length = framing.lengthIncludesHeader ? payload.length + n : payload.length;
+    if (n === 1) header.writeUInt8(length & 0xff, 0);
+    else header[`writeUInt${n * 8}${framing.byteOrder === 'le' ? 'LE' : 'BE'}`](length % (2 ** (n * 8)), 0);
+    return Buffer.concat([header, payload]);
+  }
+  return payload;
+}
+
+/* -------------------- 规则匹配与响应 -------------------- */
+
+/**
+ * 按顺序匹配 TCP / UDP 消息规则
+ * @description matchEncoding 为 hex 时以无空格的小写十六进制文本参与匹配（匹配模式中的空格、0x 会被忽略），否则按 UTF-8 文本匹配
+ * @param {Buffer} data - 收到的消息
  * @param {Array} rules - 规则列表
  * @returns {object|null} 匹配到的规则，或 null
  */
-function matchWsRule(message, rules) {
+function matchSocketRule(data, rules) {
   if (!rules || !rules.length) return null;
+  const text = data.toString('utf8');
+  const hex = data.toString('hex');
   for (const rule of rules) {
     if (!rule.active) continue;
+    const isHex = rule.matchEncoding === 'hex';
+    const subject = isHex ? hex : text;
+    const pattern = isHex && rule.matchType !== 'regex' ? normalizeHex(rule.matchPattern) : String(rule.matchPattern || '');
     switch (rule.matchType) {
       case 'exact':
-        if (message === rule.matchPattern) return rule;
+        if (subject === pattern) return rule;
         break;
       case 'contains':
-        if (message.includes(rule.matchPattern)) return rule;
+        if (subject.includes(pattern)) return rule;
+        break;
+      case 'startsWith':
+        if (subject.startsWith(pattern)) return rule;
         break;
       case 'regex':
-        try { if (new RegExp(rule.matchPattern).test(message)) return rule; } catch (e) { /* ignore bad regex */ }
+        try { if (new RegExp(rule.matchPattern, isHex ? 'i' : '').test(subject)) return rule; } catch (e) { /* ignore bad regex */ }
         break;
       case 'any':
         return rule;
@@ -1155,167 +6030,297 @@ function matchWsRule(message, rules) {
 }
 
 /**
- * 生成 WS 规则的响应内容
+ * 生成 TCP / UDP 规则的响应字节
+ * @description 脚本 main(message, Mock) 中 message 为 UTF-8 文本，另可读取 data（原始字节）、hex、clientId、clientIp、state、serverState，
+ *              调用 send(data)、close()（仅 TCP）、fromHex(text)、toHex(bytes)；返回字符串按 UTF-8 发送，Uint8Array 原样发送，null 不回复。
+ *              脚本出错时不回复，只记录日志并计入错误预算
  * @param {object} rule - 匹配到的规则
- * @param {string} message - 原始消息
- * @param {string} clientId - 客户端 ID
- * @param {string} clientIp - 客户端 IP
- * @returns {Promise<string|null>} 响应字符串
+ * @param {Buffer} data - 收到的消息
+ * @param {{sid: string, entry: object, clientId: string, client: object}} context - 服务与客户端
+ * @returns {Promise<{response: Buffer|null, scriptLogs?: Array, error?: string}>}
  */
-async function generateWsResponse(rule, message, clientId, clientIp) {
-  if (rule.responseMode === 'advanced' && rule.responseAdvanced) {
+async function generateSocketResponse(rule, data, context) {
+  const { sid, entry, clientId, client } = context;
+  if (rule.responseMode !== 'advanced' || !rule.responseAdvanced) {
+    if (!rule.responseBasic) return { response: null };
     try {
-      const script = new vm.Script(rule.responseAdvanced);
-      const sandbox = { message, clientId, clientIp, Mock, console };
-      const context = vm.createContext(sandbox);
-      script.runInContext(context);
-      if (typeof sandbox.main === 'function') {
-        const result = await sandbox.main(message, Mock);
-        return typeof result === 'string' ? result : JSON.stringify(result);
-      }
-      return null;
+      return { response: encodeSocketText(rule.responseBasic, rule.responseEncoding) };
     } catch (e) {
-      console.error('[WS] Advanced script error:', e.message);
-      return JSON.stringify({ error: 'Script execution failed', message: e.message });
+      return { response: null, error: e.message };
+    }
+  }
+  const budgetKey = `socket:${sid}:${rule.id}`;
+  const scriptConsole = createScriptConsole();
+  const scriptLogs = scriptConsole.entries;
+  try {
+    const message = data.toString('utf8');
+    const sandbox = {
+      message, data, hex: data.toString('hex'), clientId, clientIp: client.ip,
+      state: client.state, serverState: entry.state,
+      send: (payload) => sendSocketLogged(sid, entry, clientId, client, toSocketPayload(payload), rule.name),
+      close: () => closeSocketClient(sid, entry, clientId, rule.name),
+      fromHex: (text) => encodeSocketText(text, 'hex'),
+      toHex: (bytes) => (toSocketPayload(bytes) || Buffer.alloc(0)).toString('hex'),
+      Mock, console: scriptConsole.console
+    };
+    const result = await runSandboxedMain(rule.responseAdvanced, sandbox, [message, Mock]);
+    assertScriptResultSize(result);
+    trackScriptResult(budgetKey, false);
+    return { response: toSocketPayload(result), scriptLogs };
+  } catch (e) {
+    const info = describeScriptError(e);
+    const error = formatScriptError(info);
+    console.error('[Socket] Advanced script error:', error);
+    if (trackScriptResult(budgetKey, true)) {
+      const reason = `脚本连续 ${SCRIPT_ERROR_BUDGET} 次执行失败，最近一次：${error}`;
+      autoDisableSocketRule(sid, rule.id, reason);
     }
+    return { response: null, scriptLogs, error };
   }
-  return rule.responseBasic || null;
 }
 
 /**
- * 启动 WS Mock 服务
- * @param {string|number} serverId - WS 服务 ID
- * @returns {Promise<{success: boolean}>}
+ * 自动禁用连续出错的 TCP / UDP 规则
+ * @param {string|number} serverId - 服务 ID
+ * @param {number} ruleId - 规则 ID
+ * @param {string} reason - 禁用原因（写入 rule.autoDisabledReason）
  */
-function startWsServer(serverId) {
-  return new Promise((resolve, reject) => {
-    const sid = String(serverId);
-    if (runningWsServers.has(sid)) {
-      return resolve({ success: true, msg: 'Already running' });
-    }
-
-    const servers = getWsServers();
-    const config = servers.find(s => String(s.id) === sid);
-    if (!config) return reject(new Error('WS server config not found'));
+function autoDisableSocketRule(serverId, ruleId, reason) {
+  const servers = getSocketServers();
+  const server = servers.find(s => String(s.id) === String(serverId));
+  const rule = server && (server.rules || []).find(r => r.id === ruleId);
+  if (!rule) return;
+  rule.active = false;
+  rule.autoDisabledReason = reason;
+  saveSocketServers(servers);
+  console.warn(`[Socket ${serverId}] Rule ${rule.name} auto-disabled: ${reason}`);
+}
 
-    const httpServer = http.createServer();
-    const wsPath = config.path && config.path.startsWith('/') ? config.path : '/' + (config.path || '');
-    const wss = new WebSocket.Server({ server: httpServer, path: wsPath });
+/* -------------------- 收发与连接管理 -------------------- */
 
-    /** 已连接客户端 Map: clientId -> { ws, ip, connectedAt } */
-    const clients = new Map();
-    let clientCounter = 0;
+/**
+ * 向客户端发送字节并记录日志
+ * @description TCP 按服务的分帧方式封装后写入连接；UDP 发送到客户端的地址和端口
+ * @param {string} sid - 服务 ID
+ * @param {object} entry - runningSocketServers 中的运行实例
+ * @param {string} clientId - 客户端 ID
+ * @param {object} client - 客户端信息
+ * @param {Buffer|null} payload - 待发送的字节
+ * @param {string} matchedRule - 日志中显示的来源
+ * @param {Array} [scriptLogs] - 脚本控制台输出
+ * @returns {boolean} 是否已发送
+ */
+function sendSocketLogged(sid, entry, clientId, client, payload, matchedRule, scriptLogs) {
+  if (!payload) return false;
+  if (entry.protocol === 'udp') {
+    entry.server.send(payload, client.port, client.address);
+  } else {
+    if (client.socket.destroyed || !client.socket.writable) return false;
+    client.socket.write(encodeSocketFrame(payload, entry.framing));
+  }
+  addSocketLog(sid, { direction: 'out', clientId, clientIp: client.ip, data: payload, matchedRule, scriptLogs });
+  return true;
+}
 
-    wss.on('connection', (ws, req) => {
-      clientCounter++;
-      const clientId = `client_${Date.now()}_${clientCounter}`;
-      const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
-      clients.set(clientId, { ws, ip: clientIp, connectedAt: Date.now() });
+/**
+ * 由服务端断开客户端（UDP 只从客户端列表中移除）
+ * @param {string} sid - 服务 ID
+ * @param {object} entry - runningSocketServers 中的运行实例
+ * @param {string} clientId - 客户端 ID
+ * @param {string} [matchedRule] - 日志中显示的来源
+ * @returns {boolean} 客户端是否存在
+ */
+function closeSocketClient(sid, entry, clientId, matchedRule) {
+  const client = entry.clients.get(clientId);
+  if (!client) return false;
+  if (entry.protocol === 'udp') {
+    entry.clients.delete(clientId);
+    addSocketLog(sid, { direction: 'system', clientId, clientIp: client.ip, message: '已移除客户端', matchedRule });
+  } else {
+    client.socket.end();
+    addSocketLog(sid, { direction: 'system', clientId, clientIp: client.ip, message: '服务端关闭连接', matchedRule });
+  }
+  return true;
+}
 
-      addWsLog(sid, {
-        serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
-        clientId, clientIp, message: `客户端已连接 (${clientIp})`
-      });
-      console.log(`[WS:${config.port}] Client connected: ${clientId} (${clientIp})`);
+/**
+ * 处理一条收到的消息：记录日志、匹配规则并回复
+ * @param {string} sid - 服务 ID
+ * @param {object} entry - runningSocketServers 中的运行实例
+ * @param {string} clientId - 客户端 ID
+ * @param {object} client - 客户端信息
+ * @param {Buffer} data - 消息内容（TCP 为分帧后的一帧，UDP 为一个数据报）
+ */
+async function handleSocketMessage(sid, entry, clientId, client, data) {
+  addSocketLog(sid, { direction: 'in', clientId, clientIp: client.ip, data });
+  // 重新读取最新规则配置
+  const latestConfig = getSocketServers().find(s => String(s.id) === sid);
+  const matched = matchSocketRule(data, latestConfig ? latestConfig.rules : []);
+  if (!matched) return;
+
+  const delay = matched.delay || 0;
+  if (delay > 0) await new Promise(r => setTimeout(r, delay));
+
+  const { response, scriptLogs, error } = await generateSocketResponse(matched, data, { sid, entry, clientId, client });
+  const logs = scriptLogs && scriptLogs.length ? scriptLogs : undefined;
+  if (error) {
+    addSocketLog(sid, { direction: 'system', clientId, clientIp: client.ip, message: `响应生成失败: ${error}`, matchedRule: matched.name, scriptLogs: logs });
+  } else if (!sendSocketLogged(sid, entry, clientId, client, response, matched.name, logs) && logs) {
+    addSocketLog(sid, { direction: 'system', clientId, clientIp: client.ip, message: '脚本未返回响应', matchedRule: matched.name, scriptLogs: logs });
+  }
+  if (matched.closeAfterReply && entry.protocol === 'tcp') closeSocketClient(sid, entry, clientId, matched.name);
+}
 
-      // 发送欢迎消息
-      if (config.onConnectMessage) {
-        ws.send(config.onConnectMessage);
-        addWsLog(sid, {
-          serverId: Number(serverId), timestamp: Date.now(), direction: 'out',
-          clientId, clientIp, message: config.onConnectMessage, matchedRule: '欢迎消息'
-        });
+/**
+ * 创建 TCP 服务：按分帧方式切分数据，同一连接的消息按顺序处理
+ * @param {string} sid - 服务 ID
+ * @param {object} config - 服务配置
+ * @param {object} entry - 运行实例（clients、framing）
+ * @returns {net.Server}
+ */
+function createTcpSocketServer(sid, config, entry) {
+  let clientCounter = 0;
+  return net.createServer((socket) => {
+    clientCounter++;
+    const clientId = `client_${Date.now()}_${clientCounter}`;
+    const clientIp = `${socket.remoteAddress}:${socket.remotePort}`;
+    const client = { socket, ip: clientIp, connectedAt: Date.now(), lastActiveAt: Date.now(), state: {}, buffer: Buffer.alloc(0), queue: Promise.resolve() };
+    entry.clients.set(clientId, client);
+    addSocketLog(sid, { direction: 'system', clientId, clientIp, message: `客户端已连接 (${clientIp})` });
+
+    if (config.onConnectMessage) {
+      try {
+        sendSocketLogged(sid, entry, clientId, client, encodeSocketText(config.onConnectMessage, config.onConnectEncoding), '欢迎消息');
+      } catch (e) {
+        addSocketLog(sid, { direction: 'system', clientId, clientIp, message: `欢迎消息无效: ${e.message}` });
       }
+    }
 
-      ws.on('message', async (data) => {
-        const message = data.toString();
-        addWsLog(sid, {
-          serverId: Number(serverId), timestamp: Date.now(), direction: 'in',
-          clientId, clientIp, message
+    socket.on('data', (chunk) => {
+      client.lastActiveAt = Date.now();
+      let result;
+      try {
+        result = splitSocketFrames(Buffer.concat([client.buffer, chunk]), entry.framing);
+      } catch (e) {
+        addSocketLog(sid, { direction: 'system', clientId, clientIp, message: `分帧失败，断开连接: ${e.message}` });
+        client.buffer = Buffer.alloc(0);
+        return socket.destroy();
+      }
+      client.buffer = result.rest;
+      for (const frame of result.frames) {
+        client.queue = client.queue.then(() => handleSocketMessage(sid, entry, clientId, client, frame)).catch((e) => {
+          addSocketLog(sid, { direction: 'system', clientId, clientIp, message: `错误: ${e.message}` });
         });
+      }
+    });
 
-        // 重新读取最新规则配置
-        const latestServers = getWsServers();
-        const latestConfig = latestServers.find(s => String(s.id) === sid);
-        const rules = latestConfig ? latestConfig.rules : [];
-        const matched = matchWsRule(message, rules);
-
-        if (matched) {
-          const delay = matched.delay || 0;
-          if (delay > 0) await new Promise(r => setTimeout(r, delay));
-
-          const response = await generateWsResponse(matched, message, clientId, clientIp);
-          if (response !== null && ws.readyState === WebSocket.OPEN) {
-            ws.send(response);
-            addWsLog(sid, {
-              serverId: Number(serverId), timestamp: Date.now(), direction: 'out',
-              clientId, clientIp, message: response, matchedRule: matched.name
-            });
-          }
-        }
-      });
-
-      ws.on('close', () => {
-        clients.delete(clientId);
-        addWsLog(sid, {
-          serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
-          clientId, clientIp, message: `客户端已断开`
-        });
-        console.log(`[WS:${config.port}] Client disconnected: ${clientId}`);
-      });
+    socket.on('close', () => {
+      entry.clients.delete(clientId);
+      addSocketLog(sid, { direction: 'system', clientId, clientIp, message: '客户端已断开' });
+    });
 
-      ws.on('error', (err) => {
-        addWsLog(sid, {
-          serverId: Number(serverId), timestamp: Date.now(), direction: 'system',
-          clientId, clientIp, message: `错误: ${err.message}`
-        });
-      });
+    socket.on('error', (err) => {
+      addSocketLog(sid, { direction: 'system', clientId, clientIp, message: `错误: ${err.message}` });
     });
+  });
+}
 
-    httpServer.listen(config.port, '0.0.0.0', () => {
-      console.log(`[WS] Server started: ws://${LOCAL_IP}:${config.port}${wsPath}`);
-      runningWsServers.set(sid, { httpServer, wss, clients });
-      resolve({ success: true, ip: LOCAL_IP, port: config.port, path: wsPath });
+/**
+ * 创建 UDP 服务：每个数据报为一条消息，按来源地址和端口识别客户端
+ * @param {string} sid - 服务 ID
+ * @param {object} entry - 运行实例（clients）
+ * @returns {dgram.Socket}
+ */
+function createUdpSocketServer(sid, entry) {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (data, rinfo) => {
+    const clientId = `udp_${rinfo.address}:${rinfo.port}`;
+    let client = entry.clients.get(clientId);
+    if (!client) {
+      client = { address: rinfo.address, port: rinfo.port, ip: `${rinfo.address}:${rinfo.port}`, connectedAt: Date.now(), lastActiveAt: Date.now(), state: {}, queue: Promise.resolve() };
+      addSocketLog(sid, { direction: 'system', clientId, clientIp: client.ip, message: `新客户端 (${client.ip})` });
+    }
+    client.lastActiveAt = Date.now();
+    // 重新插入使 Map 按最近活动排序，超出上限时淘汰最久未活动的客户端
+    entry.clients.delete(clientId);
+    entry.clients.set(clientId, client);
+    if (entry.clients.size > MAX_UDP_CLIENTS) entry.clients.delete(entry.clients.keys().next().value);
+    client.queue = client.queue.then(() => handleSocketMessage(sid, entry, clientId, client, data)).catch((e) => {
+      addSocketLog(sid, { direction: 'system', clientId, clientIp: client.ip, message: `错误: ${e.message}` });
     });
-    httpServer.on('error', (err) => reject(err));
   });
+  socket.on('error', (err) => {
+    addSocketLog(sid, { direction: 'system', clientId: '', clientIp: '', message: `错误: ${err.message}` });
+  });
+  return socket;
 }
 
 /**
- * 停止 WS Mock 服务
+ * 启动 TCP / UDP Mock 服务
+ * @param {string|number} serverId - 服务 ID
+ * @returns {Promise<{success: boolean}>}
+ */
+function startSocketServer(serverId) {
+  return new Promise((resolve, reject) => {
+    const sid = String(serverId);
+    if (runningSocketServers.has(sid)) {
+      return resolve({ success: true, msg: 'Already running' });
+    }
+    const config = getSocketServers().find(s => String(s.id) === sid);
+    if (!config) return reject(new Error('Socket server config not found'));
+
+    const protocol = config.protocol === 'udp' ? 'udp' : 'tcp';
+    const entry = { protocol, server: null, clients: new Map(), state: {}, framing: normalizeFraming(config.framing) };
+    entry.server = protocol === 'udp' ? createUdpSocketServer(sid, entry) : createTcpSocketServer(sid, config, entry);
+
+    const onError = (err) => {
+      try { entry.server.close(); } catch (e) { /* ignore */ }
+      reject(err);
+    };
+    entry.server.once('error', onError);
+    const onListening = () => {
+      entry.server.removeListener('error', onError);
+      runningSocketServers.set(sid, entry);
+      console.log(`[Socket] Server started: ${protocol}://${LOCAL_IP}:${config.port}`);
+      resolve({ success: true, ip: LOCAL_IP, port: config.port, protocol });
+    };
+    if (protocol === 'udp') entry.server.bind(config.port, '0.0.0.0', onListening);
+    else entry.server.listen(config.port, '0.0.0.0', onListening);
+  });
+}
+
+/**
+ * 停止 TCP / UDP Mock 服务
  * @param {string|number} serverId
  * @returns {boolean}
  */
-function stopWsServer(serverId) {
+function stopSocketServer(serverId) {
   const sid = String(serverId);
-  const entry = runningWsServers.get(sid);
+  const entry = runningSocketServers.get(sid);
   if (!entry) return false;
-
-  // 关闭所有客户端连接
-  for (const [, client] of entry.clients) {
-    try { client.ws.close(); } catch (e) { /* ignore */ }
+  if (entry.protocol === 'tcp') {
+    for (const [, client] of entry.clients) client.socket.destroy();
   }
-  entry.wss.close();
-  entry.httpServer.close();
-  runningWsServers.delete(sid);
-  console.log(`[WS] Server stopped: ${sid}`);
+  entry.server.close();
+  runningSocketServers.delete(sid);
+  console.log(`[Socket] Server stopped: ${sid}`);
   return true;
 }
 
-/* -------------------- WS Admin API -------------------- */
+/* -------------------- TCP / UDP Admin API -------------------- */
 
-/** GET /_admin/ws/servers - 获取所有 WS 服务配置 */
-adminApp.get('/_admin/ws/servers', (req, res) => {
-  res.json(getWsServers());
+/** GET /_admin/socket/servers - 获取所有 TCP / UDP 服务配置 */
+adminApp.get('/_admin/socket/servers', (req, res) => {
+  res.json(getSocketServers());
 });
 
-/** POST /_admin/ws/server/save - 创建/更新 WS 服务 */
-adminApp.post('/_admin/ws/server/save', (req, res) => {
+/** POST /_admin/socket/server/save - 创建/更新 TCP / UDP 服务（分帧设置在重新启动后生效） */
+adminApp.post('/_admin/socket/server/save', (req, res) => {
   const server = req.body;
   if (!server.name || !server.port) {
     return res.status(400).json({ error: 'Name and port are required' });
   }
-  const servers = getWsServers();
+  const servers = getSocketServers();
   const idx = servers.findIndex(s => s.id === server.id);
   if (idx !== -1) {
     servers[idx] = { ...servers[idx], ...server, id: servers[idx].id, updatedAt: Date.now() };
@@ -1323,114 +6328,94 @@ adminApp.post('/_admin/ws/server/save', (req, res) => {
     const now = Date.now();
     servers.push({ ...server, id: now, rules: server.rules || [], createdAt: now, updatedAt: now });
   }
-  saveWsServers(servers);
+  saveSocketServers(servers);
   res.json({ success: true, data: servers });
 });
 
-/** POST /_admin/ws/server/delete - 删除 WS 服务 */
-adminApp.post('/_admin/ws/server/delete', (req, res) => {
+/** POST /_admin/socket/server/delete - 删除 TCP / UDP 服务 */
+adminApp.post('/_admin/socket/server/delete', (req, res) => {
   const { id } = req.body;
-  stopWsServer(id); // 自动停止运行中的服务
-  const servers = getWsServers().filter(s => s.id !== id);
-  saveWsServers(servers);
+  stopSocketServer(id); // 自动停止运行中的服务
+  const servers = getSocketServers().filter(s => s.id !== id);
+  saveSocketServers(servers);
   res.json({ success: true, data: servers });
 });
 
-/** POST /_admin/ws/server/start - 启动 WS 服务 */
-adminApp.post('/_admin/ws/server/start', async (req, res) => {
+/** POST /_admin/socket/server/start - 启动 TCP / UDP 服务 */
+adminApp.post('/_admin/socket/server/start', async (req, res) => {
   try {
-    const result = await startWsServer(req.body.id);
+    const result = await startSocketServer(req.body.id);
     res.json(result);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-/** POST /_admin/ws/server/stop - 停止 WS 服务 */
-adminApp.post('/_admin/ws/server/stop', (req, res) => {
-  stopWsServer(req.body.id);
+/** POST /_admin/socket/server/stop - 停止 TCP / UDP 服务 */
+adminApp.post('/_admin/socket/server/stop', (req, res) => {
+  stopSocketServer(req.body.id);
   res.json({ success: true });
 });
 
-/** GET /_admin/ws/server/status - 获取所有 WS 服务运行状态 */
-adminApp.get('/_admin/ws/server/status', (req, res) => {
+/** GET /_admin/socket/server/status - 获取所有 TCP / UDP 服务运行状态 */
+adminApp.get('/_admin/socket/server/status', (req, res) => {
   const status = {};
-  for (const [sid, info] of runningWsServers) {
-    status[sid] = { running: true, clientCount: info.clients.size };
+  for (const [sid, info] of runningSocketServers) {
+    status[sid] = { running: true, clientCount: info.clients.size, protocol: info.protocol };
   }
   res.json(status);
 });
 
-/** GET /_admin/ws/server/:id/clients - 获取连接的客户端列表 */
-adminApp.get('/_admin/ws/server/:id/clients', (req, res) => {
-  const sid = String(req.params.id);
-  const entry = runningWsServers.get(sid);
+/** GET /_admin/socket/server/:id/clients - 获取客户端列表（UDP 为发送过数据的地址） */
+adminApp.get('/_admin/socket/server/:id/clients', (req, res) => {
+  const entry = runningSocketServers.get(String(req.params.id));
   if (!entry) return res.json([]);
   const list = [];
   for (const [clientId, info] of entry.clients) {
-    list.push({ clientId, clientIp: info.ip, connectedAt: info.connectedAt });
+    list.push({ clientId, clientIp: info.ip, connectedAt: info.connectedAt, lastActiveAt: info.lastActiveAt });
   }
   res.json(list);
 });
 
-/** GET /_admin/ws/server/:id/logs - 获取消息日志（支持 ?since=timestamp 增量获取） */
-adminApp.get('/_admin/ws/server/:id/logs', (req, res) => {
-  const sid = String(req.params.id);
-  const logs = wsServerLogs.get(sid) || [];
-  const since = req.query.since ? Number(req.query.since) : 0;
-  if (since > 0) {
-    res.json(logs.filter(l => l.timestamp > since));
-  } else {
-    res.json(logs);
-  }
+/** GET /_admin/socket/server/:id/logs - 获取收发日志（支持 ?after=seq 增量获取；一个 TCP 数据块拆出的多帧时间戳相同，不能按时间戳增量） */
+adminApp.get('/_admin/socket/server/:id/logs', (req, res) => {
+  const logs = socketServerLogs.get(String(req.params.id)) || [];
+  const after = req.query.after ? Number(req.query.after) : 0;
+  res.json(after > 0 ? logs.filter(l => l.seq > after) : logs);
 });
 
-/** POST /_admin/ws/server/:id/send - 手动发送消息 */
-adminApp.post('/_admin/ws/server/:id/send', (req, res) => {
+/** POST /_admin/socket/server/:id/send - 手动发送（encoding 为 text 或 hex，clientId 为 __all__ 或省略时发送给全部客户端） */
+adminApp.post('/_admin/socket/server/:id/send', (req, res) => {
   const sid = String(req.params.id);
-  const { clientId, message } = req.body;
-  const entry = runningWsServers.get(sid);
+  const { clientId, message, encoding } = req.body;
+  const entry = runningSocketServers.get(sid);
   if (!entry) return res.status(400).json({ error: 'Server not running' });
 
+  let payload;
+  try {
+    payload = encodeSocketText(message, encoding);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
   let sent = 0;
   if (clientId && clientId !== '__all__') {
-    // 发送给指定客户端
     const client = entry.clients.get(clientId);
-    if (client && client.ws.readyState === WebSocket.OPEN) {
-      client.ws.send(message);
-      addWsLog(sid, {
-        serverId: Number(req.params.id), timestamp: Date.now(), direction: 'out',
-        clientId, clientIp: client.ip, message, matchedRule: '手动发送'
-      });
-      sent = 1;
-    }
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+    if (sendSocketLogged(sid, entry, clientId, client, payload, '手动发送')) sent = 1;
   } else {
-    // 广播给所有客户端
     for (const [cid, client] of entry.clients) {
-      if (client.ws.readyState === WebSocket.OPEN) {
-        client.ws.send(message);
-        addWsLog(sid, {
-          serverId: Number(req.params.id), timestamp: Date.now(), direction: 'out',
-          clientId: cid, clientIp: client.ip, message, matchedRule: '广播'
-        });
-        sent++;
-      }
+      if (sendSocketLogged(sid, entry, cid, client, payload, '广播')) sent++;
     }
   }
   res.json({ success: true, sent });
 });
 
-/** POST /_admin/ws/server/:id/disconnect - 断开指定客户端 */
-adminApp.post('/_admin/ws/server/:id/disconnect', (req, res) => {
+/** POST /_admin/socket/server/:id/disconnect - 断开指定客户端（UDP 为从列表中移除） */
+adminApp.post('/_admin/socket/server/:id/disconnect', (req, res) => {
   const sid = String(req.params.id);
-  const { clientId } = req.body;
-  const entry = runningWsServers.get(sid);
+  const entry = runningSocketServers.get(sid);
   if (!entry) return res.status(400).json({ error: 'Server not running' });
-
-  const client = entry.clients.get(clientId);
-  if (client) {
-    try { client.ws.close(); } catch (e) { /* ignore */ }
-    entry.clients.delete(clientId);
+  if (closeSocketClient(sid, entry, req.body.clientId, '手动断开')) {
     res.json({ success: true });
   } else {
     res.status(404).json({ error: 'Client not found' });
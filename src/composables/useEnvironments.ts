@@ -48,11 +48,23 @@ function stripUndefined<T extends Record<string, any>>(obj: T): Partial<T> {
   return result;
 }
 
+/**
+ * 将文本中的 {{变量名}} 替换为变量表中的值，未定义的变量保持原样
+ * @param input - 待替换文本
+ * @param varMap - 变量表
+ */
+export function interpolateVariables(input: string, varMap: Record<string, string>): string {
+  return input.replace(/\{\{(\w+)\}\}/g, (match, varName) => {
+    return varMap[varName] ?? match;
+  });
+}
+
 export interface UseEnvironmentsReturn {
   environments: Ref<Environment[]>;
   activeEnvId: Ref<number | null>;
   activeEnvironment: ComputedRef<Environment | undefined>;
   resolveVariables: (input: string, serviceId?: number, projectId?: number) => string;
+  resolveVariableMap: (serviceId?: number, projectId?: number) => Record<string, string>;
   resolveServiceConfig: (serviceId: number, projectId?: number) => EnvServiceConfig;
   loadEnvironments: () => void;
   saveEnvironment: (env: Environment) => void;
@@ -68,9 +80,9 @@ export function useEnvironments(): UseEnvironmentsReturn {
     return environments.value.find(e => e.id === activeEnvId.value);
   });
 
-  function resolveVariables(input: string, serviceId?: number, projectId?: number): string {
+  function resolveVariableMap(serviceId?: number, projectId?: number): Record<string, string> {
     const env = activeEnvironment.value;
-    if (!env) return input;
+    if (!env) return {};
 
     // 合并变量：全局 → 项目覆盖 → 服务覆盖（后者同名覆盖前者）
     const varMap = new Map<string, string>();
@@ -85,9 +97,12 @@ export function useEnvironments(): UseEnvironmentsReturn {
       so?.variables?.filter(v => v.enabled).forEach(v => varMap.set(v.key, v.value));
     }
 
-    return input.replace(/\{\{(\w+)\}\}/g, (match, varName) => {
-      return varMap.get(varName) ?? match;
-    });
+    return Object.fromEntries(varMap);
+  }
+
+  function resolveVariables(input: string, serviceId?: number, projectId?: number): string {
+    if (!activeEnvironment.value) return input;
+    return interpolateVariables(input, resolveVariableMap(serviceId, projectId));
   }
 
   function resolveServiceConfig(serviceId: number, projectId?: number): EnvServiceConfig {
@@ -130,7 +145,7 @@ export function useEnvironments(): UseEnvironmentsReturn {
     if (idx !== -1) {
       environments.value[idx] = { ...env, updatedAt: Date.now() };
     } else {
-      environments.value.push({ ...env, id: Date.now(), createdAt: Date.now(), updatedAt: Date.now() });
+      environments.value.push({ ...env, id: env.id || Date.now(), createdAt: Date.now(), updatedAt: Date.now() });
     }
     saveToStorage();
   }
@@ -154,6 +169,7 @@ export function useEnvironments(): UseEnvironmentsReturn {
     activeEnvId,
     activeEnvironment,
     resolveVariables,
+    resolveVariableMap,
     resolveServiceConfig,
     loadEnvironments,
     saveEnvironment,
@@ -3,7 +3,7 @@ import type { InjectionKey } from 'vue';
 import type { HttpMethod } from '@/types/mock';
 
 /** 所有可配置的侧边栏模块 key */
-export type SidebarModuleKey = 'dashboard' | 'project' | 'service' | 'api' | 'template' | 'scenario' | 'tools' | 'environment' | 'doc' | 'log' | 'websocket' | 'testrunner';
+export type SidebarModuleKey = 'dashboard' | 'project' | 'service' | 'api' | 'template' | 'scenario' | 'tools' | 'environment' | 'doc' | 'log' | 'websocket' | 'socket' | 'testrunner';
 
 /** 固定在侧边栏顶部的模块（不可排序、不可移除） */
 export const FIXED_PRIMARY: SidebarModuleKey[] = ['project', 'service', 'api'];
@@ -12,7 +12,7 @@ export const FIXED_PRIMARY: SidebarModuleKey[] = ['project', 'service', 'api'];
 export const DEFAULT_PRIMARY: SidebarModuleKey[] = ['project', 'service', 'api', 'dashboard', 'template', 'scenario', 'tools'];
 
 /** 默认更多面板 */
-export const DEFAULT_MORE: SidebarModuleKey[] = ['environment', 'doc', 'log', 'websocket', 'testrunner'];
+export const DEFAULT_MORE: SidebarModuleKey[] = ['environment', 'doc', 'log', 'websocket', 'socket', 'testrunner'];
 
 export interface AppSettings {
   editorFontSize: number;
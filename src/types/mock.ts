@@ -1,12 +1,19 @@
-export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'DELETE';
+/** 请求方法，ANY 表示接口匹配任意方法 */
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE' | 'HEAD' | 'OPTIONS' | 'ANY';
 export type BodyType = 'none' | 'form-data' | 'x-www-form-urlencoded' | 'json' | 'text' | 'xml';
 export type ResponseMode = 'basic' | 'advanced'; // 新增响应模式
+/** 接口的响应模式：在基础 / 高级之外，passthrough 转发到真实接口并改写其响应，stream 以 SSE / 分块传输逐条输出 */
+export type RuleResponseMode = ResponseMode | 'passthrough' | 'stream';
+
+/** 参数类型（email / uuid / date / date-time / uri 为带格式的字符串） */
+export type ParamType = 'string' | 'integer' | 'number' | 'boolean' | 'email' | 'uuid' | 'date' | 'date-time' | 'uri';
 
 export interface KeyValueItem {
     key: string;
     value: string;
     required?: boolean; // 是否必填
     description?: string;
+    type?: ParamType;   // 参数类型（设置后请求校验会检查取值）
 }
 
 export interface BodyContent {
@@ -39,31 +46,133 @@ export interface MockRule {
     // --- 新增字段 ---
     headers: KeyValueItem[];       // 请求头校验
     params: KeyValueItem[];        // Query 参数校验
+    pathParams?: KeyValueItem[];   // 路径参数定义（key 对应 URL 中的 :name）
     body: BodyContent;             // 请求体定义
+    bodySchema?: string;           // 请求体 JSON Schema（JSON 文本），设置后每次请求都会校验
+    validationStatus?: 400 | 422;  // 请求校验失败时的状态码，默认 400
     responseHeaders: KeyValueItem[]; // 自定义响应头
 
     // --- 响应配置升级 ---
-    responseMode: ResponseMode;      // 模式：基础 | 高级
+    responseMode: RuleResponseMode;  // 模式：基础 | 高级 | 透传改写 | 流式响应
     responseType: string;            // Content-Type (基础模式用)
     responseBasic: string;           // 基础模式内容 (原 response)
     responseAdvanced: string;        // 高级模式脚本
     responseFile?: string;           // 二进制类型的本地文件路径
+    passthrough?: PassthroughConfig; // 透传改写配置（responseMode 为 passthrough 时使用）
+    stream?: StreamConfig;           // 流式响应配置（responseMode 为 stream 时使用）
     responsePresets?: ResponsePreset[];
     activePresetId?: number;           // undefined = 使用默认响应
     mockjsEnabled?: boolean;         // 基础模式是否启用 Mock.js 处理
     expectations?: MockExpectation[]; // 条件响应（Mock 期望）列表
+    sequence?: ResponseSequence;     // 响应序列（按调用次数依次返回，启用时优先于条件响应和场景预设）
+    fault?: FaultConfig;             // 故障注入（启用时覆盖服务级配置）
     assertions?: ResponseAssertion[]; // 响应断言列表
+    autoDisabledReason?: string;     // 脚本连续出错被自动禁用的原因（重新启用时清除）
+}
+
+/** 透传改写：按 JSONPath 修改真实响应中的字段 */
+export interface PassthroughOverride {
+    path: string;                  // JSONPath，如 $.data.user.name、$.data.list[*].price
+    op: 'set' | 'remove';
+    value: string;                 // set 的新值：合法 JSON 按 JSON 解析，否则作为字符串
+}
+
+/** 透传改写配置：请求转发到真实接口，改写后再返回（延迟、注入响应头沿用接口自身的配置） */
+export interface PassthroughConfig {
+    statusCode?: number;           // 强制状态码，为空时沿用真实响应
+    overrides: PassthroughOverride[];
+    removeHeaders: string[];       // 从真实响应中移除的响应头
+    scriptEnabled?: boolean;       // 是否执行改写脚本
+    script?: string;               // 改写脚本：main(req, real, Mock)，可修改 real.status / real.headers / real.body 或返回新的响应体
+}
+
+/** 流式响应中的一个事件（SSE 格式输出 id / event / data 字段，分块格式只写出 data） */
+export interface StreamEvent {
+    id?: string;                   // 事件 ID（客户端重连时通过 Last-Event-ID 回传）
+    event?: string;                // 事件类型，为空时为默认的 message
+    data: string;                  // 事件内容，多行文本按行拆成多个 data 字段
+    delay?: number | null;         // 发送前等待（ms），为空时使用统一间隔
+}
+
+/** 流式响应配置：SSE（text/event-stream）或分块传输（Transfer-Encoding: chunked） */
+export interface StreamConfig {
+    format: 'sse' | 'chunked';
+    source: 'events' | 'script';   // 事件列表 | 脚本生成（main 返回事件数组或生成器）
+    events: StreamEvent[];
+    script?: string;               // 生成脚本：main(req, Mock)，req.lastEventId 为客户端上报的 Last-Event-ID
+    interval?: number;             // 事件间隔（ms）
+    autoId?: boolean;              // 为未设置 ID 的事件按序号自动编号（仅 SSE）
+    retry?: number;                // 建议客户端的重连间隔（ms，输出 retry 字段，仅 SSE）
+    keepAlive?: number;            // 保活注释间隔（ms，0 不发送，仅 SSE）
+    keepOpen?: boolean;            // 事件发送完后保持连接，直到客户端断开（仅 SSE）
+    contentType?: string;          // 分块格式的 Content-Type，默认 text/plain
+}
+
+/** 请求校验违规项（校验失败时响应 { error, details, violations }） */
+export interface ValidationViolation {
+    in: 'header' | 'query' | 'path' | 'body';
+    path: string;        // 参数名或请求体字段路径（如 user.tags[0]），根为空串
+    message: string;
 }
 
 // ==================== 新架构：MockService + MockServiceGroup ====================
 
+/**
+ * 有状态资源集合：自动生成 list/get/create/update/patch/delete 接口，数据保存在内存中，
+ * 服务停止或通过 Admin API 重置后按种子配置重新生成
+ */
+export interface MockResource {
+    id: number;
+    name: string;
+    active: boolean;
+    path: string;                    // 集合路径（相对分组子前缀），如 /users
+    idField: string;                 // 主键字段名，默认 id
+    idType: 'number' | 'uuid';       // 新建记录的主键生成方式
+    seedSource: 'inline' | 'template';
+    seedContent?: string;            // inline：Mock.js 模板（数组 / 含数组字段的对象 / 单条记录）
+    seedTemplateId?: number;         // template：引用的基础模式模板 ID
+    seedCount?: number;              // 单条记录模板时生成的条数
+    envelope?: boolean;              // 是否包装为 { code, message, data }
+}
+
 /** 服务内的轻量级分组（controller 级别） */
 export interface MockServiceGroup {
     id: number;
     name: string;
     description?: string;
     subPrefix?: string;              // 分组子前缀，如 /users
+    proxyTarget?: string;            // 分组代理目标（覆盖服务的代理目标）
     children: MockRule[];
+    resources?: MockResource[];      // 有状态资源集合
+}
+
+/** HTTPS 证书来源：本地 CA 签发 / 用户提供 */
+export type TlsCertSource = 'local-ca' | 'custom';
+
+/** HTTPS 监听配置（Mock 服务与 WS 服务共用） */
+export interface TlsConfig {
+    enabled: boolean;
+    certSource: TlsCertSource;
+    cert?: string;                   // 自定义证书（PEM，可包含证书链）
+    key?: string;                    // 自定义私钥（PEM）
+    hostnames?: string[];            // 本地 CA 签发时额外写入证书的域名 / IP
+    httpPort?: number;               // 同时以 HTTP 监听的端口（选填）
+}
+
+/** 本地 CA 信息 */
+export interface LocalCaInfo {
+    subject: string;
+    fingerprint: string;             // SHA-256 指纹
+    validFrom: number;
+    validTo: number;
+    path: string;                    // CA 证书文件路径
+}
+
+/** 代理路径重写规则：对剥离服务前缀后的路径执行正则替换 */
+export interface ProxyRewriteRule {
+    pattern: string;                 // 正则表达式，如 ^/v1/
+    replacement: string;             // 替换内容，支持 $1 等捕获组
+    enabled?: boolean;
 }
 
 /** Mock 服务（一个独立的 Express 实例） */
@@ -81,11 +190,133 @@ export interface MockService {
     realPrefix?: string;
     proxyEnabled?: boolean;
     proxyTarget?: string;
+    proxyRewrites?: ProxyRewriteRule[];       // 转发前的路径重写规则（按顺序执行）
+    proxyRequestHeaders?: KeyValueItem[];     // 注入上游请求的头（支持 {{变量}}，值为空表示移除）
+    proxyResponseHeaders?: KeyValueItem[];    // 注入返回给客户端的响应头
+    proxyTimeout?: number;                    // 上游超时（毫秒），默认 30000
+    proxyInsecure?: boolean;                  // 接受上游自签名证书
+    tls?: TlsConfig;                 // HTTPS 监听
+    fault?: FaultConfig;             // 服务级故障注入（作用于全部请求，接口启用了故障注入时以接口为准）
     groups: MockServiceGroup[];      // 内联分组
     createdAt: number;
     updatedAt: number;
 }
 
+/** 录制会话按 Content-Type 归类的响应类型 */
+export type RecordingContentKind = 'json' | 'text' | 'binary';
+
+/** 代理录制捕获的一个接口（同一接口的多次请求合并为一条） */
+export interface RecordedEntry {
+    key: string;                     // 判重键：METHOD + 路径（参数名不参与比较）
+    method: HttpMethod;
+    url: string;                     // 规则路径（相对目标分组子前缀，ID 段已替换为 :id）
+    samplePath: string;              // 首次请求的原始路径（含 query）
+    count: number;                   // 捕获的请求次数
+    firstSeen: number;
+    lastSeen: number;
+    exists: boolean;                 // 目标分组中已有同一接口（接受时只合并条件响应和预设）
+    binarySize?: number;             // 二进制响应的字节数
+    rule: MockRule;                  // 接受后写入分组的规则草稿
+}
+
+/** 代理录制会话（每个服务一个，仅保存在内存中） */
+export interface RecordingSession {
+    groupId: number;                 // 录制到的目标分组
+    groupName: string;
+    status: 'recording' | 'stopped';
+    startedAt: number;
+    stoppedAt?: number;
+    methods: HttpMethod[];           // 为空时录制所有方法
+    pathPattern: string;             // 路径正则（匹配剥离服务前缀后的路径），为空时不过滤
+    contentTypes: RecordingContentKind[];
+    generalize: boolean;             // 是否把数字 / UUID 路径段归纳为 :id
+    limit: number;                   // 最多捕获的接口数
+    skipped: number;                 // 被过滤或超出上限而未录制的请求数
+    entries: RecordedEntry[];
+}
+
+// ==================== 匹配诊断与路由冲突 ====================
+
+/**
+ * 规则在一次匹配中的结果
+ * prefix：分组子前缀不匹配；inactive：已禁用或未配置 URL；method：方法不匹配；invalid：路由模式非法；
+ * path：路径不匹配；query：路径匹配但 Query 约束不满足；outranked：匹配但优先级较低；matched：命中
+ */
+export type RuleMatchStatus = 'prefix' | 'inactive' | 'method' | 'invalid' | 'path' | 'query' | 'outranked' | 'matched';
+
+/** 匹配诊断中的规则引用 */
+export interface RouteRuleRef {
+    groupId: number;
+    groupName: string;
+    ruleId: number;
+    name?: string;
+    method: HttpMethod;
+    url: string;
+}
+
+/** 匹配诊断：单条规则的匹配结果 */
+export interface RuleMatchTrace extends RouteRuleRef {
+    status: RuleMatchStatus;
+    priority?: number;               // 候选规则的优先级排名（1 为命中）
+    params?: Record<string, string>; // 路径参数
+}
+
+/** 匹配诊断：条件的评估结果 */
+export type ConditionTrace =
+    | (ExpectationCondition & { actual: unknown; passed: boolean })
+    | { logic: 'and' | 'or'; negate: boolean; passed: boolean; items: ConditionTrace[] };
+
+/** 匹配诊断：期望条件的逐项评估（按优先级排列） */
+export interface ExpectationTrace {
+    id: number;
+    name: string;
+    priority: number;
+    logic: 'and' | 'or';
+    result: 'matched' | 'failed' | 'empty' | 'skipped';  // empty：没有条件，不参与匹配；skipped：前面的期望已命中
+    conditions: ConditionTrace[];
+}
+
+/** 匹配诊断的最终结果 */
+export interface MatchOutcome {
+    type: 'rule' | 'validation' | 'resource' | 'preflight' | 'proxy' | 'notFound' | 'prefixMismatch';
+    status?: number;
+    groupId?: number;
+    ruleId?: number;
+    resourceId?: number;
+    id?: string | null;              // 资源集合命中的记录 ID
+    params?: Record<string, string>;
+    responseSource?: 'expectation' | 'preset' | 'rule';
+    responseName?: string;
+    responseMode?: RuleResponseMode;
+    sequence?: { hit: number; step: number; total: number };  // 响应序列：本次为第几次调用、使用第几步
+    target?: string;                 // 代理转发地址
+}
+
+/** POST /_admin/service/:id/explain 的返回结果 */
+export interface MatchExplanation {
+    method: string;
+    path: string;                    // 请求路径（含服务前缀）
+    query: Record<string, string | string[]>;
+    servicePrefix: string;
+    url: string | null;              // 剥离服务前缀后的路径，前缀不匹配时为 null
+    groups: { groupId: number; groupName: string; subPrefix: string; ok: boolean; rest: string | null }[];
+    rules: RuleMatchTrace[];
+    resources: { groupId: number; groupName: string; resourceId: number; name: string; path: string; matched: boolean }[];
+    expectations?: ExpectationTrace[];
+    violations?: (ValidationViolation & { text: string })[];
+    outcome: MatchOutcome;
+}
+
+/**
+ * 路由冲突：duplicate 与更高优先级规则完全相同；shadowed 写法不同但匹配相同请求；
+ * ambiguous 优先级相同但正则约束不同；invalid 路由模式非法
+ */
+export interface RouteConflict {
+    type: 'duplicate' | 'shadowed' | 'ambiguous' | 'invalid';
+    rule: RouteRuleRef;
+    by?: RouteRuleRef;               // 优先命中的规则
+}
+
 export interface MockGroup {
     id: number;
     name: string;
@@ -172,25 +403,54 @@ export interface Environment {
   updatedAt: number;
 }
 
+/** 脚本控制台输出（高级模式脚本中 console.log / warn / error 的捕获结果） */
+export interface ScriptLogEntry {
+  level: 'log' | 'info' | 'warn' | 'error';
+  timestamp: number;
+  message: string;
+}
+
 // 请求日志
 export interface RequestLog {
   id: number;
+  seq?: number;                     // 服务流量：递增序号，增量拉取的游标
   timestamp: number;
   method: HttpMethod;
   url: string;
   status: number;
   statusText: string;
   duration: number;
-  mode: 'mock' | 'real';
+  mode: 'mock' | 'real' | 'proxy';  // proxy：未命中规则、转发到代理目标（仅服务流量）
+  source?: 'debug' | 'server';      // debug：调试面板发起（默认）；server：Mock 服务实际收到的请求
+  path?: string;                    // 服务流量：原始请求路径（含 query）
+  serviceId?: number;
   ruleId?: number;
   ruleName?: string;
+  groupId?: number;
   groupName?: string;
   serviceName?: string;
+  expectationName?: string;         // 命中的条件响应名称
+  presetName?: string;              // 生效的场景预设名称
+  sequenceStep?: number;            // 使用的响应序列步骤（从 1 开始）
+  fault?: FaultKind;                // 注入的故障
+  clientIp?: string;
   requestHeaders?: Record<string, string>;
   requestBody?: string;
   responseHeaders?: Record<string, string>;
   responseBody?: string;
   error?: string;
+  scriptLogs?: ScriptLogEntry[];    // 高级脚本的控制台输出
+}
+
+/** 高级脚本执行失败时服务端返回的错误信息 */
+export interface ScriptErrorInfo {
+  error: string;
+  type: 'timeout' | 'syntax' | 'recursion' | 'limit' | 'runtime';
+  message: string;
+  line?: number;                    // 脚本中的出错行号（从 1 开始）
+  column?: number;
+  source?: 'rule' | 'expectation' | 'preset' | 'passthrough';  // 出错脚本来源
+  autoDisabledReason?: string;      // 本次失败耗尽错误预算、接口被自动禁用时返回
 }
 
 // 响应预设
@@ -221,6 +481,15 @@ export interface TestResultMeta {
     statusText: string;
     time: number;
     headers: Record<string, string>;
+    scriptLogs?: ScriptLogEntry[];   // Mock 请求命中高级脚本时的控制台输出
+    stream?: StreamChunk[];          // 流式响应（SSE / 分块传输）按到达顺序记录的数据块
+    streaming?: boolean;             // 流式响应是否仍在接收中
+}
+
+/** 调试请求收到的一个流式数据块 */
+export interface StreamChunk {
+    at: number;      // 距请求发出的时间（ms）
+    text: string;
 }
 
 // 【新增】模板数据结构
@@ -236,7 +505,7 @@ export interface MockTemplate {
 // ==================== WebSocket Mock ====================
 
 /** WS 消息匹配类型 */
-export type WsMatchType = 'exact' | 'contains' | 'regex' | 'any';
+export type WsMatchType = 'exact' | 'contains' | 'regex' | 'json' | 'any';
 
 /** WS 响应模式 */
 export type WsResponseMode = 'basic' | 'advanced';
@@ -247,11 +516,21 @@ export interface WsRule {
     name: string;
     active: boolean;
     matchType: WsMatchType;
-    matchPattern: string;        // 匹配模式（any 时可为空）
+    matchPattern: string;        // 匹配模式（json、any 时可为空）
+    conditions?: ExpectationNode[]; // json 匹配的字段条件（与 Mock 期望相同的条件树，body 为按 JSON 解析的消息）
+    logic?: 'and' | 'or';        // 顶层条件的组合方式，默认 and
     delay: number;               // 延迟回复（ms）
     responseMode: WsResponseMode;
-    responseBasic: string;       // 基础模式响应内容
+    responseBasic: string;       // 基础模式响应内容（可用 {{$.id}} 回显收到的 JSON 消息字段）
+    binary?: boolean;            // 基础模式以二进制帧发送（响应内容为十六进制）
     responseAdvanced: string;    // 高级模式脚本
+    autoDisabledReason?: string; // 脚本连续出错被自动禁用的原因（重新启用时清除）
+}
+
+/** WS 连接握手：在升级为 WebSocket 之前执行脚本，可按 Query、请求头或子协议拒绝连接 */
+export interface WsHandshake {
+    enabled: boolean;
+    script: string;              // main(req, Mock)：返回 false 拒绝（403），{ status, body, headers } 以指定状态码拒绝，{ protocol } 选择子协议
 }
 
 /** WS 服务配置 */
@@ -263,10 +542,54 @@ export interface WsServer {
     description?: string;
     rules: WsRule[];
     onConnectMessage?: string;   // 客户端连接时自动发送的欢迎消息
+    handshake?: WsHandshake;     // 连接握手脚本
+    schedules?: WsSchedule[];    // 定时推送
+    timeline?: WsTimeline;       // 连接时间线（每个连接建立后按时间依次执行）
+    tls?: TlsConfig;             // wss:// 监听
     createdAt: number;
     updatedAt: number;
 }
 
+/** WS 定时推送：按固定间隔或 cron 表达式主动向客户端推送消息 */
+export interface WsSchedule {
+    id: number;
+    name: string;
+    active: boolean;
+    trigger: 'interval' | 'cron';
+    interval?: number;           // 推送间隔（ms，trigger 为 interval 时使用）
+    cron?: string;               // cron 表达式：5 段（分 时 日 月 周）或 6 段（秒 分 时 日 月 周）
+    target: 'all' | 'new';       // 推送对象：全部客户端 | 上次推送之后新连接的客户端
+    count?: number;              // 最多推送次数（0 为不限，服务重启后重新计数）
+    responseMode: WsResponseMode;
+    responseBasic: string;       // 基础模式消息内容
+    responseAdvanced: string;    // 脚本：main(tick, Mock)，返回 null 时跳过本次推送
+    autoDisabledReason?: string; // 脚本连续出错被自动禁用的原因（重新启用时清除）
+}
+
+/** 连接时间线中的一步 */
+export interface WsTimelineStep {
+    id: number;
+    at: number;                  // 距连接建立的时间（ms）
+    action: 'send' | 'close';
+    message?: string;            // send 的消息内容
+    closeCode?: number;          // close 的关闭码（1000 或 3000-4999，默认 1000）
+    closeReason?: string;
+}
+
+/** 连接时间线：模拟「连接 1 秒后发送 A，5 秒后发送 B，然后以 4001 关闭」这类固定流程 */
+export interface WsTimeline {
+    enabled: boolean;
+    steps: WsTimelineStep[];
+}
+
+/** 运行中定时推送的状态 */
+export interface WsScheduleStatus {
+    id: number;
+    fired: number;               // 已推送次数
+    lastFiredAt: number;         // 最近推送时间（0 为尚未推送）
+    error?: string;              // cron 表达式无效或脚本执行失败的原因
+}
+
 /** WS 消息日志方向 */
 export type WsLogDirection = 'in' | 'out' | 'system';
 
@@ -280,6 +603,8 @@ export interface WsLogEntry {
     clientIp: string;
     message: string;
     matchedRule?: string;        // 匹配的规则名称
+    binary?: boolean;            // 二进制帧（message 为十六进制）
+    scriptLogs?: ScriptLogEntry[]; // 高级脚本的控制台输出
 }
 
 /** WS 已连接客户端信息 */
@@ -287,29 +612,124 @@ export interface WsClientInfo {
     clientId: string;
     clientIp: string;
     connectedAt: number;
+    rooms?: string[];            // 脚本通过 join 加入的房间
+    state?: Record<string, unknown>; // 脚本写入的连接状态
+}
+
+// ==================== TCP / UDP Mock ====================
+
+/** TCP / UDP 服务协议 */
+export type SocketProtocol = 'tcp' | 'udp';
+
+/** 消息内容的编码：UTF-8 文本或十六进制 */
+export type SocketEncoding = 'text' | 'hex';
+
+/** TCP / UDP 消息匹配类型 */
+export type SocketMatchType = 'exact' | 'contains' | 'startsWith' | 'regex' | 'any';
+
+/** TCP 分帧方式（UDP 每个数据报即一条消息） */
+export interface SocketFraming {
+    mode: 'none' | 'line' | 'length' | 'fixed'; // 不分帧（每次收到的数据） | 按换行 | 长度前缀 | 固定长度
+    lengthBytes?: 1 | 2 | 4;     // 长度字段字节数（length，默认 2）
+    byteOrder?: 'be' | 'le';     // 长度字段字节序（默认大端）
+    lengthIncludesHeader?: boolean; // 长度值是否包含长度字段本身
+    frameSize?: number;          // 固定帧长度（fixed）
+    encodeReplies?: boolean;     // 回复时按同样方式封装（追加换行 / 写入长度前缀），默认 true
+}
+
+/** TCP / UDP 消息匹配规则 */
+export interface SocketRule {
+    id: number;
+    name: string;
+    active: boolean;
+    matchType: SocketMatchType;
+    matchEncoding: SocketEncoding; // hex 时按十六进制文本匹配（忽略空格与 0x）
+    matchPattern: string;
+    delay: number;               // 延迟回复（ms）
+    responseMode: WsResponseMode;
+    responseEncoding: SocketEncoding; // 基础模式响应内容的编码
+    responseBasic: string;
+    responseAdvanced: string;    // 脚本：main(message, Mock)，返回字符串或 Uint8Array，null 不回复
+    closeAfterReply?: boolean;   // 回复后断开连接（仅 TCP）
+    autoDisabledReason?: string; // 脚本连续出错被自动禁用的原因（重新启用时清除）
+}
+
+/** TCP / UDP 服务配置 */
+export interface SocketServer {
+    id: number;
+    name: string;
+    protocol: SocketProtocol;
+    port: number;
+    description?: string;
+    framing?: SocketFraming;     // 分帧方式（仅 TCP，重新启动后生效）
+    onConnectMessage?: string;   // 客户端连接时自动发送（仅 TCP）
+    onConnectEncoding?: SocketEncoding;
+    rules: SocketRule[];
+    createdAt: number;
+    updatedAt: number;
+}
+
+/** TCP / UDP 收发日志条目（数据条目同时提供文本与十六进制） */
+export interface SocketLogEntry {
+    id: number;
+    seq: number;                 // 服务内递增序号，增量拉取的游标
+    serverId: number;
+    timestamp: number;
+    direction: WsLogDirection;
+    clientId: string;
+    clientIp: string;
+    message?: string;            // 文本（数据条目按 UTF-8 解码）或系统消息
+    hex?: string;                // 数据的十六进制（最多 4096 字节）
+    size?: number;               // 数据总字节数
+    matchedRule?: string;
+    scriptLogs?: ScriptLogEntry[];
+}
+
+/** TCP / UDP 客户端信息（UDP 为发送过数据的地址和端口） */
+export interface SocketClientInfo {
+    clientId: string;
+    clientIp: string;
+    connectedAt: number;
+    lastActiveAt: number;
 }
 
 // ==================== 条件响应（Mock 期望） ====================
 
-/** 条件来源 */
-export type ConditionSource = 'query' | 'header' | 'body' | 'pathParam';
+/** 条件来源（rawBody 为原始请求体文本，form 为 urlencoded / multipart 表单字段，method 为请求方法） */
+export type ConditionSource = 'query' | 'header' | 'cookie' | 'body' | 'form' | 'rawBody' | 'pathParam' | 'method';
 
-/** 条件操作符 */
-export type ConditionOperator = 'equals' | 'contains' | 'regex' | 'exists' | 'gt' | 'lt';
+/** 断言操作符 */
+export type AssertionOperator = 'equals' | 'contains' | 'regex' | 'exists' | 'gt' | 'lt';
+
+/** 条件操作符（in 的对比值为逗号分隔或 JSON 数组，jsonSchema 的对比值为 JSON Schema 文本） */
+export type ConditionOperator = AssertionOperator | 'notEquals' | 'notContains' | 'startsWith' | 'in' | 'isEmpty' | 'jsonSchema';
 
 /** 期望条件 */
 export interface ExpectationCondition {
     source: ConditionSource;
-    key: string;          // 参数名（body 使用 JSON path，如 data.id）
+    key: string;          // 参数名（body 使用 JSONPath，如 $.items[?(@.id == 1)].name；method / rawBody 不需要）
     operator: ConditionOperator;
-    value: string;        // 对比值（exists 操作符时可为空）
+    value: string;        // 对比值（exists / isEmpty 操作符时可为空）
+    negate?: boolean;     // 对结果取反
+}
+
+/** 条件组：组内条件按 logic 组合，可嵌套 */
+export interface ConditionGroup {
+    logic: 'and' | 'or';
+    negate?: boolean;     // 对组结果取反（NOT）
+    items: ExpectationNode[];
 }
 
+/** 期望中的条件或条件组 */
+export type ExpectationNode = ExpectationCondition | ConditionGroup;
+
 /** Mock 期望（条件响应） */
 export interface MockExpectation {
     id: number;
     name: string;
-    conditions: ExpectationCondition[];
+    conditions: ExpectationNode[];
+    logic?: 'and' | 'or';  // 顶层条件的组合方式，默认 and
+    priority?: number;     // 优先级，越大越先匹配，相同时按列表顺序
     statusCode: number;
     responseMode: ResponseMode;
     responseType: string;
@@ -317,6 +737,66 @@ export interface MockExpectation {
     responseAdvanced: string;
 }
 
+// ==================== 响应序列与命中计数 ====================
+
+/** 响应序列的一步：使用接口默认响应、场景预设或条件响应 */
+export interface ResponseSequenceStep {
+    id: number;
+    source: 'rule' | 'preset' | 'expectation';
+    refId?: number;        // 引用的场景预设 / 条件响应 ID
+    repeat?: number;       // 连续返回的次数，默认 1
+}
+
+/** 响应序列：如「失败两次后成功」「第一页、第二页、然后为空」 */
+export interface ResponseSequence {
+    enabled: boolean;
+    steps: ResponseSequenceStep[];
+    onEnd: 'loop' | 'stick' | 'fallback';  // 序列走完后：从头循环 / 停在最后一步 / 回到正常的响应匹配
+    scope: 'global' | 'client';            // 按全局调用次数，或按每个客户端各自的调用次数
+    clientHeader?: string;                 // 按客户端计数时用于识别客户端的请求头，为空时使用客户端 IP
+    resetAfter?: number;                   // 超过多少秒未调用时计数自动归零，0 表示不自动归零
+}
+
+/** GET /_admin/service/:id/counters 中单个接口的命中计数 */
+export interface RuleHitCounter {
+    ruleId: number;
+    count: number;
+    lastHitAt: number;
+    step: number | null;   // 下一次调用将使用的序列步骤下标（按全局计数），未启用序列或已结束时为 null
+    clients: { clientId: string; count: number; lastHitAt: number; step: number | null }[];
+}
+
+// ==================== 故障注入 ====================
+
+/** 故障注入的随机延迟分布 */
+export interface FaultLatency {
+    distribution: 'uniform' | 'normal' | 'exponential';
+    min?: number;          // uniform 下限 / 所有分布的最小值（ms）
+    max?: number;          // uniform 上限 / 所有分布的最大值（ms）
+    mean?: number;         // normal / exponential 的均值（ms）
+    stddev?: number;       // normal 的标准差（ms）
+}
+
+/** 故障注入与网络模拟配置（各比例为 0~100 的百分比，互斥抽取） */
+export interface FaultConfig {
+    enabled: boolean;
+    errorRate?: number;            // 返回错误状态码
+    errorStatuses?: number[];      // 错误状态码（随机取一个），默认 500
+    errorBody?: string;            // 错误响应体，默认 { error: 'Injected fault', status }
+    errorBodyType?: string;        // 错误响应体的 Content-Type，默认 application/json
+    dropRate?: number;             // 不响应直接关闭连接
+    resetRate?: number;            // 以 TCP RST 重置连接
+    hangRate?: number;             // 永不响应（直到客户端超时断开）
+    truncateRate?: number;         // 只返回一半响应体后断开
+    malformRate?: number;          // 响应体中间写入非法字符
+    bandwidth?: number;            // 限速（字节/秒），0 表示不限
+    chunkSize?: number;            // 每次写出的字节数（1 为逐字节），0 表示自动
+    latency?: FaultLatency | null; // 随机延迟（叠加在接口自身的延迟之上）
+}
+
+/** 流量日志中触发的故障类型 */
+export type FaultKind = 'error' | 'drop' | 'reset' | 'hang' | 'truncate' | 'malform';
+
 // ==================== 响应断言 ====================
 
 /** 断言目标 */
@@ -327,7 +807,7 @@ export interface ResponseAssertion {
     id: number;
     target: AssertionTarget;
     key?: string;           // header 名或 body JSON path
-    operator: ConditionOperator;
+    operator: AssertionOperator;
     value: string;
 }
 
@@ -341,6 +821,25 @@ export interface AssertionResult {
 
 // ==================== 测试用例 ====================
 
+/** 变量提取来源 */
+export type ExtractionSource = 'body' | 'header' | 'status';
+
+/** 从响应中提取套件变量（供后续用例以 {{name}} 引用） */
+export interface TestCaseExtraction {
+    id: number;
+    name: string;           // 变量名
+    source: ExtractionSource;
+    path?: string;          // body 的 JSONPath 或 header 名（status 不需要）
+}
+
+/** 变量提取结果 */
+export interface ExtractionResult {
+    extraction: TestCaseExtraction;
+    passed: boolean;
+    value: string;
+    message: string;
+}
+
 /** 测试用例 */
 export interface TestCase {
     id: number;
@@ -353,6 +852,7 @@ export interface TestCase {
     params?: KeyValueItem[];
     body?: BodyContent;
     assertions: ResponseAssertion[];
+    extractions?: TestCaseExtraction[]; // 运行套件时从响应中提取的变量
     createdAt: number;
     updatedAt: number;
 }
@@ -377,6 +877,8 @@ export interface TestCaseResult {
     status: number;
     duration: number;
     assertionResults: AssertionResult[];
+    extractionResults?: ExtractionResult[];
+    requestUrl?: string;    // 替换变量后的实际请求地址
     error?: string;
 }
 
@@ -391,4 +893,5 @@ export interface TestSuiteResult {
     passedCases: number;
     failedCases: number;
     results: TestCaseResult[];
+    variables: Record<string, string>; // 运行结束时的套件变量（不含环境变量）
 }
\ No newline at end of file
@@ -5,6 +5,7 @@ export interface IPreloadServices {
     writeImageFile: (base64: string) => string | undefined;
     getServerUrl: () => string;
     getLocalIP: () => string; // 新增
+    getJsonPathValue: (obj: unknown, path: string) => unknown; // 按 JSONPath 取第一个匹配的值
 }
 // 扩展 Window 接口
 declare global {
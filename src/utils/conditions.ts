@@ -0,0 +1,71 @@
+/**
+ * conditions.ts
+ *
+ * 条件响应（Mock 期望）的条件树工具：期望的 conditions 中可以混合普通条件和
+ * { logic, negate, items } 条件组，与 Mock 服务端 evaluateConditionNode 的结构一致。
+ */
+import type { ConditionGroup, ConditionOperator, ConditionSource, ExpectationCondition, ExpectationNode } from '@/types/mock';
+
+/** 条件来源选项（noKey：不需要填写参数名） */
+export const CONDITION_SOURCES: { label: string; value: ConditionSource; noKey?: boolean }[] = [
+  { label: 'Query 参数', value: 'query' },
+  { label: 'Header', value: 'header' },
+  { label: 'Cookie', value: 'cookie' },
+  { label: 'Body (JSONPath)', value: 'body' },
+  { label: '表单字段', value: 'form' },
+  { label: '原始请求体', value: 'rawBody', noKey: true },
+  { label: '路径参数', value: 'pathParam' },
+  { label: '请求方法', value: 'method', noKey: true },
+];
+
+/** WS 消息规则（JSON 字段匹配）可用的条件来源：消息按 JSON 解析后作为 body，Query / Header / Cookie 取自握手请求 */
+export const WS_CONDITION_SOURCES: { label: string; value: ConditionSource; noKey?: boolean }[] = [
+  { label: '消息 (JSONPath)', value: 'body' },
+  { label: '原始消息', value: 'rawBody', noKey: true },
+  { label: '握手 Query', value: 'query' },
+  { label: '握手 Header', value: 'header' },
+  { label: '握手 Cookie', value: 'cookie' },
+];
+
+/** 条件操作符选项（noValue：不需要填写对比值） */
+export const CONDITION_OPERATORS: { label: string; value: ConditionOperator; noValue?: boolean }[] = [
+  { label: '等于', value: 'equals' },
+  { label: '不等于', value: 'notEquals' },
+  { label: '包含', value: 'contains' },
+  { label: '不包含', value: 'notContains' },
+  { label: '开头是', value: 'startsWith' },
+  { label: '属于', value: 'in' },
+  { label: '正则', value: 'regex' },
+  { label: '存在', value: 'exists', noValue: true },
+  { label: '为空', value: 'isEmpty', noValue: true },
+  { label: '大于', value: 'gt' },
+  { label: '小于', value: 'lt' },
+  { label: 'JSON Schema', value: 'jsonSchema' },
+];
+
+/** 是否为条件组 */
+export function isConditionGroup(node: ExpectationNode): node is ConditionGroup {
+  return Array.isArray((node as ConditionGroup).items);
+}
+
+/** 条件树中的普通条件总数（含嵌套条件组） */
+export function countConditions(nodes: ExpectationNode[]): number {
+  return nodes.reduce((sum, node) => sum + (isConditionGroup(node) ? countConditions(node.items) : 1), 0);
+}
+
+/**
+ * 期望命中时必然成立的 equals 条件：只在顶层为 and 时取顶层未取反的 equals 条件，
+ * 供导出示例请求等只能表达简单条件的场景使用
+ */
+export function requiredEqualsConditions(nodes: ExpectationNode[], logic: 'and' | 'or' = 'and'): ExpectationCondition[] {
+  if (logic === 'or') return [];
+  return nodes.filter((n): n is ExpectationCondition => !isConditionGroup(n) && !n.negate && n.operator === 'equals');
+}
+
+/** 条件的单行描述，如 query.type 等于 vip */
+export function describeCondition(c: ExpectationCondition): string {
+  const source = CONDITION_SOURCES.find(s => s.value === c.source);
+  const operator = CONDITION_OPERATORS.find(o => o.value === c.operator);
+  const target = source?.noKey ? source.label : `${c.source}${c.source === 'body' ? ' ' : '.'}${c.key}`;
+  return [c.negate ? 'NOT' : '', target, operator?.label || c.operator, operator?.noValue ? '' : c.value].filter(Boolean).join(' ');
+}
@@ -9,23 +9,37 @@ export interface DocOptions {
 }
 
 /**
- * Generate Markdown documentation from MockService data
+ * Pick the services covered by the export scope
  */
-export function generateMarkdownDoc(services: MockService[], options: DocOptions): string {
-  let targetServices = services;
-
+export function selectDocServices(services: MockService[], options: DocOptions): MockService[] {
   if (options.scope === 'project' && options.projectId) {
-    targetServices = services.filter(s => s.projectId === options.projectId);
-  } else if (options.scope === 'service' && options.serviceId) {
-    targetServices = services.filter(s => s.id === options.serviceId);
+    return services.filter(s => s.projectId === options.projectId);
+  }
+  if (options.scope === 'service' && options.serviceId) {
+    return services.filter(s => s.id === options.serviceId);
   }
+  return services;
+}
 
-  const lines: string[] = [];
-  const title = options.scope === 'project'
+/**
+ * Document title for the export scope (project name / service name / "API")
+ */
+export function getDocTitle(targetServices: MockService[], options: DocOptions): string {
+  return options.scope === 'project'
     ? options.projects?.find(p => p.id === options.projectId)?.name || '项目'
     : options.scope === 'service'
     ? targetServices[0]?.name || '服务'
     : 'API';
+}
+
+/**
+ * Generate Markdown documentation from MockService data
+ */
+export function generateMarkdownDoc(services: MockService[], options: DocOptions): string {
+  const targetServices = selectDocServices(services, options);
+
+  const lines: string[] = [];
+  const title = getDocTitle(targetServices, options);
 
   lines.push(`# ${title} 接口文档`);
   lines.push('');
@@ -72,15 +86,28 @@ export function generateMarkdownDoc(services: MockService[], options: DocOptions
         if (rule.delay) lines.push(`- **延迟**: ${rule.delay}ms`);
         lines.push('');
 
+        // Path params
+        const pathParams = rule.pathParams?.filter(p => p.key);
+        if (pathParams?.length) {
+          lines.push('##### 路径参数');
+          lines.push('');
+          lines.push('| 参数名 | 类型 | 说明 |');
+          lines.push('|--------|------|------|');
+          for (const p of pathParams) {
+            lines.push(`| ${p.key} | ${p.type || 'string'} | ${p.description || '-'} |`);
+          }
+          lines.push('');
+        }
+
         // Request headers
         const reqHeaders = rule.headers?.filter(h => h.key);
         if (reqHeaders?.length) {
           lines.push('##### 请求头');
           lines.push('');
-          lines.push('| Key | Value | 必填 | 说明 |');
-          lines.push('|-----|-------|------|------|');
+          lines.push('| Key | Value | 类型 | 必填 | 说明 |');
+          lines.push('|-----|-------|------|------|------|');
           for (const h of reqHeaders) {
-            lines.push(`| ${h.key} | ${h.value || '-'} | ${h.required ? '是' : '否'} | ${h.description || '-'} |`);
+            lines.push(`| ${h.key} | ${h.value || '-'} | ${h.type || '-'} | ${h.required ? '是' : '否'} | ${h.description || '-'} |`);
           }
           lines.push('');
         }
@@ -90,10 +117,10 @@ export function generateMarkdownDoc(services: MockService[], options: DocOptions
         if (params?.length) {
           lines.push('##### Query 参数');
           lines.push('');
-          lines.push('| 参数名 | 示例值 | 必填 | 说明 |');
-          lines.push('|--------|--------|------|------|');
+          lines.push('| 参数名 | 示例值 | 类型 | 必填 | 说明 |');
+          lines.push('|--------|--------|------|------|------|');
           for (const p of params) {
-            lines.push(`| ${p.key} | ${p.value || '-'} | ${p.required ? '是' : '否'} | ${p.description || '-'} |`);
+            lines.push(`| ${p.key} | ${p.value || '-'} | ${p.type || '-'} | ${p.required ? '是' : '否'} | ${p.description || '-'} |`);
           }
           lines.push('');
         }
@@ -119,6 +146,17 @@ export function generateMarkdownDoc(services: MockService[], options: DocOptions
           lines.push('');
         }
 
+        // Request body schema
+        if (rule.bodySchema?.trim()) {
+          lines.push(`##### 请求体 Schema（校验失败返回 ${rule.validationStatus || 400}）`);
+          lines.push('');
+          lines.push('```json');
+          try { lines.push(JSON.stringify(JSON.parse(rule.bodySchema), null, 2)); }
+          catch { lines.push(rule.bodySchema); }
+          lines.push('```');
+          lines.push('');
+        }
+
         // Response
         lines.push('##### 响应');
         lines.push('');
@@ -136,6 +174,10 @@ export function generateMarkdownDoc(services: MockService[], options: DocOptions
             }
             lines.push('```');
           }
+        } else if (rule.responseMode === 'passthrough') {
+          lines.push('> 透传改写（转发真实接口，改写后返回）');
+        } else if (rule.responseMode === 'stream') {
+          lines.push(`> 流式响应（${rule.stream?.format === 'chunked' ? '分块传输' : 'SSE，Content-Type: text/event-stream'}）`);
         } else {
           lines.push('> 高级模式（脚本生成响应）');
         }
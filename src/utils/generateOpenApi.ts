@@ -0,0 +1,503 @@
+import type { MockService, MockServiceGroup, MockRule, MockResource, MockTemplate, KeyValueItem, RuleResponseMode } from '@/types/mock';
+import { selectDocServices, getDocTitle, type DocOptions } from './generateApiDoc';
+import { paramTypeToSchema, parseSchemaText } from './jsonSchema';
+import { serviceOrigin } from './serviceUrl';
+import { parseRoutePattern, ANY_EXPORT_METHODS } from './routePattern';
+
+export type OpenApiVersion = '3.1' | '2.0';
+
+export interface OpenApiExportOptions extends DocOptions {
+  version: OpenApiVersion;
+  host?: string;              // host used in servers / host, defaults to localhost
+  templates?: MockTemplate[]; // needed to resolve resource seeds that reference a data template
+}
+
+type Schema = Record<string, any>;
+type Operation = Record<string, any>;
+
+const BINARY_TYPES = ['application/pdf', 'application/zip', 'application/octet-stream', 'video/', 'audio/', 'image/', 'application/vnd.openxmlformats', 'application/msword'];
+
+/** Mock.js placeholders whose generated value is not a string */
+const MOCK_PLACEHOLDER_VALUES: Record<string, any> = {
+  integer: 1, int: 1, natural: 1, float: 1.5, boolean: true, bool: true,
+};
+
+/** Item of the `violations` array returned when request validation fails */
+const VIOLATION_SCHEMA = {
+  type: 'object',
+  properties: { in: { type: 'string', enum: ['header', 'query', 'path', 'body'] }, path: { type: 'string' }, message: { type: 'string' } },
+};
+
+/** One possible response of a rule: default response, a scenario preset or an expectation */
+/** Responses not described by a static example */
+const DYNAMIC_MODE_NOTES: Partial<Record<RuleResponseMode, string>> = {
+  advanced: '（脚本动态生成）',
+  passthrough: '（转发真实接口后改写）',
+  stream: '（流式输出）',
+};
+
+interface ResponseVariant {
+  status: number;
+  name: string;
+  mode: RuleResponseMode;
+  contentType: string;
+  body: string;
+}
+
+/**
+ * Generate an OpenAPI 3.1 or Swagger 2.0 document from MockService data
+ */
+export function generateOpenApiDoc(services: MockService[], options: OpenApiExportOptions): Record<string, any> {
+  const targetServices = selectDocServices(services, options);
+  const ctx = new ExportContext(options);
+  const multiService = targetServices.length > 1;
+
+  for (const service of targetServices) {
+    for (const group of service.groups) {
+      const tag = multiService ? `${service.name} / ${group.name}` : group.name;
+      ctx.addTag(tag, group.description);
+      for (const rule of group.children) {
+        if (!options.showDisabled && !rule.active) continue;
+        // ANY rules are documented under each common method
+        for (const method of rule.method === 'ANY' ? ANY_EXPORT_METHODS : [rule.method]) {
+          ctx.addOperation(service, joinPath(service.prefix, group.subPrefix, rule.url), method, buildRuleOperation(rule, tag, ctx), rule.pathParams);
+        }
+      }
+      for (const resource of group.resources || []) {
+        if (!options.showDisabled && !resource.active) continue;
+        addResourceOperations(service, group, resource, tag, ctx);
+      }
+    }
+  }
+
+  const title = getDocTitle(targetServices, options);
+  const description = targetServices.length === 1 ? targetServices[0].description : undefined;
+  const host = options.host || 'localhost';
+
+  if (options.version === '2.0') {
+    const first = targetServices[0];
+    return clean({
+      swagger: '2.0',
+      info: { title, version: '1.0.0', description },
+      host: first ? `${host}:${first.port}` : undefined,
+      basePath: '/',
+      schemes: ['http'],
+      tags: ctx.tags,
+      paths: ctx.paths,
+    });
+  }
+
+  // Services listen on different ports: a single service gets top-level servers, otherwise each path item carries its own
+  const servers = targetServices.length === 1 ? [{ url: serviceOrigin(targetServices[0], host), description: targetServices[0].name }] : undefined;
+  if (multiService) {
+    for (const [path, item] of Object.entries(ctx.paths)) {
+      const service = ctx.pathServices.get(path);
+      if (service) item.servers = [{ url: serviceOrigin(service, host), description: service.name }];
+    }
+  }
+  return clean({
+    openapi: '3.1.0',
+    info: { title, version: '1.0.0', description },
+    servers,
+    tags: ctx.tags,
+    paths: ctx.paths,
+  });
+}
+
+/** Collects paths, tags and operationIds while walking the services */
+class ExportContext {
+  readonly version: OpenApiVersion;
+  readonly templates: MockTemplate[];
+  readonly paths: Record<string, Record<string, any>> = {};
+  readonly tags: { name: string; description?: string }[] = [];
+  readonly pathServices = new Map<string, MockService>();
+  private readonly operationIds = new Set<string>();
+
+  constructor(options: OpenApiExportOptions) {
+    this.version = options.version;
+    this.templates = options.templates || [];
+  }
+
+  get isV2() {
+    return this.version === '2.0';
+  }
+
+  addTag(name: string, description?: string) {
+    if (!this.tags.some(t => t.name === name)) this.tags.push({ name, description });
+  }
+
+  /** Register an operation; the first definition of a method + path wins, like route matching in the mock server */
+  addOperation(service: MockService, rawPath: string, method: string, operation: Operation, pathParamDefs?: KeyValueItem[]) {
+    const { path, params, query } = toOpenApiPath(rawPath);
+    const key = method.toLowerCase();
+    if (!this.paths[path]) {
+      this.paths[path] = {};
+      this.pathServices.set(path, service);
+    }
+    if (this.paths[path][key]) return;
+
+    const pathParams = params.map(({ name, pattern }) => {
+      const param = this.parameter(pathParamDefs?.find(p => p.key === name) || { key: name, value: '' }, 'path');
+      if (pattern) {
+        if (this.isV2) param.pattern = pattern;
+        else param.schema = { ...param.schema, pattern };
+      }
+      return param;
+    });
+    // Query constraints in the rule URL become required query parameters
+    const queryParams = query
+      .filter(q => !(operation.parameters || []).some((p: Record<string, any>) => p.in === 'query' && p.name === q.key))
+      .map(q => this.parameter({ key: q.key, value: q.value || '', required: true }, 'query'));
+    const parameters = [...pathParams, ...queryParams, ...(operation.parameters || [])];
+    this.paths[path][key] = clean({
+      operationId: this.uniqueOperationId(`${key}_${path}`),
+      ...operation,
+      parameters: parameters.length ? parameters : undefined,
+    });
+  }
+
+  /** Build a query / header / path parameter */
+  parameter(item: KeyValueItem, location: 'query' | 'header' | 'path'): Record<string, any> {
+    const base = { name: item.key, in: location, required: location === 'path' ? true : !!item.required, description: item.description || undefined };
+    const schema = paramTypeToSchema(item.type);
+    if (this.isV2) return clean({ ...base, ...schema, 'x-example': item.value || undefined });
+    return clean({ ...base, schema, example: item.value || undefined });
+  }
+
+  /** Infer a JSON schema from an example value */
+  schemaOf(value: any): Schema {
+    if (value === null || value === undefined) return this.isV2 ? {} : { type: 'null' };
+    if (Array.isArray(value)) {
+      return { type: 'array', items: value.length ? mergeSchemas(value.map(v => this.schemaOf(v))) : {} };
+    }
+    switch (typeof value) {
+      case 'object': {
+        const properties: Record<string, Schema> = {};
+        for (const [k, v] of Object.entries(value)) properties[k] = this.schemaOf(v);
+        return { type: 'object', properties };
+      }
+      case 'number':
+        return { type: Number.isInteger(value) ? 'integer' : 'number' };
+      case 'boolean':
+        return { type: 'boolean' };
+      default:
+        return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(String(value)) ? { type: 'string', format: 'date-time' } : { type: 'string' };
+    }
+  }
+
+  private uniqueOperationId(raw: string): string {
+    const base = raw.replace(/[{}]/g, '').replace(/[^a-zA-Z0-9_]+/g, '_').replace(/_+/g, '_').replace(/_+$/, '') || 'operation';
+    let id = base;
+    for (let i = 2; this.operationIds.has(id); i++) id = `${base}_${i}`;
+    this.operationIds.add(id);
+    return id;
+  }
+}
+
+/**
+ * Build the operation object of a single rule
+ */
+function buildRuleOperation(rule: MockRule, tag: string, ctx: ExportContext): Operation {
+  const parameters = [
+    ...(rule.params || []).filter(p => p.key).map(p => ctx.parameter(p, 'query')),
+    ...(rule.headers || []).filter(h => h.key).map(h => ctx.parameter(h, 'header')),
+  ];
+  const operation: Operation = {
+    tags: [tag],
+    summary: rule.name || undefined,
+    deprecated: rule.active ? undefined : true,
+    parameters,
+  };
+
+  // Request body
+  const body = rule.body;
+  if (body && body.type !== 'none' && rule.method !== 'GET') {
+    if (body.type === 'form-data' || body.type === 'x-www-form-urlencoded') {
+      const mediaType = body.type === 'form-data' ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+      const fields = (body.formData || []).filter(f => f.key);
+      if (ctx.isV2) {
+        operation.consumes = [mediaType];
+        parameters.push(...fields.map(f => clean({ name: f.key, in: 'formData', type: 'string', required: !!f.required, description: f.description || undefined, 'x-example': f.value || undefined })));
+      } else {
+        const properties: Record<string, Schema> = {};
+        fields.forEach(f => { properties[f.key] = clean({ type: 'string', description: f.description || undefined, examples: f.value ? [f.value] : undefined }); });
+        const required = fields.filter(f => f.required).map(f => f.key);
+        operation.requestBody = { content: { [mediaType]: { schema: { type: 'object', properties, required: required.length ? required : undefined } } } };
+      }
+    } else {
+      const mediaType = body.type === 'json' ? 'application/json' : body.type === 'xml' ? 'application/xml' : 'text/plain';
+      const example = body.type === 'json' ? parseExample(body.raw, !!rule.mockjsEnabled) : body.raw || undefined;
+      const declared = body.type === 'json' ? parseSchemaText(rule.bodySchema).schema : undefined;
+      const schema = declared || (body.type === 'json' && example !== undefined ? ctx.schemaOf(example) : { type: 'string' });
+      if (ctx.isV2) {
+        operation.consumes = [mediaType];
+        parameters.push({ name: 'body', in: 'body', required: true, schema: example !== undefined ? { ...schema, example } : schema });
+      } else {
+        operation.requestBody = { required: true, content: { [mediaType]: { schema, example } } };
+      }
+    }
+  }
+
+  // Responses: default response, scenario presets and expectations, grouped by status code
+  const variants: ResponseVariant[] = [{
+    status: 200,
+    name: '默认响应',
+    mode: rule.responseMode || 'basic',
+    contentType: rule.responseMode === 'stream' ? streamContentType(rule) : rule.responseType || 'application/json',
+    body: rule.responseBasic,
+  }];
+  for (const preset of rule.responsePresets || []) {
+    variants.push({ status: preset.statusCode || 200, name: `场景：${preset.name}`, mode: preset.responseMode, contentType: preset.responseType || 'application/json', body: preset.responseBasic });
+  }
+  for (const exp of rule.expectations || []) {
+    variants.push({ status: exp.statusCode || 200, name: `期望：${exp.name}`, mode: exp.responseMode, contentType: exp.responseType || 'application/json', body: exp.responseBasic });
+  }
+  const headers = (rule.responseHeaders || []).filter(h => h.key && h.key.toLowerCase() !== 'content-type');
+  operation.responses = buildResponses(variants, headers, !!rule.mockjsEnabled, ctx);
+  const validated = rule.bodySchema?.trim() || [...(rule.headers || []), ...(rule.params || []), ...(rule.pathParams || [])].some(p => p.key && (p.required || p.type));
+  const validationStatus = String(rule.validationStatus || 400);
+  if (validated && !operation.responses[validationStatus]) {
+    const schema = { type: 'object', properties: { error: { type: 'string' }, details: { type: 'array', items: { type: 'string' } }, violations: { type: 'array', items: VIOLATION_SCHEMA } } };
+    operation.responses[validationStatus] = ctx.isV2
+      ? { description: '请求校验失败', schema }
+      : { description: '请求校验失败', content: { 'application/json': { schema } } };
+  }
+  if (ctx.isV2) {
+    const produces = [...new Set(variants.map(v => v.mode === 'basic' || v.mode === 'stream' ? v.contentType : 'application/json'))];
+    operation.produces = produces;
+  }
+  return clean(operation);
+}
+
+/**
+ * Content-Type of a streaming rule: SSE, or the configured type of a chunked response
+ */
+function streamContentType(rule: MockRule): string {
+  if (rule.stream?.format === 'chunked') return rule.stream.contentType || 'text/plain';
+  return 'text/event-stream';
+}
+
+/**
+ * Group response variants by status and emit responses with schema + named examples
+ */
+function buildResponses(variants: ResponseVariant[], headers: KeyValueItem[], mockjs: boolean, ctx: ExportContext): Record<string, any> {
+  const byStatus = new Map<number, ResponseVariant[]>();
+  for (const v of variants) {
+    if (!byStatus.has(v.status)) byStatus.set(v.status, []);
+    byStatus.get(v.status)!.push(v);
+  }
+
+  const responseHeaders = headers.length
+    ? Object.fromEntries(headers.map(h => [h.key, ctx.isV2
+      ? clean({ type: 'string', description: h.description || undefined, 'x-example': h.value || undefined })
+      : clean({ schema: { type: 'string' }, description: h.description || undefined, example: h.value || undefined })]))
+    : undefined;
+
+  const responses: Record<string, any> = {};
+  for (const [status, list] of [...byStatus.entries()].sort((a, b) => a[0] - b[0])) {
+    const description = list.map(v => v.name + (DYNAMIC_MODE_NOTES[v.mode] || '')).join('；');
+    const content: Record<string, { schema?: Schema; examples: Record<string, any> }> = {};
+    for (const v of list) {
+      const mediaType = v.mode === 'basic' || v.mode === 'stream' ? v.contentType.split(';')[0].trim() : 'application/json';
+      if (!content[mediaType]) content[mediaType] = { examples: {} };
+      const entry = content[mediaType];
+      if (v.mode !== 'basic') continue;
+      if (BINARY_TYPES.some(t => mediaType.includes(t))) {
+        entry.schema = { type: 'string', format: 'binary' };
+        continue;
+      }
+      const example = mediaType.includes('json') ? parseExample(v.body, mockjs) : v.body || undefined;
+      if (example === undefined) continue;
+      if (!entry.schema) entry.schema = mediaType.includes('json') ? ctx.schemaOf(example) : { type: 'string' };
+      entry.examples[exampleKey(v.name, entry.examples)] = { summary: v.name, value: example };
+    }
+
+    if (ctx.isV2) {
+      // Swagger 2.0 has a single schema per response and one example per media type
+      const first = Object.entries(content).find(([, c]) => c.schema);
+      const examples: Record<string, any> = {};
+      for (const [mediaType, c] of Object.entries(content)) {
+        const values = Object.values(c.examples);
+        if (values.length) examples[mediaType] = values[0].value;
+      }
+      responses[String(status)] = clean({
+        description,
+        schema: first?.[1].schema,
+        headers: responseHeaders,
+        examples: Object.keys(examples).length ? examples : undefined,
+      });
+    } else {
+      const mediaTypes: Record<string, any> = {};
+      for (const [mediaType, c] of Object.entries(content)) {
+        mediaTypes[mediaType] = clean({ schema: c.schema, examples: Object.keys(c.examples).length ? c.examples : undefined });
+      }
+      responses[String(status)] = clean({ description, headers: responseHeaders, content: mediaTypes });
+    }
+  }
+  return responses;
+}
+
+/**
+ * Add the CRUD operations generated by a stateful resource collection
+ */
+function addResourceOperations(service: MockService, group: MockServiceGroup, resource: MockResource, tag: string, ctx: ExportContext) {
+  const idField = resource.idField || 'id';
+  const record = resourceRecordExample(resource, ctx.templates);
+  const recordSchema = ctx.schemaOf(record);
+  recordSchema.properties = { ...(recordSchema.properties || {}), [idField]: resource.idType === 'uuid' ? { type: 'string', format: 'uuid' } : { type: 'integer' } };
+
+  const wrap = (schema: Schema): Schema => resource.envelope
+    ? { type: 'object', properties: { code: { type: 'integer' }, message: { type: 'string' }, data: schema } }
+    : schema;
+  const errorSchema: Schema = resource.envelope ? wrap(ctx.isV2 ? {} : { type: 'null' }) : { type: 'object', properties: { error: { type: 'string' } } };
+  const json = (description: string, schema: Schema, headers?: Record<string, any>) => ctx.isV2
+    ? clean({ description, schema, headers })
+    : clean({ description, headers, content: { 'application/json': { schema } } });
+  const name = resource.name || resource.path;
+  const collectionPath = joinPath(service.prefix, group.subPrefix, resource.path);
+  const itemPath = `${collectionPath === '/' ? '' : collectionPath}/:${idField}`;
+  const bodyParam = (description: string) => ctx.isV2
+    ? { parameters: [{ name: 'body', in: 'body', required: true, description, schema: recordSchema }] }
+    : { requestBody: { required: true, description, content: { 'application/json': { schema: recordSchema } } } };
+  const query = (key: string, description: string): KeyValueItem => ({ key, value: '', description });
+  const notFound = { '404': json('记录不存在', errorSchema) };
+  const invalid = { '400': json('请求体必须是 JSON 对象', errorSchema) };
+
+  const listSchema = resource.envelope
+    ? wrap({ type: 'object', properties: { list: { type: 'array', items: recordSchema }, total: { type: 'integer' }, page: { type: 'integer' }, pageSize: { type: 'integer' } } })
+    : { type: 'array', items: recordSchema };
+  const totalHeader = resource.envelope ? undefined : { 'X-Total-Count': ctx.isV2 ? { type: 'integer', description: '过滤后的记录总数' } : { schema: { type: 'integer' }, description: '过滤后的记录总数' } };
+
+  ctx.addOperation(service, collectionPath, 'GET', {
+    tags: [tag], summary: `[资源] ${name} 列表`,
+    description: '支持字段过滤 field=value、field_like / field_gte / field_lte / field_ne 以及全文搜索 q',
+    parameters: [
+      query('_page', '页码（从 1 开始）'), query('_limit', '每页条数'),
+      query('_sort', '排序字段'), query('_order', 'asc / desc'), query('q', '全文搜索'),
+    ].map(q => ctx.parameter(q, 'query')),
+    responses: { '200': json(`${name} 列表`, listSchema, totalHeader) },
+  });
+  ctx.addOperation(service, collectionPath, 'POST', {
+    tags: [tag], summary: `[资源] 创建 ${name}`, ...bodyParam(`未指定 ${idField} 时自动生成`),
+    responses: { '201': json('创建成功', wrap(recordSchema)), ...invalid, '409': json(`${idField} 已存在`, errorSchema) },
+  });
+  ctx.addOperation(service, itemPath, 'GET', {
+    tags: [tag], summary: `[资源] 获取 ${name}`,
+    responses: { '200': json(name, wrap(recordSchema)), ...notFound },
+  });
+  ctx.addOperation(service, itemPath, 'PUT', {
+    tags: [tag], summary: `[资源] 替换 ${name}`, ...bodyParam('整条替换（主键保持不变）'),
+    responses: { '200': json('更新后的记录', wrap(recordSchema)), ...invalid, ...notFound },
+  });
+  ctx.addOperation(service, itemPath, 'PATCH', {
+    tags: [tag], summary: `[资源] 更新 ${name}`, ...bodyParam('合并更新'),
+    responses: { '200': json('更新后的记录', wrap(recordSchema)), ...invalid, ...notFound },
+  });
+  ctx.addOperation(service, itemPath, 'DELETE', {
+    tags: [tag], summary: `[资源] 删除 ${name}`,
+    responses: { '200': json('被删除的记录', wrap(recordSchema)), ...notFound },
+  });
+}
+
+/**
+ * Single record example of a resource, following the same seed rules as the mock server
+ */
+function resourceRecordExample(resource: MockResource, templates: MockTemplate[]): Record<string, any> {
+  const raw = resource.seedSource === 'template'
+    ? templates.find(t => t.id === resource.seedTemplateId)?.content
+    : resource.seedContent;
+  const seed = parseExample(raw || '', true);
+  let record: any = seed;
+  if (Array.isArray(seed)) {
+    record = seed[0];
+  } else if (seed && typeof seed === 'object') {
+    const list = Object.values(seed).find(v => Array.isArray(v)) as any[] | undefined;
+    if (list) record = list[0];
+  }
+  return record && typeof record === 'object' && !Array.isArray(record) ? record : {};
+}
+
+/**
+ * Parse a JSON body into an example value, resolving Mock.js template syntax when enabled
+ */
+export function parseExample(text: string | undefined, mockjs: boolean): any {
+  if (!text || !text.trim()) return undefined;
+  try {
+    const value = JSON.parse(text);
+    return mockjs ? resolveMockTemplate(value) : value;
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Turn a Mock.js template into a deterministic example: strip `|rule` from keys and map numeric / boolean placeholders
+ */
+function resolveMockTemplate(value: any): any {
+  if (Array.isArray(value)) return value.map(resolveMockTemplate);
+  if (value && typeof value === 'object') {
+    const result: Record<string, any> = {};
+    for (const [key, v] of Object.entries(value)) result[key.split('|')[0]] = resolveMockTemplate(v);
+    return result;
+  }
+  if (typeof value === 'string') {
+    const match = value.match(/^@(\w+)(\(.*\))?$/);
+    if (match && match[1] in MOCK_PLACEHOLDER_VALUES) return MOCK_PLACEHOLDER_VALUES[match[1]];
+  }
+  return value;
+}
+
+/**
+ * Merge item schemas of an array (union of object properties, first schema otherwise)
+ */
+function mergeSchemas(schemas: Schema[]): Schema {
+  const objects = schemas.filter(s => s.type === 'object');
+  if (objects.length === schemas.length) {
+    const properties: Record<string, Schema> = {};
+    for (const s of objects) {
+      for (const [k, v] of Object.entries<Schema>(s.properties || {})) {
+        if (!properties[k]) properties[k] = v;
+      }
+    }
+    return { type: 'object', properties };
+  }
+  return schemas[0];
+}
+
+/**
+ * Join service prefix, group sub-prefix and rule path into a normalized path
+ */
+export function joinPath(...parts: (string | undefined)[]): string {
+  const joined = parts
+    .filter((p): p is string => !!p)
+    .map(p => p.trim().replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+  return '/' + joined;
+}
+
+/**
+ * Convert route syntax (`:id`, `:id(\d+)`, `:id?`, `*`, `**`, `?key=value`) to an OpenAPI `{id}` template path
+ */
+function toOpenApiPath(path: string) {
+  const route = parseRoutePattern(path);
+  return { path: '/' + route.segments.join('/'), params: route.params, query: route.query };
+}
+
+/** Example map key derived from the variant name, unique within the media type */
+function exampleKey(name: string, existing: Record<string, any>): string {
+  const base = name.replace(/[^\w一-龥]+/g, '_').replace(/^_+|_+$/g, '') || 'example';
+  let key = base;
+  for (let i = 2; key in existing; i++) key = `${base}_${i}`;
+  return key;
+}
+
+/**
+ * Drop undefined fields so the exported JSON stays minimal
+ */
+function clean<T extends Record<string, any>>(obj: T): T {
+  for (const key of Object.keys(obj)) {
+    if (obj[key] === undefined) delete obj[key];
+  }
+  return obj;
+}
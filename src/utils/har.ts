@@ -0,0 +1,436 @@
+/**
+ * har.ts
+ *
+ * HAR（HTTP Archive）导入与导出：
+ *   - 导入：从浏览器 DevTools、Charles、Fiddler 等导出的 HAR 中筛选接口请求，生成 Mock 规则
+ *   - 导出：把调试请求或录制的服务流量转换为 HAR 1.2 文档
+ */
+import type { MockRule, KeyValueItem, BodyContent, HttpMethod, ResponsePreset, MockExpectation, ExpectationCondition, ExpectationNode, RequestLog } from '@/types/mock';
+import { CONCRETE_METHODS } from './routePattern';
+import { isConditionGroup } from './conditions';
+
+interface HarNameValue {
+  name: string;
+  value: string;
+}
+
+interface HarPostData {
+  mimeType: string;
+  text?: string;
+  params?: { name: string; value?: string; fileName?: string; contentType?: string }[];
+}
+
+interface HarContent {
+  size: number;
+  mimeType: string;
+  text?: string;
+  encoding?: string;
+}
+
+interface HarRequest {
+  method: string;
+  url: string;
+  httpVersion: string;
+  headers: HarNameValue[];
+  queryString: HarNameValue[];
+  cookies: HarNameValue[];
+  headersSize: number;
+  bodySize: number;
+  postData?: HarPostData;
+}
+
+interface HarResponse {
+  status: number;
+  statusText: string;
+  httpVersion: string;
+  headers: HarNameValue[];
+  cookies: HarNameValue[];
+  content: HarContent;
+  redirectURL: string;
+  headersSize: number;
+  bodySize: number;
+}
+
+export interface HarEntry {
+  startedDateTime: string;
+  time: number;
+  request: HarRequest;
+  response: HarResponse;
+  cache: Record<string, never>;
+  timings: { send: number; wait: number; receive: number };
+  comment?: string;
+  _resourceType?: string;  // Chrome DevTools 记录的资源类型：xhr / fetch / document / script ...
+  _mode?: RequestLog['mode'];
+}
+
+export interface HarDocument {
+  log: {
+    version: string;
+    creator: { name: string; version: string };
+    entries: HarEntry[];
+  };
+}
+
+export interface HarHostSummary {
+  host: string;
+  count: number;
+}
+
+export interface HarImportOptions {
+  hosts?: string[];          // 只导入这些域名的请求（为空时全部导入）
+  basePath?: string;         // 服务前缀 + 分组子前缀，导入时从路径中去掉
+  existingRules?: MockRule[]; // 目标分组中已有的规则，用于去重
+}
+
+export interface HarImportResult {
+  rules: MockRule[];
+  duplicates: number;        // 合并到已有或更早规则、且没有新增内容的请求数
+  skippedMethods: string[];  // 接口不支持的请求方法（如 CONNECT、TRACE），对应请求被跳过
+}
+
+/** 描述浏览器或连接本身、而非接口约定的请求头 */
+const SKIPPED_REQUEST_HEADERS = /^(:|host$|connection$|content-type$|content-length$|accept-encoding$|accept-language$|cookie$|user-agent$|origin$|referer$|sec-|pragma$|cache-control$|priority$|if-none-match$|if-modified-since$|upgrade-insecure-requests$)/i;
+
+/** Mock 服务自己会设置、或回放时会出错的响应头 */
+const SKIPPED_RESPONSE_HEADERS = /^(:|content-type$|content-length$|content-encoding$|transfer-encoding$|connection$|keep-alive$|date$|server$|etag$|last-modified$|vary$|set-cookie$|access-control-|x-mock-log-id$)/i;
+
+const TEXT_MIME = /json|xml|text\/|javascript|urlencoded/i;
+const API_MIME = /json|xml|text\/plain/i;
+
+/** 看起来是 ID 的路径段：数字、UUID、较长的十六进制串 */
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+/**
+ * 解析 HAR 文本（浏览器 DevTools、Charles、Fiddler 等导出）
+ */
+export function parseHarInput(text: string): HarDocument {
+  const doc = JSON.parse(text);
+  if (!Array.isArray(doc?.log?.entries)) throw new Error('Invalid HAR file: missing "log.entries"');
+  return doc;
+}
+
+function safeUrl(url: string): URL | null {
+  try { return new URL(url); } catch { return null; }
+}
+
+function findHeader(headers: HarNameValue[] | undefined, name: string): string {
+  const lower = name.toLowerCase();
+  return headers?.find(h => h.name.toLowerCase() === lower)?.value || '';
+}
+
+function mimeOf(value: string | undefined): string {
+  return (value || '').split(';')[0].trim();
+}
+
+/**
+ * 是否为值得 Mock 的接口请求：DevTools 记录了资源类型时只取 XHR / fetch，
+ * 否则取响应为 JSON / XML / 纯文本的请求
+ */
+function isApiEntry(entry: HarEntry): boolean {
+  if (!entry.response?.status) return false;  // 被拦截或失败的请求
+  if (entry._resourceType) return entry._resourceType === 'xhr' || entry._resourceType === 'fetch';
+  return API_MIME.test(entry.response.content?.mimeType || '');
+}
+
+/**
+ * 统计 HAR 中接口请求的域名，按请求数从多到少排序
+ */
+export function listHarHosts(har: HarDocument): HarHostSummary[] {
+  const counts = new Map<string, number>();
+  for (const entry of har.log.entries) {
+    const url = isApiEntry(entry) && safeUrl(entry.request.url);
+    if (url) counts.set(url.host, (counts.get(url.host) || 0) + 1);
+  }
+  return [...counts.entries()].map(([host, count]) => ({ host, count })).sort((a, b) => b.count - a.count);
+}
+
+function stripBasePath(pathname: string, basePath: string): string {
+  const base = basePath.replace(/\/+$/, '');
+  if (!base || (pathname !== base && !pathname.startsWith(base + '/'))) return pathname;
+  return pathname.slice(base.length) || '/';
+}
+
+/**
+ * 把像 ID 的路径段替换为 `:id`、`:id2` ...，并收集对应的实际值
+ */
+function templatePath(pathname: string): { path: string; values: Record<string, string> } {
+  const values: Record<string, string> = {};
+  let index = 0;
+  const path = pathname.split('/').map(segment => {
+    if (!ID_SEGMENT.test(segment)) return segment;
+    const name = ++index === 1 ? 'id' : `id${index}`;
+    values[name] = decodeURIComponent(segment);
+    return `:${name}`;
+  }).join('/');
+  return { path, values };
+}
+
+/**
+ * 去掉参数名后的路由键，使 `/users/:id` 与 `/users/:userId` 视为同一路由
+ */
+function routeKey(method: string, url: string): string {
+  return `${method} ${url.split('?')[0].replace(/:[^/]+/g, ':').replace(/(.)\/+$/, '$1')}`;
+}
+
+function prettyText(text: string, mimeType: string): string {
+  if (!/json/i.test(mimeType)) return text;
+  try { return JSON.stringify(JSON.parse(text), null, 2); } catch { return text; }
+}
+
+function decodeContent(content: HarContent | undefined): string {
+  if (!content?.text) return '';
+  if (content.encoding !== 'base64') return content.text;
+  if (!TEXT_MIME.test(content.mimeType || '')) return '';
+  try {
+    const bytes = Uint8Array.from(atob(content.text), c => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  } catch {
+    return '';
+  }
+}
+
+function toKeyValues(items: HarNameValue[] | undefined, skip?: RegExp): KeyValueItem[] {
+  const seen = new Set<string>();
+  const result: KeyValueItem[] = [];
+  for (const { name, value } of items || []) {
+    if (skip?.test(name) || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    result.push({ key: name, value: value ?? '' });
+  }
+  return result;
+}
+
+function buildRequestBody(postData: HarPostData | undefined): BodyContent {
+  const mime = mimeOf(postData?.mimeType).toLowerCase();
+  const text = postData?.text || '';
+  if (!postData || (!text && !postData.params?.length)) return { type: 'none', raw: '', formData: [] };
+  if (mime.includes('multipart/form-data') || mime.includes('x-www-form-urlencoded')) {
+    const params = postData.params?.length
+      ? postData.params.map(p => ({ key: p.name, value: p.fileName ? '' : p.value ?? '' }))
+      : [...new URLSearchParams(text).entries()].map(([key, value]) => ({ key, value }));
+    return { type: mime.includes('multipart') ? 'form-data' : 'x-www-form-urlencoded', raw: '', formData: params };
+  }
+  if (mime.includes('json')) return { type: 'json', raw: prettyText(text, mime), formData: [] };
+  if (mime.includes('xml')) return { type: 'xml', raw: text, formData: [] };
+  return { type: 'text', raw: text, formData: [] };
+}
+
+interface ImportedResponse {
+  status: number;
+  statusText: string;
+  type: string;
+  body: string;
+}
+
+function readResponse(response: HarResponse): ImportedResponse {
+  const type = mimeOf(response.content?.mimeType) || mimeOf(findHeader(response.headers, 'content-type')) || 'application/json';
+  return { status: response.status, statusText: response.statusText || '', type, body: prettyText(decodeContent(response.content), type) };
+}
+
+function createIdGenerator(): () => number {
+  let last = Date.now();
+  return () => ++last;
+}
+
+/** 把同一路由的后续请求合并到第一条规则所需的信息 */
+interface RouteState {
+  rule: MockRule;
+  pathValues: Record<string, string>;
+  query: Record<string, string>;
+  response: ImportedResponse;
+}
+
+/**
+ * 区分后续请求与该路由第一条请求的条件：取值不同的路径参数和 Query 参数
+ */
+function distinguishingConditions(state: RouteState, pathValues: Record<string, string>, query: Record<string, string>): ExpectationCondition[] {
+  const conditions: ExpectationCondition[] = [];
+  for (const [key, value] of Object.entries(pathValues)) {
+    if (state.pathValues[key] !== value) conditions.push({ source: 'pathParam', key, operator: 'equals', value });
+  }
+  for (const [key, value] of Object.entries(query)) {
+    if (state.query[key] !== value) conditions.push({ source: 'query', key, operator: 'equals', value });
+  }
+  return conditions;
+}
+
+function sameConditions(a: ExpectationNode[], b: ExpectationCondition[]): boolean {
+  return a.length === b.length && a.every((c, i) => !isConditionGroup(c) && c.source === b[i].source && c.key === b[i].key && c.value === b[i].value);
+}
+
+/**
+ * 把已导入路由的后续请求合并到其规则：
+ * 路径 / Query 取值不同时生成条件响应，状态码不同时生成场景预设
+ * @returns 是否新增了内容
+ */
+function foldIntoRule(state: RouteState, pathValues: Record<string, string>, query: Record<string, string>, response: ImportedResponse, nextId: () => number): boolean {
+  const { rule } = state;
+  if (response.status === state.response.status && response.body === state.response.body) return false;
+
+  const conditions = distinguishingConditions(state, pathValues, query);
+  if (conditions.length) {
+    const expectations = rule.expectations || (rule.expectations = []);
+    if (expectations.some(e => sameConditions(e.conditions, conditions))) return false;
+    const expectation: MockExpectation = {
+      id: nextId(),
+      name: conditions.map(c => `${c.key}=${c.value}`).join(', '),
+      conditions,
+      statusCode: response.status,
+      responseMode: 'basic',
+      responseType: response.type,
+      responseBasic: response.body,
+      responseAdvanced: '',
+    };
+    expectations.push(expectation);
+    return true;
+  }
+
+  const presets = rule.responsePresets || (rule.responsePresets = []);
+  if (response.status === state.response.status || presets.some(p => p.statusCode === response.status)) return false;
+  presets.push(createPreset(response, nextId));
+  return true;
+}
+
+function createPreset(response: ImportedResponse, nextId: () => number): ResponsePreset {
+  return {
+    id: nextId(),
+    name: `${response.status} ${response.statusText}`.trim(),
+    statusCode: response.status,
+    responseMode: 'basic',
+    responseType: response.type,
+    responseBasic: response.body,
+    responseAdvanced: '',
+  };
+}
+
+/**
+ * 将 HAR 请求转换为一个服务分组的 Mock 规则
+ * @description 按方法 + 路径去重（像 ID 的路径段转为路径参数）；
+ *              路径 / Query 取值不同的重复请求生成条件响应，非 200 状态码保留为生效的场景预设
+ */
+export function harToMockRules(har: HarDocument, options: HarImportOptions = {}): HarImportResult {
+  const nextId = createIdGenerator();
+  const hosts = options.hosts?.length ? new Set(options.hosts) : null;
+  const existingKeys = new Set((options.existingRules || []).map(r => routeKey(r.method, r.url)));
+  const routes = new Map<string, RouteState>();
+  const skippedMethods = new Set<string>();
+  let duplicates = 0;
+
+  for (const entry of har.log.entries) {
+    const url = safeUrl(entry.request?.url);
+    if (!url || !isApiEntry(entry) || (hosts && !hosts.has(url.host))) continue;
+
+    const method = entry.request.method.toUpperCase();
+    if (method === 'OPTIONS') continue;  // CORS 预检请求
+    if (!CONCRETE_METHODS.includes(method as Exclude<HttpMethod, 'ANY'>)) {
+      skippedMethods.add(method);
+      continue;
+    }
+
+    const { path, values: pathValues } = templatePath(stripBasePath(url.pathname, options.basePath || ''));
+    const key = routeKey(method, path);
+    if (existingKeys.has(key)) {
+      duplicates++;
+      continue;
+    }
+
+    const queryItems = entry.request.queryString?.length
+      ? entry.request.queryString
+      : [...url.searchParams.entries()].map(([name, value]) => ({ name, value }));
+    const query = Object.fromEntries(queryItems.map(q => [q.name, q.value]));
+    const response = readResponse(entry.response);
+
+    const state = routes.get(key);
+    if (state) {
+      if (!foldIntoRule(state, pathValues, query, response, nextId)) duplicates++;
+      continue;
+    }
+
+    const now = nextId();
+    const rule: MockRule = {
+      id: now,
+      name: `[HAR] ${method} ${path}`,
+      active: true,
+      method: method as HttpMethod,
+      url: path,
+      delay: 0,
+      createdAt: now,
+      updatedAt: now,
+      headers: toKeyValues(entry.request.headers, SKIPPED_REQUEST_HEADERS),
+      params: toKeyValues(queryItems),
+      body: buildRequestBody(entry.request.postData),
+      responseHeaders: toKeyValues(entry.response.headers, SKIPPED_RESPONSE_HEADERS),
+      responseMode: 'basic',
+      responseType: response.type,
+      responseBasic: response.body,
+      responseAdvanced: '',
+    };
+    if (Object.keys(pathValues).length) {
+      rule.pathParams = Object.entries(pathValues).map(([k, value]) => ({ key: k, value, required: true }));
+    }
+    if (response.status !== 200) {
+      const preset = createPreset(response, nextId);
+      rule.responsePresets = [preset];
+      rule.activePresetId = preset.id;
+    }
+    routes.set(key, { rule, pathValues, query, response });
+  }
+
+  return { rules: [...routes.values()].map(s => s.rule), duplicates, skippedMethods: [...skippedMethods] };
+}
+
+function toNameValues(record: Record<string, string> | undefined): HarNameValue[] {
+  return Object.entries(record || {}).map(([name, value]) => ({ name, value }));
+}
+
+function byteLength(text: string | undefined): number {
+  return text ? new TextEncoder().encode(text).length : 0;
+}
+
+function recordHeader(record: Record<string, string> | undefined, name: string): string {
+  const lower = name.toLowerCase();
+  return Object.entries(record || {}).find(([k]) => k.toLowerCase() === lower)?.[1] || '';
+}
+
+/**
+ * 将请求日志（调试请求或录制的服务流量）转换为 HAR 1.2 文档
+ */
+export function logsToHar(logs: RequestLog[]): HarDocument {
+  const entries = [...logs].sort((a, b) => a.timestamp - b.timestamp).map((log): HarEntry => {
+    const url = safeUrl(log.url);
+    const requestType = recordHeader(log.requestHeaders, 'content-type');
+    const responseType = recordHeader(log.responseHeaders, 'content-type');
+    const entry: HarEntry = {
+      startedDateTime: new Date(log.timestamp - (log.duration || 0)).toISOString(),
+      time: log.duration || 0,
+      request: {
+        method: log.method,
+        url: log.url,
+        httpVersion: 'HTTP/1.1',
+        headers: toNameValues(log.requestHeaders),
+        queryString: url ? [...url.searchParams.entries()].map(([name, value]) => ({ name, value })) : [],
+        cookies: [],
+        headersSize: -1,
+        bodySize: byteLength(log.requestBody),
+      },
+      response: {
+        status: log.status,
+        statusText: log.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: toNameValues(log.responseHeaders),
+        cookies: [],
+        content: { size: byteLength(log.responseBody), mimeType: responseType, text: log.responseBody || '' },
+        redirectURL: recordHeader(log.responseHeaders, 'location'),
+        headersSize: -1,
+        bodySize: byteLength(log.responseBody),
+      },
+      cache: {},
+      timings: { send: 0, wait: log.duration || 0, receive: 0 },
+      _mode: log.mode,
+    };
+    if (log.requestBody) entry.request.postData = { mimeType: requestType, text: log.requestBody };
+    if (log.error) entry.comment = log.error;
+    return entry;
+  });
+  return { log: { version: '1.2', creator: { name: 'Mock API Server', version: '1.0' }, entries } };
+}
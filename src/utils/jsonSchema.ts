@@ -0,0 +1,69 @@
+/**
+ * jsonSchema.ts
+ *
+ * 请求校验相关的 JSON Schema 工具：
+ *   - 从请求体示例推断 JSON Schema（作为编写校验规则的起点）
+ *   - 解析编辑器中的 Schema 文本并给出错误提示
+ */
+import type { ParamType } from '@/types/mock';
+
+/** 参数类型下拉选项 */
+export const PARAM_TYPE_OPTIONS: { label: string; value: ParamType }[] = [
+  { label: 'string', value: 'string' },
+  { label: 'integer', value: 'integer' },
+  { label: 'number', value: 'number' },
+  { label: 'boolean', value: 'boolean' },
+  { label: 'email', value: 'email' },
+  { label: 'uuid', value: 'uuid' },
+  { label: 'date', value: 'date' },
+  { label: 'date-time', value: 'date-time' },
+  { label: 'uri', value: 'uri' },
+];
+
+/** 带格式的参数类型对应 JSON Schema 的 string + format */
+const FORMAT_TYPES: ParamType[] = ['email', 'uuid', 'date', 'date-time', 'uri'];
+
+/**
+ * 参数类型转换为 JSON Schema（OpenAPI 导出等场景使用）
+ */
+export function paramTypeToSchema(type: ParamType | undefined): Record<string, string> {
+  if (!type) return { type: 'string' };
+  if (FORMAT_TYPES.includes(type)) return { type: 'string', format: type };
+  return { type };
+}
+
+/**
+ * 从 JSON 示例推断 JSON Schema：对象的字段全部设为必填，数组取第一项推断元素类型
+ */
+export function inferJsonSchema(value: unknown): Record<string, any> {
+  if (value === null) return { type: 'null' };
+  if (Array.isArray(value)) {
+    return value.length ? { type: 'array', items: inferJsonSchema(value[0]) } : { type: 'array' };
+  }
+  if (typeof value === 'object') {
+    const properties: Record<string, any> = {};
+    for (const [key, v] of Object.entries(value as Record<string, unknown>)) properties[key] = inferJsonSchema(v);
+    return { type: 'object', properties, required: Object.keys(properties) };
+  }
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  if (typeof value === 'boolean') return { type: 'boolean' };
+  const str = String(value);
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(str)) return { type: 'string', format: 'date-time' };
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str)) return { type: 'string', format: 'email' };
+  return { type: 'string' };
+}
+
+/**
+ * 解析 Schema 文本，空文本视为未设置
+ * @returns 解析出的 Schema，或 JSON 语法错误信息
+ */
+export function parseSchemaText(text: string | undefined): { schema?: Record<string, any>; error?: string } {
+  if (!text || !text.trim()) return {};
+  try {
+    const schema = JSON.parse(text);
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return { error: 'Schema 必须是 JSON 对象' };
+    return { schema };
+  } catch (e: any) {
+    return { error: e.message };
+  }
+}
@@ -1,51 +1,91 @@
-import type { MockGroup, MockRule, KeyValueItem, BodyContent } from '@/types/mock';
+import type { MockServiceGroup, MockRule, KeyValueItem, BodyContent, HttpMethod, ResponsePreset, MockExpectation, ExpectationCondition, ParamType } from '@/types/mock';
+import { CONCRETE_METHODS } from './routePattern';
 
 interface OpenApiDoc {
   openapi?: string;
   swagger?: string;
-  info?: { title?: string; version?: string };
+  info?: { title?: string; version?: string; description?: string };
+  servers?: { url: string; variables?: Record<string, { default?: string }> }[];
+  host?: string;       // Swagger 2.0
+  basePath?: string;   // Swagger 2.0
+  tags?: { name: string; description?: string }[];
   paths?: Record<string, Record<string, OpenApiOperation>>;
   components?: { schemas?: Record<string, OpenApiSchema> };
   definitions?: Record<string, OpenApiSchema>;
 }
 
+interface OpenApiExample {
+  summary?: string;
+  value?: any;
+  $ref?: string;
+}
+
+interface OpenApiMediaType {
+  schema?: OpenApiSchema;
+  example?: any;
+  examples?: Record<string, OpenApiExample>;
+}
+
+interface OpenApiResponse {
+  description?: string;
+  content?: Record<string, OpenApiMediaType>;
+  headers?: Record<string, { description?: string; schema?: OpenApiSchema; type?: string; example?: any; 'x-example'?: any }>;
+  schema?: OpenApiSchema;          // Swagger 2.0
+  examples?: Record<string, any>;  // Swagger 2.0: mime type -> example
+}
+
 interface OpenApiOperation {
   summary?: string;
   description?: string;
+  operationId?: string;
   tags?: string[];
   parameters?: OpenApiParameter[];
   requestBody?: {
-    content?: Record<string, { schema?: OpenApiSchema }>;
+    content?: Record<string, OpenApiMediaType>;
   };
-  responses?: Record<string, {
-    description?: string;
-    content?: Record<string, { schema?: OpenApiSchema; example?: any }>;
-    schema?: OpenApiSchema;
-  }>;
+  consumes?: string[];  // Swagger 2.0
+  produces?: string[];  // Swagger 2.0
+  responses?: Record<string, OpenApiResponse>;
 }
 
 interface OpenApiParameter {
   name: string;
-  in: 'query' | 'header' | 'path' | 'cookie';
+  in: 'query' | 'header' | 'path' | 'cookie' | 'body' | 'formData';
   required?: boolean;
   description?: string;
   schema?: OpenApiSchema;
   type?: string;
+  format?: string;
+  enum?: any[];
+  default?: any;
+  example?: any;
+  examples?: Record<string, OpenApiExample>;
+  'x-example'?: any;
+  $ref?: string;
 }
 
 interface OpenApiSchema {
-  type?: string;
+  type?: string | string[];
   format?: string;
   properties?: Record<string, OpenApiSchema>;
   items?: OpenApiSchema;
   required?: string[];
   $ref?: string;
   example?: any;
+  examples?: any[];
   enum?: any[];
+  const?: any;
   default?: any;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  minItems?: number;
+  maxItems?: number;
   allOf?: OpenApiSchema[];
   oneOf?: OpenApiSchema[];
   anyOf?: OpenApiSchema[];
+  nullable?: boolean;  // OpenAPI 3.0
 }
 
 /**
@@ -60,7 +100,7 @@ export function parseOpenApiInput(text: string): OpenApiDoc {
 /**
  * Resolve $ref references recursively
  */
-function resolveRef(ref: string, doc: OpenApiDoc): OpenApiSchema {
+function resolveRef(ref: string, doc: OpenApiDoc): any {
   // e.g. "#/components/schemas/User" or "#/definitions/User"
   const parts = ref.replace('#/', '').split('/');
   let current: any = doc;
@@ -68,7 +108,7 @@ function resolveRef(ref: string, doc: OpenApiDoc): OpenApiSchema {
     current = current?.[part];
     if (!current) return {};
   }
-  return current as OpenApiSchema;
+  return current;
 }
 
 /**
@@ -94,7 +134,7 @@ function generateExample(schema: OpenApiSchema | undefined, doc: OpenApiDoc, dep
   if (schema.default !== undefined) return schema.default;
   if (schema.enum?.length) return schema.enum[0];
 
-  switch (schema.type) {
+  switch (schemaType(schema)) {
     case 'string':
       if (schema.format === 'date-time') return '2024-01-01T00:00:00Z';
       if (schema.format === 'date') return '2024-01-01';
@@ -133,117 +173,537 @@ function generateExample(schema: OpenApiSchema | undefined, doc: OpenApiDoc, dep
   }
 }
 
-const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
-const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+/**
+ * Primary type of a schema (OpenAPI 3.1 allows `type: ['string', 'null']`)
+ */
+function schemaType(schema: OpenApiSchema): string | undefined {
+  if (Array.isArray(schema.type)) return schema.type.find(t => t !== 'null');
+  if (schema.type) return schema.type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
 
 /**
- * Convert OpenAPI doc to MockGroup[] structure
+ * Resolve `$ref`, `allOf` and `oneOf` / `anyOf` (first branch) into a plain schema
  */
-export function parseOpenApiToMockGroups(doc: OpenApiDoc, projectId?: number): MockGroup[] {
-  const tagGroups = new Map<string, MockRule[]>();
+function flattenSchema(schema: OpenApiSchema | undefined, doc: OpenApiDoc, depth = 0): OpenApiSchema | undefined {
+  if (!schema || depth > 5) return undefined;
+  if (schema.$ref) return flattenSchema(resolveRef(schema.$ref, doc), doc, depth + 1);
+  if (schema.allOf) {
+    const merged: OpenApiSchema = { type: 'object', properties: {}, required: [] };
+    for (const sub of schema.allOf) {
+      const flat = flattenSchema(sub, doc, depth + 1);
+      if (!flat) continue;
+      if (flat.properties) Object.assign(merged.properties!, flat.properties);
+      if (flat.required) merged.required!.push(...flat.required);
+      if (!flat.properties && schemaType(flat) !== 'object') return { ...flat, ...schema, allOf: undefined };
+    }
+    return merged;
+  }
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants?.length) return flattenSchema(variants[0], doc, depth + 1);
+  return schema;
+}
 
-  for (const [path, methods] of Object.entries(doc.paths || {})) {
-    for (const [method, operation] of Object.entries(methods)) {
-      if (!HTTP_METHODS.includes(method)) continue;
-      const upperMethod = method.toUpperCase();
-      if (!SUPPORTED_METHODS.includes(upperMethod)) continue;
+/** String formats that map directly onto a Mock.js placeholder */
+const FORMAT_PLACEHOLDERS: Record<string, string> = {
+  'date-time': '@datetime', date: '@date', time: '@time',
+  email: '@email', uri: '@url', url: '@url', hostname: '@domain',
+  uuid: '@guid', ipv4: '@ip',
+};
 
-      const op = operation as OpenApiOperation;
-      const tag = op.tags?.[0] || 'Default';
-      if (!tagGroups.has(tag)) tagGroups.set(tag, []);
+/**
+ * Generate a Mock.js template from a schema: formats, enums, numeric ranges and
+ * array sizes become placeholders / key rules so every hit returns fresh data.
+ * Explicit `example` values are kept as-is.
+ */
+function schemaToMockTemplate(schema: OpenApiSchema | undefined, doc: OpenApiDoc, depth = 0): any {
+  const flat = flattenSchema(schema, doc);
+  if (!flat || depth > 6) return null;
+  if (flat.example !== undefined) return flat.example;
+  if (flat.examples?.length) return flat.examples[0];
+  if (flat.const !== undefined) return flat.const;
+  if (flat.enum?.length) return flat.enum.length === 1 ? flat.enum[0] : `@pick(${JSON.stringify(flat.enum)})`;
 
-      // Build headers
-      const headers: KeyValueItem[] = [];
-      const params: KeyValueItem[] = [];
-
-      for (const param of op.parameters || []) {
-        const item: KeyValueItem = {
-          key: param.name,
-          value: '',
-          required: param.required,
-          description: param.description || '',
-        };
-        if (param.in === 'header') headers.push(item);
-        else if (param.in === 'query') params.push(item);
+  switch (schemaType(flat)) {
+    case 'string': {
+      if (flat.format && FORMAT_PLACEHOLDERS[flat.format]) return FORMAT_PLACEHOLDERS[flat.format];
+      if (flat.minLength !== undefined || flat.maxLength !== undefined) {
+        const min = flat.minLength ?? 1;
+        return `@string(${min}, ${Math.max(min, flat.maxLength ?? min + 10)})`;
       }
-
-      // Build body
-      const body: BodyContent = { type: 'none', raw: '', formData: [] };
-      if (op.requestBody?.content) {
-        const jsonContent = op.requestBody.content['application/json'];
-        const formContent = op.requestBody.content['application/x-www-form-urlencoded'] || op.requestBody.content['multipart/form-data'];
-        if (jsonContent?.schema) {
-          body.type = 'json';
-          const example = generateExample(jsonContent.schema, doc);
-          body.raw = example ? JSON.stringify(example, null, 2) : '{}';
-        } else if (formContent?.schema) {
-          body.type = 'form-data';
-          const schema = formContent.schema.$ref ? resolveRef(formContent.schema.$ref, doc) : formContent.schema;
-          if (schema.properties) {
-            body.formData = Object.entries(schema.properties).map(([key, prop]) => ({
-              key,
-              value: String(generateExample(prop, doc) || ''),
-              description: '',
-            }));
-          }
+      return '@word';
+    }
+    case 'integer': {
+      const [min, max] = numberRange(flat, 1, 1000);
+      return `@integer(${Math.ceil(min)}, ${Math.floor(max)})`;
+    }
+    case 'number': {
+      const [min, max] = numberRange(flat, 0, 1000);
+      return `@float(${min}, ${max}, 0, 2)`;
+    }
+    case 'boolean':
+      return '@boolean';
+    case 'array':
+      return [schemaToMockTemplate(flat.items, doc, depth + 1)];
+    case 'object': {
+      const obj: Record<string, any> = {};
+      for (const [key, prop] of Object.entries(flat.properties || {})) {
+        const propSchema = flattenSchema(prop, doc);
+        const value = schemaToMockTemplate(propSchema, doc, depth + 1);
+        // 枚举与数组长度需要写在 key 的规则里
+        if (propSchema?.example === undefined && propSchema?.enum && propSchema.enum.length > 1) {
+          obj[`${key}|1`] = propSchema.enum;
+        } else if (Array.isArray(value) && propSchema?.example === undefined) {
+          const min = propSchema?.minItems ?? 1;
+          obj[`${key}|${min}-${Math.max(min, propSchema?.maxItems ?? min + 4)}`] = value;
+        } else {
+          obj[key] = value;
         }
       }
+      return obj;
+    }
+    default:
+      return null;
+  }
+}
 
-      // Build response
-      let responseBasic = '{}';
-      let responseType = 'application/json';
-      const res200 = op.responses?.['200'] || op.responses?.['201'];
-      if (res200) {
-        if (res200.content) {
-          const jsonRes = res200.content['application/json'];
-          if (jsonRes) {
-            if (jsonRes.example) {
-              responseBasic = JSON.stringify(jsonRes.example, null, 2);
-            } else if (jsonRes.schema) {
-              const example = generateExample(jsonRes.schema, doc);
-              if (example !== null) responseBasic = JSON.stringify(example, null, 2);
-            }
-          }
-        } else if (res200.schema) {
-          // Swagger 2.0
-          const example = generateExample(res200.schema, doc);
-          if (example !== null) responseBasic = JSON.stringify(example, null, 2);
-        }
+/** [min, max] of a numeric schema, filling in missing bounds */
+function numberRange(schema: OpenApiSchema, defaultMin: number, defaultMax: number): [number, number] {
+  const min = schema.minimum ?? (schema.maximum !== undefined ? Math.min(defaultMin, schema.maximum) : defaultMin);
+  const max = schema.maximum ?? Math.max(min, defaultMax);
+  return [min, max];
+}
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+/** Result of converting an OpenAPI document for a MockService */
+export interface OpenApiImportResult {
+  title: string;
+  prefix: string;               // path of servers[0].url / basePath, used as the service prefix
+  groups: MockServiceGroup[];   // one group per tag
+  skipped: string[];            // operations with methods the mock server does not support, e.g. "PATCH /users/{id}"
+}
+
+/** Summary of merging imported groups into an existing service */
+export interface OpenApiMergeStats {
+  added: number;
+  updated: number;
+  unchanged: number;
+  groupsCreated: number;
+}
+
+/**
+ * Monotonic id source so rules, presets and expectations created in one import never collide
+ */
+function createIdGenerator(): () => number {
+  let last = Date.now();
+  return () => ++last;
+}
+
+/**
+ * Service prefix from `servers[0].url` (OpenAPI 3) or `basePath` (Swagger 2.0)
+ */
+function resolvePrefix(doc: OpenApiDoc): string {
+  let path = doc.basePath || '';
+  const server = doc.servers?.[0];
+  if (server?.url) {
+    const url = server.url.replace(/\{(\w+)\}/g, (_, name) => server.variables?.[name]?.default ?? '');
+    try {
+      path = new URL(url, 'http://localhost').pathname;
+    } catch {
+      path = '';
+    }
+  }
+  path = path.replace(/\/+$/, '');
+  return path && path !== '/' ? path : '';
+}
+
+/** Convert `/users/{id}` to the `/users/:id` form used by mock rules */
+function toRulePath(path: string): string {
+  return path.replace(/\{([^}]+)\}/g, ':$1');
+}
+
+/** Response status code from a responses key (`200`, `2XX`); `default` and invalid keys yield null */
+function toStatusCode(key: string): number | null {
+  if (/^\d{3}$/.test(key)) return Number(key);
+  if (/^[1-5]XX$/i.test(key)) return Number(key[0]) * 100;
+  return null;
+}
+
+/** Pick the preferred media type: JSON first, then whatever is declared first */
+function pickMediaType(content: Record<string, OpenApiMediaType> | undefined): [string, OpenApiMediaType] | null {
+  const entries = Object.entries(content || {});
+  if (!entries.length) return null;
+  return entries.find(([type]) => type.includes('json')) || entries[0];
+}
+
+/** Named examples of a media type (OpenAPI 3 `examples`, resolving `$ref`) */
+function namedExamples(media: { examples?: Record<string, OpenApiExample> } | undefined, doc: OpenApiDoc): Record<string, any> {
+  const result: Record<string, any> = {};
+  for (const [name, example] of Object.entries(media?.examples || {})) {
+    const resolved: OpenApiExample = example?.$ref ? resolveRef(example.$ref, doc) : example;
+    if (resolved && resolved.value !== undefined) result[name] = resolved.value;
+  }
+  return result;
+}
+
+function stringifyBody(value: any, contentType: string): string {
+  if (value === undefined || value === null) return contentType.includes('json') ? '{}' : '';
+  return typeof value === 'string' && !contentType.includes('json') ? value : JSON.stringify(value, null, 2);
+}
+
+/** Example value of a parameter for the editor's key/value tables */
+function parameterValue(param: OpenApiParameter): string {
+  const value = param.example ?? param['x-example'] ?? param.schema?.example ?? param.default ?? param.schema?.default ?? (param.enum || param.schema?.enum)?.[0];
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/** Formats that map onto a typed parameter */
+const FORMAT_PARAM_TYPES: ParamType[] = ['email', 'uuid', 'date', 'date-time', 'uri'];
+
+/** Parameter type for request validation, from `schema` (OpenAPI 3) or the parameter itself (Swagger 2.0) */
+function parameterType(param: OpenApiParameter, doc: OpenApiDoc): ParamType | undefined {
+  const schema = flattenSchema(param.schema || { type: param.type, format: param.format }, doc);
+  if (!schema) return undefined;
+  const type = schemaType(schema);
+  if (type === 'integer' || type === 'number' || type === 'boolean') return type;
+  if (type === 'string') return FORMAT_PARAM_TYPES.includes(schema.format as ParamType) ? schema.format as ParamType : 'string';
+  return undefined;
+}
+
+/**
+ * Inline `$ref`s into a standalone JSON Schema for request validation.
+ * Recursive references are cut off, OpenAPI 3.0 `nullable` becomes a `null` type.
+ */
+function dereferenceSchema(schema: any, doc: OpenApiDoc, seen: string[] = []): any {
+  if (Array.isArray(schema)) return schema.map(s => dereferenceSchema(s, doc, seen));
+  if (!schema || typeof schema !== 'object') return schema;
+  if (schema.$ref) {
+    if (seen.includes(schema.$ref)) return {};
+    return dereferenceSchema(resolveRef(schema.$ref, doc), doc, [...seen, schema.$ref]);
+  }
+  const result: Record<string, any> = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'nullable' || key === 'example' || key === 'xml' || key === 'discriminator') continue;
+    result[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value as Record<string, any>).map(([k, v]) => [k, dereferenceSchema(v, doc, seen)]))
+      : dereferenceSchema(value, doc, seen);
+  }
+  if (schema.nullable && typeof schema.type === 'string') result.type = [schema.type, 'null'];
+  return result;
+}
+
+/** JSON Schema text of a JSON request body, empty when the operation declares none */
+function buildBodySchema(op: OpenApiOperation, params: OpenApiParameter[], doc: OpenApiDoc): string {
+  const bodyParam = params.find(p => p.in === 'body');
+  const media = pickMediaType(op.requestBody?.content);
+  const schema = bodyParam?.schema || (media && media[0].includes('json') ? media[1].schema : undefined);
+  return schema ? JSON.stringify(dereferenceSchema(schema, doc), null, 2) : '';
+}
+
+/**
+ * Build the request body definition (JSON / XML / text / form) of an operation
+ */
+function buildRequestBody(op: OpenApiOperation, params: OpenApiParameter[], doc: OpenApiDoc): BodyContent {
+  const body: BodyContent = { type: 'none', raw: '', formData: [] };
+
+  // Swagger 2.0: in: body / in: formData 参数
+  const bodyParam = params.find(p => p.in === 'body');
+  const formParams = params.filter(p => p.in === 'formData');
+  if (bodyParam?.schema) {
+    const example = generateExample(bodyParam.schema, doc);
+    body.type = 'json';
+    body.raw = example !== null ? JSON.stringify(example, null, 2) : '{}';
+    return body;
+  }
+  if (formParams.length) {
+    body.type = op.consumes?.includes('multipart/form-data') || formParams.some(p => p.type === 'file') ? 'form-data' : 'x-www-form-urlencoded';
+    body.formData = formParams.map(p => ({ key: p.name, value: parameterValue(p), required: p.required, description: p.description || '' }));
+    return body;
+  }
+
+  const media = pickMediaType(op.requestBody?.content);
+  if (!media) return body;
+  const [type, content] = media;
+  const example = content.example ?? Object.values(namedExamples(content, doc))[0] ?? generateExample(content.schema, doc);
+
+  if (type.includes('json')) {
+    body.type = 'json';
+    body.raw = example !== null && example !== undefined ? JSON.stringify(example, null, 2) : '{}';
+  } else if (type.includes('xml')) {
+    body.type = 'xml';
+    body.raw = typeof example === 'string' ? example : '';
+  } else if (type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded') {
+    body.type = type === 'multipart/form-data' ? 'form-data' : 'x-www-form-urlencoded';
+    const schema = flattenSchema(content.schema, doc);
+    body.formData = Object.entries(schema?.properties || {}).map(([key, prop]) => ({
+      key,
+      value: String(generateExample(prop, doc) ?? ''),
+      required: schema?.required?.includes(key),
+      description: '',
+    }));
+  } else {
+    body.type = 'text';
+    body.raw = typeof example === 'string' ? example : '';
+  }
+  return body;
+}
+
+/**
+ * Conditions per example name, taken from named request body / parameter examples.
+ * A response example with the same name becomes an expectation with these conditions.
+ */
+function buildExampleConditions(op: OpenApiOperation, params: OpenApiParameter[], doc: OpenApiDoc): Map<string, ExpectationCondition[]> {
+  const conditions = new Map<string, ExpectationCondition[]>();
+  const add = (name: string, condition: ExpectationCondition) => {
+    if (!conditions.has(name)) conditions.set(name, []);
+    conditions.get(name)!.push(condition);
+  };
+
+  const media = pickMediaType(op.requestBody?.content);
+  for (const [name, value] of Object.entries(namedExamples(media?.[1], doc))) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+    for (const [key, field] of Object.entries(value)) {
+      if (field === null || typeof field === 'object') continue;
+      add(name, { source: 'body', key, operator: 'equals', value: String(field) });
+    }
+  }
+
+  for (const param of params) {
+    if (param.in !== 'query' && param.in !== 'header' && param.in !== 'path') continue;
+    for (const [name, value] of Object.entries(namedExamples(param, doc))) {
+      if (value === null || typeof value === 'object') continue;
+      add(name, { source: param.in === 'path' ? 'pathParam' : param.in, key: param.name, operator: 'equals', value: String(value) });
+    }
+  }
+  return conditions;
+}
+
+/**
+ * Convert one operation into a mock rule. Every documented status code becomes a
+ * response preset; named response examples become expectations when a request
+ * example with the same name exists, and extra presets otherwise.
+ */
+function buildRule(path: string, method: HttpMethod, op: OpenApiOperation, pathParams: OpenApiParameter[], doc: OpenApiDoc, nextId: () => number): MockRule {
+  const params = [...pathParams, ...(op.parameters || [])]
+    .map(p => (p.$ref ? resolveRef(p.$ref, doc) : p) as OpenApiParameter)
+    .filter(p => p && p.name);
+
+  const headers: KeyValueItem[] = [];
+  const query: KeyValueItem[] = [];
+  const pathParamItems: KeyValueItem[] = [];
+  for (const param of params) {
+    const item: KeyValueItem = { key: param.name, value: parameterValue(param), required: param.required, description: param.description || '', type: parameterType(param, doc) };
+    if (param.in === 'header') headers.push(item);
+    else if (param.in === 'query') query.push(item);
+    else if (param.in === 'path') pathParamItems.push({ ...item, required: true });
+  }
+
+  const responses = Object.entries(op.responses || {})
+    .map(([key, response]) => ({ status: toStatusCode(key), response: (response as any)?.$ref ? resolveRef((response as any).$ref, doc) as OpenApiResponse : response }))
+    .filter((r): r is { status: number; response: OpenApiResponse } => r.status !== null && !!r.response)
+    .sort((a, b) => a.status - b.status);
+  const primary = responses.find(r => r.status >= 200 && r.status < 300) || responses[0];
+
+  const exampleConditions = buildExampleConditions(op, params, doc);
+  const responsePresets: ResponsePreset[] = [];
+  const expectations: MockExpectation[] = [];
+  let responseType = 'application/json';
+  let responseBasic = '{}';
+  let mockjsEnabled = false;
+  let responseHeaders: KeyValueItem[] = [];
+
+  for (const { status, response } of responses) {
+    // Swagger 2.0 的 schema / examples 直接挂在 response 上
+    const media = pickMediaType(response.content) || (response.schema || response.examples
+      ? [op.produces?.[0] || Object.keys(response.examples || {})[0] || 'application/json', { schema: response.schema, example: Object.values(response.examples || {})[0] }] as [string, OpenApiMediaType]
+      : null);
+    const contentType = media?.[0] || 'application/json';
+    const schema = media?.[1].schema;
+    const template = schema ? schemaToMockTemplate(schema, doc) : null;
+    const staticExample = media?.[1].example;
+    const content = template !== null ? stringifyBody(template, contentType) : stringifyBody(staticExample, contentType);
+    if (template !== null && contentType.includes('json')) mockjsEnabled = true;
+
+    if (primary && status === primary.status) {
+      responseType = contentType;
+      responseBasic = content;
+      responseHeaders = Object.entries(response.headers || {})
+        .filter(([name]) => name.toLowerCase() !== 'content-type')
+        .map(([name, header]) => {
+          const value = header.example ?? header['x-example'] ?? header.schema?.example ?? header.schema?.default;
+          return { key: name, value: value === undefined ? '' : String(value), description: header.description || '' };
+        });
+    }
+
+    responsePresets.push({
+      id: nextId(),
+      name: `${status} ${response.description || ''}`.trim(),
+      statusCode: status,
+      responseMode: 'basic',
+      responseType: contentType,
+      responseBasic: content,
+      responseAdvanced: '',
+    });
+
+    for (const [name, value] of Object.entries(namedExamples(media?.[1], doc))) {
+      const conditions = exampleConditions.get(name);
+      const base = { statusCode: status, responseMode: 'basic' as const, responseType: contentType, responseBasic: stringifyBody(value, contentType), responseAdvanced: '' };
+      if (conditions?.length) {
+        expectations.push({ id: nextId(), name, conditions, ...base });
+      } else {
+        responsePresets.push({ id: nextId(), name: `${status} · ${name}`, ...base });
+      }
+    }
+  }
+
+  const now = Date.now();
+  return {
+    id: nextId(),
+    name: op.summary || op.operationId || `${method} ${path}`,
+    active: true,
+    method,
+    url: toRulePath(path),
+    delay: 0,
+    createdAt: now,
+    updatedAt: now,
+    headers,
+    params: query,
+    pathParams: pathParamItems,
+    body: buildRequestBody(op, params, doc),
+    bodySchema: buildBodySchema(op, params, doc),
+    responseHeaders,
+    responseMode: 'basic',
+    responseType,
+    responseBasic,
+    responseAdvanced: '',
+    responsePresets,
+    mockjsEnabled,
+    expectations,
+  };
+}
+
+/**
+ * Convert an OpenAPI / Swagger document into MockService groups (one per tag)
+ */
+export function parseOpenApiToServiceGroups(doc: OpenApiDoc): OpenApiImportResult {
+  const nextId = createIdGenerator();
+  const tagGroups = new Map<string, MockRule[]>();
+  const skipped: string[] = [];
+
+  for (const [path, pathItem] of Object.entries(doc.paths || {})) {
+    const pathParams = ((pathItem as any).parameters || []) as OpenApiParameter[];
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (!HTTP_METHODS.includes(method)) continue;
+      const upperMethod = method.toUpperCase() as HttpMethod;
+      if (!CONCRETE_METHODS.includes(upperMethod as Exclude<HttpMethod, 'ANY'>)) {
+        skipped.push(`${upperMethod} ${path}`);
+        continue;
       }
 
-      const now = Date.now() + Math.random() * 1000;
-      const rule: MockRule = {
-        id: Math.floor(now),
-        name: op.summary || `${upperMethod} ${path}`,
-        active: true,
-        method: upperMethod as any,
-        url: path,
-        delay: 0,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        headers,
-        params,
-        body,
-        responseHeaders: [],
-        responseMode: 'basic',
-        responseType,
-        responseBasic,
-        responseAdvanced: '',
-      };
-
-      tagGroups.get(tag)!.push(rule);
+      const op = operation as OpenApiOperation;
+      const tag = op.tags?.[0] || 'Default';
+      if (!tagGroups.has(tag)) tagGroups.set(tag, []);
+      tagGroups.get(tag)!.push(buildRule(path, upperMethod, op, pathParams, doc, nextId));
     }
   }
 
-  const groups: MockGroup[] = [];
+  const groups: MockServiceGroup[] = [];
   for (const [tag, rules] of tagGroups) {
     groups.push({
-      id: Date.now() + Math.floor(Math.random() * 10000),
+      id: nextId(),
       name: tag,
-      projectId,
+      description: doc.tags?.find(t => t.name === tag)?.description,
+      subPrefix: '',
       children: rules,
     });
   }
 
-  return groups;
+  return { title: doc.info?.title || 'OpenAPI', prefix: resolvePrefix(doc), groups, skipped };
+}
+
+/** Rule fields owned by the spec; everything else (active, delay, scripts, assertions...) stays as edited */
+const IMPORTED_FIELDS = ['name', 'headers', 'params', 'pathParams', 'body', 'bodySchema', 'responseHeaders', 'responseType', 'responseBasic', 'mockjsEnabled', 'responsePresets', 'expectations'] as const;
+
+/** Method + path with parameter names erased, so `/users/:id` and `/users/:userId` are the same operation */
+function operationKey(method: string, ...parts: (string | undefined)[]): string {
+  const path = parts
+    .filter((p): p is string => !!p)
+    .flatMap(p => p.split('/'))
+    .filter(Boolean)
+    .map(seg => (seg.startsWith(':') ? ':' : seg))
+    .join('/');
+  return `${method} /${path}`;
+}
+
+/** Path relative to a group sub-prefix, or null when the path is outside it */
+function relativeTo(path: string, subPrefix: string | undefined): string | null {
+  const prefix = subPrefix ? '/' + subPrefix.replace(/^\/+|\/+$/g, '') : '';
+  if (!prefix) return path;
+  if (path === prefix) return '/';
+  return path.startsWith(prefix + '/') ? path.slice(prefix.length) : null;
+}
+
+/** Merge imported items into existing ones by name, keeping ids (and manually added items) stable */
+function mergeByName<T extends { id: number; name: string }>(existing: T[] | undefined, imported: T[] | undefined): T[] {
+  const result = [...(existing || [])];
+  for (const item of imported || []) {
+    const idx = result.findIndex(e => e.name === item.name);
+    if (idx !== -1) result[idx] = { ...item, id: result[idx].id };
+    else result.push(item);
+  }
+  return result;
+}
+
+/**
+ * Merge imported groups into a service's groups. Operations that already exist
+ * (same method and path) are updated in place; new ones go to the group named after their tag.
+ */
+export function mergeOpenApiGroups(existingGroups: MockServiceGroup[], importedGroups: MockServiceGroup[]): { groups: MockServiceGroup[]; stats: OpenApiMergeStats } {
+  const groups: MockServiceGroup[] = existingGroups.map(g => ({ ...g, children: [...g.children] }));
+  const stats: OpenApiMergeStats = { added: 0, updated: 0, unchanged: 0, groupsCreated: 0 };
+
+  const index = new Map<string, { group: MockServiceGroup; idx: number }>();
+  for (const group of groups) {
+    group.children.forEach((rule, idx) => index.set(operationKey(rule.method, group.subPrefix, rule.url), { group, idx }));
+  }
+
+  for (const imported of importedGroups) {
+    for (const rule of imported.children) {
+      const found = index.get(operationKey(rule.method, rule.url));
+      if (found) {
+        const current = found.group.children[found.idx];
+        const next: MockRule = { ...current };
+        for (const field of IMPORTED_FIELDS) (next as any)[field] = rule[field];
+        next.responsePresets = mergeByName(current.responsePresets, rule.responsePresets);
+        next.expectations = mergeByName(current.expectations, rule.expectations);
+        if (next.activePresetId && !next.responsePresets.some(p => p.id === next.activePresetId)) next.activePresetId = undefined;
+
+        const changed = IMPORTED_FIELDS.some(f => JSON.stringify(current[f]) !== JSON.stringify(next[f]));
+        if (changed) {
+          found.group.children[found.idx] = { ...next, updatedAt: Date.now() };
+          stats.updated++;
+        } else {
+          stats.unchanged++;
+        }
+        continue;
+      }
+
+      // 同名分组带子前缀时，接口路径需落在子前缀之下
+      let target = groups.find(g => g.name === imported.name && relativeTo(rule.url, g.subPrefix) !== null);
+      if (!target) {
+        target = { ...imported, children: [] };
+        groups.push(target);
+        stats.groupsCreated++;
+      }
+      const added = { ...rule, url: relativeTo(rule.url, target.subPrefix)! };
+      target.children.push(added);
+      index.set(operationKey(added.method, target.subPrefix, added.url), { group: target, idx: target.children.length - 1 });
+      stats.added++;
+    }
+  }
+
+  return { groups, stats };
 }
@@ -0,0 +1,725 @@
+import type { MockService, MockServiceGroup, MockRule, KeyValueItem, BodyContent, HttpMethod, ResponsePreset, MockExpectation, ExpectationCondition, ResponseAssertion, AssertionTarget, AssertionOperator, Environment, EnvVariable, EnvOverride } from '@/types/mock';
+import { selectDocServices, getDocTitle, type DocOptions } from './generateApiDoc';
+import { parseExample, joinPath } from './generateOpenApi';
+import { serviceOrigin } from './serviceUrl';
+import { parseRoutePattern, CONCRETE_METHODS } from './routePattern';
+import { requiredEqualsConditions } from './conditions';
+
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+/** Response headers the mock server sets itself */
+const SKIPPED_RESPONSE_HEADERS = /^(content-type|content-length|content-encoding|transfer-encoding|connection|keep-alive|date|server|etag|vary)$/i;
+
+type PostmanDescription = string | { content?: string };
+
+interface PostmanKeyValue {
+  key: string;
+  value?: string;
+  disabled?: boolean;
+  description?: PostmanDescription;
+  type?: string;  // formdata: text | file
+}
+
+interface PostmanUrl {
+  raw?: string;
+  host?: string | string[];
+  path?: string | string[];
+  query?: PostmanKeyValue[];
+  variable?: PostmanKeyValue[];
+}
+
+interface PostmanBody {
+  mode?: 'raw' | 'urlencoded' | 'formdata' | 'file' | 'graphql';
+  raw?: string;
+  urlencoded?: PostmanKeyValue[];
+  formdata?: PostmanKeyValue[];
+  graphql?: { query?: string; variables?: string };
+  options?: { raw?: { language?: string } };
+}
+
+interface PostmanRequest {
+  method?: string;
+  header?: PostmanKeyValue[];
+  url?: string | PostmanUrl;
+  body?: PostmanBody;
+  description?: PostmanDescription;
+}
+
+interface PostmanResponse {
+  name?: string;
+  originalRequest?: PostmanRequest;
+  status?: string;
+  code?: number;
+  header?: PostmanKeyValue[] | null;
+  body?: string | null;
+  _postman_previewlanguage?: string;
+}
+
+interface PostmanEvent {
+  listen: 'test' | 'prerequest';
+  script?: { type?: string; exec?: string | string[] };
+}
+
+interface PostmanItem {
+  name?: string;
+  description?: PostmanDescription;
+  item?: PostmanItem[];        // folder
+  request?: PostmanRequest | string;
+  response?: PostmanResponse[];
+  event?: PostmanEvent[];
+}
+
+export interface PostmanCollection {
+  info: { name: string; description?: PostmanDescription; schema: string; _postman_id?: string };
+  item: PostmanItem[];
+  variable?: PostmanKeyValue[];
+}
+
+export interface PostmanEnvironment {
+  name: string;
+  values: PostmanKeyValue[];
+  _postman_variable_scope?: string;
+}
+
+export interface PostmanImportResult {
+  title: string;
+  prefix: string;                // path of the base URL variable value, used as the service prefix
+  groups: MockServiceGroup[];    // one group per folder, nested folders flattened as "A / B"
+  skipped: string[];             // requests with methods the mock server does not support
+  variables: EnvVariable[];      // collection variables
+  baseUrlVariable?: string;      // `{{var}}` most request URLs start with
+}
+
+/**
+ * Parse a Postman collection (v2.0 / v2.1 JSON export)
+ */
+export function parsePostmanCollection(text: string): PostmanCollection {
+  const doc = JSON.parse(text);
+  if (!doc?.info || !Array.isArray(doc.item)) throw new Error('Invalid Postman collection: missing "info" or "item"');
+  if (doc.info.schema && !/v2\.[01]/.test(doc.info.schema)) throw new Error('Only Postman collection v2.0 / v2.1 is supported');
+  return doc;
+}
+
+/**
+ * Parse a Postman environment export
+ */
+export function parsePostmanEnvironment(text: string): PostmanEnvironment {
+  const doc = JSON.parse(text);
+  if (!doc?.name || !Array.isArray(doc.values)) throw new Error('Invalid Postman environment: missing "name" or "values"');
+  return doc;
+}
+
+function describe(description: PostmanDescription | undefined): string {
+  if (!description) return '';
+  return typeof description === 'string' ? description : description.content || '';
+}
+
+function createIdGenerator(): () => number {
+  let last = Date.now();
+  return () => ++last;
+}
+
+function toKeyValues(items: PostmanKeyValue[] | undefined): KeyValueItem[] {
+  return (items || [])
+    .filter(i => i.key && !i.disabled)
+    .map(i => ({ key: i.key, value: i.type === 'file' ? '' : i.value ?? '', description: describe(i.description) }));
+}
+
+function toEnvVariables(items: PostmanKeyValue[] | undefined): EnvVariable[] {
+  return (items || [])
+    .filter(i => i.key)
+    .map(i => ({ key: i.key, value: i.value == null ? '' : String(i.value), description: describe(i.description) || undefined, enabled: !i.disabled && (i as any).enabled !== false }));
+}
+
+/* ==================== Import ==================== */
+
+interface ParsedUrl {
+  base: string;              // leading `{{var}}` or scheme://host, empty when the URL is a bare path
+  path: string;              // rule path with `:name` params
+  query: KeyValueItem[];
+  pathValues: KeyValueItem[];
+}
+
+/** Postman `{{var}}` / `:var` path segment → rule `:var` segment */
+function toPathSegment(segment: string): string {
+  const variable = segment.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+  if (variable) return ':' + variable[1].replace(/\W+/g, '_');
+  return segment;
+}
+
+function parseUrl(url: string | PostmanUrl | undefined): ParsedUrl {
+  const obj: PostmanUrl = typeof url === 'string' ? { raw: url } : url || {};
+  const raw = obj.raw || '';
+  const baseMatch = raw.match(/^(\{\{[^}]+\}\}|[a-z][\w+.-]*:\/\/[^/?#]+)/i);
+  const base = baseMatch ? baseMatch[1] : Array.isArray(obj.host) ? obj.host.join('.') : obj.host || '';
+
+  let segments: string[];
+  if (obj.path !== undefined) {
+    segments = Array.isArray(obj.path) ? obj.path : obj.path.split('/');
+  } else {
+    segments = raw.slice(baseMatch ? baseMatch[1].length : 0).split(/[?#]/)[0].split('/');
+  }
+  const path = '/' + segments.filter(Boolean).map(toPathSegment).join('/');
+
+  let query = toKeyValues(obj.query);
+  if (!obj.query && raw.includes('?')) {
+    query = [...new URLSearchParams(raw.split('?')[1].split('#')[0]).entries()].map(([key, value]) => ({ key, value, description: '' }));
+  }
+  const pathValues = (obj.variable || []).filter(v => v.key).map(v => ({ key: v.key, value: v.value ?? '', required: true, description: describe(v.description) }));
+  return { base, path, query, pathValues };
+}
+
+function buildRequestBody(body: PostmanBody | undefined): BodyContent {
+  const result: BodyContent = { type: 'none', raw: '', formData: [] };
+  if (!body?.mode) return result;
+  if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+    result.type = body.mode === 'formdata' ? 'form-data' : 'x-www-form-urlencoded';
+    result.formData = toKeyValues(body.mode === 'formdata' ? body.formdata : body.urlencoded);
+  } else if (body.mode === 'graphql' && body.graphql) {
+    let variables: any;
+    try { variables = body.graphql.variables ? JSON.parse(body.graphql.variables) : undefined; } catch { variables = body.graphql.variables; }
+    result.type = 'json';
+    result.raw = JSON.stringify({ query: body.graphql.query || '', variables }, null, 2);
+  } else if (body.mode === 'raw' && body.raw) {
+    const language = body.options?.raw?.language;
+    let isJson = language === 'json';
+    if (!language) { try { JSON.parse(body.raw); isJson = true; } catch {} }
+    result.type = isJson ? 'json' : language === 'xml' ? 'xml' : 'text';
+    result.raw = body.raw;
+  }
+  return result;
+}
+
+const PREVIEW_LANGUAGE_TYPES: Record<string, string> = {
+  json: 'application/json', xml: 'application/xml', html: 'text/html', text: 'text/plain', javascript: 'application/javascript',
+};
+
+interface ExampleResponse {
+  name: string;
+  status: number;
+  type: string;
+  body: string;
+  headers: KeyValueItem[];
+}
+
+function readExample(example: PostmanResponse, index: number): ExampleResponse {
+  const headers = (example.header || []).filter(h => h.key);
+  const contentType = headers.find(h => h.key.toLowerCase() === 'content-type')?.value?.split(';')[0].trim();
+  const type = contentType || PREVIEW_LANGUAGE_TYPES[example._postman_previewlanguage || ''] || 'application/json';
+  let body = example.body || '';
+  if (type.includes('json')) { try { body = JSON.stringify(JSON.parse(body), null, 2); } catch {} }
+  return {
+    name: example.name || `Example ${index + 1}`,
+    status: example.code || 200,
+    type,
+    body,
+    headers: toKeyValues(headers.filter(h => !SKIPPED_RESPONSE_HEADERS.test(h.key))),
+  };
+}
+
+/** Top-level scalar fields of a JSON body */
+function scalarFields(raw: string | undefined): Record<string, string> {
+  try {
+    const value = JSON.parse(raw || '');
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+    return Object.fromEntries(Object.entries(value).filter(([, v]) => v === null || typeof v !== 'object').map(([k, v]) => [k, String(v)]));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Conditions telling an example's original request apart from the request itself:
+ * path variables, query params, headers and top-level JSON body fields that differ
+ */
+function exampleConditions(request: PostmanRequest, original: PostmanRequest | undefined): ExpectationCondition[] {
+  if (!original) return [];
+  const conditions: ExpectationCondition[] = [];
+  const diff = (source: ExpectationCondition['source'], base: KeyValueItem[], other: KeyValueItem[]) => {
+    for (const item of other) {
+      if (base.find(b => b.key === item.key)?.value !== item.value) conditions.push({ source, key: item.key, operator: 'equals', value: item.value });
+    }
+  };
+  const url = parseUrl(request.url);
+  const originalUrl = parseUrl(original.url);
+  diff('pathParam', url.pathValues, originalUrl.pathValues);
+  diff('query', url.query, originalUrl.query);
+  diff('header', toKeyValues(request.header), toKeyValues(original.header));
+  if (original.body?.mode === 'raw') {
+    const base = scalarFields(request.body?.raw);
+    for (const [key, value] of Object.entries(scalarFields(original.body.raw))) {
+      if (base[key] !== value) conditions.push({ source: 'body', key, operator: 'equals', value });
+    }
+  }
+  return conditions;
+}
+
+/** Expression patterns understood when turning Postman tests back into assertions */
+const TEST_TARGETS: { pattern: RegExp; target: AssertionTarget; keyed?: boolean }[] = [
+  { pattern: /pm\.response\.code\b/, target: 'status' },
+  { pattern: /pm\.response\.responseTime\b/, target: 'responseTime' },
+  { pattern: /pm\.response\.headers\.get\(("(?:[^"\\]|\\.)*"|'[^']*')\)/, target: 'header', keyed: true },
+  { pattern: /_\.get\(pm\.response\.json\(\),\s*("(?:[^"\\]|\\.)*"|'[^']*')\)/, target: 'body', keyed: true },
+  { pattern: /pm\.response\.text\(\)/, target: 'body' },
+];
+
+const TEST_OPERATORS: { pattern: RegExp; operator: AssertionOperator }[] = [
+  { pattern: /\.to\.(?:eql|equal)\(/, operator: 'equals' },
+  { pattern: /\.to\.include\(/, operator: 'contains' },
+  { pattern: /\.to\.match\(/, operator: 'regex' },
+  { pattern: /\.to\.be\.(?:above|greaterThan)\(/, operator: 'gt' },
+  { pattern: /\.to\.be\.(?:below|lessThan)\(/, operator: 'lt' },
+  { pattern: /\.to\.exist\b/, operator: 'exists' },
+];
+
+/** Text of the call argument starting at `start` (just after the opening parenthesis) */
+function callArgument(line: string, start: number): string {
+  let depth = 0;
+  let quote = '';
+  for (let i = start; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = '';
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      if (depth === 0) return line.slice(start, i);
+      depth--;
+    }
+  }
+  return line.slice(start);
+}
+
+function literalValue(text: string): string {
+  const trimmed = text.trim().replace(/^new RegExp\(([\s\S]*)\)$/, '$1').trim();
+  if (/^\/.*\/[a-z]*$/.test(trimmed)) return trimmed.slice(1, trimmed.lastIndexOf('/'));
+  if (trimmed.startsWith("'")) return trimmed.slice(1, -1);
+  try {
+    const value = JSON.parse(trimmed);
+    return typeof value === 'string' ? value : String(value);
+  } catch {
+    return trimmed;
+  }
+}
+
+/**
+ * Turn the common `pm.test` assertions of a test script into response assertions
+ * (status, response time, headers and JSON fields); anything else is ignored
+ */
+function parseTestScript(exec: string | string[] | undefined, nextId: () => number): ResponseAssertion[] {
+  const lines = (Array.isArray(exec) ? exec : (exec || '').split('\n')).map(l => l.trim());
+  const assertions: ResponseAssertion[] = [];
+  for (const line of lines) {
+    const status = line.match(/pm\.response\.to\.have\.status\((\d+)\)/);
+    if (status) {
+      assertions.push({ id: nextId(), target: 'status', operator: 'equals', value: status[1] });
+      continue;
+    }
+    const header = line.match(/pm\.response\.to\.have\.header\(("(?:[^"\\]|\\.)*"|'[^']*')\)/);
+    if (header) {
+      assertions.push({ id: nextId(), target: 'header', key: literalValue(header[1]), operator: 'exists', value: '' });
+      continue;
+    }
+    if (!line.includes('pm.expect(')) continue;
+    const target = TEST_TARGETS.map(t => ({ t, m: line.match(t.pattern) })).find(x => x.m);
+    const operator = TEST_OPERATORS.map(o => ({ o, m: line.match(o.pattern) })).find(x => x.m);
+    if (!target || !operator) continue;
+    assertions.push({
+      id: nextId(),
+      target: target.t.target,
+      key: target.t.keyed ? literalValue(target.m![1]) : undefined,
+      operator: operator.o.operator,
+      value: operator.o.operator === 'exists' ? '' : literalValue(callArgument(line, operator.m!.index! + operator.m![0].length)),
+    });
+  }
+  return assertions;
+}
+
+function buildRule(item: PostmanItem, request: PostmanRequest, method: HttpMethod, nextId: () => number): { rule: MockRule; base: string } {
+  const url = parseUrl(request.url);
+  const examples = (item.response || []).map(readExample);
+  const primaryIdx = Math.max(0, examples.findIndex(e => e.status >= 200 && e.status < 300));
+  const primary = examples[primaryIdx];
+
+  const responsePresets: ResponsePreset[] = [];
+  const expectations: MockExpectation[] = [];
+  let activePresetId: number | undefined;
+  examples.forEach((example, idx) => {
+    const base = { statusCode: example.status, responseMode: 'basic' as const, responseType: example.type, responseBasic: example.body, responseAdvanced: '' };
+    if (idx === primaryIdx) {
+      // 默认响应固定返回 200，其它状态码通过启用的场景预设还原
+      if (example.status !== 200) {
+        activePresetId = nextId();
+        responsePresets.push({ id: activePresetId, name: example.name, ...base });
+      }
+      return;
+    }
+    const conditions = exampleConditions(request, item.response![idx].originalRequest);
+    if (conditions.length) expectations.push({ id: nextId(), name: example.name, conditions, ...base });
+    else responsePresets.push({ id: nextId(), name: example.name, ...base });
+  });
+
+  const test = item.event?.find(e => e.listen === 'test');
+  const assertions = parseTestScript(test?.script?.exec, nextId);
+  const headers = toKeyValues(request.header).filter(h => h.key.toLowerCase() !== 'content-type');
+  const now = Date.now();
+  const rule: MockRule = {
+    id: nextId(),
+    name: item.name || `${method} ${url.path}`,
+    active: true,
+    method,
+    url: url.path,
+    delay: 0,
+    createdAt: now,
+    updatedAt: now,
+    headers,
+    params: url.query,
+    pathParams: url.pathValues,
+    body: buildRequestBody(request.body),
+    responseHeaders: primary?.headers || [],
+    responseMode: 'basic',
+    responseType: primary?.type || 'application/json',
+    responseBasic: primary ? primary.body : '{}',
+    responseAdvanced: '',
+    responsePresets,
+    activePresetId,
+    expectations,
+  };
+  if (assertions.length) rule.assertions = assertions;
+  return { rule, base: url.base };
+}
+
+/** Path of a base URL such as `https://api.example.com/v1` → `/v1` */
+function basePathOf(value: string | undefined): string {
+  try {
+    const path = new URL(value || '').pathname.replace(/\/+$/, '');
+    return path === '/' ? '' : path;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Convert a Postman collection into MockService groups: folders become groups,
+ * requests become rules, saved examples become presets / expectations and
+ * `pm.test` assertions become response assertions
+ */
+export function parsePostmanToServiceGroups(collection: PostmanCollection): PostmanImportResult {
+  const nextId = createIdGenerator();
+  const groups: MockServiceGroup[] = [];
+  const skipped: string[] = [];
+  const bases = new Map<string, number>();
+
+  const groupFor = (name: string, description: string) => {
+    let group = groups.find(g => g.name === name);
+    if (!group) {
+      group = { id: nextId(), name, description: description || undefined, subPrefix: '', children: [] };
+      groups.push(group);
+    }
+    return group;
+  };
+
+  const walk = (items: PostmanItem[], folder: string, description: string) => {
+    for (const item of items) {
+      if (item.item) {
+        walk(item.item, folder ? `${folder} / ${item.name}` : item.name || '未命名', describe(item.description));
+        continue;
+      }
+      if (!item.request) continue;
+      const request: PostmanRequest = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+      const method = (request.method || 'GET').toUpperCase();
+      const { path } = parseUrl(request.url);
+      if (!CONCRETE_METHODS.includes(method as Exclude<HttpMethod, 'ANY'>)) {
+        skipped.push(`${method} ${path}`);
+        continue;
+      }
+      const { rule, base } = buildRule(item, request, method as HttpMethod, nextId);
+      if (base) bases.set(base, (bases.get(base) || 0) + 1);
+      groupFor(folder || '默认分组', description).children.push(rule);
+    }
+  };
+  walk(collection.item, '', '');
+
+  const variables = toEnvVariables(collection.variable);
+  const mainBase = [...bases.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+  const baseUrlVariable = mainBase.match(/^\{\{\s*([^}]+?)\s*\}\}$/)?.[1];
+  const baseValue = baseUrlVariable ? variables.find(v => v.key === baseUrlVariable)?.value : mainBase;
+  return { title: collection.info.name || 'Postman', prefix: basePathOf(baseValue), groups, skipped, variables, baseUrlVariable };
+}
+
+/** Real API address of a base URL, applied as the service's real address in an environment */
+function realConfigOf(value: string | undefined): EnvOverride['serviceConfig'] | undefined {
+  try {
+    const url = new URL(value || '');
+    if (!/^https?:$/.test(url.protocol)) return undefined;
+    return { realProtocol: url.protocol.slice(0, -1), realHost: url.hostname, realPort: url.port || undefined, realPrefix: basePathOf(value) || undefined };
+  } catch {
+    return undefined;
+  }
+}
+
+/** Merge variables by key (imported values win), keeping variables that only exist locally */
+function mergeVariables(existing: EnvVariable[] | undefined, imported: EnvVariable[]): EnvVariable[] {
+  const result = [...(existing || [])];
+  for (const variable of imported) {
+    const idx = result.findIndex(v => v.key === variable.key);
+    if (idx !== -1) result[idx] = { ...result[idx], value: variable.value, enabled: variable.enabled };
+    else result.push(variable);
+  }
+  return result;
+}
+
+/** Replace or add the override of one scope / target */
+function upsertOverride(overrides: EnvOverride[] | undefined, override: EnvOverride, mergeVars: boolean): EnvOverride[] {
+  const result = [...(overrides || [])];
+  const idx = result.findIndex(o => o.scope === override.scope && o.targetId === override.targetId);
+  if (idx === -1) return [...result, override];
+  const current = result[idx];
+  result[idx] = {
+    ...current,
+    ...override,
+    serviceConfig: override.serviceConfig ? { ...current.serviceConfig, ...override.serviceConfig } : current.serviceConfig,
+    variables: mergeVars && override.variables ? mergeVariables(current.variables, override.variables) : current.variables,
+  };
+  return result;
+}
+
+export interface PostmanEnvironmentTarget {
+  projectId: number;
+  projectName?: string;
+  serviceId: number;
+  serviceName?: string;
+}
+
+/**
+ * Map Postman variables onto environments: every Postman environment becomes an
+ * environment of the same name (merged when it exists) holding its values as global
+ * variables; collection variables go to a project override. Without environment files
+ * the collection variables land in an environment named after the collection.
+ * When the base URL variable resolves to an http(s) URL, it becomes the service's real address.
+ */
+export function mapPostmanEnvironments(result: PostmanImportResult, postmanEnvs: PostmanEnvironment[], existing: Environment[], target: PostmanEnvironmentTarget): Environment[] {
+  const nextId = createIdGenerator();
+  const sources = postmanEnvs.length
+    ? postmanEnvs.map(e => ({ name: e.name, variables: toEnvVariables(e.values) }))
+    : result.variables.length ? [{ name: result.title, variables: [] as EnvVariable[] }] : [];
+
+  return sources.map(source => {
+    const now = Date.now();
+    const current = existing.find(e => e.name === source.name);
+    const env: Environment = current
+      ? { ...current, variables: mergeVariables(current.variables, source.variables) }
+      : { id: nextId(), name: source.name, variables: source.variables, overrides: [], createdAt: now, updatedAt: now };
+
+    if (result.variables.length) {
+      env.overrides = upsertOverride(env.overrides, { scope: 'project', targetId: target.projectId, targetName: target.projectName, variables: result.variables }, true);
+    }
+    if (result.baseUrlVariable) {
+      const value = source.variables.find(v => v.key === result.baseUrlVariable)?.value ?? result.variables.find(v => v.key === result.baseUrlVariable)?.value;
+      const serviceConfig = realConfigOf(value);
+      if (serviceConfig) env.overrides = upsertOverride(env.overrides, { scope: 'service', targetId: target.serviceId, targetName: target.serviceName, serviceConfig }, false);
+    }
+    return env;
+  });
+}
+
+/* ==================== Export ==================== */
+
+export interface PostmanExportOptions extends DocOptions {
+  host?: string;              // host of the base URL variables, defaults to localhost
+  variables?: EnvVariable[];  // extra collection variables, e.g. those of the active environment
+}
+
+function describeItem(item: KeyValueItem): PostmanKeyValue {
+  const result: PostmanKeyValue = { key: item.key, value: item.value };
+  if (item.description) result.description = item.description;
+  return result;
+}
+
+/** Expression a test reads for an assertion target */
+function testExpression(assertion: ResponseAssertion): string {
+  switch (assertion.target) {
+    case 'status': return 'pm.response.code';
+    case 'responseTime': return 'pm.response.responseTime';
+    case 'header': return `pm.response.headers.get(${JSON.stringify(assertion.key || '')})`;
+    default: return assertion.key ? `_.get(pm.response.json(), ${JSON.stringify(assertion.key)})` : 'pm.response.text()';
+  }
+}
+
+const OPERATOR_LABELS: Record<AssertionOperator, string> = {
+  equals: '等于', contains: '包含', regex: '匹配', exists: '存在', gt: '大于', lt: '小于',
+};
+
+const TARGET_LABELS: Record<AssertionTarget, string> = {
+  status: '状态码', body: '响应体', header: '响应头', responseTime: '响应时间',
+};
+
+/**
+ * Generate a `pm.test` line for an assertion, mirroring the test runner's semantics
+ * (values are compared as strings, gt / lt as numbers)
+ */
+function assertionToTest(assertion: ResponseAssertion): string {
+  const label = [TARGET_LABELS[assertion.target], assertion.key, OPERATOR_LABELS[assertion.operator], assertion.operator === 'exists' ? '' : assertion.value].filter(Boolean).join(' ');
+  const expr = testExpression(assertion);
+  const value = JSON.stringify(assertion.value);
+  let check: string;
+  if (assertion.target === 'status' && assertion.operator === 'equals' && /^\d+$/.test(assertion.value)) check = `pm.response.to.have.status(${assertion.value})`;
+  else if (assertion.target === 'header' && assertion.operator === 'exists') check = `pm.response.to.have.header(${JSON.stringify(assertion.key || '')})`;
+  else if (assertion.operator === 'exists') check = `pm.expect(${expr}).to.exist`;
+  else if (assertion.operator === 'gt') check = `pm.expect(Number(${expr})).to.be.above(${Number(assertion.value) || 0})`;
+  else if (assertion.operator === 'lt') check = `pm.expect(Number(${expr})).to.be.below(${Number(assertion.value) || 0})`;
+  else if (assertion.operator === 'contains') check = `pm.expect(String(${expr})).to.include(${value})`;
+  else if (assertion.operator === 'regex') check = `pm.expect(String(${expr})).to.match(new RegExp(${value}))`;
+  else check = `pm.expect(String(${expr})).to.eql(${value})`;
+  return `pm.test(${JSON.stringify(label)}, function () { ${check}; });`;
+}
+
+function exportBody(body: BodyContent | undefined, mockjs: boolean): PostmanBody | undefined {
+  if (!body || body.type === 'none') return undefined;
+  if (body.type === 'form-data') return { mode: 'formdata', formdata: body.formData.filter(f => f.key).map(f => ({ ...describeItem(f), type: 'text' })) };
+  if (body.type === 'x-www-form-urlencoded') return { mode: 'urlencoded', urlencoded: body.formData.filter(f => f.key).map(describeItem) };
+  if (body.type === 'json') {
+    const example = parseExample(body.raw, mockjs);
+    const raw = example === undefined ? '' : typeof example === 'string' ? example : JSON.stringify(example, null, 2);
+    return { mode: 'raw', raw, options: { raw: { language: 'json' } } };
+  }
+  return { mode: 'raw', raw: body.raw, options: { raw: { language: body.type === 'xml' ? 'xml' : 'text' } } };
+}
+
+function exportUrl(baseVar: string, path: string, query: KeyValueItem[], pathParams: KeyValueItem[]): PostmanUrl {
+  // Route syntax → Postman `:var` segments; query constraints become query items
+  const route = parseRoutePattern(path);
+  const segments = route.segments.map(s => s.replace(/^\{(\w+)\}$/, ':$1'));
+  const constraints = route.query.filter(c => !query.some(q => q.key === c.key)).map(c => ({ key: c.key, value: c.value || '' }));
+  const queryItems = [...query.filter(q => q.key).map(describeItem), ...constraints];
+  const search = queryItems.length ? '?' + queryItems.map(q => `${q.key}=${q.value ?? ''}`).join('&') : '';
+  const url: PostmanUrl = { raw: `{{${baseVar}}}/${segments.join('/')}${search}`, host: [`{{${baseVar}}}`], path: segments };
+  if (queryItems.length) url.query = queryItems;
+  const variables = segments.filter(s => s.startsWith(':')).map(s => {
+    const param = pathParams.find(p => p.key === s.slice(1));
+    return param ? describeItem(param) : { key: s.slice(1), value: '' };
+  });
+  if (variables.length) url.variable = variables;
+  return url;
+}
+
+/** Apply required equals conditions to a copy of the request, so the example shows which request it answers */
+function applyConditions(request: PostmanRequest, conditions: ExpectationCondition[]): PostmanRequest {
+  const copy: PostmanRequest = JSON.parse(JSON.stringify(request));
+  const url = copy.url as PostmanUrl;
+  const set = (list: PostmanKeyValue[] | undefined, key: string, value: string) => {
+    const items = list || [];
+    const found = items.find(i => i.key === key);
+    if (found) found.value = value; else items.push({ key, value });
+    return items;
+  };
+  const bodyFields: Record<string, string> = {};
+  for (const c of conditions) {
+    if (c.source === 'query') url.query = set(url.query, c.key, c.value);
+    else if (c.source === 'pathParam') url.variable = set(url.variable, c.key, c.value);
+    else if (c.source === 'header') copy.header = set(copy.header, c.key, c.value);
+    else if (c.source === 'body') {
+      const field = c.key.replace(/^\$\./, '');
+      if (/^[\w-]+$/.test(field)) bodyFields[field] = c.value;
+    }
+  }
+  if (Object.keys(bodyFields).length && copy.body?.mode === 'raw') {
+    try { copy.body.raw = JSON.stringify({ ...JSON.parse(copy.body.raw || '{}'), ...bodyFields }, null, 2); } catch {}
+  }
+  return copy;
+}
+
+function exportExample(name: string, status: number, contentType: string, body: string, mockjs: boolean, headers: KeyValueItem[], request: PostmanRequest): PostmanResponse {
+  let text = body || '';
+  if (contentType.includes('json') && mockjs) {
+    const example = parseExample(text, true);
+    if (example !== undefined && typeof example !== 'string') text = JSON.stringify(example, null, 2);
+  }
+  return {
+    name,
+    originalRequest: request,
+    code: status,
+    header: [{ key: 'Content-Type', value: contentType }, ...headers.filter(h => h.key && h.key.toLowerCase() !== 'content-type').map(h => ({ key: h.key, value: h.value }))],
+    body: text,
+    _postman_previewlanguage: contentType.includes('json') ? 'json' : contentType.includes('xml') ? 'xml' : contentType.includes('html') ? 'html' : 'text',
+  };
+}
+
+function exportRule(rule: MockRule, path: string, baseVar: string): PostmanItem {
+  const mockjs = !!rule.mockjsEnabled;
+  const request: PostmanRequest = {
+    method: rule.method === 'ANY' ? 'GET' : rule.method,
+    header: (rule.headers || []).filter(h => h.key).map(describeItem),
+    url: exportUrl(baseVar, path, rule.params || [], rule.pathParams || []),
+  };
+  const body = exportBody(rule.body, mockjs);
+  if (body) {
+    request.body = body;
+    if (rule.body.type === 'json' && !request.header!.some(h => h.key.toLowerCase() === 'content-type')) request.header!.push({ key: 'Content-Type', value: 'application/json' });
+  }
+
+  // 高级模式的响应由脚本动态生成，无法导出为示例
+  const response: PostmanResponse[] = [];
+  const headers = rule.responseHeaders || [];
+  if ((rule.responseMode || 'basic') === 'basic') response.push(exportExample('默认响应', 200, rule.responseType || 'application/json', rule.responseBasic, mockjs, headers, request));
+  for (const preset of rule.responsePresets || []) {
+    if (preset.responseMode === 'advanced') continue;
+    response.push(exportExample(preset.name, preset.statusCode || 200, preset.responseType || 'application/json', preset.responseBasic, mockjs, headers, request));
+  }
+  for (const exp of rule.expectations || []) {
+    if (exp.responseMode === 'advanced') continue;
+    response.push(exportExample(exp.name, exp.statusCode || 200, exp.responseType || 'application/json', exp.responseBasic, mockjs, headers, applyConditions(request, requiredEqualsConditions(exp.conditions, exp.logic))));
+  }
+
+  const item: PostmanItem = { name: rule.name || `${rule.method} ${rule.url}`, request, response };
+  if (rule.assertions?.length) {
+    item.event = [{ listen: 'test', script: { type: 'text/javascript', exec: rule.assertions.map(assertionToTest) } }];
+  }
+  return item;
+}
+
+function exportGroup(group: MockServiceGroup, baseVar: string, showDisabled: boolean): PostmanItem {
+  const item: PostmanItem = {
+    name: group.name,
+    item: group.children
+      .filter(rule => showDisabled || rule.active)
+      .map(rule => exportRule(rule, joinPath(group.subPrefix, rule.url), baseVar)),
+  };
+  if (group.description) item.description = group.description;
+  return item;
+}
+
+/**
+ * Generate a Postman collection v2.1 from MockService data. Each service gets a
+ * base URL variable (`baseUrl`, `baseUrl2` ...), groups become folders and rule
+ * assertions become `pm.test` scripts
+ */
+export function generatePostmanCollection(services: MockService[], options: PostmanExportOptions): PostmanCollection {
+  const targetServices = selectDocServices(services, options);
+  const host = options.host || 'localhost';
+  const multiService = targetServices.length > 1;
+  const variable: PostmanKeyValue[] = [];
+  const item: PostmanItem[] = [];
+
+  targetServices.forEach((service, idx) => {
+    const baseVar = idx === 0 ? 'baseUrl' : `baseUrl${idx + 1}`;
+    const prefix = joinPath(service.prefix);
+    variable.push({ key: baseVar, value: `${serviceOrigin(service, host)}${prefix === '/' ? '' : prefix}`, description: service.name });
+    const folders = service.groups.map(g => exportGroup(g, baseVar, !!options.showDisabled));
+    if (multiService) item.push({ name: service.name, description: service.description || undefined, item: folders });
+    else item.push(...folders);
+  });
+
+  for (const v of options.variables || []) {
+    if (v.enabled && !variable.some(e => e.key === v.key)) variable.push({ key: v.key, value: v.value });
+  }
+
+  return {
+    info: { name: getDocTitle(targetServices, options), schema: COLLECTION_SCHEMA },
+    item,
+    variable,
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * routePattern.ts
+ *
+ * 接口路由语法（与 Mock 服务端 matchPathPattern 一致）：
+ *   - 路径参数 /:id，可选参数 /:id?，正则约束 /:id(\d+)
+ *   - 通配 * 匹配单个路径段，** 匹配零或多个路径段
+ *   - Query 约束 /search?type=user&debug
+ * 供导出 OpenAPI / Postman 等场景把规则 URL 转换为普通路径模板。
+ */
+import type { HttpMethod } from '@/types/mock';
+
+/** 接口可选的请求方法（ANY 匹配任意方法） */
+export const HTTP_METHODS: HttpMethod[] = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'ANY'];
+
+/** 具体的请求方法（导入、调试等不接受 ANY 的场景） */
+export const CONCRETE_METHODS = HTTP_METHODS.filter(m => m !== 'ANY') as Exclude<HttpMethod, 'ANY'>[];
+
+/** ANY 接口导出为文档时展开的方法 */
+export const ANY_EXPORT_METHODS: HttpMethod[] = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/** 路由中的一个动态段 */
+export interface RouteParam {
+  name: string;
+  pattern?: string;      // 正则约束
+  optional?: boolean;
+  wildcard?: '*' | '**';
+}
+
+/** 解析后的路由：segments 中动态段已替换为 {name} 模板 */
+export interface ParsedRoute {
+  segments: string[];
+  params: RouteParam[];
+  query: { key: string; value: string | null }[];
+}
+
+/** 按 / 拆分，正则约束括号内的 / 不作为分隔符 */
+function splitSegments(path: string): string[] {
+  const segments: string[] = [];
+  let current = '';
+  let depth = 0;
+  for (const ch of path) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if (ch === '/' && depth === 0) {
+      if (current) segments.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) segments.push(current);
+  return segments;
+}
+
+/** Query 部分的起始位置：紧跟在 :param 段末尾的 ? 是可选标记，不是 Query 分隔符 */
+function findQueryIndex(url: string): number {
+  let depth = 0;
+  let segmentStart = 0;
+  for (let i = 0; i < url.length; i++) {
+    const ch = url[i];
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    else if (depth === 0 && ch === '/') segmentStart = i + 1;
+    else if (depth === 0 && ch === '?') {
+      const optionalMarker = url[segmentStart] === ':' && (i + 1 === url.length || url[i + 1] === '/');
+      if (!optionalMarker) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 解析规则 URL
+ * @param url - 规则 URL（可含服务 / 分组前缀）
+ */
+export function parseRoutePattern(url: string): ParsedRoute {
+  const queryIndex = findQueryIndex(url);
+  const path = queryIndex === -1 ? url : url.slice(0, queryIndex);
+  const query = queryIndex === -1 ? [] : url.slice(queryIndex + 1).split('&').filter(Boolean).map(part => {
+    const eq = part.indexOf('=');
+    return eq === -1 ? { key: part, value: null } : { key: part.slice(0, eq), value: part.slice(eq + 1) };
+  });
+
+  const params: RouteParam[] = [];
+  let wildcardIndex = 0;
+  const segments = splitSegments(path).map(seg => {
+    if (seg === '*' || seg === '**') {
+      const name = seg === '*' ? `wildcard${wildcardIndex++}` : `path${wildcardIndex++}`;
+      params.push({ name, wildcard: seg });
+      return `{${name}}`;
+    }
+    const m = seg.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+    if (!m) return seg;
+    params.push({ name: m[1], pattern: m[2], optional: !!m[3] });
+    return `{${m[1]}}`;
+  });
+  return { segments, params, query };
+}
+
+/**
+ * 检查规则 URL 能否被 Mock 服务端编译（正则约束、Query 约束的 % 编码）
+ * @returns 错误说明，合法时为 null；非法的规则在服务端永远不会命中
+ */
+export function validateRoutePattern(url: string): string | null {
+  const route = parseRoutePattern(url);
+  for (const q of route.query) {
+    try {
+      decodeURIComponent(q.key);
+      if (q.value !== null) decodeURIComponent(q.value);
+    } catch {
+      return `Query 约束 ${q.value === null ? q.key : `${q.key}=${q.value}`} 含非法的 % 编码（% 本身请写作 %25）`;
+    }
+  }
+  for (const p of route.params) {
+    if (!p.pattern) continue;
+    try {
+      new RegExp(`(?:${p.pattern})`);
+    } catch {
+      return `参数 ${p.name} 的正则约束 ${p.pattern} 不合法`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 规则 URL 是否使用了普通 :param 之外的路由语法（通配、可选、正则约束、Query 约束）
+ */
+export function hasAdvancedRouteSyntax(url: string): boolean {
+  const route = parseRoutePattern(url);
+  return route.query.length > 0 || route.params.some(p => p.wildcard || p.optional || p.pattern);
+}
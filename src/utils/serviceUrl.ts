@@ -0,0 +1,20 @@
+/**
+ * serviceUrl.ts
+ *
+ * Mock 服务的访问地址：启用 HTTPS 的服务使用 https 协议；
+ * 插件内部发起的调试请求优先走同时监听的 HTTP 端口，避免本地 CA 未被信任时请求失败。
+ */
+import type { MockService } from '@/types/mock';
+
+/**
+ * 服务的协议 + 主机 + 端口（不含前缀）
+ * @param service - Mock 服务
+ * @param host - 主机名或 IP
+ * @param preferHttp - 启用 HTTPS 且配置了 HTTP 端口时，是否返回 HTTP 地址
+ */
+export function serviceOrigin(service: Pick<MockService, 'port' | 'tls'>, host: string, preferHttp = false): string {
+  const tls = service.tls;
+  if (!tls?.enabled) return `http://${host}:${service.port}`;
+  if (preferHttp && tls.httpPort) return `http://${host}:${tls.httpPort}`;
+  return `https://${host}:${service.port}`;
+}